@@ -5,21 +5,16 @@
  */
 
 import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { ethers } from 'ethers';
 import solc from 'solc';
 
-const SOLIDITY_SOURCE = `
-// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.19;
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-contract EventLogger {
-    event HashAnchored(bytes32 indexed id, bytes32 hash, uint256 timestamp, address indexed sender);
-
-    function logHash(bytes32 id, bytes32 hash) external {
-        emit HashAnchored(id, hash, block.timestamp, msg.sender);
-    }
-}
-`;
+// Full contract: logHash, logHashBatch and the typed anchorBatch/anchorEvent
+const SOLIDITY_SOURCE = fs.readFileSync(path.join(__dirname, '../contracts/EventLogger.sol'), 'utf-8');
 
 const AMOY_CONFIG = {
   rpcUrl: 'https://rpc-amoy.polygon.technology',
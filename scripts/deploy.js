@@ -2,6 +2,8 @@
 
 /**
  * Deploy EventLogger Contract to Polygon Amoy Testnet
+ * The prebuilt bytecode only has logHash; use compile-deploy.js for the
+ * full contract the anchoring service calls (anchorBatch/anchorEvent)
  */
 
 import 'dotenv/config';
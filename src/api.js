@@ -5,24 +5,161 @@
 
 import 'dotenv/config';
 import express from 'express';
+import { pathToFileURL } from 'url';
 import provenanceService from './services/provenance.js';
+import screeningService from './services/screening.js';
 import anchoringService from './services/anchoring.js';
-import { PartyType, FacilityType, DocumentType } from './models/index.js';
+import chainIndexer from './services/chain-indexer.js';
+import anchoringOutbox from './services/anchoring-outbox.js';
+import recoveryService from './services/recovery.js';
+import lbmaReportService, { ReportFormat } from './services/lbma-report.js';
+import cmrtExportService from './services/cmrt-export.js';
+import epcisService, { EpcisCaptureError } from './services/epcis.js';
+import { renderCertificatePdf } from './services/certificate.js';
+import { InvalidTransitionError } from './services/lifecycle.js';
+import tokenService, { Permission, hasPermission, canAccessBatch, canActForParty } from './services/auth.js';
+import { runAsUser } from './services/request-context.js';
+import { normalizeBatch } from './services/units.js';
+import { PartyType, FacilityType, DocumentType, ResolutionOutcome, CredentialType } from './models/index.js';
 
 const app = express();
-app.use(express.json());
+// EPCIS partners send JSON-LD
+app.use(express.json({ type: ['application/json', 'application/ld+json'] }));
 
 // CORS middleware for UI
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Expose-Headers', 'Link, X-Payload-Hash');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
   next();
 });
 
+/**
+ * Send an error from a state-changing batch route
+ * Lifecycle violations are conflicts with the batch's current state (409)
+ */
+function sendBatchError(res, error) {
+  if (error instanceof InvalidTransitionError) {
+    return res.status(409).json({
+      error: error.message,
+      code: error.code,
+      batchId: error.batchId,
+      currentStatus: error.currentStatus,
+      attemptedAction: error.eventType,
+      allowedActions: error.allowedActions
+    });
+  }
+  res.status(400).json({ error: error.message });
+}
+
+/**
+ * Batch as stored plus its quantity and assays in kilograms and fineness
+ * per mille and its fine gold content
+ */
+function withNormalizedValues(batch) {
+  return { ...batch, normalized: normalizeBatch(batch) };
+}
+
+// ============ AUTHENTICATION ============
+
+// Routes reachable without a token
+const PUBLIC_ROUTES = ['/api/health', '/api/enums', '/api/auth/login'];
+
+/**
+ * Resolve the Bearer token to a user and run the rest of the request as them,
+ * so audit log entries carry the user's ID
+ */
+async function authenticate(req, res, next) {
+  if (PUBLIC_ROUTES.includes(req.baseUrl + req.path)) {
+    return next();
+  }
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  try {
+    const claims = tokenService.verifyToken(token);
+    const user = await provenanceService.getUser(claims.sub);
+    if (!user) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+    req.user = user;
+  } catch (error) {
+    return res.status(401).json({ error: error.message });
+  }
+  runAsUser(req.user, next);
+}
+
+/**
+ * Require a role permission for the route
+ */
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: `Role ${req.user.role} lacks permission ${permission}` });
+    }
+    next();
+  };
+}
+
+function forbidBatch(res, batchId) {
+  return res.status(403).json({ error: `Not allowed to access batch ${batchId}` });
+}
+
+app.use('/api', authenticate);
+
+// Every :batchId route is limited to batches the user may access
+// Express 4 does not catch rejected promises, so lookup errors go to next()
+app.param('batchId', async (req, res, next, batchId) => {
+  let batch;
+  try {
+    batch = await provenanceService.getBatch(batchId);
+  } catch (error) {
+    return next(error);
+  }
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  if (!canAccessBatch(req.user, batch)) {
+    return forbidBatch(res, batchId);
+  }
+  req.batch = batch;
+  next();
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body;
+  const user = await provenanceService.authenticateUser(username, password);
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  res.json({ ...tokenService.issueToken(user), user });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user);
+});
+
+// ============ USERS ============
+
+app.post('/api/users', authorize(Permission.USER_MANAGE), async (req, res) => {
+  try {
+    const user = await provenanceService.registerUser(req.body);
+    res.status(201).json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/users', authorize(Permission.USER_MANAGE), async (req, res) => {
+  const users = await provenanceService.getAllUsers();
+  res.json(users);
+});
+
 // ============ HEALTH CHECK ============
 
 app.get('/api/health', (req, res) => {
@@ -35,7 +172,7 @@ app.get('/api/health', (req, res) => {
 
 // ============ PARTIES ============
 
-app.post('/api/parties', (req, res) => {
+app.post('/api/parties', authorize(Permission.PARTY_WRITE), (req, res) => {
   try {
     const party = provenanceService.registerParty(req.body);
     res.status(201).json(party);
@@ -59,7 +196,7 @@ app.get('/api/parties/:partyId', async (req, res) => {
 
 // ============ FACILITIES ============
 
-app.post('/api/facilities', (req, res) => {
+app.post('/api/facilities', authorize(Permission.FACILITY_WRITE), (req, res) => {
   try {
     const facility = provenanceService.registerFacility(req.body);
     res.status(201).json(facility);
@@ -81,9 +218,17 @@ app.get('/api/facilities/:facilityId', async (req, res) => {
   res.json(facility);
 });
 
+app.get('/api/facilities/:facilityId/screening', async (req, res) => {
+  const facility = await provenanceService.getFacility(req.params.facilityId);
+  if (!facility) {
+    return res.status(404).json({ error: 'Facility not found' });
+  }
+  res.json(screeningService.screenFacility(facility));
+});
+
 // ============ DOCUMENTS ============
 
-app.post('/api/documents', (req, res) => {
+app.post('/api/documents', authorize(Permission.DOCUMENT_WRITE), (req, res) => {
   try {
     const document = provenanceService.registerDocument(req.body);
     res.status(201).json(document);
@@ -111,9 +256,12 @@ app.post('/api/documents/:documentId/verify', (req, res) => {
 
 // ============ BATCHES ============
 
-app.post('/api/batches', async (req, res) => {
+app.post('/api/batches', authorize(Permission.BATCH_CREATE), async (req, res) => {
   try {
     const { documentIds = [], ...batchData } = req.body;
+    if (!canActForParty(req.user, batchData.ownerPartyId)) {
+      return res.status(403).json({ error: 'Operators can only create batches owned by their own party' });
+    }
     const result = await provenanceService.createBatchAtMine(batchData, documentIds);
     res.status(201).json(result);
   } catch (error) {
@@ -121,86 +269,168 @@ app.post('/api/batches', async (req, res) => {
   }
 });
 
-app.get('/api/batches', async (req, res) => {
+app.get('/api/batches', authorize(Permission.BATCH_READ), async (req, res) => {
   const batches = await provenanceService.getAllBatches();
-  res.json(batches);
+  res.json(batches.filter(batch => canAccessBatch(req.user, batch)).map(withNormalizedValues));
 });
 
-app.get('/api/batches/:batchId', async (req, res) => {
+app.get('/api/batches/:batchId', authorize(Permission.BATCH_READ), async (req, res) => {
   const batch = await provenanceService.getBatch(req.params.batchId);
   if (!batch) {
     return res.status(404).json({ error: 'Batch not found' });
   }
-  res.json(batch);
+  res.json(withNormalizedValues(batch));
+});
+
+app.get('/api/batches/:batchId/actions', authorize(Permission.BATCH_READ), async (req, res) => {
+  const actions = await provenanceService.getAllowedActions(req.params.batchId);
+  if (!actions) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  res.json(actions);
 });
 
-app.get('/api/batches/reference/:refNumber', (req, res) => {
-  const batch = provenanceService.getBatchByReference(req.params.refNumber);
+app.get('/api/batches/reference/:refNumber', authorize(Permission.BATCH_READ), async (req, res) => {
+  const batch = await provenanceService.getBatchByReference(req.params.refNumber);
   if (!batch) {
     return res.status(404).json({ error: 'Batch not found' });
   }
-  res.json(batch);
+  if (!canAccessBatch(req.user, batch)) {
+    return forbidBatch(res, batch.batchId);
+  }
+  res.json(withNormalizedValues(batch));
 });
 
 // ============ EVENTS ============
 
-app.post('/api/batches/:batchId/ship', async (req, res) => {
+app.post('/api/batches/:batchId/ship', authorize(Permission.BATCH_EVENT), async (req, res) => {
   try {
+    // The receiver of a shipment may see the batch but only its owner ships it
+    if (!canActForParty(req.user, req.batch.ownerPartyId)) {
+      return res.status(403).json({ error: 'Batches can only be shipped by their owner' });
+    }
     const result = await provenanceService.recordShipment(req.params.batchId, req.body);
     res.status(201).json(result);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendBatchError(res, error);
   }
 });
 
-app.post('/api/batches/:batchId/transfer', async (req, res) => {
+app.post('/api/batches/:batchId/transfer', authorize(Permission.BATCH_EVENT), async (req, res) => {
   try {
+    if (!canActForParty(req.user, req.batch.ownerPartyId)) {
+      return res.status(403).json({ error: 'Batches can only be transferred by their owner' });
+    }
     const result = await provenanceService.recordTransfer(req.params.batchId, req.body);
     res.status(201).json(result);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendBatchError(res, error);
   }
 });
 
-app.post('/api/batches/:batchId/receive', async (req, res) => {
+app.post('/api/batches/:batchId/receive', authorize(Permission.BATCH_EVENT), async (req, res) => {
   try {
+    if (!canActForParty(req.user, req.body.receiverPartyId)) {
+      return res.status(403).json({ error: 'Shipments can only be received by your own party' });
+    }
     const result = await provenanceService.recordReceipt(req.params.batchId, req.body);
     res.status(201).json(result);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendBatchError(res, error);
   }
 });
 
-app.post('/api/batches/:batchId/inspect', async (req, res) => {
+app.post('/api/batches/:batchId/inspect', authorize(Permission.BATCH_EVENT), async (req, res) => {
   try {
+    if (!canActForParty(req.user, req.body.inspectorPartyId)) {
+      return res.status(403).json({ error: 'Inspections can only be recorded by your own party' });
+    }
     const result = await provenanceService.recordInspection(req.params.batchId, req.body);
     res.status(201).json(result);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendBatchError(res, error);
   }
 });
 
-app.post('/api/batches/:batchId/assay', async (req, res) => {
+app.post('/api/batches/:batchId/assay', authorize(Permission.BATCH_EVENT), async (req, res) => {
   try {
+    if (!canActForParty(req.user, req.body.assayerPartyId)) {
+      return res.status(403).json({ error: 'Assays can only be recorded by your own party' });
+    }
     const result = await provenanceService.recordAssayFinalized(req.params.batchId, req.body);
     res.status(201).json(result);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendBatchError(res, error);
   }
 });
 
-app.post('/api/batches/:batchId/dispute', async (req, res) => {
+app.post('/api/batches/:batchId/dispute', authorize(Permission.BATCH_EVENT), async (req, res) => {
   try {
+    if (!canActForParty(req.user, req.body.raisedByPartyId)) {
+      return res.status(403).json({ error: 'Disputes can only be raised by your own party' });
+    }
     const result = await provenanceService.recordDispute(req.params.batchId, req.body);
     res.status(201).json(result);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendBatchError(res, error);
+  }
+});
+
+app.post('/api/batches/:batchId/resolve', authorize(Permission.BATCH_EVENT), async (req, res) => {
+  try {
+    if (!canActForParty(req.user, req.body.resolvedByPartyId)) {
+      return res.status(403).json({ error: 'Disputes can only be resolved by your own party' });
+    }
+    const result = await provenanceService.recordResolution(req.params.batchId, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    sendBatchError(res, error);
+  }
+});
+
+// ============ SPLIT / MERGE ============
+
+app.post('/api/batches/merge', authorize(Permission.BATCH_EVENT), async (req, res) => {
+  try {
+    for (const batchId of req.body.batchIds || []) {
+      const batch = await provenanceService.getBatch(batchId);
+      if (batch && !canAccessBatch(req.user, batch)) {
+        return forbidBatch(res, batchId);
+      }
+      if (batch && !canActForParty(req.user, batch.ownerPartyId)) {
+        return res.status(403).json({ error: 'Batches can only be merged by their owner' });
+      }
+    }
+    const result = await provenanceService.mergeBatches(req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    sendBatchError(res, error);
+  }
+});
+
+app.post('/api/batches/:batchId/split', authorize(Permission.BATCH_EVENT), async (req, res) => {
+  try {
+    if (!canActForParty(req.user, req.batch.ownerPartyId)) {
+      return res.status(403).json({ error: 'Batches can only be split by their owner' });
+    }
+    const result = await provenanceService.splitBatch(req.params.batchId, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    sendBatchError(res, error);
+  }
+});
+
+app.get('/api/batches/:batchId/genealogy', authorize(Permission.BATCH_READ), async (req, res) => {
+  const genealogy = await provenanceService.getBatchGenealogy(req.params.batchId);
+  if (!genealogy) {
+    return res.status(404).json({ error: 'Batch not found' });
   }
+  res.json(genealogy);
 });
 
 // ============ VERIFICATION ============
 
-app.get('/api/batches/:batchId/chain-of-custody', async (req, res) => {
+app.get('/api/batches/:batchId/chain-of-custody', authorize(Permission.BATCH_READ), async (req, res) => {
   const chain = await provenanceService.getChainOfCustody(req.params.batchId);
   if (!chain) {
     return res.status(404).json({ error: 'Batch not found' });
@@ -208,7 +438,7 @@ app.get('/api/batches/:batchId/chain-of-custody', async (req, res) => {
   res.json(chain);
 });
 
-app.get('/api/batches/:batchId/verify', async (req, res) => {
+app.get('/api/batches/:batchId/verify', authorize(Permission.BATCH_READ), async (req, res) => {
   try {
     const result = await provenanceService.verifyBatchIntegrity(req.params.batchId);
     res.json(result);
@@ -217,19 +447,289 @@ app.get('/api/batches/:batchId/verify', async (req, res) => {
   }
 });
 
+// Rebuild the batch's anchored timeline from chain logs and diff it with the database
+app.get('/api/batches/:batchId/chain-audit', authorize(Permission.AUDIT_READ), async (req, res) => {
+  try {
+    const fromBlock = req.query.fromBlock !== undefined ? parseInt(req.query.fromBlock, 10) : undefined;
+    const result = await chainIndexer.diffBatch(req.params.batchId, { fromBlock });
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============ ANCHORING OUTBOX ============
+
+// Anchors waiting for submission or given up on (?status=PENDING_ANCHOR|ANCHOR_FAILED)
+app.get('/api/anchoring/outbox', authorize(Permission.AUDIT_READ), async (req, res) => {
+  const entries = await anchoringOutbox.getEntries(req.query.status || null);
+  res.json(entries);
+});
+
+// Retry one outbox entry ({ anchorId }) or all of them now
+app.post('/api/anchoring/outbox/retry', authorize(Permission.ANCHOR_MANAGE), async (req, res) => {
+  try {
+    const results = await anchoringOutbox.retry(req.body?.anchorId || null);
+    res.json({ results, remaining: await anchoringOutbox.getEntries() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============ CREDENTIALS ============
+
+app.post('/api/credentials', authorize(Permission.CREDENTIAL_ISSUE), async (req, res) => {
+  try {
+    if (!canActForParty(req.user, req.body.issuerPartyId)) {
+      return res.status(403).json({ error: 'Credentials can only be issued by your own party' });
+    }
+    const subject = req.body.subjectBatchId && await provenanceService.getBatch(req.body.subjectBatchId);
+    if (subject && !canAccessBatch(req.user, subject)) {
+      return forbidBatch(res, subject.batchId);
+    }
+    const credential = await provenanceService.issueCredential(req.body);
+    res.status(201).json(credential);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Verify a VC document presented by a third party
+app.post('/api/credentials/verify', async (req, res) => {
+  try {
+    const result = await provenanceService.verifyCredentialDocument(req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Credentials about a batch are visible to whoever may see the batch
+async function canReadCredential(user, credential) {
+  if (!credential.subjectBatchId) return true;
+  return canAccessBatch(user, await provenanceService.getBatch(credential.subjectBatchId));
+}
+
+app.get('/api/credentials/:credentialId', async (req, res) => {
+  const credential = await provenanceService.getCredential(req.params.credentialId);
+  if (!credential) {
+    return res.status(404).json({ error: 'Credential not found' });
+  }
+  if (!(await canReadCredential(req.user, credential))) {
+    return res.status(403).json({ error: 'Not allowed to access this credential' });
+  }
+  res.json(credential);
+});
+
+app.get('/api/credentials/:credentialId/verify', async (req, res) => {
+  const credential = await provenanceService.getCredential(req.params.credentialId);
+  if (credential && !(await canReadCredential(req.user, credential))) {
+    return res.status(403).json({ error: 'Not allowed to access this credential' });
+  }
+  const result = await provenanceService.verifyCredential(req.params.credentialId);
+  if (!result) {
+    return res.status(404).json({ error: 'Credential not found' });
+  }
+  res.json(result);
+});
+
+app.get('/api/batches/:batchId/credentials', authorize(Permission.BATCH_READ), async (req, res) => {
+  const credentials = await provenanceService.getCredentialsForBatch(req.params.batchId);
+  res.json(credentials);
+});
+
 // ============ EXPORT ============
 
-app.get('/api/batches/:batchId/export', async (req, res) => {
-  const pkg = await provenanceService.exportBatchPackage(req.params.batchId);
+/**
+ * ?format=untp returns UNTP Product Passport and Traceability Event
+ * credentials and ?format=epcis an EPCIS document, as JSON-LD instead of
+ * the batch package
+ */
+app.get('/api/batches/:batchId/export', authorize(Permission.BATCH_READ), async (req, res) => {
+  const format = req.query.format || 'json';
+  const exporters = {
+    json: () => provenanceService.exportBatchPackage(req.params.batchId),
+    untp: () => provenanceService.exportUntpPackage(req.params.batchId),
+    epcis: () => epcisService.exportBatch(req.params.batchId)
+  };
+  if (!exporters[format]) {
+    return res.status(400).json({ error: `Unknown export format: ${format}. Expected json, untp or epcis` });
+  }
+  const pkg = await exporters[format]();
   if (!pkg) {
     return res.status(404).json({ error: 'Batch not found' });
   }
+  if (format !== 'json') {
+    return res.type('application/ld+json').send(JSON.stringify(pkg));
+  }
   res.json(pkg);
 });
 
+// ============ CERTIFICATES ============
+
+/**
+ * Issue a certificate of provenance, signed as the batch owner, as a PDF
+ * The payload hash printed on it is also sent in X-Payload-Hash
+ */
+app.post('/api/batches/:batchId/certificate', authorize(Permission.CREDENTIAL_ISSUE), async (req, res) => {
+  try {
+    const batch = await provenanceService.getBatch(req.params.batchId);
+    if (!canActForParty(req.user, batch.ownerPartyId)) {
+      return res.status(403).json({ error: 'Certificates can only be issued by the batch owner' });
+    }
+    const { credential, payloadHash } = await provenanceService.issueCertificate(batch.batchId);
+    res.attachment(`certificate-${batch.externalReferenceNumber}.pdf`);
+    res.set('X-Payload-Hash', payloadHash);
+    res.status(201).type('application/pdf').send(renderCertificatePdf(credential.verifiableCredential, payloadHash));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Match the payload hash printed on a certificate to the batch's record
+app.get('/api/batches/:batchId/certificates/:payloadHash', authorize(Permission.BATCH_READ), async (req, res) => {
+  const match = await provenanceService.matchCertificate(req.params.batchId, req.params.payloadHash);
+  if (!match.matched) {
+    return res.status(404).json({ ...match, error: 'No certificate with this payload hash was issued for the batch' });
+  }
+  res.json(match);
+});
+
+// ============ EPCIS ============
+
+/**
+ * Capture an EPCISDocument; a document with any event that cannot be
+ * recorded is rejected as a whole, and a business rule failing part way
+ * through returns what was captured before it
+ */
+app.post('/api/epcis/capture', authorize(Permission.BATCH_EVENT), async (req, res) => {
+  try {
+    const result = await epcisService.capture(req.body, {
+      canUseBatch: (batch) => canAccessBatch(req.user, batch),
+      canActForParty: (partyId) => canActForParty(req.user, partyId)
+    });
+    if (result.failed) {
+      return res.status(result.failed.code === 'INVALID_TRANSITION' ? 409 : 400).json(result);
+    }
+    res.status(result.captured.length > 0 ? 201 : 200).json(result);
+  } catch (error) {
+    if (error instanceof EpcisCaptureError) {
+      return res.status(error.forbidden ? 403 : 400).json({ error: error.message, errors: error.errors });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * SimpleEventQuery over the events of the batches the user may access
+ * The next page is linked in the Link header
+ */
+app.get('/api/epcis/events', authorize(Permission.BATCH_READ), async (req, res) => {
+  try {
+    const { document, nextPageToken } = await epcisService.query(req.query, (batch) => canAccessBatch(req.user, batch));
+    if (nextPageToken) {
+      const params = new URLSearchParams({ ...req.query, nextPageToken });
+      res.set('Link', `<${req.baseUrl}${req.path}?${params}>; rel="next"`);
+    }
+    res.type('application/ld+json').send(JSON.stringify(document));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============ CAHRA SCREENING ============
+
+app.get('/api/batches/:batchId/screening', authorize(Permission.BATCH_READ), async (req, res) => {
+  const screening = await screeningService.screenBatch(req.params.batchId);
+  if (!screening) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  res.json(screening);
+});
+
+app.get('/api/screening/facilities', authorize(Permission.AUDIT_READ), async (req, res) => {
+  res.json(await screeningService.screenFacilities());
+});
+
+// ============ DUE DILIGENCE ============
+
+app.get('/api/batches/:batchId/due-diligence', authorize(Permission.BATCH_READ), async (req, res) => {
+  const dueDiligence = await provenanceService.getDueDiligence(req.params.batchId);
+  if (!dueDiligence) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  res.json(dueDiligence);
+});
+
+app.post('/api/batches/:batchId/due-diligence/:step', authorize(Permission.BATCH_EVENT), async (req, res) => {
+  try {
+    if (!canActForParty(req.user, req.batch.ownerPartyId)) {
+      return res.status(403).json({ error: 'Due diligence can only be updated by the batch owner' });
+    }
+    const result = await provenanceService.updateDueDiligenceStep(req.params.batchId, req.params.step, req.body);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============ MASS BALANCE ============
+
+app.get('/api/batches/:batchId/mass-balance', authorize(Permission.BATCH_READ), async (req, res) => {
+  const balance = await provenanceService.getMassBalance(req.params.batchId);
+  if (!balance) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  res.json(balance);
+});
+
+app.get('/api/reports/mass-balance', authorize(Permission.AUDIT_READ), async (req, res) => {
+  const report = await provenanceService.getMassBalanceReport();
+  res.json(report);
+});
+
+// ============ LBMA REPORT ============
+
+app.get('/api/reports/lbma', authorize(Permission.AUDIT_READ), async (req, res) => {
+  try {
+    const { from, to, supplier, format = ReportFormat.JSON } = req.query;
+    const report = await lbmaReportService.generate({ from, to, supplier });
+    if (format === ReportFormat.JSON) {
+      return res.json(report);
+    }
+    const body = lbmaReportService.render(report, format);
+    if (format === ReportFormat.CSV) {
+      res.attachment(`lbma-report-${report.generatedAt.slice(0, 10)}.csv`);
+    }
+    res.type(format === ReportFormat.CSV ? 'text/csv' : 'text/plain').send(body);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============ CMRT EXPORT ============
+
+/**
+ * The whole template as JSON, or one tab as CSV with ?tab=
+ */
+app.get('/api/reports/cmrt', authorize(Permission.AUDIT_READ), async (req, res) => {
+  try {
+    const { from, to, company, tab } = req.query;
+    const exported = await cmrtExportService.generate({ from, to, company });
+    if (!tab) {
+      return res.json(exported);
+    }
+    const csv = cmrtExportService.toCsv(exported, tab);
+    res.attachment(cmrtExportService.fileName(tab));
+    res.type('text/csv').send(csv);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ============ AUDIT LOG ============
 
-app.get('/api/audit', async (req, res) => {
+app.get('/api/audit', authorize(Permission.AUDIT_READ), async (req, res) => {
   const entityId = req.query.entityId || null;
   const log = await provenanceService.getAuditLog(entityId);
   res.json(log);
@@ -237,7 +737,7 @@ app.get('/api/audit', async (req, res) => {
 
 // ============ IMPORT (Simulation) ============
 
-app.post('/api/import', (req, res) => {
+app.post('/api/import', authorize(Permission.IMPORT), (req, res) => {
   try {
     const result = provenanceService.importData(req.body);
     res.json({ success: true, imported: result });
@@ -252,10 +752,27 @@ app.get('/api/enums', (req, res) => {
   res.json({
     partyTypes: Object.values(PartyType),
     facilityTypes: Object.values(FacilityType),
-    documentTypes: Object.values(DocumentType)
+    documentTypes: Object.values(DocumentType),
+    resolutionOutcomes: Object.values(ResolutionOutcome),
+    // Certificates are issued from the batch, not through POST /api/credentials
+    credentialTypes: Object.values(CredentialType).filter(t => t !== CredentialType.PROVENANCE_CERTIFICATE)
   });
 });
 
+// ============ ERRORS ============
+
+// Errors passed to next(), answered as JSON like the routes' own errors
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  }
+  res.status(status).json({ error: status >= 500 ? 'Internal server error' : err.message });
+});
+
 // ============ SEED DATA ============
 
 async function seedTestData() {
@@ -395,9 +912,31 @@ async function seedTestData() {
 
 // ============ START SERVER ============
 
+async function recoverUnfinishedWork() {
+  const report = await recoveryService.run();
+  report.danglingEventIds.forEach(({ batchId, status, eventIds }) => {
+    console.warn(`Batch ${batchId} (${status}) lists events that do not exist: ${eventIds.join(', ')}; left unchanged, verify it`);
+  });
+  const changes = report.anchorsWrittenBack.length + report.orphanedEntriesRemoved.length + report.requeued.length;
+  if (changes === 0) return;
+
+  console.log('Recovered unfinished work:', {
+    anchorsWrittenBack: report.anchorsWrittenBack.length,
+    orphanedEntriesRemoved: report.orphanedEntriesRemoved.length,
+    requeued: report.requeued.length
+  });
+}
+
 const PORT = process.env.PORT || 3000;
 
 export async function startServer() {
+  try {
+    tokenService.requireSecret();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
   // Connect to MongoDB if using MongoDB
   if (process.env.DB_TYPE === 'mongodb') {
     console.log('Connecting to MongoDB...');
@@ -425,8 +964,14 @@ export async function startServer() {
     }
   }
 
-  // Seed test data
+  // Seed test data and the first admin account
   await seedTestData();
+  await provenanceService.bootstrapAdmin();
+
+  // Repair anything a crash left half-done, then retry queued anchors in the
+  // background, including any left from a previous run
+  await recoverUnfinishedWork();
+  anchoringOutbox.start();
   
   app.listen(PORT, () => {
     console.log(`Gold Provenance API running on http://localhost:${PORT}`);
@@ -435,7 +980,9 @@ export async function startServer() {
   });
 }
 
-// Auto-start when run directly
-startServer();
+// Auto-start when run directly (src/index.js starts it itself, tests listen on their own port)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startServer();
+}
 
 export default app;
@@ -5,12 +5,21 @@
  * Demonstrates the complete provenance flow
  */
 
+import fs from 'fs';
 import { Command } from 'commander';
 import chalk from 'chalk';
 import Table from 'cli-table3';
 import provenanceService from './services/provenance.js';
 import anchoringService, { BlockchainAnchoringService, NETWORKS } from './services/anchoring.js';
-import { PartyType, FacilityType, DocumentType, BatchStatus, EventType } from './models/index.js';
+import chainIndexer from './services/chain-indexer.js';
+import anchoringOutbox from './services/anchoring-outbox.js';
+import recoveryService from './services/recovery.js';
+import screeningService, { ScreeningStatus } from './services/screening.js';
+import lbmaReportService, { ReportFormat } from './services/lbma-report.js';
+import cmrtExportService, { CmrtTab } from './services/cmrt-export.js';
+import epcisService, { EpcisCaptureError } from './services/epcis.js';
+import { renderCertificatePdf } from './services/certificate.js';
+import { PartyType, FacilityType, DocumentType, BatchStatus, EventType, CredentialType, UserRole } from './models/index.js';
 
 const program = new Command();
 
@@ -38,6 +47,29 @@ function printError(message) {
   console.log(chalk.red(message));
 }
 
+function printActionError(error) {
+  printError(error.message);
+  if (error.allowedActions) {
+    printInfo(`Allowed actions: ${error.allowedActions.join(', ') || 'none'}`);
+  }
+}
+
+/**
+ * Events are anchored in the background; wait for the first attempt so the
+ * command can print its transaction
+ */
+async function printAnchor(label, pending, { explorer = false } = {}) {
+  const anchor = await anchoringOutbox.settle(pending.anchorId);
+  if (!anchor?.success) {
+    printWarning(`${label}: queued in the anchoring outbox (${anchor?.error || 'pending'})`);
+    return;
+  }
+  printInfo(`${label}: ${anchor.txHash}`);
+  if (explorer) {
+    printInfo(`Explorer: ${anchor.explorerUrl}`);
+  }
+}
+
 function printJSON(obj) {
   console.log(chalk.cyan(JSON.stringify(obj, null, 2)));
 }
@@ -83,6 +115,46 @@ program
     console.log(table.toString());
   });
 
+// ============ USER COMMANDS ============
+
+program
+  .command('user:create')
+  .description('Create an API user')
+  .requiredOption('-u, --username <username>', 'Username')
+  .requiredOption('-p, --password <password>', 'Password (min 8 characters)')
+  .requiredOption('-r, --role <role>', `Role (${Object.values(UserRole).join('|')})`)
+  .option('--party <partyId>', 'Party the user acts for (required for Operators)')
+  .option('-b, --batches <batchIds>', 'Extra batch IDs the user may see (comma-separated)')
+  .action(async (options) => {
+    try {
+      const user = await provenanceService.registerUser({
+        username: options.username,
+        password: options.password,
+        role: options.role,
+        partyId: options.party || null,
+        allowedBatchIds: options.batches ? options.batches.split(',') : []
+      });
+      printSuccess(`User created: ${user.userId}`);
+      printJSON(user);
+    } catch (error) {
+      printError(error.message);
+    }
+  });
+
+program
+  .command('user:list')
+  .description('List API users')
+  .action(async () => {
+    const users = await provenanceService.getAllUsers();
+    const table = new Table({
+      head: [chalk.cyan('ID'), chalk.cyan('Username'), chalk.cyan('Role'), chalk.cyan('Party')]
+    });
+    users.forEach(u => {
+      table.push([u.userId.substring(0, 8) + '...', u.username, u.role, u.partyId || '-']);
+    });
+    console.log(table.toString());
+  });
+
 // ============ FACILITY COMMANDS ============
 
 program
@@ -153,8 +225,10 @@ program
   .requiredOption('-c, --commodity <type>', 'Commodity type')
   .requiredOption('-f, --facility <facilityId>', 'Origin facility ID')
   .requiredOption('-o, --owner <ownerId>', 'Owner party ID')
-  .requiredOption('-w, --weight <weight>', 'Weight in kg')
-  .option('-a, --assay <assay>', 'Declared assay value (g/t)')
+  .requiredOption('-w, --weight <weight>', 'Weight')
+  .option('-u, --unit <unit>', 'Weight unit (kg, g, ozt)', 'kg')
+  .option('-a, --assay <assay>', 'Declared assay value')
+  .option('--assay-unit <unit>', 'Assay unit (g/t, ppm, permille, %)', 'g/t')
   .option('-d, --docs <docIds>', 'Comma-separated document IDs')
   .action(async (options) => {
     try {
@@ -165,14 +239,14 @@ program
         originFacilityId: options.facility,
         ownerPartyId: options.owner,
         weight: parseFloat(options.weight),
+        weightUnit: options.unit,
         declaredAssayValue: options.assay ? parseFloat(options.assay) : null,
-        declaredAssayUnit: options.assay ? 'g/t' : null
+        declaredAssayUnit: options.assay ? options.assayUnit : null
       }, docIds);
       
       printSuccess(`Batch created: ${result.batch.batchId}`);
       printInfo(`Reference: ${result.batch.externalReferenceNumber}`);
-      printInfo(`Event anchored: ${result.eventAnchor.txHash}`);
-      printInfo(`Explorer: ${result.eventAnchor.explorerUrl}`);
+      await printAnchor('Event anchored', result.eventAnchor, { explorer: true });
     } catch (error) {
       printError(error.message);
     }
@@ -206,8 +280,8 @@ program
 
 program
   .command('batch:show <batchId>')
-  .description('Show batch details')
-  .action((batchId) => {
+  .description('Show batch details and allowed next actions')
+  .action(async (batchId) => {
     const batch = provenanceService.getBatch(batchId) || 
                   provenanceService.getBatchByReference(batchId);
     if (!batch) {
@@ -215,6 +289,8 @@ program
       return;
     }
     printJSON(batch);
+    const { allowedActions } = await provenanceService.getAllowedActions(batch.batchId);
+    printInfo(`Allowed actions: ${allowedActions.join(', ') || 'none'}`);
   });
 
 // ============ EVENT COMMANDS ============
@@ -236,9 +312,9 @@ program
       });
       printSuccess(`Shipment recorded: ${result.event.eventId}`);
       printInfo(`Batch status: ${result.batch.status}`);
-      printInfo(`TX Hash: ${result.anchor.txHash}`);
+      await printAnchor('TX Hash', result.anchor);
     } catch (error) {
-      printError(error.message);
+      printActionError(error);
     }
   });
 
@@ -260,7 +336,7 @@ program
       printSuccess(`Transfer recorded: ${result.event.eventId}`);
       printInfo(`New custodian: ${result.batch.ownerPartyId}`);
     } catch (error) {
-      printError(error.message);
+      printActionError(error);
     }
   });
 
@@ -270,6 +346,7 @@ program
   .requiredOption('-r, --receiver <receiverPartyId>', 'Receiver party ID')
   .requiredOption('-f, --facility <facilityId>', 'Receiving facility ID')
   .option('-w, --weight <weight>', 'Received weight (if different)')
+  .option('-u, --unit <unit>', 'Unit of the received weight (defaults to the batch unit)')
   .option('-n, --notes <notes>', 'Notes')
   .action(async (batchId, options) => {
     try {
@@ -277,12 +354,23 @@ program
         receiverPartyId: options.receiver,
         facilityId: options.facility,
         receivedWeight: options.weight ? parseFloat(options.weight) : null,
+        receivedWeightUnit: options.unit || null,
         notes: options.notes
       });
       printSuccess(`Receipt recorded: ${result.event.eventId}`);
+      const { shippedWeight, receivedWeight, unit, delta, deltaPercent, allowedDelta, withinTolerance } = result.weightReconciliation;
+      const reconciled = `Received ${receivedWeight} ${unit} of ${shippedWeight} ${unit} shipped (${delta} ${unit}, ${deltaPercent}%)`;
+      if (withinTolerance) {
+        printInfo(reconciled);
+      } else {
+        printWarning(`${reconciled}: outside the ${allowedDelta} ${unit} tolerance`);
+      }
+      if (result.dispute) {
+        printWarning(`Dispute raised: ${result.dispute.event.eventId}`);
+      }
       printInfo(`Batch status: ${result.batch.status}`);
     } catch (error) {
-      printError(error.message);
+      printActionError(error);
     }
   });
 
@@ -300,7 +388,89 @@ program
       printWarning(`Dispute recorded: ${result.event.eventId}`);
       printInfo(`Batch status: ${result.batch.status}`);
     } catch (error) {
-      printError(error.message);
+      printActionError(error);
+    }
+  });
+
+program
+  .command('resolve <batchId>')
+  .description('Resolve the open dispute on a batch')
+  .requiredOption('-p, --party <partyId>', 'Party resolving the dispute')
+  .requiredOption('-o, --outcome <outcome>', 'Outcome (Upheld|Rejected|WeightAdjusted|AssayAdjusted)')
+  .option('-e, --dispute <eventId>', 'Dispute event ID (defaults to the latest dispute)')
+  .option('-w, --weight <weight>', 'Adjusted weight (WeightAdjusted)')
+  .option('-a, --assay <assay>', 'Adjusted assay value (AssayAdjusted)')
+  .option('-u, --assayUnit <unit>', 'Adjusted assay unit')
+  .option('-n, --notes <notes>', 'Notes')
+  .action(async (batchId, options) => {
+    try {
+      const result = await provenanceService.recordResolution(batchId, {
+        resolvedByPartyId: options.party,
+        outcome: options.outcome,
+        disputeEventId: options.dispute,
+        adjustedWeight: options.weight ? parseFloat(options.weight) : null,
+        adjustedAssayValue: options.assay ? parseFloat(options.assay) : null,
+        adjustedAssayUnit: options.assayUnit,
+        notes: options.notes
+      });
+      printSuccess(`Resolution recorded: ${result.event.eventId}`);
+      printInfo(`Batch status: ${result.batch.status}`);
+    } catch (error) {
+      printActionError(error);
+    }
+  });
+
+// ============ SPLIT / MERGE COMMANDS ============
+
+program
+  .command('split <batchId>')
+  .description('Split a batch into child lots (weights must add up to the parent)')
+  .requiredOption('-p, --parts <parts>', 'Comma-separated child lots as ref:weight (e.g. LOT-A:10,LOT-B:15)')
+  .option('-f, --facility <facilityId>', 'Facility where the split takes place')
+  .option('-d, --docs <docIds>', 'Comma-separated document IDs')
+  .option('-n, --notes <notes>', 'Notes')
+  .action(async (batchId, options) => {
+    try {
+      const children = options.parts.split(',').map(part => {
+        const [externalReferenceNumber, weight] = part.split(':');
+        return { externalReferenceNumber, weight: parseFloat(weight) };
+      });
+      const result = await provenanceService.splitBatch(batchId, {
+        children,
+        facilityId: options.facility,
+        documentIds: options.docs ? options.docs.split(',') : [],
+        notes: options.notes
+      });
+      printSuccess(`Batch split: ${result.event.eventId}`);
+      result.children.forEach(c => {
+        printInfo(`  ${c.batch.externalReferenceNumber}: ${c.batch.batchId} (${c.batch.quantity.weight} ${c.batch.quantity.unit})`);
+      });
+    } catch (error) {
+      printActionError(error);
+    }
+  });
+
+program
+  .command('merge <batchIds...>')
+  .description('Merge several batches into a new lot')
+  .requiredOption('-r, --ref <refNumber>', 'External reference number of the merged lot')
+  .option('-f, --facility <facilityId>', 'Facility where the merge takes place')
+  .option('-d, --docs <docIds>', 'Comma-separated document IDs')
+  .option('-n, --notes <notes>', 'Notes')
+  .action(async (batchIds, options) => {
+    try {
+      const result = await provenanceService.mergeBatches({
+        batchIds,
+        externalReferenceNumber: options.ref,
+        facilityId: options.facility,
+        documentIds: options.docs ? options.docs.split(',') : [],
+        notes: options.notes
+      });
+      printSuccess(`Batches merged into: ${result.batch.batchId}`);
+      printInfo(`Weight: ${result.batch.quantity.weight} ${result.batch.quantity.unit}`);
+      await printAnchor('TX Hash', result.eventAnchor);
+    } catch (error) {
+      printActionError(error);
     }
   });
 
@@ -319,7 +489,7 @@ program
 
     printHeader(`Chain of Custody: ${batch.externalReferenceNumber}`);
 
-    const chain = provenanceService.getChainOfCustody(batch.batchId);
+    const chain = await provenanceService.getChainOfCustody(batch.batchId);
     
     // Batch info
     console.log(chalk.bold('Batch Information:'));
@@ -371,6 +541,16 @@ program
       });
     }
 
+    // Credentials
+    if (chain.credentials.length > 0) {
+      console.log('\n' + chalk.bold('Credentials:'));
+      chain.credentials.forEach((cred, i) => {
+        const status = cred.verification.verified ? chalk.green('verified') : chalk.red('NOT VERIFIED');
+        console.log(`  ${i + 1}. ${cred.type} by ${cred.issuer || 'unknown issuer'}: ${status}`);
+        cred.verification.errors.forEach(err => console.log(`     ${chalk.red(err)}`));
+      });
+    }
+
     // Verification
     console.log('\n' + chalk.bold('Verification Status:'));
     const verification = await provenanceService.verifyBatchIntegrity(batch.batchId);
@@ -387,22 +567,238 @@ program
     console.log(`  Message: ${chain.verificationStatus.message}`);
   });
 
+program
+  .command('chain:audit <batchId>')
+  .description('Rebuild a batch timeline from on-chain logs and diff it with the database')
+  .option('--from-block <block>', 'First block to scan (default ANCHOR_START_BLOCK)')
+  .action(async (batchId, options) => {
+    const batch = await provenanceService.getBatch(batchId) ||
+                  await provenanceService.getBatchByReference(batchId);
+    if (!batch) {
+      printError('Batch not found');
+      return;
+    }
+
+    printHeader(`Chain Audit: ${batch.externalReferenceNumber}`);
+    let diff;
+    try {
+      const fromBlock = options.fromBlock !== undefined ? parseInt(options.fromBlock, 10) : undefined;
+      diff = await chainIndexer.diffBatch(batch.batchId, { fromBlock });
+    } catch (error) {
+      printError(error.message);
+      return;
+    }
+
+    console.log(`  Contract: ${diff.contractAddress}`);
+    console.log(`  Blocks:   ${diff.scannedBlocks.from} - ${diff.scannedBlocks.to}`);
+    if (diff.batchAnchor) {
+      const status = diff.batchAnchor.hashMatch ? chalk.green('matches') : chalk.red('MISMATCH');
+      console.log(`  Batch anchor: block ${diff.batchAnchor.blockNumber}, ${status}`);
+    } else {
+      console.log(`  Batch anchor: ${chalk.yellow('not found on chain')}`);
+    }
+
+    const table = new Table({
+      head: [chalk.cyan('Status'), chalk.cyan('Type'), chalk.cyan('Event'), chalk.cyan('TX Hash')]
+    });
+    diff.matched.forEach(e => table.push([chalk.green('anchored'), e.eventType, e.eventId.substring(0, 12) + '...', e.txHash.substring(0, 12) + '...']));
+    diff.mismatched.forEach(e => table.push([chalk.red('mismatch'), e.eventType, e.eventId.substring(0, 12) + '...', e.txHash.substring(0, 12) + '...']));
+    diff.notAnchored.forEach(e => table.push([chalk.yellow('not anchored'), e.eventType, e.eventId.substring(0, 12) + '...', '-']));
+    diff.anchoredNotInDatabase.forEach(e => table.push([
+      chalk.red('not in database'), e.eventType, (e.registryId || e.onChainId).substring(0, 18) + '...', e.txHash.substring(0, 12) + '...'
+    ]));
+    console.log(table.toString());
+
+    if (diff.consistent) {
+      printSuccess('On-chain timeline matches the database');
+    } else {
+      printError('On-chain timeline and database differ');
+    }
+  });
+
+// ============ CREDENTIAL COMMANDS ============
+
+program
+  .command('credential:issue')
+  .description('Issue a signed W3C Verifiable Credential')
+  .requiredOption('-t, --type <type>', `Credential type (${Object.values(CredentialType).join(', ')})`)
+  .requiredOption('-i, --issuer <partyId>', 'Issuer party ID')
+  .requiredOption('-c, --claims <claims>', 'Claims summary')
+  .option('-b, --batch <batchId>', 'Subject batch ID')
+  .option('-f, --facility <facilityId>', 'Subject facility ID')
+  .option('-d, --docs <docIds>', 'Supporting document IDs (comma-separated)')
+  .option('--valid-until <date>', 'Expiry date (ISO 8601)')
+  .action(async (options) => {
+    try {
+      const credential = await provenanceService.issueCredential({
+        credentialType: options.type,
+        issuerPartyId: options.issuer,
+        subjectBatchId: options.batch || null,
+        subjectFacilityId: options.facility || null,
+        claimsSummary: options.claims,
+        supportingDocumentIds: options.docs ? options.docs.split(',') : [],
+        validUntil: options.validUntil || null
+      });
+      printSuccess(`Credential issued: ${credential.credentialId}`);
+      printJSON(credential.verifiableCredential);
+    } catch (error) {
+      printError(error.message);
+    }
+  });
+
+program
+  .command('credential:show <credentialId>')
+  .description('Print a credential as a W3C Verifiable Credential')
+  .action(async (credentialId) => {
+    const credential = await provenanceService.getCredential(credentialId);
+    if (!credential) {
+      printError('Credential not found');
+      return;
+    }
+    printJSON(credential.verifiableCredential);
+  });
+
+program
+  .command('credential:verify [credentialId]')
+  .description('Verify a stored credential, or a VC JSON file with --file')
+  .option('--file <path>', 'Verifiable Credential JSON file')
+  .action(async (credentialId, options) => {
+    let result;
+    if (options.file) {
+      result = await provenanceService.verifyCredentialDocument(JSON.parse(fs.readFileSync(options.file, 'utf-8')));
+    } else if (credentialId) {
+      result = await provenanceService.verifyCredential(credentialId);
+    } else {
+      printError('Give a credential ID or --file');
+      return;
+    }
+    if (!result) {
+      printError('Credential not found');
+      return;
+    }
+
+    printHeader(`Credential ${result.credentialId || ''}`);
+    console.log(`  Issuer: ${result.issuerDid || '-'}`);
+    for (const [check, passed] of Object.entries(result.checks)) {
+      console.log(`  ${check}: ${passed ? chalk.green('pass') : chalk.red('FAIL')}`);
+    }
+    if (result.verified) {
+      printSuccess('Credential verified');
+    } else {
+      result.errors.forEach(err => printError(err));
+    }
+  });
+
 // ============ EXPORT COMMANDS ============
 
 program
   .command('export <batchId>')
-  .description('Export batch package as JSON')
-  .action((batchId) => {
-    const batch = provenanceService.getBatch(batchId) || 
-                  provenanceService.getBatchByReference(batchId);
+  .description('Export batch package as JSON, as UNTP credentials or as an EPCIS document in JSON-LD')
+  .option('-f, --format <format>', 'Export format (json|untp|epcis)', 'json')
+  .action(async (batchId, options) => {
+    const exporters = {
+      json: (id) => provenanceService.exportBatchPackage(id),
+      untp: (id) => provenanceService.exportUntpPackage(id),
+      epcis: (id) => epcisService.exportBatch(id)
+    };
+    if (!exporters[options.format]) {
+      printError(`Unknown export format: ${options.format}. Expected json, untp or epcis`);
+      return;
+    }
+    const batch = await provenanceService.getBatch(batchId) ||
+                  await provenanceService.getBatchByReference(batchId);
     if (!batch) {
       printError('Batch not found');
       return;
     }
-    const pkg = provenanceService.exportBatchPackage(batch.batchId);
+    const pkg = await exporters[options.format](batch.batchId);
     console.log(JSON.stringify(pkg, null, 2));
   });
 
+program
+  .command('certificate <batchId>')
+  .description('Issue a signed PDF certificate of provenance for a batch')
+  .option('--output <file>', 'PDF file to write (default certificate-<reference>.pdf)')
+  .action(async (batchId, options) => {
+    try {
+      const batch = await provenanceService.getBatch(batchId) ||
+                    await provenanceService.getBatchByReference(batchId);
+      if (!batch) {
+        printError('Batch not found');
+        return;
+      }
+      const { credential, payloadHash } = await provenanceService.issueCertificate(batch.batchId);
+      const file = options.output || `certificate-${batch.externalReferenceNumber}.pdf`;
+      fs.writeFileSync(file, renderCertificatePdf(credential.verifiableCredential, payloadHash));
+      printSuccess(`Certificate written to ${file}`);
+      console.log(`  Status:       ${credential.verifiableCredential.credentialSubject.verification.status}`);
+      console.log(`  Certificate:  ${credential.credentialId}`);
+      console.log(`  Payload hash: ${chalk.cyan(payloadHash)}`);
+    } catch (error) {
+      printError(error.message);
+    }
+  });
+
+program
+  .command('certificate:check <batchId> <payloadHash>')
+  .description('Match the payload hash printed on a certificate to the batch record')
+  .action(async (batchId, payloadHash) => {
+    const batch = await provenanceService.getBatch(batchId) ||
+                  await provenanceService.getBatchByReference(batchId);
+    if (!batch) {
+      printError('Batch not found');
+      return;
+    }
+    const match = await provenanceService.matchCertificate(batch.batchId, payloadHash);
+    if (!match.matched) {
+      printError('No certificate with this payload hash was issued for the batch');
+      return;
+    }
+    printSuccess(`Certificate ${match.certificateId} issued ${formatTimestamp(match.issuedAt)}`);
+    if (match.verification.verified) {
+      printSuccess('Signature and documents verified');
+    } else {
+      match.verification.errors.forEach(err => printError(err));
+    }
+    if (match.upToDate) {
+      printSuccess('The batch record is unchanged since the certificate was issued');
+    } else {
+      printWarning(`Changed since issue: ${match.changedSince.join(', ')}`);
+    }
+  });
+
+program
+  .command('epcis:capture <file>')
+  .description('Record the events of an EPCIS 2.0 JSON-LD document')
+  .action(async (file) => {
+    try {
+      const result = await epcisService.capture(JSON.parse(fs.readFileSync(file, 'utf-8')));
+      printHeader('EPCIS Capture');
+      const table = new Table({
+        head: [chalk.cyan('#'), chalk.cyan('EPCIS Event ID'), chalk.cyan('Event'), chalk.cyan('Batches')]
+      });
+      result.captured.forEach(c => {
+        table.push([c.index, c.eventID || '-', c.eventType, c.batchIds.map(id => id.substring(0, 8)).join(', ')]);
+      });
+      console.log(table.toString());
+      printSuccess(`${result.captured.length} event(s) captured`);
+      if (result.skipped.length > 0) {
+        printInfo(`${result.skipped.length} event(s) already captured and skipped`);
+      }
+      if (result.failed) {
+        printError(`Event ${result.failed.index} (${result.failed.eventID || 'no eventID'}) failed: ${result.failed.error}`);
+        printWarning('Events before it stay recorded');
+      }
+    } catch (error) {
+      if (error instanceof EpcisCaptureError) {
+        printError('EPCIS document rejected, nothing recorded:');
+        error.errors.forEach(e => printError(`  event ${e.index} (${e.eventID || 'no eventID'}): ${e.error}`));
+        return;
+      }
+      printError(error.message);
+    }
+  });
+
 program
   .command('audit')
   .description('Show audit log')
@@ -423,6 +819,253 @@ program
     console.log(table.toString());
   });
 
+function printDueDiligence(dueDiligence) {
+  const table = new Table({
+    head: [chalk.cyan('#'), chalk.cyan('Step'), chalk.cyan('Status'), chalk.cyan('Responsible'), chalk.cyan('Findings'), chalk.cyan('Docs')]
+  });
+  dueDiligence.steps.forEach(s => {
+    const done = ['Completed', 'NotApplicable'].includes(s.status);
+    table.push([
+      s.number,
+      `${s.step}\n${chalk.gray(s.title)}`,
+      done ? chalk.green(s.status) : chalk.yellow(s.status),
+      s.responsiblePartyId ? s.responsiblePartyId.substring(0, 8) + '...' : '-',
+      s.findings.map(f => `[${f.severity}] ${f.description}`).join('\n') || '-',
+      s.documentIds.length
+    ]);
+  });
+  console.log(table.toString());
+  if (dueDiligence.status === 'Closed') {
+    printSuccess('Due diligence closed');
+  } else {
+    printWarning(`Due diligence open: ${dueDiligence.openSteps.join(', ')}`);
+  }
+}
+
+program
+  .command('dd:show <batchId>')
+  .description('Show the OECD five-step due diligence of a batch')
+  .action(async (batchId) => {
+    const batch = await provenanceService.getBatch(batchId) ||
+                  await provenanceService.getBatchByReference(batchId);
+    if (!batch) {
+      printError('Batch not found');
+      return;
+    }
+    printHeader(`DUE DILIGENCE: ${batch.externalReferenceNumber}`);
+    printDueDiligence(await provenanceService.getDueDiligence(batch.batchId));
+  });
+
+program
+  .command('dd:update <batchId> <step>')
+  .description('Update a due diligence step (managementSystems, riskIdentification, riskMitigation, thirdPartyAudit, reporting)')
+  .option('-s, --status <status>', 'NotStarted, InProgress, Completed or NotApplicable')
+  .option('-p, --party <partyId>', 'Responsible party ID')
+  .option('-f, --finding <description>', 'Add a finding')
+  .option('--severity <severity>', 'Finding severity (info, low, medium, high)', 'info')
+  .option('-d, --docs <docIds>', 'Comma-separated document IDs to link')
+  .action(async (batchId, step, options) => {
+    try {
+      const batch = await provenanceService.getBatch(batchId) ||
+                    await provenanceService.getBatchByReference(batchId);
+      if (!batch) {
+        printError('Batch not found');
+        return;
+      }
+      const dueDiligence = await provenanceService.updateDueDiligenceStep(batch.batchId, step, {
+        status: options.status,
+        responsiblePartyId: options.party,
+        finding: options.finding ? { description: options.finding, severity: options.severity } : null,
+        documentIds: options.docs ? options.docs.split(',') : []
+      });
+      printSuccess(`Step ${step} updated`);
+      printDueDiligence(dueDiligence);
+    } catch (error) {
+      printError(error.message);
+    }
+  });
+
+function printScreening(facilities, withRole = false) {
+  const table = new Table({
+    head: [chalk.cyan('Facility'), ...(withRole ? [chalk.cyan('Role')] : []), chalk.cyan('Location'), chalk.cyan('Status'), chalk.cyan('Risk areas')]
+  });
+  facilities.forEach(f => {
+    table.push([
+      f.facilityName,
+      ...(withRole ? [f.role] : []),
+      [f.region, f.country].filter(Boolean).join(', ') + (f.gpsMissing ? chalk.gray(' (no GPS)') : ''),
+      f.status === ScreeningStatus.HIGH_RISK ? chalk.red(f.status) : chalk.green(f.status),
+      f.matches.map(m => `${m.name} [${m.riskLevel}]`).join('\n') || '-'
+    ]);
+  });
+  console.log(table.toString());
+}
+
+program
+  .command('screen [batchId]')
+  .description('Screen facilities, or the facilities a batch passed through, against CAHRA risk areas')
+  .action(async (batchId) => {
+    if (!screeningService.isConfigured()) {
+      printWarning('No risk areas loaded: set CAHRA_ZONES_FILE and/or CAHRA_COUNTRIES_FILE');
+      return;
+    }
+    if (batchId) {
+      const batch = await provenanceService.getBatch(batchId) ||
+                    await provenanceService.getBatchByReference(batchId);
+      if (!batch) {
+        printError('Batch not found');
+        return;
+      }
+      const screening = await screeningService.screenBatch(batch.batchId);
+      printHeader(`CAHRA SCREENING: ${batch.externalReferenceNumber}`);
+      printScreening(screening.facilities, true);
+      if (screening.status === ScreeningStatus.HIGH_RISK) {
+        printWarning('Batch originated from or passed through a high-risk area');
+      } else {
+        printSuccess('No facility on the batch\'s path is in a risk area');
+      }
+      return;
+    }
+
+    const report = await screeningService.screenFacilities();
+    printHeader(`CAHRA SCREENING (${report.facilities.length} facilities)`);
+    printScreening(report.facilities);
+    if (report.flagged > 0) {
+      printWarning(`${report.flagged} facilit${report.flagged === 1 ? 'y' : 'ies'} in high-risk areas`);
+    }
+  });
+
+program
+  .command('report:mass-balance [batchId]')
+  .description('Show weight gained or lost per batch, or the steps of one batch')
+  .action(async (batchId) => {
+    if (batchId) {
+      const batch = await provenanceService.getBatch(batchId) ||
+                    await provenanceService.getBatchByReference(batchId);
+      if (!batch) {
+        printError('Batch not found');
+        return;
+      }
+      const balance = await provenanceService.getMassBalance(batch.batchId);
+      printHeader(`MASS BALANCE: ${balance.referenceNumber}`);
+      const table = new Table({
+        head: [chalk.cyan('Timestamp'), chalk.cyan('Event'), chalk.cyan('Weight'), chalk.cyan('Change'), chalk.cyan('Tolerance')]
+      });
+      balance.steps.forEach(step => {
+        table.push([
+          new Date(step.timestamp).toLocaleString(),
+          step.eventType,
+          `${step.weight} ${balance.unit}`,
+          step.delta ? `${step.delta} ${balance.unit}` : '-',
+          step.withinTolerance == null ? '-' : (step.withinTolerance ? chalk.green('within') : chalk.red('exceeded'))
+        ]);
+      });
+      console.log(table.toString());
+      printInfo(`Net change: ${balance.netChange} ${balance.unit} (${balance.netChangePercent}%)`);
+      return;
+    }
+
+    const report = await provenanceService.getMassBalanceReport();
+    printHeader(`MASS BALANCE (${report.batchCount} batches)`);
+    const table = new Table({
+      head: [chalk.cyan('Reference'), chalk.cyan('Status'), chalk.cyan('Initial'), chalk.cyan('Current'), chalk.cyan('Net'), chalk.cyan('Fine Au'), chalk.cyan('Flags')]
+    });
+    report.batches.forEach(b => {
+      table.push([
+        b.referenceNumber,
+        b.status,
+        `${b.initialWeight} ${b.unit}`,
+        `${b.currentWeight} ${b.unit}`,
+        `${b.netChange} ${b.unit}`,
+        b.fineGold ? `${b.fineGold.weight} ${b.fineGold.unit}` : '-',
+        b.receiptsOutOfTolerance ? chalk.red(b.receiptsOutOfTolerance) : '-'
+      ]);
+    });
+    console.log(table.toString());
+    const t = report.totals;
+    printInfo(`Total: ${t.inputWeight} ${t.unit} in, ${t.outputWeight} ${t.unit} out, net ${t.netChange} ${t.unit} (${t.netChangePercent}%)`);
+    printInfo(`Fine gold in output lots: ${t.outputFineGold} ${t.unit}`);
+    if (t.receiptsOutOfTolerance > 0) {
+      printWarning(`${t.receiptsOutOfTolerance} receipt(s) outside weight tolerance`);
+    }
+    if (t.unconvertedBatchIds.length > 0) {
+      printWarning(`${t.unconvertedBatchIds.length} batch(es) in unknown weight units left out of the totals`);
+    }
+  });
+
+program
+  .command('report:lbma')
+  .description('LBMA Responsible Gold Guidance supplier report for a period')
+  .option('--from <date>', 'Start of the period (ISO date)')
+  .option('--to <date>', 'End of the period (ISO date, inclusive)')
+  .option('-s, --supplier <supplier>', 'Supplier party ID or legal name')
+  .option('-f, --format <format>', 'Output format (text|json|csv)', ReportFormat.TEXT)
+  .option('--output <file>', 'Write the report to a file')
+  .action(async (options) => {
+    try {
+      const report = await lbmaReportService.generate(options);
+      const body = lbmaReportService.render(report, options.format);
+      if (options.output) {
+        fs.writeFileSync(options.output, body);
+        printSuccess(`LBMA report written to ${options.output} (${report.summary.batchCount} batches)`);
+        if (report.summary.flagged > 0) {
+          printWarning(`${report.summary.flagged} batch(es) carry risk flags`);
+        }
+        return;
+      }
+      console.log(body);
+    } catch (error) {
+      printError(error.message);
+    }
+  });
+
+program
+  .command('report:cmrt')
+  .description('Export the RMI Conflict Minerals Reporting Template, one CSV file per tab')
+  .option('--from <date>', 'Start of the period (ISO date)')
+  .option('--to <date>', 'End of the period (ISO date, inclusive)')
+  .option('-c, --company <company>', 'Declaring company: party ID or name')
+  .option('--output <dir>', 'Directory to write the CSV files to')
+  .action(async (options) => {
+    try {
+      const exported = await cmrtExportService.generate(options);
+      const { summary } = exported;
+      printHeader(`CMRT: ${exported.period.from?.slice(0, 10) || 'start'} to ${exported.period.to?.slice(0, 10) || 'now'}`);
+
+      const table = new Table({
+        head: [chalk.cyan('Smelter'), chalk.cyan('Country'), chalk.cyan('ID'), chalk.cyan('Mines'), chalk.cyan('Mine Countries')]
+      });
+      exported.tabs[CmrtTab.SMELTERS].forEach(row => {
+        table.push([
+          row['Smelter Name'],
+          row['Smelter Country'],
+          row['Smelter Identification'] || '-',
+          row['Name of Mine(s)'] || '-',
+          row['Location (Country) of Mine(s)'] || '-'
+        ]);
+      });
+      console.log(table.toString());
+      printInfo(`${summary.smelters} smelter(s), ${summary.mines} mine(s) in ${summary.countries} country(ies)`);
+      if (summary.coveredCountries > 0) {
+        printWarning(`${summary.coveredCountries} country(ies) of origin are DRC or adjoining countries`);
+      }
+      if (summary.batchesWithoutSmelter.length > 0) {
+        printWarning(`${summary.batchesWithoutSmelter.length} batch(es) have not reached a refinery`);
+      }
+
+      if (options.output) {
+        fs.mkdirSync(options.output, { recursive: true });
+        for (const tab of Object.values(CmrtTab)) {
+          const file = `${options.output}/${cmrtExportService.fileName(tab)}`;
+          fs.writeFileSync(file, cmrtExportService.toCsv(exported, tab));
+          printSuccess(`Wrote ${file}`);
+        }
+      }
+    } catch (error) {
+      printError(error.message);
+    }
+  });
+
 // ============ PROGRAM INFO ============
 
 program
@@ -494,4 +1137,94 @@ program
     }
   });
 
+// ============ ANCHORING OUTBOX COMMANDS ============
+
+function printOutbox(entries) {
+  const table = new Table({
+    head: [chalk.cyan('Anchor'), chalk.cyan('Status'), chalk.cyan('Attempts'), chalk.cyan('Next Attempt'), chalk.cyan('Last Error')]
+  });
+  entries.forEach(e => {
+    table.push([
+      e.anchorId.substring(0, 20) + '...',
+      e.status === 'ANCHOR_FAILED' ? chalk.red(e.status) : chalk.yellow(e.status),
+      e.attempts,
+      e.nextAttemptAt ? formatTimestamp(e.nextAttemptAt) : '-',
+      (e.lastError || '-').substring(0, 40)
+    ]);
+  });
+  console.log(table.toString());
+}
+
+program
+  .command('anchor:pending')
+  .description('List batch and event anchors waiting in the anchoring outbox')
+  .option('-s, --status <status>', 'Filter by status (PENDING_ANCHOR, ANCHOR_FAILED)')
+  .action(async (options) => {
+    const entries = await anchoringOutbox.getEntries(options.status || null);
+    if (entries.length === 0) {
+      printSuccess('Anchoring outbox is empty');
+      return;
+    }
+    printHeader(`Anchoring Outbox (${entries.length})`);
+    printOutbox(entries);
+  });
+
+program
+  .command('anchor:retry [anchorId]')
+  .description('Retry one outbox entry (e.g. event:<eventId>) or all of them now')
+  .action(async (anchorId) => {
+    if (process.env.PRIVATE_KEY) {
+      const result = await anchoringService.connect(process.env.PRIVATE_KEY);
+      if (!result.success) {
+        printError(`Connection failed: ${result.error}`);
+        return;
+      }
+    } else {
+      printWarning('PRIVATE_KEY not set: anchors queued against a live chain are skipped');
+    }
+
+    let results;
+    try {
+      results = await anchoringOutbox.retry(anchorId || null);
+    } catch (error) {
+      printError(error.message);
+      return;
+    }
+    results.forEach(r => {
+      if (r.success) {
+        printSuccess(`${r.anchorId} anchored in ${r.txHash}`);
+      } else {
+        printError(`${r.anchorId}: ${r.error} (${r.anchorStatus})`);
+      }
+    });
+
+    const remaining = await anchoringOutbox.getEntries();
+    if (remaining.length > 0) {
+      printOutbox(remaining);
+    } else if (results.length === 0) {
+      printSuccess('Anchoring outbox is empty');
+    }
+  });
+
+program
+  .command('db:recover')
+  .description('Repair work left half-done by a crash (the API runs this on startup)')
+  .action(async () => {
+    printHeader('STARTUP RECOVERY');
+    const report = await recoveryService.run();
+
+    report.anchorsWrittenBack.forEach(a => printSuccess(`${a.anchorId} written back from ${a.txHash}`));
+    report.orphanedEntriesRemoved.forEach(id => printWarning(`Removed outbox entry ${id}: its record does not exist`));
+    report.requeued.forEach(id => printSuccess(`${id} queued for anchoring`));
+    report.danglingEventIds.forEach(({ batchId, status, eventIds }) => {
+      printWarning(`Batch ${batchId} (${status}) lists events that do not exist: ${eventIds.join(', ')}; left unchanged, verify it`);
+    });
+
+    const changes = report.anchorsWrittenBack.length + report.orphanedEntriesRemoved.length +
+      report.requeued.length + report.danglingEventIds.length;
+    if (changes === 0) {
+      printSuccess('Nothing to recover');
+    }
+  });
+
 program.parse();
@@ -11,6 +11,7 @@ import chalk from 'chalk';
 import Table from 'cli-table3';
 import provenanceService from './services/provenance.js';
 import anchoringService from './services/anchoring.js';
+import anchoringOutbox from './services/anchoring-outbox.js';
 import { PartyType, FacilityType, DocumentType } from './models/index.js';
 import { hashDocument } from './services/hashing.js';
 
@@ -237,8 +238,10 @@ async function runDemo() {
   printInfo(`Batch ID: ${batchResult.batch.batchId}`);
   printInfo(`Weight: ${batchResult.batch.quantity.weight} ${batchResult.batch.quantity.unit}`);
   printInfo(`Declared Assay: ${batchResult.batch.declaredAssay.value}${batchResult.batch.declaredAssay.unit}`);
-  printInfo(`Blockchain TX: ${batchResult.eventAnchor.txHash}`);
-  printInfo(`Explorer URL: ${batchResult.eventAnchor.explorerUrl}`);
+  // Anchoring runs in the background; wait for it to show the transaction
+  const batchAnchor = await anchoringOutbox.settle(batchResult.eventAnchor.anchorId);
+  printInfo(`Blockchain TX: ${batchAnchor?.txHash}`);
+  printInfo(`Explorer URL: ${batchAnchor?.explorerUrl}`);
 
   await sleep(500);
 
@@ -255,7 +258,7 @@ async function runDemo() {
 
   printSuccess(`Shipment recorded`);
   printInfo(`Batch status: ${shipResult.batch.status}`);
-  printInfo(`Blockchain TX: ${shipResult.anchor.txHash}`);
+  printInfo(`Blockchain TX: ${(await anchoringOutbox.settle(shipResult.anchor.anchorId))?.txHash}`);
 
   await sleep(500);
 
@@ -271,7 +274,7 @@ async function runDemo() {
   });
 
   printSuccess(`Custody transferred to buyer`);
-  printInfo(`Blockchain TX: ${transferResult.anchor.txHash}`);
+  printInfo(`Blockchain TX: ${(await anchoringOutbox.settle(transferResult.anchor.anchorId))?.txHash}`);
 
   await sleep(500);
 
@@ -289,7 +292,7 @@ async function runDemo() {
   printSuccess(`Receipt acknowledged by buyer`);
   printInfo(`Batch status: ${receiveResult.batch.status}`);
   printInfo(`Received weight: 25.48 kg (declared: 25.5 kg)`);
-  printInfo(`Blockchain TX: ${receiveResult.anchor.txHash}`);
+  printInfo(`Blockchain TX: ${(await anchoringOutbox.settle(receiveResult.anchor.anchorId))?.txHash}`);
 
   await sleep(500);
 
@@ -29,7 +29,8 @@ export const BatchStatus = {
   IN_TRANSIT: 'InTransit',
   RECEIVED: 'Received',
   CLOSED: 'Closed',
-  DISPUTE: 'Dispute'
+  DISPUTE: 'Dispute',
+  CONSUMED: 'Consumed' // Split into or merged into other batches
 };
 
 export const EventType = {
@@ -40,7 +41,24 @@ export const EventType = {
   INSPECT_TEST: 'InspectTest',
   ASSAY_FINALIZED: 'AssayFinalized',
   DISPUTE: 'Dispute',
-  RESOLVE: 'Resolve'
+  RESOLVE: 'Resolve',
+  SPLIT: 'Split',
+  MERGE: 'Merge'
+};
+
+export const ResolutionOutcome = {
+  UPHELD: 'Upheld',
+  REJECTED: 'Rejected',
+  WEIGHT_ADJUSTED: 'WeightAdjusted',
+  ASSAY_ADJUSTED: 'AssayAdjusted'
+};
+
+// Source of an assay in a batch's assay history
+export const AssayType = {
+  DECLARED: 'Declared', // Declared by the mine when the batch is created
+  FINAL: 'Final',       // Refinery or laboratory result
+  UMPIRE: 'Umpire',     // Independent assay settling a disagreement
+  ADJUSTED: 'Adjusted'  // Agreed in a dispute resolution
 };
 
 export const DocumentType = {
@@ -62,7 +80,8 @@ export const ConfidentialityLevel = {
 export const CredentialType = {
   ORIGIN_PROOF: 'OriginProof',
   COMPLIANCE_ATTESTATION: 'ComplianceAttestation',
-  ASSAY_ATTESTATION: 'AssayAttestation'
+  ASSAY_ATTESTATION: 'AssayAttestation',
+  PROVENANCE_CERTIFICATE: 'ProvenanceCertificate' // Issued with the batch certificate, not as an attestation
 };
 
 export const UserRole = {
@@ -72,6 +91,29 @@ export const UserRole = {
   AUDITOR: 'Auditor'
 };
 
+// Anchoring state of a batch or event; pending ones sit in the anchoring outbox
+export const AnchorStatus = {
+  PENDING: 'PENDING_ANCHOR',
+  ANCHORED: 'ANCHORED',
+  FAILED: 'ANCHOR_FAILED'
+};
+
+// OECD Due Diligence Guidance five-step framework, in order
+export const DueDiligenceStep = {
+  MANAGEMENT_SYSTEMS: 'managementSystems',    // 1. Strong company management systems
+  RISK_IDENTIFICATION: 'riskIdentification',  // 2. Identify and assess supply chain risks
+  RISK_MITIGATION: 'riskMitigation',          // 3. Respond to identified risks
+  THIRD_PARTY_AUDIT: 'thirdPartyAudit',       // 4. Independent third-party audit
+  REPORTING: 'reporting'                      // 5. Report on supply chain due diligence
+};
+
+export const DueDiligenceStatus = {
+  NOT_STARTED: 'NotStarted',
+  IN_PROGRESS: 'InProgress',
+  COMPLETED: 'Completed',
+  NOT_APPLICABLE: 'NotApplicable' // e.g. no risks to mitigate; needs a finding saying why
+};
+
 // ============ MODEL FACTORIES ============
 
 /**
@@ -106,6 +148,8 @@ export function createFacility({
   country,
   region = null,
   gpsCoordinates = null,
+  gpsLat = null,
+  gpsLng = null,
   permitIds = []
 }) {
   return {
@@ -113,7 +157,12 @@ export function createFacility({
     facilityName,
     facilityType,
     ownerPartyId,
-    location: { country, region, gps: gpsCoordinates },
+    location: {
+      country,
+      region,
+      // { lat, lng }, given as gpsCoordinates or as separate gpsLat/gpsLng
+      gps: gpsCoordinates || (gpsLat != null && gpsLng != null ? { lat: Number(gpsLat), lng: Number(gpsLng) } : null)
+    },
     identifiers: { permitIds },
     createdAt: new Date().toISOString()
   };
@@ -131,6 +180,7 @@ export function createBatch({
   weightUnit = 'kg',
   declaredAssayValue = null,
   declaredAssayUnit = null,
+  parentBatchIds = [],
   notes = null
 }) {
   return {
@@ -142,8 +192,19 @@ export function createBatch({
     creationTimestamp: new Date().toISOString(),
     quantity: { weight, unit: weightUnit },
     declaredAssay: declaredAssayValue ? { value: declaredAssayValue, unit: declaredAssayUnit } : null,
+    finalAssay: null, // Latest assay result { value, unit, assayType, eventId }; declaredAssay is kept as declared
     status: BatchStatus.CREATED,
-    parentBatchIds: [], // For future splitting/aggregation
+    parentBatchIds, // Batches this one was split from or merged out of
+    childBatchIds: [], // Set when this batch is consumed by a split/merge
+    pendingReceiverPartyId: null, // Party a shipment in transit is addressed to, until received
+    weightDiscrepancy: null, // Out-of-tolerance receipt awaiting resolution
+    assayDiscrepancy: null, // Out-of-tolerance assay awaiting resolution
+    dueDiligence: createDueDiligence(), // OECD five-step record
+    hashAlgorithm: null, // Algorithm of the anchored batch hash
+    batchHash: null, // Batch hash as anchored at creation
+    anchorStatus: null, // AnchorStatus of batchHash
+    onChainTxHash: null, // Transaction anchoring batchHash
+    blockNumber: null, // Block of that transaction
     notes,
     documentIds: [],
     eventIds: []
@@ -163,6 +224,10 @@ export function createEvent({
   weight = null,
   weightUnit = 'kg',
   documentIds = [],
+  relatedBatchIds = [],
+  relatedEventId = null,
+  resolution = null,
+  assay = null,
   notes = null
 }) {
   return {
@@ -175,10 +240,23 @@ export function createEvent({
     fromFacilityId,
     toFacilityId,
     quantity: weight ? { weight, unit: weightUnit } : null,
-    references: documentIds,
+    references: [...documentIds],
+    relatedBatchIds: [...relatedBatchIds], // Parent/child lots for Split and Merge events
+    relatedEventId,  // Dispute event a Resolve event closes
+    resolution,      // { outcome, adjustedWeight, adjustedAssay } for Resolve events
+    assay,           // { value, unit, assayType } for AssayFinalized events
+    weightReconciliation: null, // Shipped vs received weight check on Receive events
+    assayReconciliation: null,  // Declared vs final assay check on AssayFinalized events
+    epcis: null,                // Partner's eventID and eventTime on events captured from EPCIS
     notes,
+    sequenceNumber: 0,       // Position in the batch's event chain
+    previousEventHash: null, // Payload hash of the preceding event (null for the first)
+    hashAlgorithm: null,    // Algorithm of eventPayloadHash
     eventPayloadHash: null, // Computed after creation
-    onChainTxHash: null     // Set after blockchain anchoring
+    anchorStatus: null,     // AnchorStatus once queued for anchoring
+    onChainTxHash: null,    // Set after blockchain anchoring
+    blockNumber: null,      // Block of the anchoring transaction
+    merkleProof: null       // { rootId, root, leaf, proof } when anchored in a Merkle batch
   };
 }
 
@@ -212,7 +290,8 @@ export function createDocument({
 }
 
 /**
- * Create a lightweight Credential/Attestation
+ * Create a Credential/Attestation record
+ * The signed W3C VC is attached as `verifiableCredential` on issuance
  */
 export function createCredential({
   credentialType,
@@ -220,7 +299,8 @@ export function createCredential({
   subjectBatchId = null,
   subjectFacilityId = null,
   claimsSummary,
-  supportingDocumentIds = []
+  supportingDocumentIds = [],
+  validUntil = null
 }) {
   return {
     credentialId: uuidv4(),
@@ -230,8 +310,9 @@ export function createCredential({
     subjectFacilityId,
     claimsSummary,
     supportingDocumentIds,
-    signaturePlaceholder: `Asserted by ${issuerPartyId}`, // Later becomes VC signature
-    issuedAt: new Date().toISOString()
+    issuedAt: new Date().toISOString(),
+    validUntil,
+    verifiableCredential: null
   };
 }
 
@@ -241,6 +322,7 @@ export function createCredential({
 export function createUser({
   partyId,
   username,
+  passwordHash,
   role,
   allowedBatchIds = []
 }) {
@@ -248,8 +330,29 @@ export function createUser({
     userId: uuidv4(),
     partyId,
     username,
+    passwordHash,
     role,
     allowedBatchIds,
     createdAt: new Date().toISOString()
   };
 }
+
+/**
+ * Create a batch's due-diligence record, every step not started
+ */
+export function createDueDiligence() {
+  const steps = {};
+  Object.values(DueDiligenceStep).forEach((step, i) => {
+    steps[step] = {
+      step,
+      number: i + 1,
+      status: DueDiligenceStatus.NOT_STARTED,
+      responsiblePartyId: null,
+      findings: [],    // { findingId, description, severity, recordedAt, recordedBy }
+      documentIds: [],
+      updatedAt: null,
+      completedAt: null
+    };
+  });
+  return { steps, openedAt: new Date().toISOString(), closedAt: null };
+}
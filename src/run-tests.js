@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Test Runner
+ * Runs every `test:*` suite in package.json, each in its own process, and
+ * exits non-zero when one fails. The MongoDB suite needs a running server
+ * and only runs when MONGODB_URI is set. Name suites to run only those:
+ *   node src/run-tests.js auth outbox
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const { scripts } = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf-8'));
+
+// Suites that need a service outside this process, by the variable that points at it
+const EXTERNAL = { mongodb: 'MONGODB_URI' };
+const SUITE_TIMEOUT_MS = 5 * 60 * 1000;
+
+const only = process.argv.slice(2);
+const suites = Object.keys(scripts)
+  .filter(name => name.startsWith('test:'))
+  .map(name => name.slice('test:'.length))
+  .filter(suite => only.length === 0 || only.includes(suite));
+
+const failed = [];
+const skipped = [];
+for (const suite of suites) {
+  if (EXTERNAL[suite] && !process.env[EXTERNAL[suite]]) {
+    skipped.push(`${suite} (${EXTERNAL[suite]} not set)`);
+    continue;
+  }
+  const [command, ...args] = scripts[`test:${suite}`].split(' ');
+  console.log(`\n===== ${suite} =====`);
+  const result = spawnSync(command === 'node' ? process.execPath : command, args, {
+    cwd: root, stdio: 'inherit', timeout: SUITE_TIMEOUT_MS
+  });
+  if (result.status !== 0) {
+    failed.push(result.error ? `${suite} (${result.error.code || result.error.message})` : suite);
+  }
+}
+
+console.log(`\n${suites.length - failed.length - skipped.length} of ${suites.length} suites passed`);
+if (skipped.length > 0) console.log(`Skipped: ${skipped.join(', ')}`);
+if (failed.length > 0) {
+  console.log(`Failed: ${failed.join(', ')}`);
+  process.exit(1);
+}
@@ -0,0 +1,294 @@
+/**
+ * Anchoring Outbox
+ * Durable queue of batch and event hashes waiting to be anchored
+ * Entries are committed in the same unit of work as their PENDING_ANCHOR
+ * batch or event and first submitted in the background, so recording an
+ * event never waits for the chain; a worker retries failed submissions with
+ * exponential backoff and writes the transaction hash and block back to the
+ * record once anchored
+ */
+
+import anchoringService from './anchoring.js';
+import { UnitOfWork } from './unit-of-work.js';
+import { withBatchLock, outsideBatchLocks } from './batch-locks.js';
+import { AnchorStatus } from '../models/index.js';
+
+const db = (await import('./db-selector.js')).default;
+
+const DEFAULT_CONFIG = {
+  intervalMs: parseInt(process.env.ANCHOR_OUTBOX_INTERVAL_MS || '10000', 10),
+  baseDelayMs: parseInt(process.env.ANCHOR_RETRY_BASE_MS || '5000', 10),
+  maxDelayMs: parseInt(process.env.ANCHOR_RETRY_MAX_MS || '3600000', 10),
+  maxAttempts: parseInt(process.env.ANCHOR_MAX_ATTEMPTS || '8', 10)
+};
+
+class AnchoringOutbox {
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.anchoring = config.anchoring || anchoringService;
+    this.store = config.store || db;
+    this.timer = null;
+    this.processing = null;
+    this.inFlight = new Set(); // Anchor ids being submitted right now
+    this.submissions = new Map(); // Background submissions by anchor id
+  }
+
+  /**
+   * Delay before the next attempt: baseDelayMs doubled per failed attempt
+   */
+  backoffDelay(attempts) {
+    return Math.min(this.config.baseDelayMs * 2 ** Math.max(0, attempts - 1), this.config.maxDelayMs);
+  }
+
+  // ============ QUEUEING ============
+
+  /**
+   * Add an event's outbox entry to the unit of work that saves the event;
+   * submit it once the unit of work is committed
+   */
+  queueEvent(unitOfWork, event) {
+    return unitOfWork.saveOutboxEntry(this.createEntry({
+      anchorId: `event:${event.eventId}`,
+      kind: 'event',
+      entityId: event.eventId,
+      batchId: event.batchId,
+      eventType: event.eventType,
+      hash: event.eventPayloadHash
+    }));
+  }
+
+  /**
+   * Add a batch's outbox entry to the unit of work that saves the batch
+   */
+  queueBatch(unitOfWork, batch) {
+    return unitOfWork.saveOutboxEntry(this.createEntry({
+      anchorId: `batch:${batch.batchId}`,
+      kind: 'batch',
+      entityId: batch.batchId,
+      batchId: batch.batchId,
+      eventType: null,
+      hash: batch.batchHash
+    }));
+  }
+
+  createEntry(target) {
+    const now = new Date().toISOString();
+    return {
+      ...target,
+      status: AnchorStatus.PENDING,
+      // Never let a simulated run settle an anchor queued against a real chain
+      requiresLive: !this.anchoring.isSimulated(),
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  // ============ SUBMISSION ============
+
+  /**
+   * Start the first attempt for a committed outbox entry without waiting
+   * for it; an attempt that throws leaves the entry to the worker
+   * Returns the entry's pending status for the caller's response
+   */
+  submitInBackground(entry, record = null) {
+    const submission = outsideBatchLocks(() => this.submit(entry, record))
+      .catch(error => {
+        console.error(`Anchoring ${entry.anchorId} failed: ${error.message}`);
+        return { success: false, error: error.message, anchorStatus: AnchorStatus.PENDING, attempts: entry.attempts };
+      })
+      .finally(() => this.submissions.delete(entry.anchorId));
+    this.submissions.set(entry.anchorId, submission);
+    return { anchorId: entry.anchorId, anchorStatus: AnchorStatus.PENDING };
+  }
+
+  /**
+   * Wait for the background submission of an entry, or of every entry
+   * Resolves to the attempt's result, or null if none is running
+   */
+  async settle(anchorId = null) {
+    if (anchorId) {
+      return (await this.submissions.get(anchorId)) || null;
+    }
+    return Promise.all(this.submissions.values());
+  }
+
+  /**
+   * Submit one committed outbox entry; on success the record gets its anchor
+   * and the entry is removed, on failure the next attempt is scheduled
+   * `record` is the in-memory batch or event to update for the caller
+   * The entry stays in flight until its outcome is committed, so the worker
+   * cannot pick it up again in between
+   */
+  async submit(entry, record = null) {
+    entry.attempts += 1;
+    this.inFlight.add(entry.anchorId);
+    try {
+      const anchor = entry.kind === 'batch'
+        ? await this.anchoring.anchorBatch(entry.entityId, entry.hash)
+        : await this.anchoring.anchorEvent(entry.entityId, entry.hash, entry);
+      return await withBatchLock(entry.batchId, () => this.recordOutcome(entry, anchor, record));
+    } finally {
+      this.inFlight.delete(entry.anchorId);
+    }
+  }
+
+  /**
+   * Commit the outcome of an attempt: the anchor written back and the entry
+   * removed, or the entry rescheduled (and the record marked once it fails)
+   */
+  async recordOutcome(entry, anchor, record) {
+    const unitOfWork = new UnitOfWork(this.store);
+    if (anchor.success) {
+      await this.writeBack(unitOfWork, entry, anchor, record);
+      unitOfWork.deleteOutboxEntry(entry.anchorId);
+      await unitOfWork.commit();
+      return { ...anchor, anchorStatus: AnchorStatus.ANCHORED, attempts: entry.attempts };
+    }
+
+    const failed = entry.attempts >= this.config.maxAttempts;
+    entry.status = failed ? AnchorStatus.FAILED : AnchorStatus.PENDING;
+    entry.lastError = anchor.error || 'Unknown anchoring error';
+    entry.nextAttemptAt = failed ? null : new Date(Date.now() + this.backoffDelay(entry.attempts)).toISOString();
+    entry.updatedAt = new Date().toISOString();
+    unitOfWork.saveOutboxEntry(entry);
+    if (failed) {
+      await this.writeBack(unitOfWork, entry, null, record);
+    }
+    await unitOfWork.commit();
+
+    return {
+      success: false,
+      error: entry.lastError,
+      anchorStatus: entry.status,
+      attempts: entry.attempts,
+      nextAttemptAt: entry.nextAttemptAt
+    };
+  }
+
+  /**
+   * Add the anchor (or the entry's status) to the stored batch or event
+   * The stored record is re-read, since it may have changed while the
+   * anchor was in flight; callers hold the batch's lock so it cannot change
+   * again before the write-back is committed
+   */
+  async writeBack(unitOfWork, entry, anchor, record = null) {
+    const isBatch = entry.kind === 'batch';
+    const stored = isBatch ? await this.store.getBatch(entry.entityId) : await this.store.getEvent(entry.entityId);
+    if (!stored) {
+      console.warn(`Outbox entry ${entry.anchorId} has no ${entry.kind} in the database`);
+      return;
+    }
+
+    const fields = anchor
+      ? {
+          anchorStatus: AnchorStatus.ANCHORED,
+          onChainTxHash: anchor.txHash,
+          blockNumber: anchor.blockNumber,
+          ...(isBatch ? {} : { merkleProof: anchor.merkle || null })
+        }
+      : { anchorStatus: entry.status };
+    Object.assign(stored, fields);
+    if (record && record !== stored) {
+      Object.assign(record, fields);
+    }
+    if (isBatch) {
+      unitOfWork.updateBatch(stored);
+    } else {
+      unitOfWork.updateEvent(stored);
+    }
+  }
+
+  // ============ WORKER ============
+
+  /**
+   * Submit every pending entry whose next attempt is due, one at a time
+   * Entries queued in live mode wait while the service is simulating
+   */
+  async processDue() {
+    if (this.processing) {
+      return this.processing;
+    }
+    this.processing = (async () => {
+      const now = new Date().toISOString();
+      const due = (await this.store.getOutboxEntries(AnchorStatus.PENDING))
+        .filter(e => e.nextAttemptAt <= now && !this.inFlight.has(e.anchorId))
+        .filter(e => !(e.requiresLive && this.anchoring.isSimulated()));
+      const results = [];
+      for (const entry of due) {
+        results.push({ anchorId: entry.anchorId, ...await this.submit(entry) });
+      }
+      return results;
+    })();
+    try {
+      return await this.processing;
+    } finally {
+      this.processing = null;
+    }
+  }
+
+  /**
+   * Start the background worker; entries left over from a previous run are
+   * picked up on the first pass
+   */
+  start() {
+    if (this.timer) return;
+    const run = () => this.processDue().catch(error => {
+      console.error(`Anchoring outbox worker failed: ${error.message}`);
+    });
+    this.timer = setInterval(run, this.config.intervalMs);
+    this.timer.unref();
+    run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // ============ OPERATIONS ============
+
+  /**
+   * Outbox entries, optionally filtered by status
+   */
+  async getEntries(status = null) {
+    return this.store.getOutboxEntries(status);
+  }
+
+  /**
+   * Make entries due now (all pending and failed ones, or one by anchor id)
+   * and process them; failed entries get a fresh set of attempts
+   */
+  async retry(anchorId = null) {
+    const entries = anchorId
+      ? [await this.store.getOutboxEntry(anchorId)].filter(Boolean)
+      : await this.store.getOutboxEntries();
+    if (anchorId && entries.length === 0) {
+      throw new Error(`No outbox entry for ${anchorId}`);
+    }
+
+    const now = new Date().toISOString();
+    for (const entry of entries) {
+      await withBatchLock(entry.batchId, async () => {
+        const unitOfWork = new UnitOfWork(this.store);
+        if (entry.status === AnchorStatus.FAILED) {
+          entry.attempts = 0;
+          entry.status = AnchorStatus.PENDING;
+          await this.writeBack(unitOfWork, entry, null);
+        }
+        entry.nextAttemptAt = now;
+        entry.updatedAt = now;
+        unitOfWork.saveOutboxEntry(entry);
+        await unitOfWork.commit();
+      });
+    }
+    return this.processDue();
+  }
+}
+
+// Export singleton instance
+const anchoringOutbox = new AnchoringOutbox();
+export default anchoringOutbox;
+export { AnchoringOutbox };
@@ -6,13 +6,32 @@
 
 import 'dotenv/config';
 import { ethers } from 'ethers';
+import { buildMerkleTree, getMerkleProof, verifyMerkleProof } from './merkle.js';
+
+// Anchor registry lives in the selected database
+const db = (await import('./db-selector.js')).default;
 
 // Event Logger Contract ABI (minimal - just emits events)
 const EVENT_LOGGER_ABI = [
   "event HashAnchored(bytes32 indexed id, bytes32 hash, uint256 timestamp, address indexed sender)",
-  "function logHash(bytes32 id, bytes32 hash) external"
+  "event BatchAnchored(bytes32 indexed batchId, bytes32 payloadHash, uint256 timestamp)",
+  "event EventAnchored(bytes32 indexed eventId, bytes32 indexed batchId, string eventType, bytes32 payloadHash, uint256 timestamp)",
+  "function logHash(bytes32 id, bytes32 hash) external",
+  "function anchorBatch(bytes32 batchId, bytes32 payloadHash) external",
+  "function anchorEvent(bytes32 eventId, bytes32 batchId, string eventType, bytes32 payloadHash) external",
+  "function logHashBatch(bytes32[] ids, bytes32[] hashes) external"
 ];
 
+const EVENT_LOGGER_INTERFACE = new ethers.Interface(EVENT_LOGGER_ABI);
+
+// Anchoring modes
+// - direct: one transaction per hash
+// - merkle: hashes collected for a window, only Merkle roots are anchored
+const AnchorMode = {
+  DIRECT: 'direct',
+  MERKLE: 'merkle'
+};
+
 // Network configurations
 const NETWORKS = {
   // Polygon zkEVM Mainnet
@@ -35,13 +54,25 @@ const NETWORKS = {
     chainId: 80002,
     explorerUrl: 'https://amoy.polygonscan.com',
     name: 'Polygon Amoy Testnet'
+  },
+  // Local dev chain (anvil / hardhat node)
+  'local': {
+    rpcUrl: process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545',
+    chainId: 31337,
+    explorerUrl: 'http://localhost',
+    name: 'Local Dev Chain'
   }
 };
 
 // Default configuration for Polygon Amoy Testnet
 const DEFAULT_CONFIG = {
-  ...NETWORKS['amoy'],
-  contractAddress: process.env.CONTRACT_ADDRESS || null
+  ...NETWORKS[process.env.ANCHOR_NETWORK || 'amoy'],
+  contractAddress: process.env.CONTRACT_ADDRESS || null,
+  expectedSender: process.env.ANCHOR_SENDER || null, // Defaults to the connected wallet
+  minConfirmations: parseInt(process.env.ANCHOR_MIN_CONFIRMATIONS || '1', 10),
+  anchorMode: process.env.ANCHOR_MODE || AnchorMode.DIRECT,
+  merkleWindowMs: parseInt(process.env.ANCHOR_WINDOW_MS || '2000', 10),
+  merkleMaxLeaves: parseInt(process.env.ANCHOR_MAX_LEAVES || '256', 10)
 };
 
 class BlockchainAnchoringService {
@@ -52,7 +83,9 @@ class BlockchainAnchoringService {
     this.contract = null;
     this.isConnected = false;
     this.simulationMode = true; // Start in simulation mode
-    this.simulatedTransactions = [];
+    this.registry = config.registry || db; // Persistent anchor records
+    this.pendingAnchors = []; // Hashes waiting for the next Merkle flush
+    this.flushTimer = null;
   }
 
   /**
@@ -116,31 +149,154 @@ class BlockchainAnchoringService {
     return '0x' + cleanHash;
   }
 
+  /**
+   * Random transaction hash for simulation mode
+   */
+  fakeTxHash() {
+    return '0x' + Array(64).fill(0).map(() =>
+      Math.floor(Math.random() * 16).toString(16)
+    ).join('');
+  }
+
+  /**
+   * Index of the HashAnchored log for `idBytes32` in a transaction receipt
+   */
+  findLogIndex(receipt, idBytes32) {
+    const log = this.decodeAnchorLogs(receipt).find(l => l.id === idBytes32);
+    return log ? log.logIndex : null;
+  }
+
+  /**
+   * Decode every HashAnchored log in a receipt, whichever contract emitted it
+   */
+  decodeAnchorLogs(receipt) {
+    const decoded = [];
+    for (const log of receipt?.logs || []) {
+      let parsed = null;
+      try {
+        parsed = EVENT_LOGGER_INTERFACE.parseLog(log);
+      } catch (error) {
+        // Not an EventLogger log
+      }
+      if (parsed?.name === 'HashAnchored') {
+        decoded.push({
+          address: log.address,
+          logIndex: log.index,
+          id: parsed.args.id,
+          hash: parsed.args.hash,
+          timestamp: Number(parsed.args.timestamp),
+          sender: parsed.args.sender
+        });
+      }
+    }
+    return decoded;
+  }
+
+  /**
+   * Compare a receipt's HashAnchored log with the expected id and hash
+   * Contract, sender, hash and confirmation depth are reported separately
+   */
+  checkAnchorReceipt(receipt, { id, hash }, currentBlock) {
+    const errors = [];
+    const expectedId = this.stringToBytes32(id);
+    const expectedHash = this.hashToBytes32(hash).toLowerCase();
+    const contractAddress = this.config.contractAddress || process.env.CONTRACT_ADDRESS || null;
+    const expectedSender = this.config.expectedSender || this.wallet?.address || null;
+    const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+    const candidates = this.decodeAnchorLogs(receipt).filter(l => l.id === expectedId);
+    // Prefer our contract's log; fall back to any log with the id to report why it fails
+    const log = candidates.find(l => sameAddress(l.address, contractAddress)) || candidates[0] || null;
+
+    const checks = {
+      receiptFound: !!receipt,
+      succeeded: receipt?.status === 1,
+      logFound: !!log,
+      contractMatch: !!log && sameAddress(log.address, contractAddress),
+      hashMatch: !!log && log.hash.toLowerCase() === expectedHash,
+      senderMatch: expectedSender ? !!log && sameAddress(log.sender, expectedSender) : null,
+      confirmations: receipt ? Math.max(0, currentBlock - receipt.blockNumber + 1) : 0,
+      sufficientConfirmations: false
+    };
+    checks.sufficientConfirmations = checks.confirmations >= this.config.minConfirmations;
+
+    if (!checks.receiptFound) errors.push('Transaction receipt not found');
+    else if (!checks.succeeded) errors.push('Transaction reverted');
+    if (checks.receiptFound && !checks.logFound) errors.push(`No HashAnchored log for ${id} in transaction`);
+    if (checks.logFound && !checks.contractMatch) {
+      errors.push(`Anchor emitted by ${log.address}, expected contract ${contractAddress || '(not configured)'}`);
+    }
+    if (checks.logFound && !checks.hashMatch) errors.push(`Anchored hash ${log.hash} does not match ${expectedHash}`);
+    if (checks.logFound && checks.senderMatch === false) errors.push(`Anchor sent by ${log.sender}, expected ${expectedSender}`);
+    if (checks.receiptFound && !checks.sufficientConfirmations) {
+      errors.push(`${checks.confirmations} confirmation(s), ${this.config.minConfirmations} required`);
+    }
+
+    return {
+      verified: errors.length === 0,
+      checks,
+      anchoredHash: log?.hash || null,
+      logIndex: log?.logIndex ?? null,
+      errors
+    };
+  }
+
+  /**
+   * Save an anchor to the persistent registry
+   */
+  async registerAnchor({ id, hash, txHash, blockNumber, logIndex, timestamp, simulated, explorerUrl, merkleRootId = null, leafCount = null }) {
+    try {
+      await this.registry.saveAnchor({
+        anchorId: id,
+        hash,
+        txHash,
+        blockNumber,
+        chainId: this.config.chainId,
+        logIndex,
+        submittedAt: timestamp,
+        simulated,
+        explorerUrl,
+        merkleRootId,
+        leafCount
+      });
+    } catch (error) {
+      console.warn(`Could not register anchor ${id}: ${error.message}`);
+    }
+  }
+
   /**
    * Anchor a hash on the blockchain
+   * In merkle mode the hash is queued and resolves when its batch is anchored
+   * `target` selects the typed contract function for batches and events
+   * ({ batchId } or { batchId, eventType }); without it logHash is used
    */
-  async anchorHash(id, hash) {
+  async anchorHash(id, hash, target = null) {
+    if (this.config.anchorMode === AnchorMode.MERKLE) {
+      return this.queueForMerkle(id, hash);
+    }
+
     const anchorRecord = {
       id,
       hash,
       timestamp: new Date().toISOString(),
       txHash: null,
       blockNumber: null,
+      chainId: this.config.chainId,
+      logIndex: null,
       explorerUrl: null
     };
 
     if (this.simulationMode) {
       // Simulation mode - generate fake tx hash
-      const fakeTxHash = '0x' + Array(64).fill(0).map(() => 
-        Math.floor(Math.random() * 16).toString(16)
-      ).join('');
+      const fakeTxHash = this.fakeTxHash();
       
       anchorRecord.txHash = fakeTxHash;
       anchorRecord.blockNumber = Math.floor(Math.random() * 1000000) + 50000000;
+      anchorRecord.logIndex = 0;
       anchorRecord.explorerUrl = `${this.config.explorerUrl}/tx/${fakeTxHash}`;
       anchorRecord.simulated = true;
       
-      this.simulatedTransactions.push(anchorRecord);
+      await this.registerAnchor(anchorRecord);
       
       return {
         success: true,
@@ -154,7 +310,7 @@ class BlockchainAnchoringService {
       const hashBytes32 = this.hashToBytes32(hash);
       
       console.log(` Anchoring: ${id.substring(0, 30)}...`);
-      const tx = await this.contract.logHash(idBytes32, hashBytes32);
+      const tx = await this.sendAnchorTransaction(idBytes32, hashBytes32, target);
       console.log(` TX sent: ${tx.hash}`);
       
       const receipt = await tx.wait();
@@ -162,9 +318,12 @@ class BlockchainAnchoringService {
       
       anchorRecord.txHash = receipt.hash;
       anchorRecord.blockNumber = receipt.blockNumber;
+      anchorRecord.logIndex = this.findLogIndex(receipt, idBytes32);
       anchorRecord.explorerUrl = `${this.config.explorerUrl}/tx/${receipt.hash}`;
       anchorRecord.simulated = false;
       
+      await this.registerAnchor(anchorRecord);
+      
       return {
         success: true,
         ...anchorRecord
@@ -178,42 +337,229 @@ class BlockchainAnchoringService {
     }
   }
 
+  // ============ MERKLE BATCHING ============
+
+  /**
+   * Leaf committing to both the record id and its hash
+   */
+  merkleLeaf(id, hash) {
+    return ethers.keccak256(ethers.concat([this.stringToBytes32(id), this.hashToBytes32(hash)]));
+  }
+
+  /**
+   * Queue a hash for the next Merkle flush
+   */
+  queueForMerkle(id, hash) {
+    return new Promise((resolve) => {
+      this.pendingAnchors.push({ id, hash, resolve });
+      if (!this.flushTimer) {
+        this.flushTimer = setTimeout(() => this.flushPendingAnchors(), this.config.merkleWindowMs);
+      }
+    });
+  }
+
+  /**
+   * Build Merkle trees over the pending hashes and anchor their roots
+   * Pending hashes are chunked into trees of at most merkleMaxLeaves leaves;
+   * all roots go into a single logHashBatch transaction
+   */
+  async flushPendingAnchors() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    const pending = this.pendingAnchors.splice(0);
+    if (pending.length === 0) {
+      return [];
+    }
+
+    const timestamp = new Date().toISOString();
+    const trees = [];
+    for (let i = 0; i < pending.length; i += this.config.merkleMaxLeaves) {
+      const chunk = pending.slice(i, i + this.config.merkleMaxLeaves);
+      const tree = buildMerkleTree(chunk.map(p => this.merkleLeaf(p.id, p.hash)));
+      trees.push({ chunk, tree, rootId: `merkle:${Date.now()}:${trees.length}` });
+    }
+
+    let txHash;
+    let blockNumber;
+    try {
+      if (this.simulationMode) {
+        txHash = this.fakeTxHash();
+        blockNumber = Math.floor(Math.random() * 1000000) + 50000000;
+        trees.forEach((t, i) => { t.logIndex = i; });
+      } else {
+        console.log(` Anchoring ${trees.length} Merkle root(s) for ${pending.length} hashes`);
+        const tx = await this.contract.logHashBatch(
+          trees.map(t => this.stringToBytes32(t.rootId)),
+          trees.map(t => t.tree.root)
+        );
+        const receipt = await tx.wait();
+        console.log(`Confirmed in block ${receipt.blockNumber}`);
+        txHash = receipt.hash;
+        blockNumber = receipt.blockNumber;
+        trees.forEach(t => { t.logIndex = this.findLogIndex(receipt, this.stringToBytes32(t.rootId)); });
+      }
+    } catch (error) {
+      console.error(`Merkle anchor failed: ${error.message}`);
+      pending.forEach(p => p.resolve({ success: false, error: error.message }));
+      return [];
+    }
+
+    const explorerUrl = `${this.config.explorerUrl}/tx/${txHash}`;
+    const simulated = this.simulationMode;
+    for (const { chunk, tree, rootId, logIndex } of trees) {
+      await this.registerAnchor({
+        id: rootId, hash: tree.root, txHash, blockNumber, logIndex, timestamp, simulated, explorerUrl, leafCount: chunk.length
+      });
+
+      for (const [index, p] of chunk.entries()) {
+        // Leaves point at their root's log, since only the root is on chain
+        await this.registerAnchor({
+          id: p.id, hash: p.hash, txHash, blockNumber, logIndex, timestamp, simulated, explorerUrl, merkleRootId: rootId
+        });
+        p.resolve({
+          success: true,
+          id: p.id,
+          hash: p.hash,
+          timestamp,
+          txHash,
+          blockNumber,
+          chainId: this.config.chainId,
+          logIndex,
+          explorerUrl,
+          simulated,
+          merkle: {
+            rootId,
+            root: tree.root,
+            leaf: tree.layers[0][index],
+            proof: getMerkleProof(tree, index)
+          }
+        });
+      }
+    }
+
+    return trees.map(t => ({ rootId: t.rootId, root: t.tree.root, leafCount: t.chunk.length, txHash }));
+  }
+
+  /**
+   * Check that a record's hash is included under its anchored Merkle root
+   */
+  verifyMerkleInclusion(id, hash, merkle) {
+    const leaf = this.merkleLeaf(id, hash);
+    return leaf === merkle.leaf && verifyMerkleProof(leaf, merkle.proof, merkle.root);
+  }
+
+  /**
+   * Call anchorEvent/anchorBatch for typed targets, logHash otherwise
+   * Both typed functions also emit HashAnchored with the same id, so
+   * receipt verification is the same for every call
+   */
+  sendAnchorTransaction(idBytes32, hashBytes32, target) {
+    if (target?.eventType) {
+      return this.contract.anchorEvent(idBytes32, this.batchIdBytes32(target.batchId), target.eventType, hashBytes32);
+    }
+    if (target?.batchId) {
+      return this.contract.anchorBatch(idBytes32, hashBytes32);
+    }
+    return this.contract.logHash(idBytes32, hashBytes32);
+  }
+
+  /**
+   * On-chain batch identifier, shared by BatchAnchored and EventAnchored logs
+   */
+  batchIdBytes32(batchId) {
+    return this.stringToBytes32(`batch:${batchId}`);
+  }
+
+  /**
+   * On-chain event identifier
+   */
+  eventIdBytes32(eventId) {
+    return this.stringToBytes32(`event:${eventId}`);
+  }
+
   /**
    * Anchor a batch record
    */
   async anchorBatch(batchId, batchHash) {
-    return this.anchorHash(`batch:${batchId}`, batchHash);
+    return this.anchorHash(`batch:${batchId}`, batchHash, { batchId });
+  }
+
+  /**
+   * Anchor an event record, indexed on chain by its batch and type
+   */
+  async anchorEvent(eventId, eventHash, { batchId = null, eventType = null } = {}) {
+    const target = batchId && eventType ? { batchId, eventType } : null;
+    return this.anchorHash(`event:${eventId}`, eventHash, target);
   }
 
   /**
-   * Anchor an event record
+   * Registry record for an anchored id, or the first one in a transaction
    */
-  async anchorEvent(eventId, eventHash) {
-    return this.anchorHash(`event:${eventId}`, eventHash);
+  async getAnchorRecord({ id = null, txHash = null } = {}) {
+    if (id) {
+      return this.registry.getAnchor(id);
+    }
+    const records = await this.registry.getAnchorsByTxHash(txHash);
+    return records[0] || null;
   }
 
   /**
-   * Verify an anchor exists (simulation checks local records)
+   * Verify an anchor against the registry, and when live against the chain
+   * Passing the anchored id and expected hash checks the registered hash and
+   * decodes the transaction's HashAnchored log to compare it on chain
    */
-  async verifyAnchor(txHash) {
+  async verifyAnchor(txHash, { id = null, hash = null } = {}) {
+    const record = await this.getAnchorRecord({ id, txHash });
+    const registered = !!record && record.txHash === txHash && (!hash || record.hash === hash);
+
     if (this.simulationMode) {
-      const found = this.simulatedTransactions.find(t => t.txHash === txHash);
       return {
-        verified: !!found,
-        record: found || null
+        verified: registered,
+        registered,
+        record
       };
     }
 
     try {
-      const receipt = await this.provider.getTransactionReceipt(txHash);
+      const provider = this.provider ||
+        new ethers.JsonRpcProvider(this.config.rpcUrl, this.config.chainId, { staticNetwork: true });
+      const [receipt, currentBlock] = await Promise.all([
+        provider.getTransactionReceipt(txHash),
+        provider.getBlockNumber()
+      ]);
+
+      // Merkle leaves are checked against their root's log; the inclusion proof is checked separately
+      let expected = id && hash ? { id, hash } : null;
+      if (record?.merkleRootId) {
+        const root = await this.registry.getAnchor(record.merkleRootId);
+        expected = root ? { id: root.anchorId, hash: root.hash } : null;
+      }
+      if (!expected) {
+        // Without an id and hash only the receipt can be checked
+        return {
+          verified: !!receipt && receipt.status === 1 && (!record || registered),
+          registered,
+          record,
+          blockNumber: receipt?.blockNumber ?? null,
+          confirmations: receipt ? currentBlock - receipt.blockNumber + 1 : 0
+        };
+      }
+
+      const onChain = this.checkAnchorReceipt(receipt, expected, currentBlock);
+      // Anchors made before the registry existed have no record to compare
       return {
-        verified: !!receipt,
-        blockNumber: receipt?.blockNumber,
-        confirmations: receipt?.confirmations
+        verified: onChain.verified && (!record || registered),
+        registered,
+        record,
+        blockNumber: receipt?.blockNumber ?? null,
+        confirmations: onChain.checks.confirmations,
+        onChain
       };
     } catch (error) {
       return {
         verified: false,
+        registered,
+        record,
         error: error.message
       };
     }
@@ -227,10 +573,10 @@ class BlockchainAnchoringService {
   }
 
   /**
-   * Get all simulated transactions (for demo purposes)
+   * Get all simulated anchors (for demo purposes)
    */
-  getSimulatedTransactions() {
-    return [...this.simulatedTransactions];
+  async getSimulatedTransactions() {
+    return (await this.registry.getAllAnchors()).filter(a => a.simulated);
   }
 
   /**
@@ -249,7 +595,10 @@ class BlockchainAnchoringService {
       chainId: this.config.chainId,
       rpcUrl: this.config.rpcUrl,
       explorerUrl: this.config.explorerUrl,
-      simulationMode: this.simulationMode
+      simulationMode: this.simulationMode,
+      anchorMode: this.config.anchorMode,
+      contractAddress: this.config.contractAddress || process.env.CONTRACT_ADDRESS || null,
+      minConfirmations: this.config.minConfirmations
     };
   }
 
@@ -260,7 +609,7 @@ class BlockchainAnchoringService {
     if (!NETWORKS[networkKey]) {
       throw new Error(`Unknown network: ${networkKey}. Available: ${Object.keys(NETWORKS).join(', ')}`);
     }
-    this.config = { ...NETWORKS[networkKey], contractAddress: this.config.contractAddress };
+    this.config = { ...this.config, ...NETWORKS[networkKey] };
     this.isConnected = false;
     this.provider = null;
     this.wallet = null;
@@ -282,4 +631,4 @@ class BlockchainAnchoringService {
 // Export singleton instance (defaults to Polygon zkEVM Cardona Testnet)
 const anchoringService = new BlockchainAnchoringService();
 export default anchoringService;
-export { BlockchainAnchoringService, NETWORKS };
+export { BlockchainAnchoringService, NETWORKS, AnchorMode, EVENT_LOGGER_INTERFACE };
@@ -0,0 +1,174 @@
+/**
+ * Authentication & Authorization
+ * Password hashing, locally issued HS256 JWTs, role permissions and
+ * batch-level access rules for the REST API
+ */
+
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import { UserRole } from '../models/index.js';
+
+// ============ PERMISSIONS ============
+
+export const Permission = {
+  PARTY_WRITE: 'party:write',
+  FACILITY_WRITE: 'facility:write',
+  DOCUMENT_WRITE: 'document:write',
+  BATCH_READ: 'batch:read',
+  BATCH_CREATE: 'batch:create',
+  BATCH_EVENT: 'batch:event',
+  CREDENTIAL_ISSUE: 'credential:issue',
+  AUDIT_READ: 'audit:read',
+  IMPORT: 'import',
+  USER_MANAGE: 'user:manage',
+  ANCHOR_MANAGE: 'anchor:manage'
+};
+
+export const ROLE_PERMISSIONS = {
+  [UserRole.ADMIN]: Object.values(Permission),
+  [UserRole.OPERATOR]: [
+    Permission.DOCUMENT_WRITE,
+    Permission.BATCH_READ,
+    Permission.BATCH_CREATE,
+    Permission.BATCH_EVENT,
+    Permission.CREDENTIAL_ISSUE
+  ],
+  [UserRole.VIEWER]: [Permission.BATCH_READ],
+  [UserRole.AUDITOR]: [Permission.BATCH_READ, Permission.AUDIT_READ]
+};
+
+// Roles that see every batch; the rest are limited to their party's batches
+const UNSCOPED_ROLES = [UserRole.ADMIN, UserRole.AUDITOR];
+
+export function hasPermission(user, permission) {
+  return (ROLE_PERMISSIONS[user?.role] || []).includes(permission);
+}
+
+/**
+ * Whether a user may see or act on a batch: unscoped roles see everything,
+ * others need their party to own it, to be the receiver of its shipment in
+ * transit, or the batch on their allow list
+ */
+export function canAccessBatch(user, batch) {
+  if (!user || !batch) return false;
+  if (UNSCOPED_ROLES.includes(user.role)) return true;
+  return (!!user.partyId && [batch.ownerPartyId, batch.pendingReceiverPartyId].includes(user.partyId)) ||
+    (user.allowedBatchIds || []).includes(batch.batchId);
+}
+
+/**
+ * Whether a user may act on behalf of a party (create its batches, sign as it)
+ */
+export function canActForParty(user, partyId) {
+  if (!user) return false;
+  if (user.role === UserRole.ADMIN) return true;
+  return !!user.partyId && user.partyId === partyId;
+}
+
+// ============ PASSWORDS ============
+
+export function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = (passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, salt, expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// ============ TOKENS ============
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// Placeholder earlier versions of .env.example shipped with
+const EXAMPLE_SECRET = 'change-me';
+
+class TokenService {
+  constructor() {
+    this.secret = process.env.JWT_SECRET || null;
+    this.ttlSeconds = parseInt(process.env.AUTH_TOKEN_TTL || '28800', 10);
+  }
+
+  /**
+   * Refuse to run in production without a real JWT_SECRET; anyone knowing
+   * the secret can forge tokens for any user
+   */
+  requireSecret(environment = process.env.NODE_ENV) {
+    if (environment !== 'production') return;
+    if (!this.secret) {
+      throw new AuthError('JWT_SECRET must be set when NODE_ENV=production');
+    }
+    if (this.secret === EXAMPLE_SECRET) {
+      throw new AuthError('JWT_SECRET is still the example value; set a long random secret');
+    }
+  }
+
+  sign(input) {
+    if (!this.secret) {
+      this.secret = randomBytes(32).toString('hex');
+      console.warn('JWT_SECRET not set: tokens will not survive a restart');
+    }
+    return createHmac('sha256', this.secret).update(input).digest('base64url');
+  }
+
+  /**
+   * Issue a signed JWT for a user
+   */
+  issueToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'HS256', typ: 'JWT' };
+    const payload = {
+      sub: user.userId,
+      username: user.username,
+      role: user.role,
+      partyId: user.partyId || null,
+      iat: now,
+      exp: now + this.ttlSeconds
+    };
+    const input = [header, payload]
+      .map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+      .join('.');
+    return {
+      token: `${input}.${this.sign(input)}`,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Check a JWT's signature and expiry, returning its claims
+   */
+  verifyToken(token) {
+    const [header, payload, signature] = (token || '').split('.');
+    if (!header || !payload || !signature) {
+      throw new AuthError('Malformed token');
+    }
+    const expected = Buffer.from(this.sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+      throw new AuthError('Invalid token signature');
+    }
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (alg !== 'HS256') {
+      throw new AuthError(`Unsupported token algorithm: ${alg}`);
+    }
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (claims.exp && claims.exp < Math.floor(Date.now() / 1000)) {
+      throw new AuthError('Token expired');
+    }
+    return claims;
+  }
+}
+
+// Export singleton instance
+const tokenService = new TokenService();
+export default tokenService;
+export { TokenService };
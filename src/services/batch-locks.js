@@ -0,0 +1,60 @@
+/**
+ * Batch Locks
+ * Serializes changes to a batch within the process. A change reads the
+ * batch, records its event and commits it; an anchor written back in the
+ * background must not land in between and be overwritten, or overwrite it.
+ * Locks are re-entrant, so a change may record a further event on the same
+ * batch (a receipt raising a dispute)
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const held = new AsyncLocalStorage(); // Batch ids locked by the current change
+const queues = new Map(); // Batch id -> settles when its last holder releases
+
+async function acquire(batchId) {
+  const previous = queues.get(batchId) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  queues.set(batchId, current);
+  await previous;
+  return () => {
+    if (queues.get(batchId) === current) {
+      queues.delete(batchId);
+    }
+    release();
+  };
+}
+
+/**
+ * Run fn holding the locks of several batches, taken in a fixed order so two
+ * merges of the same lots cannot wait on each other
+ */
+export async function withBatchLocks(batchIds, fn) {
+  const owned = held.getStore() || new Set();
+  const ids = [...new Set(batchIds)].filter(id => id && !owned.has(id)).sort();
+  if (ids.length === 0) {
+    return fn();
+  }
+  const releases = [];
+  try {
+    for (const id of ids) {
+      releases.push(await acquire(id));
+    }
+    return await held.run(new Set([...owned, ...ids]), fn);
+  } finally {
+    releases.forEach(release => release());
+  }
+}
+
+export function withBatchLock(batchId, fn) {
+  return withBatchLocks([batchId], fn);
+}
+
+/**
+ * Run fn outside the caller's locks, for work that outlives the change
+ * (a background anchoring attempt takes the lock again when it writes back)
+ */
+export function outsideBatchLocks(fn) {
+  return held.exit(fn);
+}
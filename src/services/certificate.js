@@ -0,0 +1,206 @@
+/**
+ * Certificate of Provenance
+ * Printable PDF certificate of a batch: batch details, origin facility,
+ * custody timeline, document hashes, anchor transactions and verification
+ * status. The certificate data is a W3C Verifiable Credential signed by the
+ * batch owner; it is embedded in the PDF as certificate.json and its
+ * payload hash (SHA-256 of its RFC 8785 canonical JSON) is printed on every
+ * page, so a printed copy can be matched back to the stored record
+ */
+
+import { sha256 } from './hashing.js';
+import { PdfDocument, Font } from './pdf.js';
+
+// Sections of the certificate subject compared against the current record
+export const CERTIFICATE_SECTIONS = ['batch', 'originFacility', 'custodian', 'timeline', 'documents', 'verification'];
+
+/**
+ * Certificate sections from a batch's chain of custody and integrity check
+ */
+export function certificateSubject(custody, integrity) {
+  const { batch, originFacility, currentCustodian, timeline, verificationStatus } = custody;
+  // Documents linked to the batch and those referenced by its events
+  const documents = new Map();
+  for (const d of [...custody.allDocuments, ...timeline.flatMap(e => e.documents)]) {
+    documents.set(d.id, { documentId: d.id, documentType: d.type, fileName: d.fileName, sha256Hash: d.hash });
+  }
+  const name = (end) => [end.party?.name, end.facility?.name].filter(Boolean).join(', ') || null;
+
+  return {
+    batch: {
+      batchId: batch.batchId,
+      referenceNumber: batch.referenceNumber,
+      commodityType: batch.commodityType,
+      status: batch.status,
+      createdAt: batch.createdAt,
+      quantity: batch.quantity,
+      declaredAssay: batch.declaredAssay || null,
+      finalAssay: batch.finalAssay ? { value: batch.finalAssay.value, unit: batch.finalAssay.unit, assayType: batch.finalAssay.assayType } : null,
+      fineGold: batch.normalized?.fineGold || null,
+      parentBatchIds: batch.parentBatchIds,
+      anchorTxHash: batch.anchor?.txHash || null
+    },
+    originFacility: originFacility ? {
+      facilityId: originFacility.id,
+      name: originFacility.name,
+      facilityType: originFacility.type,
+      country: originFacility.location?.country || null,
+      region: originFacility.location?.region || null,
+      gps: originFacility.location?.gps || null
+    } : null,
+    custodian: currentCustodian ? { partyId: currentCustodian.id, name: currentCustodian.name } : null,
+    timeline: timeline.map(e => ({
+      sequenceNumber: e.sequenceNumber,
+      eventId: e.eventId,
+      eventType: e.eventType,
+      timestamp: e.timestamp,
+      from: name(e.from),
+      to: name(e.to),
+      quantity: e.quantity || null,
+      hashAlgorithm: e.hashAlgorithm,
+      payloadHash: e.payloadHash,
+      anchorStatus: e.anchorStatus || null,
+      txHash: e.txHash || null,
+      blockNumber: e.anchor?.blockNumber ?? null
+    })),
+    documents: [...documents.values()],
+    verification: {
+      status: verificationStatus.status,
+      message: verificationStatus.message,
+      integrityValid: integrity.overallValid
+    }
+  };
+}
+
+/**
+ * SHA-256 of the signed certificate's canonical JSON
+ */
+export function certificatePayloadHash(certificate) {
+  return sha256(certificate);
+}
+
+/**
+ * Sections of a certificate subject that differ from the current record
+ */
+export function changedSections(issued, current) {
+  return CERTIFICATE_SECTIONS.filter(section => sha256(issued[section] ?? null) !== sha256(current[section] ?? null));
+}
+
+// ============ PDF ============
+
+const formatQuantity = (q) => q ? `${q.weight} ${q.unit}` : '-';
+const formatAssay = (a) => a ? `${a.value} ${a.unit}${a.assayType ? ` (${a.assayType})` : ''}` : '-';
+const formatDate = (ts) => ts ? new Date(ts).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '-';
+
+/**
+ * Render a signed certificate credential as a PDF
+ */
+export function renderCertificatePdf(certificate, payloadHash) {
+  const subject = certificate.credentialSubject;
+  const { batch, originFacility, custodian, timeline, documents, verification } = subject;
+  const pdf = new PdfDocument({
+    createdAt: certificate.validFrom,
+    info: {
+      Title: `Certificate of Provenance - ${batch.referenceNumber}`,
+      Author: certificate.issuer.name || certificate.issuer.id,
+      Subject: `Batch ${batch.batchId}`,
+      Keywords: 'provenance, chain of custody, gold',
+      CertificateId: certificate.id,
+      PayloadHash: payloadHash
+    },
+    footer: (page, pages) =>
+      `Certificate ${batch.referenceNumber} - payload SHA-256 ${payloadHash} - page ${page} of ${pages}`
+  });
+  const labelWidth = 130;
+  const field = (label, value, font = Font.REGULAR) => pdf.row([
+    { text: label, width: labelWidth, font: Font.BOLD },
+    { text: value ?? '-', width: pdf.contentWidth - labelWidth, font }
+  ]);
+
+  pdf.text('Certificate of Provenance', { font: Font.BOLD, size: 22 });
+  pdf.text(`${batch.commodityType} batch ${batch.referenceNumber}`, { size: 12, gray: 0.3 });
+  pdf.moveDown(8);
+  pdf.text(`Verification status: ${verification.status}`, { font: Font.BOLD, size: 14 });
+  pdf.text(verification.message, { gray: 0.3 });
+  pdf.text(`Hash chain and batch hash ${verification.integrityValid ? 'intact' : 'DO NOT MATCH the stored record'}`, { gray: 0.3 });
+
+  pdf.heading('Batch');
+  field('Batch ID', batch.batchId, Font.MONO);
+  field('Reference number', batch.referenceNumber);
+  field('Commodity', batch.commodityType);
+  field('Status', batch.status);
+  field('Created', formatDate(batch.createdAt));
+  field('Weight', formatQuantity(batch.quantity));
+  field('Declared assay', formatAssay(batch.declaredAssay));
+  field('Final assay', formatAssay(batch.finalAssay));
+  field('Fine gold', batch.fineGold ? `${batch.fineGold.weight} kg (${batch.fineGold.troyOunces} ozt)` : '-');
+  if (batch.parentBatchIds.length > 0) {
+    field('Parent lots', batch.parentBatchIds.join(', '), Font.MONO);
+  }
+  field('Current custodian', custodian?.name);
+  field('Batch anchor tx', batch.anchorTxHash, Font.MONO);
+
+  pdf.heading('Origin facility');
+  if (originFacility) {
+    field('Name', originFacility.name);
+    field('Type', originFacility.facilityType);
+    field('Location', [originFacility.region, originFacility.country].filter(Boolean).join(', ') || '-');
+    field('GPS', originFacility.gps ? `${originFacility.gps.lat}, ${originFacility.gps.lng}` : '-');
+    field('Facility ID', originFacility.facilityId, Font.MONO);
+  } else {
+    pdf.text('Origin facility not found');
+  }
+
+  pdf.heading('Custody timeline');
+  const columns = [25, 90, 110, 215, pdf.contentWidth - 440];
+  pdf.row(['#', 'Event', 'Time', 'From / To', 'Weight'].map((text, i) => ({ text, width: columns[i], font: Font.BOLD })));
+  for (const event of timeline) {
+    pdf.moveDown(4);
+    pdf.row([
+      { text: String(event.sequenceNumber ?? '-'), width: columns[0] },
+      { text: event.eventType, width: columns[1] },
+      { text: formatDate(event.timestamp), width: columns[2] },
+      { text: [event.from, event.to].filter(Boolean).join(' -> ') || '-', width: columns[3] },
+      { text: formatQuantity(event.quantity), width: columns[4] }
+    ]);
+    pdf.text(`${event.hashAlgorithm} ${event.payloadHash}`, { font: Font.MONO, size: 7, indent: columns[0], gray: 0.3 });
+    pdf.text(event.txHash ? `tx ${event.txHash}` : `not anchored (${event.anchorStatus || 'no anchor'})`,
+      { font: Font.MONO, size: 7, indent: columns[0], gray: 0.3 });
+  }
+
+  pdf.heading('Documents');
+  if (documents.length === 0) {
+    pdf.text('No documents attached');
+  }
+  for (const doc of documents) {
+    pdf.row([
+      { text: doc.documentType, width: labelWidth, font: Font.BOLD },
+      { text: doc.fileName, width: pdf.contentWidth - labelWidth }
+    ]);
+    pdf.text(`SHA-256 ${doc.sha256Hash}`, { font: Font.MONO, size: 7, indent: labelWidth, gray: 0.3 });
+  }
+
+  pdf.heading('Signature');
+  field('Issued by', certificate.issuer.name || '-');
+  field('Issued at', formatDate(certificate.validFrom));
+  field('Issuer DID', certificate.issuer.id, Font.MONO);
+  field('Certificate ID', certificate.id, Font.MONO);
+  field('Proof', `${certificate.proof.type} (${certificate.proof.cryptosuite})`);
+  field('Proof value', certificate.proof.proofValue, Font.MONO);
+
+  pdf.heading('Payload hash');
+  pdf.text(payloadHash, { font: Font.MONO, size: 11 });
+  pdf.moveDown(4);
+  pdf.text(
+    'SHA-256 of the RFC 8785 canonical JSON of certificate.json, the signed credential embedded in this PDF. ' +
+    `Match a printed copy against the record with GET /api/batches/${batch.batchId}/certificates/<payload hash>, ` +
+    'and verify the embedded credential with POST /api/credentials/verify.',
+    { size: 8, gray: 0.3 }
+  );
+
+  pdf.attach('certificate.json', JSON.stringify(certificate, null, 2), {
+    mimeType: 'application/json',
+    description: 'Signed certificate of provenance (W3C Verifiable Credential)'
+  });
+  return pdf.toBuffer();
+}
@@ -0,0 +1,246 @@
+/**
+ * Chain Indexer
+ * Rebuilds a batch's anchored timeline from EventAnchored/BatchAnchored logs
+ * alone and diffs it against the database, so events anchored but deleted
+ * off-chain and events recorded off-chain but never anchored both show up
+ */
+
+import { ethers } from 'ethers';
+import anchoringService, { EVENT_LOGGER_INTERFACE } from './anchoring.js';
+import { computeEventHash, computeBatchHash, orderEventChain } from './hashing.js';
+
+const db = (await import('./db-selector.js')).default;
+
+const TOPICS = {
+  HashAnchored: EVENT_LOGGER_INTERFACE.getEvent('HashAnchored').topicHash,
+  BatchAnchored: EVENT_LOGGER_INTERFACE.getEvent('BatchAnchored').topicHash,
+  EventAnchored: EVENT_LOGGER_INTERFACE.getEvent('EventAnchored').topicHash
+};
+
+class ChainIndexer {
+  constructor(anchoring = anchoringService, registry = db) {
+    this.anchoring = anchoring;
+    this.registry = registry;
+    // First block worth scanning (the contract's deployment block)
+    this.startBlock = parseInt(process.env.ANCHOR_START_BLOCK || '0', 10);
+    // Public RPCs cap the block range of eth_getLogs
+    this.blockRange = parseInt(process.env.INDEXER_BLOCK_RANGE || '10000', 10);
+  }
+
+  getProvider() {
+    const { rpcUrl, chainId } = this.anchoring.config;
+    // A static network fails fast instead of retrying network detection forever
+    return this.anchoring.provider || new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true });
+  }
+
+  getContractAddress() {
+    return this.anchoring.config.contractAddress || process.env.CONTRACT_ADDRESS || null;
+  }
+
+  /**
+   * eth_getLogs over a block range, in chunks of blockRange blocks
+   */
+  async getLogs(provider, topics, fromBlock, toBlock) {
+    const address = this.getContractAddress();
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += this.blockRange) {
+      const end = Math.min(start + this.blockRange - 1, toBlock);
+      logs.push(...await provider.getLogs({ address, topics, fromBlock: start, toBlock: end }));
+    }
+    return logs;
+  }
+
+  /**
+   * Anchored timeline of a batch as recorded on chain, in chain order
+   */
+  async scanBatch(batchId, { fromBlock = this.startBlock, toBlock = null } = {}) {
+    if (!this.getContractAddress()) {
+      throw new Error('No CONTRACT_ADDRESS configured: there is no chain to index');
+    }
+    const provider = this.getProvider();
+    const lastBlock = toBlock ?? await provider.getBlockNumber();
+    const batchTopic = this.anchoring.batchIdBytes32(batchId);
+
+    const [eventLogs, batchLogs] = await Promise.all([
+      this.getLogs(provider, [TOPICS.EventAnchored, null, batchTopic], fromBlock, lastBlock),
+      this.getLogs(provider, [TOPICS.BatchAnchored, batchTopic], fromBlock, lastBlock)
+    ]);
+
+    const decode = (log) => {
+      const { name, args } = EVENT_LOGGER_INTERFACE.parseLog(log);
+      return {
+        kind: name === 'EventAnchored' ? 'event' : 'batch',
+        onChainId: name === 'EventAnchored' ? args.eventId : args.batchId,
+        eventType: name === 'EventAnchored' ? args.eventType : null,
+        payloadHash: args.payloadHash,
+        timestamp: new Date(Number(args.timestamp) * 1000).toISOString(),
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        logIndex: log.index
+      };
+    };
+    const byChainOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+    return {
+      batchId,
+      contractAddress: this.getContractAddress(),
+      fromBlock,
+      toBlock: lastBlock,
+      batchAnchors: batchLogs.map(decode).sort(byChainOrder),
+      events: eventLogs.map(decode).sort(byChainOrder)
+    };
+  }
+
+  /**
+   * Diff a batch's on-chain timeline against the database
+   * Events anchored with logHash (before the typed functions, or as Merkle
+   * roots) carry no batch index; they are looked up by id instead, so they
+   * can be matched but never turn up as unknown
+   */
+  async diffBatch(batchId, options = {}) {
+    const batch = await db.getBatch(batchId);
+    if (!batch) {
+      throw new Error(`Batch not found: ${batchId}`);
+    }
+
+    const chain = await this.scanBatch(batchId, options);
+    const events = orderEventChain(await db.getEventsByBatch(batchId));
+    const onChainById = new Map();
+    for (const entry of chain.events) {
+      const entries = onChainById.get(entry.onChainId) || [];
+      entries.push(entry);
+      onChainById.set(entry.onChainId, entries);
+    }
+
+    const matched = [];
+    const mismatched = [];
+    const notAnchored = [];
+    const unindexed = [];
+
+    for (const event of events) {
+      const onChainId = this.anchoring.eventIdBytes32(event.eventId);
+      const expectedHash = this.anchoring.hashToBytes32(computeEventHash(event)).toLowerCase();
+      const entries = onChainById.get(onChainId);
+      onChainById.delete(onChainId);
+
+      if (entries) {
+        const entry = entries[0];
+        const result = {
+          eventId: event.eventId,
+          eventType: event.eventType,
+          txHash: entry.txHash,
+          blockNumber: entry.blockNumber,
+          hashMatch: entry.payloadHash.toLowerCase() === expectedHash,
+          eventTypeMatch: entry.eventType === event.eventType,
+          timesAnchored: entries.length
+        };
+        (result.hashMatch && result.eventTypeMatch ? matched : mismatched).push(result);
+      } else {
+        unindexed.push({ event, onChainId, expectedHash });
+      }
+    }
+
+    // Events without an EventAnchored log: logHash or Merkle anchors, or never anchored
+    for (const { event, onChainId, expectedHash } of unindexed) {
+      const located = await this.findUnindexedAnchor(event, onChainId, expectedHash, chain);
+      if (located) {
+        (located.hashMatch ? matched : mismatched).push({
+          eventId: event.eventId,
+          eventType: event.eventType,
+          ...located
+        });
+      } else {
+        notAnchored.push({
+          eventId: event.eventId,
+          eventType: event.eventType,
+          eventTimestamp: event.eventTimestamp,
+          txHash: event.onChainTxHash || null
+        });
+      }
+    }
+
+    // What is left on chain has no event in the database
+    const anchoredNotInDatabase = [];
+    for (const entries of onChainById.values()) {
+      for (const entry of entries) {
+        anchoredNotInDatabase.push({
+          ...entry,
+          registryId: await this.findRegistryId(entry)
+        });
+      }
+    }
+
+    const expectedBatchHash = batch.batchHash ? this.anchoring.hashToBytes32(batch.batchHash).toLowerCase() : null;
+    const batchAnchor = chain.batchAnchors[0] || null;
+
+    return {
+      batchId,
+      contractAddress: chain.contractAddress,
+      scannedBlocks: { from: chain.fromBlock, to: chain.toBlock },
+      consistent: mismatched.length === 0 && notAnchored.length === 0 && anchoredNotInDatabase.length === 0,
+      batchAnchor: batchAnchor && {
+        txHash: batchAnchor.txHash,
+        blockNumber: batchAnchor.blockNumber,
+        hashMatch: batchAnchor.payloadHash.toLowerCase() === expectedBatchHash,
+        // Owner and quantity may change after creation, so this is informational
+        matchesCurrentBatch: batch.batchHash === computeBatchHash(batch)
+      },
+      onChainTimeline: chain.events,
+      matched,
+      mismatched,
+      notAnchored,
+      anchoredNotInDatabase
+    };
+  }
+
+  /**
+   * Look up an event's HashAnchored log by id, or its Merkle root's log
+   */
+  async findUnindexedAnchor(event, onChainId, expectedHash, chain) {
+    const record = await this.anchoring.getAnchorRecord({ id: `event:${event.eventId}` });
+    const provider = this.getProvider();
+
+    if (record?.merkleRootId) {
+      const root = await this.registry.getAnchor(record.merkleRootId);
+      const proof = event.merkleProof;
+      if (!root || !proof?.root) return null;
+      const logs = await this.getLogs(
+        provider, [TOPICS.HashAnchored, this.anchoring.stringToBytes32(root.anchorId)], chain.fromBlock, chain.toBlock
+      );
+      const log = logs[0] && EVENT_LOGGER_INTERFACE.parseLog(logs[0]);
+      if (!log) return null;
+      return {
+        txHash: logs[0].transactionHash,
+        blockNumber: logs[0].blockNumber,
+        merkleRootId: root.anchorId,
+        hashMatch: log.args.hash.toLowerCase() === proof.root.toLowerCase() &&
+          this.anchoring.verifyMerkleInclusion(`event:${event.eventId}`, computeEventHash(event), proof)
+      };
+    }
+
+    if (!event.onChainTxHash) return null;
+    const logs = await this.getLogs(provider, [TOPICS.HashAnchored, onChainId], chain.fromBlock, chain.toBlock);
+    if (logs.length === 0) return null;
+    const log = EVENT_LOGGER_INTERFACE.parseLog(logs[0]);
+    return {
+      txHash: logs[0].transactionHash,
+      blockNumber: logs[0].blockNumber,
+      hashMatch: log.args.hash.toLowerCase() === expectedHash,
+      timesAnchored: logs.length
+    };
+  }
+
+  /**
+   * Original `event:<id>` of an on-chain entry, if the registry still has it
+   */
+  async findRegistryId(entry) {
+    const records = await this.registry.getAnchorsByTxHash(entry.txHash);
+    const record = records.find(r => this.anchoring.stringToBytes32(r.anchorId) === entry.onChainId);
+    return record?.anchorId || null;
+  }
+}
+
+// Export singleton instance
+const chainIndexer = new ChainIndexer();
+export default chainIndexer;
+export { ChainIndexer };
@@ -0,0 +1,337 @@
+/**
+ * CMRT Export
+ * RMI Conflict Minerals Reporting Template for the gold in batches active in
+ * a period: the company declaration, the smelter list (refineries batches
+ * reached), the mine list and country-of-origin declarations
+ *
+ * Each tab is a list of rows keyed by the template's column headings, so it
+ * writes straight to a spreadsheet-compatible CSV file per tab. The column
+ * layout follows CMRT 6; only gold is tracked here, so there is no EMRT
+ * (cobalt, mica) counterpart
+ */
+
+import provenanceService from './provenance.js';
+import { parsePeriod, inPeriod, describePeriod, toCsv } from './reporting.js';
+import { FacilityType, PartyType, BatchStatus } from '../models/index.js';
+
+const db = (await import('./db-selector.js')).default;
+
+const METAL = 'Gold';
+
+// DRC and its adjoining countries, as defined for the CMRT declaration
+export const COVERED_COUNTRIES = [
+  'Democratic Republic of the Congo', 'Angola', 'Burundi', 'Central African Republic',
+  'Republic of the Congo', 'Rwanda', 'South Sudan', 'Tanzania', 'Uganda', 'Zambia'
+];
+
+const COUNTRY_ALIASES = {
+  'drc': 'Democratic Republic of the Congo',
+  'dr congo': 'Democratic Republic of the Congo',
+  'congo, democratic republic of the': 'Democratic Republic of the Congo',
+  'cd': 'Democratic Republic of the Congo',
+  'congo': 'Republic of the Congo',
+  'congo, republic of the': 'Republic of the Congo',
+  'cg': 'Republic of the Congo',
+  'ao': 'Angola',
+  'bi': 'Burundi',
+  'car': 'Central African Republic',
+  'cf': 'Central African Republic',
+  'rw': 'Rwanda',
+  'ss': 'South Sudan',
+  'tz': 'Tanzania',
+  'united republic of tanzania': 'Tanzania',
+  'ug': 'Uganda',
+  'zm': 'Zambia'
+};
+
+export const CmrtTab = {
+  DECLARATION: 'declaration',
+  SMELTERS: 'smelters',
+  MINES: 'mines',
+  COUNTRIES: 'countries'
+};
+
+// File name and column headings of each tab
+const TABS = {
+  [CmrtTab.DECLARATION]: {
+    name: 'Declaration',
+    columns: ['Question', 'Metal', 'Answer', 'Comments']
+  },
+  [CmrtTab.SMELTERS]: {
+    name: 'Smelter List',
+    columns: [
+      'Metal', 'Smelter Look-up', 'Smelter Name', 'Smelter Country', 'Smelter Identification',
+      'Source of Smelter Identification Number', 'Smelter Street', 'Smelter City',
+      'Smelter Facility Location: State / Province (if applicable)', 'Smelter Contact Name',
+      'Smelter Contact Email', 'Proposed next steps, if applicable', 'Name of Mine(s)',
+      'Location (Country) of Mine(s)', "Does 100% of the smelter's feedstock originate from recycled or scrap sources?",
+      'Comments'
+    ]
+  },
+  [CmrtTab.MINES]: {
+    name: 'Mine List',
+    columns: [
+      'Metal', 'Smelter Name', 'Smelter Identification', 'Mine Name', 'Mine Identification',
+      'Source of Mine Identification', 'Mine Country', 'Mine State / Province', 'Mine GPS', 'Comments'
+    ]
+  },
+  [CmrtTab.COUNTRIES]: {
+    name: 'Country of Origin',
+    columns: ['Metal', 'Country', 'Covered Country', 'Mines', 'Batches', 'Smelters']
+  }
+};
+
+function coveredCountry(country) {
+  const name = (country || '').trim().toLowerCase();
+  const canonical = COUNTRY_ALIASES[name] || COVERED_COUNTRIES.find(c => c.toLowerCase() === name);
+  return canonical || null;
+}
+
+function yesNo(value) {
+  return value ? 'Yes' : 'No';
+}
+
+/**
+ * RMI Conformant Smelter Program IDs look like CID002852
+ */
+function rmiId(party) {
+  return /^CID\d+$/i.test(party?.registrationId || '') ? party.registrationId.toUpperCase() : null;
+}
+
+class CmrtExportService {
+  constructor(store = db, provenance = provenanceService) {
+    this.store = store;
+    this.provenance = provenance;
+  }
+
+  /**
+   * Template for batches with activity between `from` and `to`; `company`
+   * is the declaring party's ID or a company name
+   */
+  async generate({ from = null, to = null, company = null } = {}) {
+    const period = parsePeriod(from, to);
+    const companyParty = company ? await this.store.getParty(company) : null;
+
+    const smelters = new Map(); // facilityId -> { facility, party, mines: Map, batchIds: Set }
+    const mines = new Map();    // facilityId -> { facility, batchIds: Set, smelterIds: Set }
+    const unsmelted = [];       // Current lots that have not reached a refinery
+
+    for (const batch of await this.store.getAllBatches()) {
+      const events = await this.store.getEventsByBatch(batch.batchId);
+      const activity = events.map(e => e.eventTimestamp);
+      if (!inPeriod(activity.length ? activity : [batch.creationTimestamp], period)) continue;
+
+      const batchMines = [];
+      for (const root of await this.provenance.getRootBatches(batch.batchId)) {
+        const facility = await this.store.getFacility(root.originFacilityId);
+        if (facility) batchMines.push(facility);
+      }
+      const refineries = await this.refineriesOf(batch, events);
+      // Consumed lots live on in their child lots
+      if (refineries.length === 0 && batch.status !== BatchStatus.CONSUMED) {
+        unsmelted.push(batch.batchId);
+      }
+
+      for (const mine of batchMines) {
+        const entry = mines.get(mine.facilityId) || { facility: mine, batchIds: new Set(), smelterIds: new Set() };
+        entry.batchIds.add(batch.batchId);
+        refineries.forEach(r => entry.smelterIds.add(r.facilityId));
+        mines.set(mine.facilityId, entry);
+      }
+      for (const refinery of refineries) {
+        const entry = smelters.get(refinery.facilityId) || {
+          facility: refinery,
+          party: await this.store.getParty(refinery.ownerPartyId),
+          mines: new Map(),
+          batchIds: new Set()
+        };
+        entry.batchIds.add(batch.batchId);
+        batchMines.forEach(m => entry.mines.set(m.facilityId, m));
+        smelters.set(refinery.facilityId, entry);
+      }
+    }
+
+    const generatedAt = new Date().toISOString();
+    const declaring = companyParty ? {
+      id: companyParty.partyId,
+      name: companyParty.legalName,
+      country: companyParty.country,
+      contact: companyParty.contact
+    } : { id: null, name: company, country: null, contact: null };
+    const tabs = {
+      [CmrtTab.DECLARATION]: this.declaration({ company: declaring, period, generatedAt, mines, smelters, unsmelted }),
+      [CmrtTab.SMELTERS]: this.smelterList(smelters),
+      [CmrtTab.MINES]: this.mineList(smelters),
+      [CmrtTab.COUNTRIES]: this.countriesOfOrigin(mines, smelters)
+    };
+
+    return {
+      template: 'CMRT',
+      metal: METAL,
+      generatedAt,
+      period: describePeriod(period),
+      company: declaring,
+      summary: {
+        smelters: smelters.size,
+        mines: mines.size,
+        countries: tabs[CmrtTab.COUNTRIES].length,
+        coveredCountries: tabs[CmrtTab.COUNTRIES].filter(r => r['Covered Country'] === 'Yes').length,
+        batchesWithoutSmelter: unsmelted
+      },
+      tabs
+    };
+  }
+
+  /**
+   * Refinery facilities a batch was received at, shipped from or merged at
+   */
+  async refineriesOf(batch, events) {
+    const facilityIds = new Set([batch.originFacilityId]);
+    for (const event of events) {
+      if (event.fromFacilityId) facilityIds.add(event.fromFacilityId);
+      if (event.toFacilityId) facilityIds.add(event.toFacilityId);
+    }
+    const refineries = [];
+    for (const facilityId of facilityIds) {
+      const facility = await this.store.getFacility(facilityId);
+      if (facility?.facilityType === FacilityType.REFINERY) refineries.push(facility);
+    }
+    return refineries;
+  }
+
+  // ============ TABS ============
+
+  smelterList(smelters) {
+    return [...smelters.values()].map(({ facility, party, mines }) => {
+      const cid = rmiId(party);
+      const mineList = [...mines.values()];
+      return {
+        'Metal': METAL,
+        'Smelter Look-up': cid ? (party?.legalName || facility.facilityName) : 'Smelter not listed',
+        'Smelter Name': party?.legalName || facility.facilityName,
+        'Smelter Country': facility.location?.country || party?.country || '',
+        'Smelter Identification': cid || '',
+        'Source of Smelter Identification Number': cid ? 'RMI' : '',
+        'Smelter Street': '',
+        'Smelter City': '',
+        'Smelter Facility Location: State / Province (if applicable)': facility.location?.region || '',
+        'Smelter Contact Name': party?.contact?.name || '',
+        'Smelter Contact Email': party?.contact?.email || '',
+        'Proposed next steps, if applicable': '',
+        'Name of Mine(s)': mineList.map(m => m.facilityName).join('; '),
+        'Location (Country) of Mine(s)': [...new Set(mineList.map(m => m.location?.country))].join('; '),
+        // Feedstock traced back to mines is primary; other origins are not known to be
+        "Does 100% of the smelter's feedstock originate from recycled or scrap sources?":
+          mineList.length > 0 && mineList.every(m => m.facilityType === FacilityType.MINE) ? 'No' : 'Unknown',
+        'Comments': party && party.partyType !== PartyType.REFINERY ? `Operated by ${party.partyType}` : ''
+      };
+    });
+  }
+
+  mineList(smelters) {
+    const rows = [];
+    for (const { facility, party, mines } of smelters.values()) {
+      for (const mine of mines.values()) {
+        const permit = mine.identifiers?.permitIds?.[0] || '';
+        const gps = mine.location?.gps;
+        rows.push({
+          'Metal': METAL,
+          'Smelter Name': party?.legalName || facility.facilityName,
+          'Smelter Identification': rmiId(party) || '',
+          'Mine Name': mine.facilityName,
+          'Mine Identification': permit,
+          'Source of Mine Identification': permit ? 'Mining permit' : '',
+          'Mine Country': mine.location?.country || '',
+          'Mine State / Province': mine.location?.region || '',
+          'Mine GPS': gps ? `${gps.lat}, ${gps.lng}` : '',
+          'Comments': mine.facilityType !== FacilityType.MINE ? `Origin facility is a ${mine.facilityType}` : ''
+        });
+      }
+    }
+    return rows;
+  }
+
+  countriesOfOrigin(mines, smelters) {
+    const countries = new Map();
+    for (const { facility, batchIds, smelterIds } of mines.values()) {
+      const country = facility.location?.country || 'Unknown';
+      const entry = countries.get(country) || { mines: new Set(), batchIds: new Set(), smelters: new Set() };
+      entry.mines.add(facility.facilityName);
+      batchIds.forEach(id => entry.batchIds.add(id));
+      smelterIds.forEach(id => {
+        const smelter = smelters.get(id);
+        entry.smelters.add(smelter.party?.legalName || smelter.facility.facilityName);
+      });
+      countries.set(country, entry);
+    }
+    return [...countries.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([country, entry]) => ({
+        'Metal': METAL,
+        'Country': country,
+        'Covered Country': yesNo(coveredCountry(country)),
+        'Mines': [...entry.mines].join('; '),
+        'Batches': entry.batchIds.size,
+        'Smelters': [...entry.smelters].join('; ')
+      }));
+  }
+
+  /**
+   * Company information, then answers to the declaration questions the
+   * recorded data can settle; the others are left for the filer
+   */
+  declaration({ company, period, generatedAt, mines, smelters, unsmelted }) {
+    const mineFacilities = [...mines.values()].map(m => m.facility);
+    const covered = [...new Set(mineFacilities.map(m => coveredCountry(m.location?.country)).filter(Boolean))];
+    const allMined = mineFacilities.length > 0 && mineFacilities.every(m => m.facilityType === FacilityType.MINE);
+    const row = (question, answer, comments = '') => ({ 'Question': question, 'Metal': METAL, 'Answer': answer, 'Comments': comments });
+    const info = (question, answer) => ({ 'Question': question, 'Metal': '', 'Answer': answer || '', 'Comments': '' });
+    const { from, to } = describePeriod(period);
+
+    return [
+      info('Company Name', company.name),
+      info('Declaration Scope or Class', 'A. Company'),
+      info('Contact Name', company.contact?.name),
+      info('Email - Contact', company.contact?.email),
+      info('Reporting Period', `${from?.slice(0, 10) || 'start'} to ${to?.slice(0, 10) || generatedAt.slice(0, 10)}`),
+      info('Date of Completion', generatedAt.slice(0, 10)),
+      row('1) Is any 3TG intentionally added or used in the product(s) or in the production process?', 'Yes'),
+      row('2) Does any 3TG remain in the product(s)?', 'Yes'),
+      row('3) Do any of the smelters in your supply chain source the 3TG from the covered countries?',
+        yesNo(covered.length > 0), covered.join('; ')),
+      row('4) Does 100 percent of the 3TG (for products or production processes) originate from recycled or scrap sources?',
+        allMined ? 'No' : 'Unknown', allMined ? 'All batches originate at mines' : ''),
+      row('5) What percentage of relevant suppliers have provided a response to your supply chain survey?', '',
+        'To be completed by the filer'),
+      row('6) Have you identified all of the smelters supplying the 3TG to your supply chain?',
+        yesNo(unsmelted.length === 0 && smelters.size > 0),
+        unsmelted.length > 0 ? `${unsmelted.length} batch(es) have not reached a refinery` : ''),
+      row('7) Has all applicable smelter information received by your company been reported in this declaration?', 'Yes')
+    ];
+  }
+
+  // ============ FILES ============
+
+  /**
+   * File name of a tab's CSV, e.g. "CMRT - Smelter List.csv"
+   */
+  fileName(tab) {
+    return `CMRT - ${this.tabOf(tab).name}.csv`;
+  }
+
+  tabOf(tab) {
+    if (!TABS[tab]) {
+      throw new Error(`Unknown CMRT tab: ${tab}. Expected one of ${Object.values(CmrtTab).join(', ')}`);
+    }
+    return TABS[tab];
+  }
+
+  toCsv(exported, tab) {
+    return toCsv(this.tabOf(tab).columns, exported.tabs[tab]);
+  }
+}
+
+// Export singleton instance
+const cmrtExportService = new CmrtExportService();
+export default cmrtExportService;
+export { CmrtExportService };
@@ -0,0 +1,131 @@
+/**
+ * Verifiable Credentials
+ * Builds W3C Verifiable Credentials (Data Model 2.0) for origin, compliance
+ * and assay attestations and secures them with a Data Integrity proof using
+ * the eddsa-jcs-2022 cryptosuite: Ed25519 over RFC 8785 canonical JSON
+ */
+
+import { sign, verify, createHash } from 'crypto';
+import { canonicalizeJSON } from './hashing.js';
+import { encodeBase58, decodeBase58, didToPublicKey } from './keys.js';
+
+export const VC_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+export const PROOF_TYPE = 'DataIntegrityProof';
+export const CRYPTOSUITE = 'eddsa-jcs-2022';
+
+// VC type per credential record type
+export const CREDENTIAL_VC_TYPES = {
+  OriginProof: 'OriginProofCredential',
+  ComplianceAttestation: 'ComplianceAttestationCredential',
+  AssayAttestation: 'AssayAttestationCredential',
+  ProvenanceCertificate: 'ProvenanceCertificateCredential'
+};
+
+function sha256Bytes(text) {
+  return createHash('sha256').update(text, 'utf8').digest();
+}
+
+/**
+ * Bytes signed by eddsa-jcs-2022: hash of the proof options followed by
+ * hash of the unsecured document, both canonicalized with JCS
+ */
+function proofSigningInput(unsecuredDocument, proofOptions) {
+  return Buffer.concat([
+    sha256Bytes(canonicalizeJSON(proofOptions)),
+    sha256Bytes(canonicalizeJSON(unsecuredDocument))
+  ]);
+}
+
+/**
+ * Unsigned VC document for a credential record
+ */
+export function buildCredential(credential, { issuerDid, issuerName, documents = [] }) {
+  const subject = credential.subjectBatchId
+    ? { id: `urn:uuid:${credential.subjectBatchId}`, type: 'Batch' }
+    : { id: `urn:uuid:${credential.subjectFacilityId}`, type: 'Facility' };
+
+  const document = {
+    '@context': [VC_CONTEXT],
+    id: `urn:uuid:${credential.credentialId}`,
+    type: ['VerifiableCredential', CREDENTIAL_VC_TYPES[credential.credentialType] || credential.credentialType],
+    issuer: issuerName ? { id: issuerDid, name: issuerName } : issuerDid,
+    validFrom: credential.issuedAt,
+    credentialSubject: {
+      ...subject,
+      claims: credential.claimsSummary,
+      supportingDocuments: documents.map(d => ({
+        id: `urn:uuid:${d.documentId}`,
+        documentType: d.documentType,
+        digestSha256: d.sha256Hash
+      }))
+    }
+  };
+  if (credential.validUntil) {
+    document.validUntil = credential.validUntil;
+  }
+  return document;
+}
+
+/**
+ * Attach an eddsa-jcs-2022 proof signed with the issuer's key pair
+ */
+export function signCredential(document, keyPair, created = new Date().toISOString()) {
+  const { proof, ...unsecured } = document;
+  const proofOptions = {
+    '@context': unsecured['@context'],
+    type: PROOF_TYPE,
+    cryptosuite: CRYPTOSUITE,
+    created,
+    verificationMethod: keyPair.verificationMethod,
+    proofPurpose: 'assertionMethod'
+  };
+  const signature = sign(null, proofSigningInput(unsecured, proofOptions), keyPair.privateKey);
+  const { '@context': _context, ...proofFields } = proofOptions;
+  return {
+    ...unsecured,
+    proof: { ...proofFields, proofValue: 'z' + encodeBase58(signature) }
+  };
+}
+
+/**
+ * Check a secured VC's proof against the key named in its verificationMethod
+ * Returns { valid, issuerDid, verificationMethod, error }
+ */
+export function verifyCredentialProof(document) {
+  const { proof, ...unsecured } = document || {};
+  const issuerDid = typeof unsecured.issuer === 'string' ? unsecured.issuer : unsecured.issuer?.id;
+  const result = { valid: false, issuerDid: issuerDid || null, verificationMethod: proof?.verificationMethod || null, error: null };
+
+  try {
+    if (!proof) {
+      throw new Error('Credential has no proof');
+    }
+    if (proof.type !== PROOF_TYPE || proof.cryptosuite !== CRYPTOSUITE) {
+      throw new Error(`Unsupported proof: ${proof.type}/${proof.cryptosuite}`);
+    }
+    if (proof.proofPurpose !== 'assertionMethod') {
+      throw new Error(`Unexpected proof purpose: ${proof.proofPurpose}`);
+    }
+    if (!proof.verificationMethod?.startsWith(`${issuerDid}#`)) {
+      throw new Error('Verification method does not belong to the issuer');
+    }
+    if (!proof.proofValue?.startsWith('z')) {
+      throw new Error('Proof value must be base58btc multibase');
+    }
+
+    const { proofValue, ...proofFields } = proof;
+    const proofOptions = { '@context': unsecured['@context'], ...proofFields };
+    result.valid = verify(
+      null,
+      proofSigningInput(unsecured, proofOptions),
+      didToPublicKey(proof.verificationMethod),
+      decodeBase58(proofValue.slice(1))
+    );
+    if (!result.valid) {
+      result.error = 'Signature does not match credential contents';
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+  return result;
+}
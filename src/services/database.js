@@ -3,6 +3,9 @@
  * Simple storage layer for the prototype (can be swapped for SQLite/PostgreSQL later)
  */
 
+import { currentUserId } from './request-context.js';
+import { checkOperations } from './unit-of-work.js';
+
 class Database {
   constructor() {
     this.parties = new Map();
@@ -12,12 +15,14 @@ class Database {
     this.documents = new Map();
     this.credentials = new Map();
     this.users = new Map();
+    this.anchors = new Map(); // Anchor registry, keyed by anchored id
+    this.anchorOutbox = new Map(); // Anchors waiting to be submitted, keyed by anchored id
     this.auditLog = []; // Append-only audit trail
   }
 
   // ============ AUDIT LOG ============
   
-  logAction(action, entityType, entityId, data, userId = 'system') {
+  logAction(action, entityType, entityId, data, userId = currentUserId()) {
     this.auditLog.push({
       timestamp: new Date().toISOString(),
       action,
@@ -145,6 +150,12 @@ class Database {
     return document;
   }
 
+  updateDocument(document) {
+    this.documents.set(document.documentId, document);
+    this.logAction('UPDATE', 'Document', document.documentId, document);
+    return document;
+  }
+
   getDocument(documentId) {
     return this.documents.get(documentId) || null;
   }
@@ -181,10 +192,14 @@ class Database {
   
   saveUser(user) {
     this.users.set(user.userId, user);
-    this.logAction('CREATE', 'User', user.userId, { ...user, password: '[REDACTED]' });
+    this.logAction('CREATE', 'User', user.userId, { ...user, passwordHash: '[REDACTED]' });
     return user;
   }
 
+  getAllUsers() {
+    return Array.from(this.users.values());
+  }
+
   getUser(userId) {
     return this.users.get(userId) || null;
   }
@@ -193,6 +208,56 @@ class Database {
     return Array.from(this.users.values()).find(u => u.username === username) || null;
   }
 
+  // ============ ANCHORS ============
+
+  saveAnchor(anchor) {
+    this.anchors.set(anchor.anchorId, anchor);
+    return anchor;
+  }
+
+  getAnchor(anchorId) {
+    return this.anchors.get(anchorId) || null;
+  }
+
+  getAnchorsByTxHash(txHash) {
+    return Array.from(this.anchors.values()).filter(a => a.txHash === txHash);
+  }
+
+  getAllAnchors() {
+    return Array.from(this.anchors.values());
+  }
+
+  // ============ ANCHOR OUTBOX ============
+
+  saveOutboxEntry(entry) {
+    this.anchorOutbox.set(entry.anchorId, entry);
+    return entry;
+  }
+
+  getOutboxEntry(anchorId) {
+    return this.anchorOutbox.get(anchorId) || null;
+  }
+
+  getOutboxEntries(status = null) {
+    return Array.from(this.anchorOutbox.values())
+      .filter(e => !status || e.status === status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  deleteOutboxEntry(anchorId) {
+    return this.anchorOutbox.delete(anchorId);
+  }
+
+  // ============ UNIT OF WORK ============
+
+  /**
+   * Apply a unit of work; the writes are synchronous, so nothing can run
+   * in between them
+   */
+  commitUnitOfWork(operations) {
+    checkOperations(operations).forEach(({ method, arg }) => this[method](arg));
+  }
+
   // ============ EXPORT ============
   
   exportBatchPackage(batchId) {
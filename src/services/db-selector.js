@@ -3,7 +3,7 @@
  * Chooses the appropriate database implementation based on environment
  */
 
-const dbType = process.env.DB_TYPE || 'file'; // 'mongodb' | 'file' | 'memory'
+const dbType = process.env.DB_TYPE || 'file'; // 'mongodb' | 'sqlite' | 'file' | 'memory'
 
 let db;
 
@@ -11,6 +11,10 @@ if (dbType === 'mongodb') {
   // Use MongoDB
   db = (await import('./mongodb-database.js')).default;
   console.log('Using MongoDB database');
+} else if (dbType === 'sqlite') {
+  // Use single-file SQLite
+  db = (await import('./sqlite-database.js')).default;
+  console.log('Using SQLite database');
 } else if (dbType === 'file') {
   // Use file-based persistence
   db = (await import('./persistent-database.js')).default;
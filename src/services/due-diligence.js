@@ -0,0 +1,185 @@
+/**
+ * Due Diligence
+ * OECD Due Diligence Guidance five-step workflow attached to each batch:
+ * management systems, risk identification, risk mitigation, third-party
+ * audit and reporting. Each step has its own status, responsible party,
+ * findings and supporting documents; due diligence is closed once every
+ * step is completed (or not applicable)
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { DueDiligenceStep, DueDiligenceStatus, createDueDiligence } from '../models/index.js';
+import { currentUserId } from './request-context.js';
+
+export const STEP_TITLES = {
+  [DueDiligenceStep.MANAGEMENT_SYSTEMS]: 'Establish strong company management systems',
+  [DueDiligenceStep.RISK_IDENTIFICATION]: 'Identify and assess risks in the supply chain',
+  [DueDiligenceStep.RISK_MITIGATION]: 'Design and implement a strategy to respond to identified risks',
+  [DueDiligenceStep.THIRD_PARTY_AUDIT]: 'Carry out an independent third-party audit',
+  [DueDiligenceStep.REPORTING]: 'Report annually on supply chain due diligence'
+};
+
+// Steps that may be marked not applicable, e.g. no risks were identified
+const OPTIONAL_STEPS = [DueDiligenceStep.RISK_MITIGATION, DueDiligenceStep.THIRD_PARTY_AUDIT];
+
+const FINDING_SEVERITIES = ['info', 'low', 'medium', 'high'];
+
+// Least advanced first, for combining the records of merged lots
+const STATUS_RANK = [
+  DueDiligenceStatus.NOT_STARTED,
+  DueDiligenceStatus.IN_PROGRESS,
+  DueDiligenceStatus.NOT_APPLICABLE,
+  DueDiligenceStatus.COMPLETED
+];
+
+const STEPS = Object.values(DueDiligenceStep);
+
+function isDone(step) {
+  return step.status === DueDiligenceStatus.COMPLETED || step.status === DueDiligenceStatus.NOT_APPLICABLE;
+}
+
+class DueDiligenceService {
+  /**
+   * The batch's record, or a fresh one for batches created before due
+   * diligence was tracked
+   */
+  recordOf(batch) {
+    return batch.dueDiligence || createDueDiligence();
+  }
+
+  /**
+   * Apply a change to one step and return the updated record
+   * `change` may set status and responsiblePartyId, add a finding
+   * ({ description, severity }) and link more documentIds
+   * `context.highRisk` forbids skipping risk mitigation
+   */
+  updateStep(record, step, change, context = {}) {
+    if (!STEPS.includes(step)) {
+      throw new Error(`Unknown due diligence step: ${step}. Expected one of ${STEPS.join(', ')}`);
+    }
+    const updated = structuredClone(record);
+    const current = updated.steps[step];
+    const now = new Date().toISOString();
+
+    if (change.responsiblePartyId !== undefined) {
+      current.responsiblePartyId = change.responsiblePartyId || null;
+    }
+    if (change.finding) {
+      const severity = change.finding.severity || 'info';
+      if (!change.finding.description) {
+        throw new Error('A finding needs a description');
+      }
+      if (!FINDING_SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid finding severity: ${severity}. Expected one of ${FINDING_SEVERITIES.join(', ')}`);
+      }
+      current.findings.push({
+        findingId: uuidv4(),
+        description: change.finding.description,
+        severity,
+        recordedAt: now,
+        recordedBy: currentUserId()
+      });
+    }
+    for (const documentId of change.documentIds || []) {
+      if (!current.documentIds.includes(documentId)) {
+        current.documentIds.push(documentId);
+      }
+    }
+
+    if (change.status && change.status !== current.status) {
+      this.checkStatusChange(updated, current, change.status, context);
+      current.status = change.status;
+    }
+    current.completedAt = isDone(current) ? (current.completedAt || now) : null;
+    current.updatedAt = now;
+
+    updated.closedAt = this.isClosed(updated) ? (updated.closedAt || now) : null;
+    return updated;
+  }
+
+  checkStatusChange(record, current, status, { highRisk = false }) {
+    if (!Object.values(DueDiligenceStatus).includes(status)) {
+      throw new Error(`Invalid status: ${status}. Expected one of ${Object.values(DueDiligenceStatus).join(', ')}`);
+    }
+    if (status === DueDiligenceStatus.NOT_APPLICABLE) {
+      if (!OPTIONAL_STEPS.includes(current.step)) {
+        throw new Error(`Step ${current.number} (${current.step}) cannot be marked not applicable`);
+      }
+      if (highRisk && current.step === DueDiligenceStep.RISK_MITIGATION) {
+        throw new Error('Risk mitigation is required: the batch was sourced from or through a high-risk area');
+      }
+      if (current.findings.length === 0) {
+        throw new Error('Record a finding explaining why the step does not apply');
+      }
+    }
+    if (status === DueDiligenceStatus.COMPLETED) {
+      if (!current.responsiblePartyId) {
+        throw new Error(`Step ${current.number} (${current.step}) needs a responsible party before it is completed`);
+      }
+      if (current.findings.length === 0 && current.documentIds.length === 0) {
+        throw new Error(`Step ${current.number} (${current.step}) needs a finding or a document as evidence before it is completed`);
+      }
+    }
+    if (isDone({ status })) {
+      const pending = STEPS.slice(0, current.number - 1).map(s => record.steps[s]).filter(s => !isDone(s));
+      if (pending.length > 0) {
+        throw new Error(`Complete step ${pending.map(s => `${s.number} (${s.step})`).join(', ')} first`);
+      }
+    }
+  }
+
+  isClosed(record) {
+    return STEPS.every(step => isDone(record.steps[step]));
+  }
+
+  /**
+   * Record with step titles and the overall state, as shown by the API
+   */
+  summarize(batch) {
+    const record = this.recordOf(batch);
+    const steps = STEPS.map(step => ({ ...record.steps[step], title: STEP_TITLES[step] }));
+    const openSteps = steps.filter(s => !isDone(s)).map(s => s.step);
+    return {
+      batchId: batch.batchId,
+      status: openSteps.length === 0 ? 'Closed' : 'Open',
+      openSteps,
+      openHighSeverityFindings: steps
+        .filter(s => !isDone(s))
+        .flatMap(s => s.findings.filter(f => f.severity === 'high')).length,
+      openedAt: record.openedAt,
+      closedAt: record.closedAt,
+      steps
+    };
+  }
+
+  /**
+   * Record for a lot split or merged from `parents`: each step takes the
+   * least advanced status among the parents, with every parent's findings
+   * and documents, and keeps a responsible party only if all agree
+   */
+  inherit(parents) {
+    const records = parents.map(p => this.recordOf(p));
+    const inherited = createDueDiligence();
+    for (const step of STEPS) {
+      const parentSteps = records.map(r => r.steps[step]);
+      const least = parentSteps.reduce((a, b) =>
+        STATUS_RANK.indexOf(b.status) < STATUS_RANK.indexOf(a.status) ? b : a);
+      const parties = new Set(parentSteps.map(s => s.responsiblePartyId));
+      Object.assign(inherited.steps[step], {
+        status: least.status,
+        responsiblePartyId: parties.size === 1 ? [...parties][0] : null,
+        findings: parentSteps.flatMap(s => s.findings),
+        documentIds: [...new Set(parentSteps.flatMap(s => s.documentIds))],
+        updatedAt: least.updatedAt,
+        completedAt: isDone(least) ? least.completedAt : null
+      });
+    }
+    inherited.closedAt = this.isClosed(inherited) ? new Date().toISOString() : null;
+    return inherited;
+  }
+}
+
+// Export singleton instance
+const dueDiligenceService = new DueDiligenceService();
+export default dueDiligenceService;
+export { DueDiligenceService };
@@ -0,0 +1,712 @@
+/**
+ * EPCIS
+ * Maps events to and from GS1 EPCIS 2.0 JSON-LD, so logistics partners can
+ * push events (capture) and pull them (query) without custom integration
+ *
+ * Ship, receive, inspection and assay events are ObjectEvents with CBV
+ * business steps and dispositions, a change of ownership is a
+ * TransactionEvent, and splits and merges are TransformationEvents.
+ * Facilities are the readPoint and bizLocation, parties the owning_party
+ * source and destination. Lots are quantity elements identified by batch
+ * ID; the `gp:lots` extension gives the reference number of every lot an
+ * event names, so a partner's system can resolve lots by reference
+ */
+
+import provenanceService from './provenance.js';
+import { orderEventChain } from './hashing.js';
+import { EVENT_MAPPING, UNIT_CODES, eventDisposition, urn } from './untp.js';
+import { WeightUnit, weightUnit, convertWeight } from './units.js';
+import { EventType } from '../models/index.js';
+
+const db = (await import('./db-selector.js')).default;
+
+export const EPCIS_CONTEXT = 'https://ref.gs1.org/standards/epcis/2.0.0/epcis-context.jsonld';
+export const GP_NAMESPACE = 'urn:gold-provenance:epcis:';
+export const SCHEMA_VERSION = '2.0';
+
+const EVENT_TYPES = ['ObjectEvent', 'AggregationEvent', 'TransactionEvent', 'TransformationEvent', 'AssociationEvent'];
+
+// Commodity of lots commissioned without a gp:commodityType
+const DEFAULT_COMMODITY = 'Gold';
+
+const WEIGHT_UOMS = {
+  KGM: WeightUnit.KG,
+  GRM: WeightUnit.G,
+  APZ: WeightUnit.TROY_OZ
+};
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Raised when a captured document cannot be applied; nothing has been
+ * recorded. `forbidden` is set when any event touches a batch or party the
+ * caller may not act for
+ */
+export class EpcisCaptureError extends Error {
+  constructor(errors) {
+    super(`EPCIS document rejected: ${errors.map(e => `event ${e.index} (${e.eventID || 'no eventID'}): ${e.error}`).join('; ')}`);
+    this.name = 'EpcisCaptureError';
+    this.code = 'EPCIS_CAPTURE_REJECTED';
+    this.errors = errors;
+    this.forbidden = errors.some(e => e.forbidden);
+  }
+}
+
+// ============ VOCABULARY ============
+
+/**
+ * Bare CBV term from a bare, URN or Web URI business step or disposition,
+ * e.g. `https://ref.gs1.org/cbv/BizStep-shipping` and
+ * `urn:epcglobal:cbv:bizstep:shipping` are both `shipping`
+ */
+export function cbvTerm(value) {
+  if (!value) return null;
+  return String(value).replace(/^.*(BizStep-|Disp-|bizstep:|disp:)/, '');
+}
+
+/**
+ * ID from a `urn:uuid:` URI, or the value as given
+ */
+function uuidOf(value) {
+  return typeof value === 'string' ? value.replace(/^urn:uuid:/, '') : null;
+}
+
+/**
+ * Lot number from a GS1 Digital Link (AI 10) or an LGTIN class URI
+ */
+export function lotNumberOf(epcClass) {
+  const digitalLink = String(epcClass).match(/\/10\/([^/?#]+)/);
+  if (digitalLink) return decodeURIComponent(digitalLink[1]);
+  const lgtin = String(epcClass).match(/^urn:epc:class:lgtin:[^.]+\.[^.]+\.(.+)$/);
+  if (lgtin) return decodeURIComponent(lgtin[1]);
+  return null;
+}
+
+function quantityElement(batch, quantity = batch.quantity) {
+  return {
+    epcClass: urn(batch.batchId),
+    quantity: quantity.weight,
+    uom: UNIT_CODES[weightUnit(quantity.unit)] || quantity.unit
+  };
+}
+
+function parseQuantity(element) {
+  const unit = WEIGHT_UOMS[element.uom] || weightUnit(element.uom);
+  if (!unit) {
+    throw new Error(`Quantity of ${element.epcClass} needs a weight uom (${Object.keys(WEIGHT_UOMS).join(', ')})`);
+  }
+  const weight = Number(element.quantity);
+  if (!(weight > 0)) {
+    throw new Error(`Quantity of ${element.epcClass} must be a positive number`);
+  }
+  return { weight, unit };
+}
+
+function listEntry(list = [], type) {
+  const entry = list.find(e => cbvTerm(e.type) === type);
+  return entry ? uuidOf(entry.source || entry.destination) : null;
+}
+
+// ============ EXPORT MAPPING ============
+
+/**
+ * EPCIS event for one of a batch's events
+ * `lots` maps the batch IDs the event names to their reference numbers;
+ * `inputs` and `outputs` are the lots consumed and produced by a split or merge
+ */
+export function toEpcisEvent(event, batch, { lots = {}, inputs = [], outputs = [] } = {}) {
+  const mapping = EVENT_MAPPING[event.eventType] || { eventType: 'ObjectEvent', action: 'observe', bizStep: 'other' };
+  // A shipment is read where it leaves and is in transit afterwards
+  const inTransit = event.eventType === EventType.SHIP;
+  const site = inTransit ? event.fromFacilityId : (event.toFacilityId || event.fromFacilityId);
+
+  const epcisEvent = {
+    type: mapping.eventType,
+    eventID: event.epcis?.eventID || urn(event.eventId),
+    eventTime: event.epcis?.eventTime || event.eventTimestamp,
+    eventTimeZoneOffset: event.epcis?.eventTimeZoneOffset || '+00:00',
+    recordTime: event.eventTimestamp,
+    ...(mapping.action && { action: mapping.action.toUpperCase() }),
+    bizStep: mapping.bizStep,
+    disposition: eventDisposition(event),
+    ...(site && { readPoint: { id: urn(site) } }),
+    ...(site && !inTransit && { bizLocation: { id: urn(site) } })
+  };
+
+  if (mapping.eventType === 'TransformationEvent') {
+    epcisEvent.inputQuantityList = inputs.map(b => quantityElement(b));
+    epcisEvent.outputQuantityList = outputs.map(b => quantityElement(b));
+  } else {
+    epcisEvent.quantityList = [quantityElement(batch, event.quantity?.weight != null ? event.quantity : batch.quantity)];
+  }
+
+  const sourceList = [
+    ...(event.fromPartyId ? [{ type: 'owning_party', source: urn(event.fromPartyId) }] : []),
+    ...(event.fromFacilityId ? [{ type: 'location', source: urn(event.fromFacilityId) }] : [])
+  ];
+  const destinationList = [
+    ...(event.toPartyId ? [{ type: 'owning_party', destination: urn(event.toPartyId) }] : []),
+    ...(event.toFacilityId ? [{ type: 'location', destination: urn(event.toFacilityId) }] : [])
+  ];
+  if (sourceList.length) epcisEvent.sourceList = sourceList;
+  if (destinationList.length) epcisEvent.destinationList = destinationList;
+
+  if (event.eventType === EventType.CREATE) {
+    epcisEvent.ilmd = {
+      'cbvmda:lotNumber': batch.externalReferenceNumber,
+      'gp:commodityType': batch.commodityType,
+      ...(batch.declaredAssay && { 'gp:declaredAssay': batch.declaredAssay })
+    };
+  }
+
+  return {
+    ...epcisEvent,
+    'gp:eventType': event.eventType,
+    'gp:lots': lots,
+    ...(event.assay && { 'gp:assay': event.assay }),
+    ...(event.notes && { 'gp:notes': event.notes }),
+    'gp:eventPayloadHash': event.eventPayloadHash,
+    ...(event.onChainTxHash && { 'gp:onChainTxHash': event.onChainTxHash })
+  };
+}
+
+function epcisEnvelope(type, body) {
+  return {
+    '@context': [EPCIS_CONTEXT, { gp: GP_NAMESPACE }],
+    type,
+    schemaVersion: SCHEMA_VERSION,
+    creationDate: new Date().toISOString(),
+    epcisBody: body
+  };
+}
+
+export function epcisDocument(eventList) {
+  return epcisEnvelope('EPCISDocument', { eventList });
+}
+
+export function epcisQueryDocument(eventList, queryName = 'SimpleEventQuery') {
+  return epcisEnvelope('EPCISQueryDocument', { queryResults: { queryName, resultsBody: { eventList } } });
+}
+
+// ============ QUERY ============
+
+const listParam = (value) => String(value).split('|').filter(Boolean);
+const classesOf = (e, ...lists) => lists.flatMap(list => (e[list] || []).map(q => q.epcClass));
+
+/**
+ * SimpleEventQuery parameters, each a test on an EPCIS event
+ * Values of list parameters are separated by `|`
+ */
+const QUERY_FILTERS = {
+  eventType: (e, v) => listParam(v).includes(e.type),
+  GE_eventTime: (e, v) => new Date(e.eventTime) >= new Date(v),
+  LT_eventTime: (e, v) => new Date(e.eventTime) < new Date(v),
+  GE_recordTime: (e, v) => new Date(e.recordTime) >= new Date(v),
+  LT_recordTime: (e, v) => new Date(e.recordTime) < new Date(v),
+  EQ_action: (e, v) => listParam(v).includes(e.action),
+  EQ_bizStep: (e, v) => listParam(v).map(cbvTerm).includes(e.bizStep),
+  EQ_disposition: (e, v) => listParam(v).map(cbvTerm).includes(e.disposition),
+  EQ_readPoint: (e, v) => listParam(v).includes(e.readPoint?.id),
+  EQ_bizLocation: (e, v) => listParam(v).includes(e.bizLocation?.id),
+  EQ_eventID: (e, v) => listParam(v).includes(e.eventID),
+  MATCH_epcClass: (e, v) => classesOf(e, 'quantityList').some(c => listParam(v).includes(c)),
+  MATCH_inputEPCClass: (e, v) => classesOf(e, 'inputQuantityList').some(c => listParam(v).includes(c)),
+  MATCH_outputEPCClass: (e, v) => classesOf(e, 'outputQuantityList').some(c => listParam(v).includes(c)),
+  MATCH_anyEPCClass: (e, v) => classesOf(e, 'quantityList', 'inputQuantityList', 'outputQuantityList')
+    .some(c => listParam(v).includes(c)),
+  EQ_source_owning_party: (e, v) => listParam(v).map(uuidOf).includes(listEntry(e.sourceList, 'owning_party')),
+  EQ_destination_owning_party: (e, v) => listParam(v).map(uuidOf).includes(listEntry(e.destinationList, 'owning_party'))
+};
+
+const PAGING_PARAMS = ['perPage', 'nextPageToken', 'orderBy', 'orderDirection'];
+const TIME_PARAMS = ['GE_eventTime', 'LT_eventTime', 'GE_recordTime', 'LT_recordTime'];
+
+function parseQuery(params) {
+  for (const [name, value] of Object.entries(params)) {
+    if (!QUERY_FILTERS[name] && !PAGING_PARAMS.includes(name)) {
+      throw new Error(`Unknown query parameter: ${name}. Expected one of ${[...Object.keys(QUERY_FILTERS), ...PAGING_PARAMS].join(', ')}`);
+    }
+    if (TIME_PARAMS.includes(name) && Number.isNaN(new Date(value).getTime())) {
+      throw new Error(`Invalid ${name}: ${value}`);
+    }
+  }
+  const perPage = params.perPage != null ? Number(params.perPage) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(perPage) || perPage < 1 || perPage > MAX_PAGE_SIZE) {
+    throw new Error(`perPage must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  const offset = params.nextPageToken ? Number(Buffer.from(params.nextPageToken, 'base64url').toString()) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('Invalid nextPageToken');
+  }
+  const orderBy = params.orderBy || 'recordTime';
+  if (!['eventTime', 'recordTime'].includes(orderBy)) {
+    throw new Error(`Invalid orderBy: ${orderBy}. Expected eventTime or recordTime`);
+  }
+  const orderDirection = (params.orderDirection || 'ASC').toUpperCase();
+  if (!['ASC', 'DESC'].includes(orderDirection)) {
+    throw new Error(`Invalid orderDirection: ${params.orderDirection}. Expected ASC or DESC`);
+  }
+  const filters = Object.entries(params).filter(([name]) => QUERY_FILTERS[name]);
+  return { filters, perPage, offset, orderBy, orderDirection };
+}
+
+class EpcisService {
+  constructor(store = db, provenance = provenanceService) {
+    this.store = store;
+    this.provenance = provenance;
+  }
+
+  // ============ EXPORT ============
+
+  /**
+   * EPCIS events of the batches `canAccess` allows, in chain order per batch
+   * A split is exported once from the consumed lot and a merge once from
+   * the merged lot, since every lot involved records the same transformation
+   */
+  async listEvents(canAccess = () => true) {
+    const batches = (await this.store.getAllBatches()).filter(canAccess);
+    const epcisEvents = [];
+    for (const batch of batches) {
+      for (const event of orderEventChain(await this.store.getEventsByBatch(batch.batchId))) {
+        const epcisEvent = await this.mapEvent(event, batch);
+        if (epcisEvent) epcisEvents.push(epcisEvent);
+      }
+    }
+    return epcisEvents;
+  }
+
+  async mapEvent(event, batch) {
+    const related = [];
+    for (const id of event.relatedBatchIds || []) {
+      const relatedBatch = await this.store.getBatch(id);
+      if (relatedBatch) related.push(relatedBatch);
+    }
+    // A lot's own split/merge event lists its parents, a consumed lot's lists its children
+    const derived = related.some(b => (batch.parentBatchIds || []).includes(b.batchId));
+    if (event.eventType === EventType.SPLIT && derived) return null;
+    if (event.eventType === EventType.MERGE && !derived) return null;
+
+    const lots = Object.fromEntries([batch, ...related].map(b => [urn(b.batchId), b.externalReferenceNumber]));
+    return toEpcisEvent(event, batch, {
+      lots,
+      inputs: derived ? related : [batch],
+      outputs: derived ? [batch] : related
+    });
+  }
+
+  /**
+   * EPCIS document with every event of a batch, or null if it does not exist
+   */
+  async exportBatch(batchId) {
+    const batch = await this.store.getBatch(batchId);
+    if (!batch) {
+      return null;
+    }
+    const eventList = [];
+    for (const event of orderEventChain(await this.store.getEventsByBatch(batchId))) {
+      const epcisEvent = await this.mapEvent(event, batch);
+      if (epcisEvent) eventList.push(epcisEvent);
+    }
+    return epcisDocument(eventList);
+  }
+
+  /**
+   * SimpleEventQuery over the events of the batches `canAccess` allows
+   * Returns the query document and the token of the next page, if any
+   */
+  async query(params = {}, canAccess = () => true) {
+    const { filters, perPage, offset, orderBy, orderDirection } = parseQuery(params);
+    const direction = orderDirection === 'DESC' ? -1 : 1;
+    const matching = (await this.listEvents(canAccess))
+      .filter(e => filters.every(([name, value]) => QUERY_FILTERS[name](e, value)))
+      .sort((a, b) => direction * (new Date(a[orderBy]) - new Date(b[orderBy])));
+    const page = matching.slice(offset, offset + perPage);
+    const next = offset + perPage < matching.length
+      ? Buffer.from(String(offset + perPage)).toString('base64url')
+      : null;
+    return { document: epcisQueryDocument(page), nextPageToken: next, total: matching.length };
+  }
+
+  // ============ CAPTURE ============
+
+  /**
+   * Record the events of an EPCIS document, in order
+   * Every event is checked first and the document is rejected with an
+   * EpcisCaptureError if any cannot be applied. Events whose eventID was
+   * captured before are skipped. `access` limits the batches and parties
+   * the caller may act on; if a business rule fails part way through, the
+   * events before it stay recorded and the failure is returned
+   */
+  async capture(document, access = {}) {
+    const { canUseBatch = () => true, canActForParty = () => true } = access;
+    const eventList = document?.epcisBody?.eventList;
+    if (document?.type !== 'EPCISDocument' || !Array.isArray(eventList)) {
+      throw new Error('Expected an EPCISDocument with epcisBody.eventList');
+    }
+
+    const seen = await this.capturedEventIds();
+    const planned = [];
+    const skipped = [];
+    const errors = [];
+    // Lots commissioned or produced earlier in the document
+    const newLots = new Set();
+    for (const [index, epcisEvent] of eventList.entries()) {
+      const eventID = epcisEvent?.eventID || null;
+      if (eventID && seen.has(eventID)) {
+        skipped.push({ index, eventID, reason: 'Already captured' });
+        continue;
+      }
+      try {
+        const plan = await this.planEvent(epcisEvent, newLots);
+        for (const batch of plan.batches) {
+          if (!canUseBatch(batch)) {
+            errors.push({ index, eventID, error: `Not allowed to access batch ${batch.batchId}`, forbidden: true });
+          }
+        }
+        if (plan.ownerPartyId && !canActForParty(plan.ownerPartyId)) {
+          errors.push({ index, eventID, error: `Not allowed to create batches owned by party ${plan.ownerPartyId}`, forbidden: true });
+        }
+        if (plan.actingPartyId && !canActForParty(plan.actingPartyId)) {
+          errors.push({ index, eventID, error: `Not allowed to record events for party ${plan.actingPartyId}`, forbidden: true });
+        }
+        plan.lots.forEach(lot => newLots.add(lot));
+        if (eventID) seen.add(eventID);
+        planned.push({ index, eventID, epcisEvent, plan });
+      } catch (error) {
+        errors.push({ index, eventID, error: error.message });
+      }
+    }
+    if (errors.length > 0) {
+      throw new EpcisCaptureError(errors);
+    }
+
+    const captured = [];
+    for (const { index, eventID, epcisEvent, plan } of planned) {
+      try {
+        const events = await plan.apply();
+        await this.stamp(events, epcisEvent);
+        captured.push({
+          index,
+          eventID,
+          eventType: events[0].eventType,
+          batchIds: events.map(e => e.batchId),
+          eventIds: events.map(e => e.eventId)
+        });
+      } catch (error) {
+        return {
+          captured,
+          skipped,
+          failed: { index, eventID, error: error.message, code: error.code || null }
+        };
+      }
+    }
+    return { captured, skipped, failed: null };
+  }
+
+  /**
+   * EPCIS event IDs already recorded: captured partner IDs and the
+   * `urn:uuid:` IDs of our own events, which come back when an export is
+   * captured again
+   */
+  async capturedEventIds() {
+    const ids = new Set();
+    for (const event of await this.store.getAllEvents()) {
+      ids.add(urn(event.eventId));
+      if (event.epcis?.eventID) ids.add(event.epcis.eventID);
+    }
+    return ids;
+  }
+
+  /**
+   * Keep the partner's event ID and time on the recorded events
+   */
+  async stamp(events, epcisEvent) {
+    const capturedAt = new Date().toISOString();
+    for (const { eventId } of events) {
+      const stored = await this.store.getEvent(eventId);
+      stored.epcis = {
+        eventID: epcisEvent.eventID || null,
+        eventTime: epcisEvent.eventTime || null,
+        eventTimeZoneOffset: epcisEvent.eventTimeZoneOffset || null,
+        capturedAt
+      };
+      await this.store.updateEvent(stored);
+    }
+  }
+
+  // ============ IMPORT MAPPING ============
+
+  /**
+   * Check an EPCIS event and plan the operation that records it
+   * Returns the existing batches it touches, the owner of a commissioned
+   * lot, the lot numbers it creates and `apply`, which records the event
+   * and resolves to the recorded events
+   */
+  async planEvent(epcisEvent, newLots) {
+    if (!epcisEvent || !EVENT_TYPES.includes(epcisEvent.type)) {
+      throw new Error(`Unknown event type: ${epcisEvent?.type}. Expected one of ${EVENT_TYPES.join(', ')}`);
+    }
+    if (!epcisEvent.eventTime || Number.isNaN(new Date(epcisEvent.eventTime).getTime())) {
+      throw new Error('eventTime must be an ISO date-time');
+    }
+    if (epcisEvent.type === 'TransformationEvent') {
+      return this.planTransformation(epcisEvent, newLots);
+    }
+
+    const bizStep = cbvTerm(epcisEvent.bizStep);
+    const site = uuidOf(epcisEvent.bizLocation?.id || epcisEvent.readPoint?.id);
+    const notes = epcisEvent['gp:notes'];
+    const sourceParty = listEntry(epcisEvent.sourceList, 'owning_party');
+    const destinationParty = listEntry(epcisEvent.destinationList, 'owning_party');
+    const sourceFacility = listEntry(epcisEvent.sourceList, 'location');
+    const destinationFacility = listEntry(epcisEvent.destinationList, 'location');
+    await this.requireParties(sourceParty, destinationParty);
+    await this.requireFacilities(site, sourceFacility, destinationFacility);
+    const facilityOwner = async (id) => (await this.store.getFacility(id))?.ownerPartyId || null;
+
+    if (bizStep === 'commissioning') {
+      return this.planCommissioning(epcisEvent, { site, owner: destinationParty || await facilityOwner(site) }, newLots);
+    }
+
+    const elements = this.quantityElements(epcisEvent);
+    if (elements.length !== 1) {
+      throw new Error(`Expected one lot in quantityList or epcList, found ${elements.length}`);
+    }
+    const lot = await this.resolveLot(elements[0].epcClass, epcisEvent['gp:lots'], newLots);
+    const quantity = elements[0].quantity != null ? parseQuantity(elements[0]) : null;
+    // actingPartyId is the party recording the event: the owner ships and
+    // hands over a lot, the receiver receives it, and inspections, assays
+    // and disputes are recorded as the party that made them
+    const plan = (run, actingPartyId = null) => ({
+      batches: lot.batch ? [lot.batch] : [],
+      lots: [],
+      actingPartyId,
+      apply: async () => [(await run(await this.batchIdOf(lot))).event]
+    });
+
+    switch (bizStep) {
+      case 'shipping':
+        if (!destinationParty) throw new Error('A shipping event needs an owning_party destination');
+        return plan(batchId => this.provenance.recordShipment(batchId, {
+          toPartyId: destinationParty,
+          toFacilityId: destinationFacility,
+          fromFacilityId: sourceFacility || uuidOf(epcisEvent.readPoint?.id),
+          notes
+        }), lot.batch?.ownerPartyId);
+      case 'accepting':
+        if (!destinationParty) throw new Error('An accepting event needs an owning_party destination');
+        return plan(batchId => this.provenance.recordTransfer(batchId, {
+          toPartyId: destinationParty,
+          fromFacilityId: sourceFacility,
+          toFacilityId: destinationFacility || site,
+          notes
+        }), lot.batch?.ownerPartyId);
+      case 'receiving': {
+        const receiver = destinationParty || await facilityOwner(site);
+        if (!receiver) throw new Error('A receiving event needs an owning_party destination or a bizLocation');
+        return plan(batchId => this.provenance.recordReceipt(batchId, {
+          receiverPartyId: receiver,
+          facilityId: site,
+          ...(quantity && { receivedWeight: quantity.weight, receivedWeightUnit: quantity.unit }),
+          notes
+        }), receiver);
+      }
+      case 'inspecting': {
+        const party = sourceParty || await facilityOwner(site);
+        if (!party) throw new Error('An inspecting event needs an owning_party source or a bizLocation');
+        const assay = epcisEvent['gp:assay'];
+        if (assay) {
+          return plan(batchId => this.provenance.recordAssayFinalized(batchId, {
+            assayerPartyId: party,
+            facilityId: site,
+            assayValue: assay.value,
+            assayUnit: assay.unit,
+            assayType: assay.assayType,
+            notes
+          }), party);
+        }
+        return plan(batchId => this.provenance.recordInspection(batchId, {
+          inspectorPartyId: party,
+          facilityId: site,
+          notes
+        }), party);
+      }
+      case 'holding':
+        if (!sourceParty) throw new Error('A holding event needs an owning_party source');
+        return plan(batchId => this.provenance.recordDispute(batchId, {
+          raisedByPartyId: sourceParty,
+          reason: notes
+        }), sourceParty);
+      default:
+        throw new Error(`Unsupported bizStep: ${epcisEvent.bizStep}. Expected commissioning, shipping, accepting, receiving, inspecting or holding`);
+    }
+  }
+
+  async planCommissioning(epcisEvent, { site, owner }, newLots) {
+    if (epcisEvent.type !== 'ObjectEvent' || epcisEvent.action !== 'ADD') {
+      throw new Error('Commissioning must be an ObjectEvent with action ADD');
+    }
+    const elements = this.quantityElements(epcisEvent);
+    if (elements.length !== 1 || elements[0].quantity == null) {
+      throw new Error('Commissioning needs one lot with its quantity in quantityList');
+    }
+    const ilmd = epcisEvent.ilmd || {};
+    const lotNumber = ilmd['cbvmda:lotNumber'] || lotNumberOf(elements[0].epcClass) ||
+      epcisEvent['gp:lots']?.[elements[0].epcClass];
+    if (!lotNumber) {
+      throw new Error(`No lot number for ${elements[0].epcClass}: set ilmd cbvmda:lotNumber`);
+    }
+    if (newLots.has(lotNumber) || await this.store.getBatchByReference(lotNumber)) {
+      throw new Error(`Lot ${lotNumber} already exists`);
+    }
+    if (!site) throw new Error('Commissioning needs a bizLocation or readPoint');
+    if (!owner) throw new Error('Commissioning needs an owning_party destination');
+    const quantity = parseQuantity(elements[0]);
+    const assay = ilmd['gp:declaredAssay'];
+    return {
+      batches: [],
+      ownerPartyId: owner,
+      lots: [lotNumber],
+      apply: async () => [(await this.provenance.createBatchAtMine({
+        externalReferenceNumber: lotNumber,
+        commodityType: ilmd['gp:commodityType'] || DEFAULT_COMMODITY,
+        originFacilityId: site,
+        ownerPartyId: owner,
+        weight: quantity.weight,
+        weightUnit: quantity.unit,
+        declaredAssayValue: assay?.value ?? null,
+        declaredAssayUnit: assay?.unit ?? null
+      })).event]
+    };
+  }
+
+  /**
+   * One input lot and several new output lots is a split; several input
+   * lots and one new output lot is a merge
+   */
+  async planTransformation(epcisEvent, newLots) {
+    const inputs = [...(epcisEvent.inputQuantityList || []), ...(epcisEvent.inputEPCList || []).map(epc => ({ epcClass: epc }))];
+    const outputs = epcisEvent.outputQuantityList || [];
+    const facilityId = uuidOf(epcisEvent.bizLocation?.id || epcisEvent.readPoint?.id);
+    await this.requireFacilities(facilityId);
+    const notes = epcisEvent['gp:notes'];
+
+    const resolvedInputs = [];
+    for (const element of inputs) {
+      resolvedInputs.push(await this.resolveLot(element.epcClass, epcisEvent['gp:lots'], newLots));
+    }
+    const outputLots = [];
+    for (const element of outputs) {
+      const lotNumber = lotNumberOf(element.epcClass) || epcisEvent['gp:lots']?.[element.epcClass];
+      if (!lotNumber) {
+        throw new Error(`No lot number for output ${element.epcClass}: use a GS1 Digital Link or list it in gp:lots`);
+      }
+      if (newLots.has(lotNumber) || await this.store.getBatchByReference(lotNumber)) {
+        throw new Error(`Output lot ${lotNumber} already exists`);
+      }
+      outputLots.push({ lotNumber, quantity: parseQuantity(element) });
+    }
+    const batches = resolvedInputs.map(l => l.batch).filter(Boolean);
+    const lots = outputLots.map(o => o.lotNumber);
+    // Only the owner splits or merges its lots; merged lots share one owner
+    const actingPartyId = batches[0]?.ownerPartyId || null;
+
+    if (resolvedInputs.length === 1 && outputLots.length >= 2) {
+      return {
+        batches,
+        lots,
+        actingPartyId,
+        apply: async () => {
+          const parent = await this.store.getBatch(await this.batchIdOf(resolvedInputs[0]));
+          const result = await this.provenance.splitBatch(parent.batchId, {
+            facilityId,
+            notes,
+            children: outputLots.map(o => ({
+              externalReferenceNumber: o.lotNumber,
+              weight: convertWeight(o.quantity.weight, o.quantity.unit, parent.quantity.unit)
+            }))
+          });
+          return [result.event];
+        }
+      };
+    }
+    if (resolvedInputs.length >= 2 && outputLots.length === 1) {
+      return {
+        batches,
+        lots,
+        actingPartyId,
+        apply: async () => {
+          const batchIds = [];
+          for (const lot of resolvedInputs) batchIds.push(await this.batchIdOf(lot));
+          const result = await this.provenance.mergeBatches({
+            batchIds,
+            externalReferenceNumber: outputLots[0].lotNumber,
+            facilityId,
+            notes
+          });
+          return [result.event];
+        }
+      };
+    }
+    throw new Error('A TransformationEvent must turn one input lot into several output lots (split) or several into one (merge)');
+  }
+
+  /**
+   * Lots named by an event, from its quantityList or, without quantities,
+   * its epcList
+   */
+  quantityElements(epcisEvent) {
+    if (epcisEvent.quantityList?.length) return epcisEvent.quantityList;
+    return (epcisEvent.epcList || []).map(epc => ({ epcClass: epc }));
+  }
+
+  /**
+   * Existing batch for an EPC class, by batch ID or lot number, or the lot
+   * number of a lot created earlier in the same document
+   */
+  async resolveLot(epcClass, lots = {}, newLots = new Set()) {
+    if (!epcClass) {
+      throw new Error('Lot has no epcClass');
+    }
+    const byId = await this.store.getBatch(uuidOf(epcClass));
+    if (byId) {
+      return { batch: byId, lotNumber: byId.externalReferenceNumber };
+    }
+    const lotNumber = lotNumberOf(epcClass) || lots?.[epcClass];
+    if (lotNumber && newLots.has(lotNumber)) {
+      return { batch: null, lotNumber };
+    }
+    const byReference = lotNumber ? await this.store.getBatchByReference(lotNumber) : null;
+    if (!byReference) {
+      throw new Error(`Unknown lot: ${epcClass}`);
+    }
+    return { batch: byReference, lotNumber };
+  }
+
+  async batchIdOf(lot) {
+    if (lot.batch) return lot.batch.batchId;
+    const batch = await this.store.getBatchByReference(lot.lotNumber);
+    if (!batch) {
+      throw new Error(`Lot ${lot.lotNumber} was not created`);
+    }
+    return batch.batchId;
+  }
+
+  async requireParties(...partyIds) {
+    for (const id of partyIds.filter(Boolean)) {
+      if (!await this.store.getParty(id)) throw new Error(`Unknown party: ${id}`);
+    }
+  }
+
+  async requireFacilities(...facilityIds) {
+    for (const id of facilityIds.filter(Boolean)) {
+      if (!await this.store.getFacility(id)) throw new Error(`Unknown facility: ${id}`);
+    }
+  }
+}
+
+// Export singleton instance
+const epcisService = new EpcisService();
+export default epcisService;
+export { EpcisService };
@@ -5,53 +5,150 @@
  */
 
 import { createHash } from 'crypto';
+import { ethers } from 'ethers';
+
+export const HashAlgorithm = {
+  SHA256: 'sha256',
+  KECCAK256: 'keccak256',
+  SHA3_256: 'sha3-256'
+};
+
+// Algorithm for newly created records; records without a stored
+// algorithm were hashed before it was tracked and are SHA-256
+export const DEFAULT_HASH_ALGORITHM = process.env.HASH_ALGORITHM || HashAlgorithm.SHA256;
+
+if (!Object.values(HashAlgorithm).includes(DEFAULT_HASH_ALGORITHM)) {
+  throw new Error(`Unsupported HASH_ALGORITHM: ${DEFAULT_HASH_ALGORITHM}`);
+}
+
+// Unpaired UTF-16 surrogates are not valid I-JSON and are rejected
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+/**
+ * Order property names by their UTF-16 code units (RFC 8785 §3.2.3)
+ */
+function compareUtf16(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
 
 /**
- * Canonicalize JSON per RFC 8785
- * - Sort object keys alphabetically
+ * Serialize one value; returns undefined for values JSON omits
+ */
+function serializeCanonical(value) {
+  // Dates and other objects with toJSON serialize as JSON.stringify would
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  switch (typeof value) {
+    case 'undefined':
+    case 'function':
+    case 'symbol':
+      return undefined;
+    case 'bigint':
+      throw new TypeError('BigInt values cannot be canonicalized; convert them to strings');
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw new RangeError(`Non-finite number cannot be canonicalized: ${value}`);
+      }
+      // ECMAScript Number-to-String is the RFC 8785 number format (-0 becomes "0")
+      return String(value);
+    case 'string':
+      if (LONE_SURROGATE.test(value)) {
+        throw new TypeError('Strings with unpaired surrogates cannot be canonicalized');
+      }
+      return JSON.stringify(value);
+  }
+
+  if (value === null) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    // Like JSON.stringify, holes and undefined entries become null
+    return '[' + Array.from(value, item => serializeCanonical(item) ?? 'null').join(',') + ']';
+  }
+
+  const pairs = [];
+  for (const key of Object.keys(value).sort(compareUtf16)) {
+    const serialized = serializeCanonical(value[key]);
+    if (serialized !== undefined) {
+      pairs.push(serializeCanonical(key) + ':' + serialized);
+    }
+  }
+  return '{' + pairs.join(',') + '}';
+}
+
+/**
+ * Canonicalize JSON per RFC 8785 (JSON Canonicalization Scheme)
+ * - Sort object keys by UTF-16 code units
+ * - Serialize numbers with the ECMAScript algorithm; reject NaN/Infinity
+ * - Escape strings as JSON.stringify does; reject unpaired surrogates
  * - Remove insignificant whitespace
- * - Handle special number cases
+ * Undefined properties are omitted and undefined array entries become null,
+ * matching JSON.stringify; Dates serialize as ISO strings
  */
 export function canonicalizeJSON(obj) {
-  if (obj === null || typeof obj !== 'object') {
-    return JSON.stringify(obj);
+  const canonical = serializeCanonical(obj);
+  if (canonical === undefined) {
+    throw new TypeError(`Cannot canonicalize a value of type ${typeof obj}`);
   }
-  
-  if (Array.isArray(obj)) {
-    return '[' + obj.map(item => canonicalizeJSON(item)).join(',') + ']';
+  return canonical;
+}
+
+/**
+ * Convert hash input to bytes
+ * Strings are UTF-8, Buffers are used as-is, anything else is canonical JSON
+ */
+function toBytes(data) {
+  if (typeof data === 'string') {
+    return Buffer.from(data, 'utf8');
   }
-  
-  const sortedKeys = Object.keys(obj).sort();
-  const pairs = sortedKeys
-    .filter(key => obj[key] !== undefined)
-    .map(key => JSON.stringify(key) + ':' + canonicalizeJSON(obj[key]));
-  
-  return '{' + pairs.join(',') + '}';
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  return Buffer.from(canonicalizeJSON(data), 'utf8');
 }
 
 /**
  * Compute SHA-256 hash of any data
  */
 export function sha256(data) {
-  const hash = createHash('sha256');
-  if (typeof data === 'string') {
-    hash.update(data, 'utf8');
-  } else if (Buffer.isBuffer(data)) {
-    hash.update(data);
-  } else {
-    hash.update(canonicalizeJSON(data), 'utf8');
-  }
-  return hash.digest('hex');
+  return createHash('sha256').update(toBytes(data)).digest('hex');
 }
 
 /**
- * Compute Keccak-256 hash (used for Ethereum compatibility)
- * Falls back to SHA-256 in this prototype; use ethers.keccak256 for production
+ * Compute Keccak-256 hash (Ethereum's hash, as used by ethers.keccak256)
+ * Returned without the 0x prefix, like the other digests
  */
 export function keccak256(data) {
-  // For prototype simplicity, we use SHA-256
-  // In production, use ethers.keccak256 for EVM compatibility
-  return sha256(data);
+  return ethers.keccak256(toBytes(data)).slice(2);
+}
+
+/**
+ * Compute SHA3-256 hash (FIPS 202; differs from Keccak-256 in padding)
+ */
+export function sha3_256(data) {
+  return createHash('sha3-256').update(toBytes(data)).digest('hex');
+}
+
+const HASH_FUNCTIONS = {
+  [HashAlgorithm.SHA256]: sha256,
+  [HashAlgorithm.KECCAK256]: keccak256,
+  [HashAlgorithm.SHA3_256]: sha3_256
+};
+
+/**
+ * Hash data with the named algorithm
+ */
+export function hashWith(algorithm, data) {
+  const hashFn = HASH_FUNCTIONS[algorithm];
+  if (!hashFn) {
+    throw new Error(`Unsupported hash algorithm: ${algorithm}`);
+  }
+  return hashFn(data);
 }
 
 /**
@@ -63,6 +160,7 @@ export function hashDocument(content) {
 
 /**
  * Compute hash of an event payload for blockchain anchoring
+ * Uses the algorithm recorded on the event (SHA-256 if none)
  */
 export function computeEventHash(event) {
   // Create a deterministic payload for hashing
@@ -79,14 +177,97 @@ export function computeEventHash(event) {
     fromFacilityId: event.fromFacilityId || null,
     toFacilityId: event.toFacilityId || null,
     quantity: event.quantity || null,
-    references: event.references || []
+    references: event.references || [],
+    // Only Split/Merge, Resolve and AssayFinalized events carry these;
+    // omitting the keys when empty keeps hashes of earlier events unchanged
+    relatedBatchIds: event.relatedBatchIds?.length ? event.relatedBatchIds : undefined,
+    relatedEventId: event.relatedEventId || undefined,
+    resolution: event.resolution || undefined,
+    assay: event.assay || undefined,
+    // Chain links; undefined on events recorded before chaining was introduced
+    sequenceNumber: event.sequenceNumber,
+    previousEventHash: event.previousEventHash
+  };
+
+  return hashWith(event.hashAlgorithm || HashAlgorithm.SHA256, payload);
+}
+
+/**
+ * Order a batch's events along its hash chain
+ * Unlinked (pre-chain) events come first in timestamp order
+ */
+export function orderEventChain(events) {
+  const position = (e) => e.previousEventHash === undefined ? -1 : e.sequenceNumber;
+  return [...events].sort((a, b) =>
+    position(a) - position(b) || new Date(a.eventTimestamp) - new Date(b.eventTimestamp)
+  );
+}
+
+/**
+ * Verify the per-batch hash chain
+ * Each linked event must carry the next sequence number and the stored
+ * hash of its predecessor. Reports the first break at every position
+ * where events were removed, inserted or reordered.
+ */
+export function verifyEventChain(events) {
+  const ordered = orderEventChain(events);
+  const byHash = new Map(ordered.map(e => [e.eventPayloadHash, e]));
+  const breaks = [];
+  let previous = null;
+
+  ordered.forEach((event, index) => {
+    if (event.previousEventHash === undefined) {
+      previous = event;
+      return;
+    }
+
+    const expectedSequence = previous ? (previous.sequenceNumber ?? index - 1) + 1 : 0;
+    const expectedPreviousHash = previous ? previous.eventPayloadHash : null;
+    const base = {
+      index,
+      eventId: event.eventId,
+      sequenceNumber: event.sequenceNumber,
+      expectedPreviousHash,
+      actualPreviousHash: event.previousEventHash
+    };
+
+    if (event.sequenceNumber > expectedSequence) {
+      breaks.push({
+        ...base,
+        type: 'missing',
+        message: `${event.sequenceNumber - expectedSequence} event(s) missing before sequence ${event.sequenceNumber}`
+      });
+    } else if (event.sequenceNumber < expectedSequence) {
+      breaks.push({
+        ...base,
+        type: 'inserted',
+        message: `Sequence ${event.sequenceNumber} appears after sequence ${expectedSequence - 1}`
+      });
+    } else if (event.previousEventHash !== expectedPreviousHash) {
+      const linked = byHash.get(event.previousEventHash);
+      breaks.push({
+        ...base,
+        type: linked ? 'reordered' : 'linkMismatch',
+        message: linked
+          ? `Links to event ${linked.eventId} instead of its predecessor`
+          : 'Previous hash does not match any stored event'
+      });
+    }
+
+    previous = event;
+  });
+
+  return {
+    valid: breaks.length === 0,
+    length: ordered.length,
+    linked: ordered.some(e => e.previousEventHash !== undefined),
+    breaks
   };
-  
-  return sha256(payload);
 }
 
 /**
  * Compute hash of a batch for blockchain anchoring
+ * Uses the algorithm recorded on the batch (SHA-256 if none)
  */
 export function computeBatchHash(batch) {
   // Normalize Date objects to ISO strings for consistency
@@ -103,7 +284,7 @@ export function computeBatchHash(batch) {
     declaredAssay: batch.declaredAssay || null
   };
   
-  return sha256(payload);
+  return hashWith(batch.hashAlgorithm || HashAlgorithm.SHA256, payload);
 }
 
 /**
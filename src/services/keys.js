@@ -0,0 +1,143 @@
+/**
+ * Party Key Store
+ * Ed25519 signing keys for credential issuers, one JWK file per party
+ * Keys are generated on first use and kept outside the database
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateKeyPairSync, createPrivateKey, createPublicKey } from 'crypto';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const KEYS_DIR = process.env.KEYS_DIR ||
+  path.join(process.env.DATA_DIR || path.join(__dirname, '../../data'), 'keys');
+
+// Multicodec prefix for an Ed25519 public key in did:key identifiers
+const ED25519_MULTICODEC = Buffer.from([0xed, 0x01]);
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Base58 (Bitcoin alphabet) encoding, keeping leading zero bytes as '1'
+ */
+export function encodeBase58(bytes) {
+  let value = BigInt('0x' + (Buffer.from(bytes).toString('hex') || '0'));
+  let out = '';
+  while (value > 0n) {
+    out = BASE58_ALPHABET[Number(value % 58n)] + out;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    out = '1' + out;
+  }
+  return out;
+}
+
+export function decodeBase58(str) {
+  let value = 0n;
+  for (const char of str) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) {
+      throw new Error(`Invalid base58 character: ${char}`);
+    }
+    value = value * 58n + BigInt(digit);
+  }
+  let hex = value === 0n ? '' : value.toString(16);
+  if (hex.length % 2) hex = '0' + hex;
+  const leadingZeros = str.length - str.replace(/^1+/, '').length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+}
+
+/**
+ * did:key identifier for a raw 32-byte Ed25519 public key
+ */
+export function publicKeyToDid(rawPublicKey) {
+  return 'did:key:z' + encodeBase58(Buffer.concat([ED25519_MULTICODEC, rawPublicKey]));
+}
+
+/**
+ * Public KeyObject from a did:key identifier (fragment ignored)
+ */
+export function didToPublicKey(did) {
+  const match = /^did:key:z([1-9A-HJ-NP-Za-km-z]+)/.exec(did || '');
+  if (!match) {
+    throw new Error(`Unsupported DID: ${did}`);
+  }
+  const bytes = decodeBase58(match[1]);
+  if (!bytes.subarray(0, 2).equals(ED25519_MULTICODEC) || bytes.length !== 34) {
+    throw new Error('Only Ed25519 did:key identifiers are supported');
+  }
+  return createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: bytes.subarray(2).toString('base64url') },
+    format: 'jwk'
+  });
+}
+
+class KeyStore {
+  constructor(keysDir = KEYS_DIR) {
+    this.keysDir = keysDir;
+    this.cache = new Map();
+  }
+
+  getFilePath(partyId) {
+    return path.join(this.keysDir, `${partyId}.json`);
+  }
+
+  /**
+   * Load a party's key pair, generating and saving one if needed
+   */
+  getOrCreateKeyPair(partyId) {
+    return this.getKeyPair(partyId) || this.generateKeyPair(partyId);
+  }
+
+  /**
+   * Load a party's key pair, or null if it has none
+   */
+  getKeyPair(partyId) {
+    if (this.cache.has(partyId)) {
+      return this.cache.get(partyId);
+    }
+    const filePath = this.getFilePath(partyId);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    const { privateKeyJwk } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return this.cacheKeyPair(partyId, createPrivateKey({ key: privateKeyJwk, format: 'jwk' }));
+  }
+
+  generateKeyPair(partyId) {
+    const { privateKey } = generateKeyPairSync('ed25519');
+    fs.mkdirSync(this.keysDir, { recursive: true });
+    fs.writeFileSync(
+      this.getFilePath(partyId),
+      JSON.stringify({ partyId, privateKeyJwk: privateKey.export({ format: 'jwk' }) }, null, 2),
+      { mode: 0o600 }
+    );
+    console.log(`Generated Ed25519 signing key for party ${partyId}`);
+    return this.cacheKeyPair(partyId, privateKey);
+  }
+
+  cacheKeyPair(partyId, privateKey) {
+    const publicKey = createPublicKey(privateKey);
+    const rawPublicKey = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+    const did = publicKeyToDid(rawPublicKey);
+    const keyPair = {
+      partyId,
+      privateKey,
+      publicKey,
+      did,
+      verificationMethod: `${did}#${did.slice('did:key:'.length)}`
+    };
+    this.cache.set(partyId, keyPair);
+    return keyPair;
+  }
+}
+
+// Export singleton instance
+const keyStore = new KeyStore();
+export default keyStore;
+export { KeyStore };
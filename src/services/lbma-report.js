@@ -0,0 +1,392 @@
+/**
+ * LBMA Report
+ * Supplier evidence aligned with the LBMA Responsible Gold Guidance, built
+ * from each batch's chain of custody and the audit log: origin mines, route,
+ * documents, assays, disputes and risk flags per batch, for a date range and
+ * optionally one supplier
+ *
+ * The same report renders as JSON, CSV (one row per batch) or plain text
+ */
+
+import provenanceService from './provenance.js';
+import { ScreeningStatus } from './screening.js';
+import { parsePeriod, inPeriod, describePeriod, toCsv } from './reporting.js';
+import { EventType, BatchStatus } from '../models/index.js';
+
+const db = (await import('./db-selector.js')).default;
+
+export const ReportFormat = {
+  JSON: 'json',
+  CSV: 'csv',
+  TEXT: 'text'
+};
+
+// Events that move a batch between parties or facilities
+const ROUTE_EVENTS = [EventType.CREATE, EventType.SHIP, EventType.TRANSFER, EventType.RECEIVE];
+
+const CSV_COLUMNS = [
+  'batchId', 'referenceNumber', 'commodityType', 'status', 'verificationStatus',
+  'originMines', 'originCountries', 'suppliers', 'route', 'countries',
+  'weight', 'weightUnit', 'fineGoldKg', 'declaredAssay', 'finalAssay', 'assayCount',
+  'documentCount', 'documentTypes', 'disputeCount', 'openDisputes', 'dueDiligence',
+  'riskFlags', 'auditEntries', 'firstActivity', 'lastActivity'
+];
+
+function round(value, digits = 6) {
+  return Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// Timestamps are ISO strings on most stores and Dates on MongoDB
+function byTime(a, b) {
+  return new Date(a) - new Date(b);
+}
+
+function formatAssay(assay) {
+  return assay ? `${assay.value} ${assay.unit}` : '';
+}
+
+function placeName(place) {
+  return place.facility?.name || place.party?.name || null;
+}
+
+class LbmaReportService {
+  constructor(store = db, provenance = provenanceService) {
+    this.store = store;
+    this.provenance = provenance;
+  }
+
+  /**
+   * Report over batches with activity between `from` and `to` (ISO dates,
+   * both optional); `supplier` is a party ID or legal name and keeps batches
+   * mined at one of its facilities or handed on by it
+   */
+  async generate({ from = null, to = null, supplier = null } = {}) {
+    const period = parsePeriod(from, to);
+    const supplierParty = supplier ? await this.findSupplier(supplier) : null;
+
+    // One read of the events decides which batches are in the period; the
+    // chain of custody is only built for those
+    const activity = new Map();
+    for (const event of await this.store.getAllEvents()) {
+      if (!activity.has(event.batchId)) activity.set(event.batchId, []);
+      activity.get(event.batchId).push(event.eventTimestamp);
+    }
+
+    const batches = [];
+    for (const batch of await this.store.getAllBatches()) {
+      if (!inPeriod(activity.get(batch.batchId) || [batch.creationTimestamp], period)) continue;
+
+      const custody = await this.provenance.getChainOfCustody(batch.batchId);
+      const entry = await this.batchEntry(batch, custody);
+      if (supplierParty && !entry.suppliers.some(s => s.id === supplierParty.partyId)) continue;
+      batches.push(entry);
+    }
+    batches.sort((a, b) => byTime(a.firstActivity, b.firstActivity));
+
+    return {
+      report: 'LBMA Responsible Gold Guidance supplier report',
+      generatedAt: new Date().toISOString(),
+      period: describePeriod(period),
+      supplier: supplierParty ? {
+        id: supplierParty.partyId,
+        name: supplierParty.legalName,
+        type: supplierParty.partyType,
+        country: supplierParty.country
+      } : null,
+      summary: this.summarize(batches),
+      batches
+    };
+  }
+
+  async findSupplier(supplier) {
+    const byId = await this.store.getParty(supplier);
+    if (byId) return byId;
+    const name = supplier.trim().toLowerCase();
+    const byName = (await this.store.getAllParties()).filter(p => p.legalName?.toLowerCase() === name);
+    if (byName.length === 0) {
+      throw new Error(`Supplier ${supplier} not found`);
+    }
+    if (byName.length > 1) {
+      throw new Error(`Several parties are named ${supplier}; use the party ID`);
+    }
+    return byName[0];
+  }
+
+  // ============ BATCH ENTRIES ============
+
+  async batchEntry(batch, custody) {
+    const originMines = await this.originMines(batch);
+    const handedOnBy = custody.timeline
+      .filter(e => [EventType.SHIP, EventType.TRANSFER].includes(e.eventType) && e.from.party)
+      .map(e => e.from.party);
+    const suppliers = new Map();
+    for (const party of [...originMines.map(m => m.owner), ...handedOnBy].filter(Boolean)) {
+      suppliers.set(party.id, party);
+    }
+
+    const disputes = custody.timeline
+      .filter(e => e.eventType === EventType.DISPUTE)
+      .map(dispute => {
+        const resolution = custody.timeline.find(e => e.eventType === EventType.RESOLVE && e.relatedEventId === dispute.eventId);
+        return {
+          eventId: dispute.eventId,
+          raisedAt: dispute.timestamp,
+          raisedBy: dispute.from.party?.name || null,
+          reason: dispute.notes,
+          resolved: !!resolution,
+          outcome: resolution?.resolution?.outcome || null,
+          resolvedAt: resolution?.timestamp || null
+        };
+      });
+
+    // Documents linked to the batch and those referenced by its events
+    const documents = new Map();
+    for (const d of [...custody.allDocuments, ...custody.timeline.flatMap(e => e.documents)]) {
+      documents.set(d.id, { id: d.id, type: d.type, fileName: d.fileName, hash: d.hash });
+    }
+
+    const timestamps = custody.timeline.map(e => e.timestamp).sort(byTime);
+    return {
+      batchId: batch.batchId,
+      referenceNumber: batch.externalReferenceNumber,
+      commodityType: batch.commodityType,
+      status: batch.status,
+      verificationStatus: custody.verificationStatus,
+      quantity: batch.quantity,
+      fineGold: custody.batch.normalized.fineGold,
+      parentBatchIds: custody.batch.parentBatchIds,
+      childBatchIds: custody.batch.childBatchIds,
+      originMines,
+      suppliers: [...suppliers.values()],
+      route: custody.timeline
+        .filter(e => ROUTE_EVENTS.includes(e.eventType))
+        .map(e => ({
+          eventType: e.eventType,
+          timestamp: e.timestamp,
+          from: placeName(e.from),
+          to: placeName(e.to),
+          quantity: e.quantity,
+          anchorStatus: e.anchorStatus,
+          txHash: e.txHash || null
+        })),
+      countries: [...new Set((custody.screening?.facilities || []).map(f => f.country).filter(Boolean))],
+      documents: [...documents.values()],
+      assays: custody.assayHistory.map(a => ({
+        assayType: a.assayType,
+        value: a.value,
+        unit: a.unit,
+        timestamp: a.timestamp,
+        assayer: a.assayer?.name || null,
+        withinTolerance: a.reconciliation ? a.reconciliation.withinTolerance : null
+      })),
+      disputes,
+      dueDiligence: {
+        status: custody.dueDiligence.status,
+        openSteps: custody.dueDiligence.openSteps,
+        openHighSeverityFindings: custody.dueDiligence.openHighSeverityFindings
+      },
+      screening: custody.screening?.status || ScreeningStatus.NOT_CONFIGURED,
+      riskFlags: this.riskFlags(batch, custody, originMines, disputes, documents.size),
+      auditTrail: await this.auditTrail(batch, custody),
+      firstActivity: timestamps[0] || batch.creationTimestamp,
+      lastActivity: timestamps[timestamps.length - 1] || batch.creationTimestamp
+    };
+  }
+
+  /**
+   * Mines the gold came from: the origin facilities of the batch's root lots
+   */
+  async originMines(batch) {
+    const mines = new Map();
+    for (const root of await this.provenance.getRootBatches(batch.batchId)) {
+      if (mines.has(root.originFacilityId)) continue;
+      const facility = await this.store.getFacility(root.originFacilityId);
+      if (!facility) continue;
+      const owner = facility.ownerPartyId ? await this.store.getParty(facility.ownerPartyId) : null;
+      mines.set(facility.facilityId, {
+        id: facility.facilityId,
+        name: facility.facilityName,
+        type: facility.facilityType,
+        country: facility.location?.country || null,
+        region: facility.location?.region || null,
+        gps: facility.location?.gps || null,
+        permitIds: facility.identifiers?.permitIds || [],
+        owner: owner ? { id: owner.partyId, name: owner.legalName } : null
+      });
+    }
+    return [...mines.values()];
+  }
+
+  riskFlags(batch, custody, originMines, disputes, documentCount) {
+    const flags = [];
+    for (const facility of custody.screening?.facilities || []) {
+      if (facility.status !== ScreeningStatus.HIGH_RISK) continue;
+      flags.push({
+        type: 'HighRiskArea',
+        message: `${facility.facilityName} (${facility.role}) is in ${facility.matches.map(m => m.name).join(', ')}`
+      });
+    }
+    for (const mine of originMines.filter(m => !m.gps)) {
+      flags.push({ type: 'MineLocationMissing', message: `No GPS position recorded for ${mine.name}` });
+    }
+    if (batch.weightDiscrepancy) {
+      flags.push({ type: 'WeightDiscrepancy', message: `Received weight differs by ${batch.weightDiscrepancy.delta} ${batch.weightDiscrepancy.unit}` });
+    }
+    if (batch.assayDiscrepancy) {
+      flags.push({ type: 'AssayDiscrepancy', message: `Assay differs by ${batch.assayDiscrepancy.variance} ${batch.assayDiscrepancy.unit}` });
+    }
+    const receipts = custody.timeline.filter(e => e.weightReconciliation && !e.weightReconciliation.withinTolerance);
+    if (receipts.length > 0) {
+      flags.push({ type: 'ReceiptOutOfTolerance', message: `${receipts.length} receipt(s) outside weight tolerance` });
+    }
+    const open = disputes.filter(d => !d.resolved);
+    if (open.length > 0 || batch.status === BatchStatus.DISPUTE) {
+      flags.push({ type: 'OpenDispute', message: `${open.length || 1} dispute(s) not resolved` });
+    }
+    if (custody.dueDiligence.status !== 'Closed') {
+      flags.push({ type: 'DueDiligenceOpen', message: `Open steps: ${custody.dueDiligence.openSteps.join(', ')}` });
+    }
+    if (documentCount === 0) {
+      flags.push({ type: 'NoDocuments', message: 'No supporting documents attached' });
+    }
+    return flags;
+  }
+
+  /**
+   * Audit log entries for the batch and its events, oldest first
+   */
+  async auditTrail(batch, custody) {
+    const ids = [batch.batchId, ...custody.timeline.map(e => e.eventId)];
+    const entries = [];
+    for (const id of ids) {
+      entries.push(...await this.store.getAuditLog(id));
+    }
+    return entries
+      .map(({ timestamp, action, entityType, entityId, userId }) => ({ timestamp, action, entityType, entityId, userId }))
+      .sort((a, b) => byTime(a.timestamp, b.timestamp));
+  }
+
+  summarize(batches) {
+    // Consumed lots live on in their child lots, so only the rest are totalled
+    const outputs = batches.filter(b => b.status !== BatchStatus.CONSUMED);
+    return {
+      batchCount: batches.length,
+      suppliers: new Set(batches.flatMap(b => b.suppliers.map(s => s.id))).size,
+      originMines: new Set(batches.flatMap(b => b.originMines.map(m => m.id))).size,
+      fineGoldKg: round(outputs.reduce((sum, b) => sum + (b.fineGold?.weight ?? 0), 0)),
+      highRisk: batches.filter(b => b.riskFlags.some(f => f.type === 'HighRiskArea')).length,
+      disputed: batches.filter(b => b.disputes.length > 0).length,
+      openDueDiligence: batches.filter(b => b.dueDiligence.status !== 'Closed').length,
+      flagged: batches.filter(b => b.riskFlags.length > 0).length
+    };
+  }
+
+  // ============ FORMATS ============
+
+  render(report, format = ReportFormat.JSON) {
+    switch (format) {
+      case ReportFormat.JSON: return JSON.stringify(report, null, 2);
+      case ReportFormat.CSV: return this.toCsv(report);
+      case ReportFormat.TEXT: return this.toText(report);
+      default:
+        throw new Error(`Unknown report format: ${format}. Expected one of ${Object.values(ReportFormat).join(', ')}`);
+    }
+  }
+
+  /**
+   * One row per batch; lists are joined with "; " and the route with " > "
+   */
+  toCsv(report) {
+    const rows = report.batches.map(b => ({
+      batchId: b.batchId,
+      referenceNumber: b.referenceNumber,
+      commodityType: b.commodityType,
+      status: b.status,
+      verificationStatus: b.verificationStatus.status,
+      originMines: b.originMines.map(m => m.name).join('; '),
+      originCountries: [...new Set(b.originMines.map(m => m.country))].join('; '),
+      suppliers: b.suppliers.map(s => s.name).join('; '),
+      route: b.route.map(r => r.to || r.from).filter((place, i, all) => place && place !== all[i - 1]).join(' > '),
+      countries: b.countries.join('; '),
+      weight: b.quantity.weight,
+      weightUnit: b.quantity.unit,
+      fineGoldKg: b.fineGold?.weight ?? '',
+      declaredAssay: formatAssay(b.assays.find(a => a.assayType === 'Declared')),
+      finalAssay: formatAssay(b.assays.filter(a => a.assayType !== 'Declared').pop()),
+      assayCount: b.assays.length,
+      documentCount: b.documents.length,
+      documentTypes: [...new Set(b.documents.map(d => d.type))].join('; '),
+      disputeCount: b.disputes.length,
+      openDisputes: b.disputes.filter(d => !d.resolved).length,
+      dueDiligence: b.dueDiligence.status,
+      riskFlags: b.riskFlags.map(f => f.type).join('; '),
+      auditEntries: b.auditTrail.length,
+      firstActivity: b.firstActivity,
+      lastActivity: b.lastActivity
+    }));
+    return toCsv(CSV_COLUMNS, rows);
+  }
+
+  toText(report) {
+    const lines = [];
+    const rule = '='.repeat(72);
+    const { summary, period } = report;
+    lines.push(rule, report.report.toUpperCase(), rule);
+    lines.push(`Generated: ${report.generatedAt}`);
+    lines.push(`Period:    ${period.from || 'start'} to ${period.to || 'now'}`);
+    if (report.supplier) {
+      lines.push(`Supplier:  ${report.supplier.name} (${report.supplier.type}, ${report.supplier.country})`);
+    }
+    lines.push('');
+    lines.push(`Batches: ${summary.batchCount}   Suppliers: ${summary.suppliers}   Origin mines: ${summary.originMines}`);
+    lines.push(`Fine gold in current lots: ${summary.fineGoldKg} kg`);
+    lines.push(`Flagged: ${summary.flagged}   High risk: ${summary.highRisk}   Disputed: ${summary.disputed}   Due diligence open: ${summary.openDueDiligence}`);
+
+    for (const b of report.batches) {
+      lines.push('', '-'.repeat(72));
+      lines.push(`${b.referenceNumber} (${b.batchId})`);
+      lines.push(`  ${b.commodityType}, ${b.quantity.weight} ${b.quantity.unit}` +
+        (b.fineGold ? `, fine gold ${b.fineGold.weight} kg` : '') + `, status ${b.status}`);
+      lines.push(`  Verification: ${b.verificationStatus.status} - ${b.verificationStatus.message}`);
+      lines.push('  Origin:');
+      for (const m of b.originMines) {
+        const gps = m.gps ? ` [${m.gps.lat}, ${m.gps.lng}]` : '';
+        lines.push(`    ${m.name}, ${[m.region, m.country].filter(Boolean).join(', ')}${gps}` + (m.owner ? ` - ${m.owner.name}` : ''));
+      }
+      lines.push(`  Suppliers: ${b.suppliers.map(s => s.name).join(', ') || '-'}`);
+      lines.push('  Route:');
+      for (const r of b.route) {
+        const places = [r.from, r.to].filter(Boolean).join(' -> ');
+        lines.push(`    ${r.timestamp}  ${r.eventType.padEnd(8)} ${places}`);
+      }
+      lines.push(`  Countries: ${b.countries.join(', ') || '-'}`);
+      lines.push(`  Documents (${b.documents.length}):`);
+      for (const d of b.documents) {
+        lines.push(`    ${d.type}: ${d.fileName} sha256:${d.hash}`);
+      }
+      lines.push('  Assays:');
+      for (const a of b.assays) {
+        const check = a.withinTolerance == null ? '' : (a.withinTolerance ? ' (within tolerance)' : ' (OUT OF TOLERANCE)');
+        lines.push(`    ${a.assayType.padEnd(8)} ${a.value} ${a.unit}${a.assayer ? ` by ${a.assayer}` : ''}${check}`);
+      }
+      lines.push(`  Disputes (${b.disputes.length}):`);
+      for (const d of b.disputes) {
+        lines.push(`    ${d.raisedAt}  ${d.reason}` + (d.resolved ? ` - ${d.outcome} ${d.resolvedAt}` : ' - OPEN'));
+      }
+      lines.push(`  Due diligence: ${b.dueDiligence.status}` +
+        (b.dueDiligence.openSteps.length ? ` (open: ${b.dueDiligence.openSteps.join(', ')})` : ''));
+      lines.push(`  Risk flags (${b.riskFlags.length}):`);
+      for (const f of b.riskFlags) {
+        lines.push(`    ${f.type}: ${f.message}`);
+      }
+      lines.push(`  Audit log: ${b.auditTrail.length} entries, last ${b.auditTrail.at(-1)?.timestamp || '-'}`);
+    }
+    lines.push('');
+    return lines.join('\n');
+  }
+}
+
+// Export singleton instance
+const lbmaReportService = new LbmaReportService();
+export default lbmaReportService;
+export { LbmaReportService };
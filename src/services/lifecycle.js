@@ -0,0 +1,99 @@
+/**
+ * Batch Lifecycle
+ * Declarative state machine over BatchStatus × EventType
+ * Every record method checks this table before hashing and anchoring
+ */
+
+import { BatchStatus, EventType } from '../models/index.js';
+
+// Target markers for transitions that don't name a fixed status
+const KEEP = 'keep';       // Event is recorded, status unchanged
+const RESTORE = 'restore'; // Return to the status held before the dispute
+
+/**
+ * Allowed events per status and the status each one leads to
+ * Statuses without entries (Closed, Consumed) are terminal
+ */
+export const TRANSITIONS = {
+  [BatchStatus.CREATED]: {
+    [EventType.SHIP]: BatchStatus.IN_TRANSIT,
+    [EventType.TRANSFER]: KEEP,
+    [EventType.INSPECT_TEST]: KEEP,
+    [EventType.ASSAY_FINALIZED]: KEEP,
+    [EventType.DISPUTE]: BatchStatus.DISPUTE,
+    [EventType.SPLIT]: BatchStatus.CONSUMED,
+    [EventType.MERGE]: BatchStatus.CONSUMED
+  },
+  [BatchStatus.IN_TRANSIT]: {
+    [EventType.TRANSFER]: KEEP,
+    [EventType.RECEIVE]: BatchStatus.RECEIVED,
+    [EventType.INSPECT_TEST]: KEEP,
+    [EventType.DISPUTE]: BatchStatus.DISPUTE
+  },
+  [BatchStatus.RECEIVED]: {
+    [EventType.SHIP]: BatchStatus.IN_TRANSIT,
+    [EventType.TRANSFER]: KEEP,
+    [EventType.INSPECT_TEST]: KEEP,
+    [EventType.ASSAY_FINALIZED]: KEEP,
+    [EventType.DISPUTE]: BatchStatus.DISPUTE,
+    [EventType.SPLIT]: BatchStatus.CONSUMED,
+    [EventType.MERGE]: BatchStatus.CONSUMED
+  },
+  [BatchStatus.DISPUTE]: {
+    [EventType.INSPECT_TEST]: KEEP,
+    [EventType.ASSAY_FINALIZED]: KEEP, // Umpire assays settle assay disputes
+    [EventType.RESOLVE]: RESTORE
+  },
+  [BatchStatus.CLOSED]: {},
+  [BatchStatus.CONSUMED]: {}
+};
+
+/**
+ * Raised when an event is not allowed in the batch's current status
+ */
+export class InvalidTransitionError extends Error {
+  constructor(batch, eventType) {
+    super(`Cannot record ${eventType} on batch ${batch.batchId} in status ${batch.status}`);
+    this.name = 'InvalidTransitionError';
+    this.code = 'INVALID_TRANSITION';
+    this.batchId = batch.batchId;
+    this.currentStatus = batch.status;
+    this.eventType = eventType;
+    this.allowedActions = getAllowedActions(batch);
+  }
+}
+
+/**
+ * Event types that may be recorded next on a batch
+ */
+export function getAllowedActions(batch) {
+  return Object.keys(TRANSITIONS[batch.status] || {});
+}
+
+export function canTransition(batch, eventType) {
+  return getAllowedActions(batch).includes(eventType);
+}
+
+/**
+ * Throw InvalidTransitionError unless the event is allowed
+ */
+export function assertTransition(batch, eventType) {
+  if (!canTransition(batch, eventType)) {
+    throw new InvalidTransitionError(batch, eventType);
+  }
+}
+
+/**
+ * Status a batch moves to after recording the given event
+ */
+export function nextStatus(batch, eventType) {
+  assertTransition(batch, eventType);
+  const target = TRANSITIONS[batch.status][eventType];
+  if (target === KEEP) {
+    return batch.status;
+  }
+  if (target === RESTORE) {
+    return batch.preDisputeStatus || BatchStatus.CREATED;
+  }
+  return target;
+}
@@ -0,0 +1,62 @@
+/**
+ * Merkle Tree Utilities
+ * Builds Keccak-256 Merkle trees over bytes32 leaves for batched anchoring
+ * Pairs are hashed in sorted order (OpenZeppelin MerkleProof compatible),
+ * so a proof is just the list of sibling hashes from leaf to root
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * Hash two nodes in sorted order
+ */
+function hashPair(a, b) {
+  const [left, right] = a.toLowerCase() <= b.toLowerCase() ? [a, b] : [b, a];
+  return ethers.keccak256(ethers.concat([left, right]));
+}
+
+/**
+ * Build a Merkle tree from bytes32 hex leaves
+ * An odd node at the end of a layer is promoted unchanged
+ */
+export function buildMerkleTree(leaves) {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  return { root: layers[layers.length - 1][0], layers };
+}
+
+/**
+ * Sibling hashes proving the leaf at `index` is part of the tree
+ */
+export function getMerkleProof(tree, index) {
+  const proof = [];
+  for (let level = 0; level < tree.layers.length - 1; level++) {
+    const layer = tree.layers[level];
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layer.length) {
+      proof.push(layer[sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+/**
+ * Recompute the root from a leaf and its proof
+ */
+export function verifyMerkleProof(leaf, proof, root) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leaf);
+  return computed.toLowerCase() === root.toLowerCase();
+}
@@ -5,6 +5,11 @@
 
 import mongoose from 'mongoose';
 import { v4 as uuidv4 } from 'uuid';
+import { currentUserId } from './request-context.js';
+import { checkOperations } from './unit-of-work.js';
+
+// Queries inside connection.transaction() pick up its session automatically
+mongoose.set('transactionAsyncLocalStorage', true);
 
 // ============ SCHEMAS ============
 
@@ -38,6 +43,10 @@ const FacilitySchema = new mongoose.Schema({
   location: {
     country: { type: String, required: true },
     region: { type: String },
+    gps: {
+      lat: { type: Number },
+      lng: { type: Number }
+    },
     gpsLat: { type: Number },
     gpsLng: { type: Number }
   },
@@ -66,12 +75,28 @@ const BatchSchema = new mongoose.Schema({
   status: { 
     type: String, 
     required: true,
-    enum: ['Created', 'InTransit', 'Received', 'Closed', 'Dispute'],
+    enum: ['Created', 'InTransit', 'Received', 'Closed', 'Dispute', 'Consumed'],
     default: 'Created'
   },
   parentBatchIds: [{ type: String, ref: 'Batch' }],
+  childBatchIds: [{ type: String, ref: 'Batch' }],
+  pendingReceiverPartyId: { type: String, ref: 'Party' },
+  preDisputeStatus: { type: String },
+  finalAssay: {
+    value: { type: Number },
+    unit: { type: String },
+    assayType: { type: String, enum: ['Final', 'Umpire', 'Adjusted'] },
+    eventId: { type: String }
+  },
+  weightDiscrepancy: { type: mongoose.Schema.Types.Mixed },
+  assayDiscrepancy: { type: mongoose.Schema.Types.Mixed },
+  dueDiligence: { type: mongoose.Schema.Types.Mixed },
+  hashAlgorithm: { type: String, enum: ['sha256', 'keccak256', 'sha3-256'] },
   notes: { type: String },
   batchHash: { type: String },
+  anchorStatus: { type: String, enum: ['PENDING_ANCHOR', 'ANCHORED', 'ANCHOR_FAILED'] },
+  onChainTxHash: { type: String },
+  blockNumber: { type: Number },
   createdAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
@@ -80,7 +105,7 @@ const EventSchema = new mongoose.Schema({
   eventType: { 
     type: String, 
     required: true,
-    enum: ['Create', 'Transfer', 'Ship', 'Receive', 'InspectTest', 'AssayFinalized', 'Dispute', 'Resolve']
+    enum: ['Create', 'Transfer', 'Ship', 'Receive', 'InspectTest', 'AssayFinalized', 'Dispute', 'Resolve', 'Split', 'Merge']
   },
   eventTimestamp: { type: Date, default: Date.now },
   batchId: { type: String, required: true, ref: 'Batch' },
@@ -93,8 +118,36 @@ const EventSchema = new mongoose.Schema({
     unit: { type: String }
   },
   references: [{ type: String, ref: 'Document' }],
+  relatedBatchIds: [{ type: String, ref: 'Batch' }],
+  relatedEventId: { type: String, ref: 'Event' },
+  resolution: {
+    outcome: { type: String, enum: ['Upheld', 'Rejected', 'WeightAdjusted', 'AssayAdjusted'] },
+    adjustedWeight: { type: Number },
+    adjustedAssay: {
+      value: { type: Number },
+      unit: { type: String }
+    }
+  },
+  assay: {
+    value: { type: Number },
+    unit: { type: String },
+    assayType: { type: String, enum: ['Final', 'Umpire'] }
+  },
+  weightReconciliation: { type: mongoose.Schema.Types.Mixed },
+  assayReconciliation: { type: mongoose.Schema.Types.Mixed },
+  epcis: { type: mongoose.Schema.Types.Mixed }, // Partner eventID and eventTime of captured EPCIS events
+  sequenceNumber: { type: Number },
+  previousEventHash: { type: String },
+  hashAlgorithm: { type: String, enum: ['sha256', 'keccak256', 'sha3-256'] },
   eventPayloadHash: { type: String },
+  anchorStatus: { type: String, enum: ['PENDING_ANCHOR', 'ANCHORED', 'ANCHOR_FAILED'] },
   onChainTxHash: { type: String },
+  merkleProof: {
+    rootId: { type: String },
+    root: { type: String },
+    leaf: { type: String },
+    proof: [{ type: String }]
+  },
   blockNumber: { type: Number },
   chainId: { type: Number },
   notes: { type: String },
@@ -128,25 +181,71 @@ const CredentialSchema = new mongoose.Schema({
   credentialType: { 
     type: String, 
     required: true,
-    enum: ['OriginProof', 'ComplianceAttestation', 'AssayAttestation']
+    enum: ['OriginProof', 'ComplianceAttestation', 'AssayAttestation', 'ProvenanceCertificate']
   },
   issuerPartyId: { type: String, required: true, ref: 'Party' },
   subjectBatchId: { type: String, ref: 'Batch' },
   subjectFacilityId: { type: String, ref: 'Facility' },
   claimsSummary: { type: String },
   supportingDocumentIds: [{ type: String, ref: 'Document' }],
-  signaturePlaceholder: { type: String, default: 'issuer asserted' },
+  issuedAt: { type: String },
+  validUntil: { type: String },
+  // Signed W3C VC, stored verbatim so its proof stays verifiable
+  verifiableCredential: { type: mongoose.Schema.Types.Mixed },
   createdAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
 const UserSchema = new mongoose.Schema({
   userId: { type: String, required: true, unique: true, default: () => uuidv4() },
+  username: { type: String, required: true, unique: true },
+  passwordHash: { type: String, required: true },
   partyId: { type: String, ref: 'Party' },
-  role: { type: String, required: true },
+  role: {
+    type: String,
+    required: true,
+    enum: ['Admin', 'Operator', 'Viewer', 'Auditor']
+  },
   allowedBatchIds: [{ type: String, ref: 'Batch' }],
   createdAt: { type: Date, default: Date.now }
 }, { timestamps: true });
 
+const AnchorSchema = new mongoose.Schema({
+  anchorId: { type: String, required: true, unique: true }, // e.g. event:<eventId>, merkle:<root id>
+  hash: { type: String, required: true },
+  txHash: { type: String, required: true, index: true },
+  blockNumber: { type: Number },
+  chainId: { type: Number },
+  logIndex: { type: Number },
+  submittedAt: { type: String },
+  simulated: { type: Boolean, default: false },
+  explorerUrl: { type: String },
+  merkleRootId: { type: String },
+  leafCount: { type: Number }
+}, { timestamps: true });
+
+const AnchorOutboxSchema = new mongoose.Schema({
+  anchorId: { type: String, required: true, unique: true }, // event:<eventId> or batch:<batchId>
+  kind: { type: String, enum: ['batch', 'event'], required: true },
+  entityId: { type: String, required: true },
+  batchId: { type: String },
+  eventType: { type: String },
+  hash: { type: String, required: true },
+  status: { type: String, enum: ['PENDING_ANCHOR', 'ANCHOR_FAILED'], index: true },
+  requiresLive: { type: Boolean, default: false },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: String },
+  lastError: { type: String },
+  createdAt: { type: String },
+  updatedAt: { type: String }
+});
+
+// Prior versions of the records a unit of work touches, kept while it is
+// applied on servers without transactions (standalone mongod)
+const UnitOfWorkJournalSchema = new mongoose.Schema({
+  before: { type: mongoose.Schema.Types.Mixed, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
 const AuditLogSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now },
   action: { type: String, required: true },
@@ -165,6 +264,20 @@ const Event = mongoose.model('Event', EventSchema);
 const Document = mongoose.model('Document', DocumentSchema);
 const Credential = mongoose.model('Credential', CredentialSchema);
 const User = mongoose.model('User', UserSchema);
+const Anchor = mongoose.model('Anchor', AnchorSchema);
+const AnchorOutbox = mongoose.model('AnchorOutbox', AnchorOutboxSchema);
+const UnitOfWorkJournal = mongoose.model('UnitOfWorkJournal', UnitOfWorkJournalSchema);
+
+// Model and key field each unit of work operation writes
+const UNIT_OF_WORK_TARGETS = {
+  saveBatch: [Batch, 'batchId'],
+  updateBatch: [Batch, 'batchId'],
+  saveEvent: [Event, 'eventId'],
+  updateEvent: [Event, 'eventId'],
+  updateDocument: [Document, 'documentId'],
+  saveOutboxEntry: [AnchorOutbox, 'anchorId'],
+  deleteOutboxEntry: [AnchorOutbox, 'anchorId']
+};
 const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
 
 // ============ DATABASE CLASS ============
@@ -172,6 +285,7 @@ const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
 class MongoDatabase {
   constructor() {
     this.connected = false;
+    this.supportsTransactions = false;
   }
 
   async connect(mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/gold-provenance') {
@@ -179,6 +293,14 @@ class MongoDatabase {
       await mongoose.connect(mongoUri);
       this.connected = true;
       console.log('Connected to MongoDB:', mongoUri);
+
+      // Transactions need a replica set or a sharded cluster
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      this.supportsTransactions = !!hello.setName || hello.msg === 'isdbgrid';
+      if (!this.supportsTransactions) {
+        console.warn('MongoDB is standalone: units of work use an undo journal instead of transactions');
+      }
+      await this.recoverJournal();
       return { success: true };
     } catch (error) {
       console.error('MongoDB connection error:', error.message);
@@ -196,7 +318,7 @@ class MongoDatabase {
 
   // ============ AUDIT LOG ============
   
-  async logAction(action, entityType, entityId, data, userId = 'system') {
+  async logAction(action, entityType, entityId, data, userId = currentUserId()) {
     try {
       await AuditLog.create({
         action,
@@ -304,6 +426,16 @@ class MongoDatabase {
     return event.toObject();
   }
 
+  async updateEvent(eventData) {
+    const event = await Event.findOneAndUpdate(
+      { eventId: eventData.eventId },
+      eventData,
+      { new: true }
+    ).lean();
+    await this.logAction('UPDATE', 'Event', event.eventId, event);
+    return event;
+  }
+
   async getEvent(eventId) {
     return await Event.findOne({ eventId }).lean();
   }
@@ -324,6 +456,16 @@ class MongoDatabase {
     return document.toObject();
   }
 
+  async updateDocument(documentData) {
+    const document = await Document.findOneAndUpdate(
+      { documentId: documentData.documentId },
+      documentData,
+      { new: true }
+    ).lean();
+    await this.logAction('UPDATE', 'Document', document.documentId, document);
+    return document;
+  }
+
   async getDocument(documentId) {
     return await Document.findOne({ documentId }).lean();
   }
@@ -360,7 +502,7 @@ class MongoDatabase {
   
   async saveUser(userData) {
     const user = await User.create(userData);
-    await this.logAction('CREATE', 'User', user.userId, user);
+    await this.logAction('CREATE', 'User', user.userId, { ...user.toObject(), passwordHash: '[REDACTED]' });
     return user.toObject();
   }
 
@@ -368,6 +510,10 @@ class MongoDatabase {
     return await User.findOne({ userId }).lean();
   }
 
+  async getUserByUsername(username) {
+    return await User.findOne({ username }).lean();
+  }
+
   async getAllUsers() {
     return await User.find().lean();
   }
@@ -376,6 +522,117 @@ class MongoDatabase {
     return await User.find({ partyId }).lean();
   }
 
+  // ============ ANCHORS ============
+
+  async saveAnchor(anchorData) {
+    return await Anchor.findOneAndUpdate(
+      { anchorId: anchorData.anchorId },
+      anchorData,
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  async getAnchor(anchorId) {
+    return await Anchor.findOne({ anchorId }).lean();
+  }
+
+  async getAnchorsByTxHash(txHash) {
+    return await Anchor.find({ txHash }).lean();
+  }
+
+  async getAllAnchors() {
+    return await Anchor.find().lean();
+  }
+
+  // ============ ANCHOR OUTBOX ============
+
+  async saveOutboxEntry(entry) {
+    return await AnchorOutbox.findOneAndUpdate(
+      { anchorId: entry.anchorId },
+      entry,
+      { upsert: true, new: true }
+    ).lean();
+  }
+
+  async getOutboxEntry(anchorId) {
+    return await AnchorOutbox.findOne({ anchorId }).lean();
+  }
+
+  async getOutboxEntries(status = null) {
+    return await AnchorOutbox.find(status ? { status } : {}).sort({ createdAt: 1 }).lean();
+  }
+
+  async deleteOutboxEntry(anchorId) {
+    const result = await AnchorOutbox.deleteOne({ anchorId });
+    return result.deletedCount > 0;
+  }
+
+  // ============ UNIT OF WORK ============
+
+  /**
+   * Apply a unit of work in a session transaction. Standalone servers have
+   * no transactions: there the records' prior versions are journaled first
+   * and restored if an operation fails or the process dies half-way
+   */
+  async commitUnitOfWork(operations) {
+    checkOperations(operations);
+    if (this.supportsTransactions) {
+      await mongoose.connection.transaction(async () => {
+        for (const { method, arg } of operations) {
+          await this[method](arg);
+        }
+      });
+      return;
+    }
+
+    const before = [];
+    for (const { method, arg } of operations) {
+      const [Model, key] = UNIT_OF_WORK_TARGETS[method];
+      const value = typeof arg === 'string' ? arg : arg[key];
+      before.push({ model: Model.modelName, key, value, document: await Model.findOne({ [key]: value }).lean() });
+    }
+    const journal = await UnitOfWorkJournal.create({ before });
+    try {
+      for (const { method, arg } of operations) {
+        await this[method](arg);
+      }
+    } catch (error) {
+      await this.rollBack(before);
+      await UnitOfWorkJournal.deleteOne({ _id: journal._id });
+      throw error;
+    }
+    await UnitOfWorkJournal.deleteOne({ _id: journal._id });
+  }
+
+  /**
+   * Restore journaled prior versions, latest operation first
+   */
+  async rollBack(before) {
+    for (const { model, key, value, document } of [...before].reverse()) {
+      const Model = mongoose.model(model);
+      if (document) {
+        await Model.replaceOne({ [key]: value }, document, { upsert: true });
+      } else {
+        await Model.deleteOne({ [key]: value });
+      }
+    }
+  }
+
+  /**
+   * Roll back units of work interrupted by a crash
+   */
+  async recoverJournal() {
+    const journals = await UnitOfWorkJournal.find().sort({ createdAt: -1 }).lean();
+    for (const journal of journals) {
+      await this.rollBack(journal.before);
+      await UnitOfWorkJournal.deleteOne({ _id: journal._id });
+    }
+    if (journals.length > 0) {
+      console.log(`Rolled back ${journals.length} interrupted unit(s) of work`);
+    }
+    return journals.length;
+  }
+
   // ============ UTILITY ============
   
   async clearAll() {
@@ -386,6 +643,9 @@ class MongoDatabase {
     await Document.deleteMany({});
     await Credential.deleteMany({});
     await User.deleteMany({});
+    await Anchor.deleteMany({});
+    await AnchorOutbox.deleteMany({});
+    await UnitOfWorkJournal.deleteMany({});
     await AuditLog.deleteMany({});
     console.log('All collections cleared');
   }
@@ -399,6 +659,8 @@ class MongoDatabase {
       documents: await Document.countDocuments(),
       credentials: await Credential.countDocuments(),
       users: await User.countDocuments(),
+      anchors: await Anchor.countDocuments(),
+      anchorOutbox: await AnchorOutbox.countDocuments(),
       auditLogs: await AuditLog.countDocuments()
     };
   }
@@ -0,0 +1,316 @@
+/**
+ * PDF
+ * Minimal PDF writer for printable reports: text in the standard Helvetica
+ * and Courier fonts laid out top to bottom with wrapping and page breaks,
+ * rules, a footer per page, document information and embedded files.
+ * Built locally with no PDF library; text is WinAnsi encoded
+ */
+
+import { createHash } from 'crypto';
+
+// A4 in points
+export const PAGE_SIZE = { width: 595.28, height: 841.89 };
+
+export const Font = {
+  REGULAR: 'Helvetica',
+  BOLD: 'Helvetica-Bold',
+  MONO: 'Courier'
+};
+
+const FONT_KEYS = {
+  [Font.REGULAR]: 'F1',
+  [Font.BOLD]: 'F2',
+  [Font.MONO]: 'F3'
+};
+
+// Glyph widths per 1000 units for ASCII 32-126, from the standard font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding has codes for
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‰': 0x89, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+/**
+ * Text as WinAnsi bytes in a binary string; other characters become `?`
+ */
+function winAnsi(text) {
+  let out = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char]) {
+      out += String.fromCharCode(WIN_ANSI[char]);
+    } else if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) {
+      out += char;
+    } else {
+      out += '?';
+    }
+  }
+  return out;
+}
+
+/**
+ * PDF literal string
+ */
+function pdfString(text) {
+  return `(${winAnsi(text).replace(/[\\()]/g, c => `\\${c}`)})`;
+}
+
+function pdfName(name) {
+  return '/' + String(name).replace(/[^A-Za-z0-9_.-]/g, c => `#${c.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+function pdfDate(date) {
+  return `D:${new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Width of a line of text in points
+ */
+export function textWidth(text, font, size) {
+  if (font === Font.MONO) {
+    return [...String(text)].length * 600 * size / 1000;
+  }
+  const widths = font === Font.BOLD ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let units = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return units * size / 1000;
+}
+
+/**
+ * Break text into lines no wider than `width`, at spaces where possible
+ * and anywhere in words (such as hashes) that do not fit on a line
+ */
+export function wrapText(text, font, size, width) {
+  const lines = [];
+  for (const paragraph of String(text ?? '').split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = '';
+      let rest = word;
+      while (textWidth(rest, font, size) > width) {
+        let cut = rest.length;
+        while (cut > 1 && textWidth(rest.slice(0, cut), font, size) > width) cut--;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+class PdfDocument {
+  /**
+   * `info` is the document information dictionary (Title, Author, Subject,
+   * Keywords and any custom keys); `footer(pageNumber, pageCount)` gives the
+   * footer text of each page
+   */
+  constructor({ info = {}, margin = 50, footer = null, createdAt = new Date() } = {}) {
+    this.info = info;
+    this.margin = margin;
+    this.footer = footer;
+    this.createdAt = createdAt;
+    this.pages = [];
+    this.attachments = [];
+    this.addPage();
+  }
+
+  get contentWidth() {
+    return PAGE_SIZE.width - 2 * this.margin;
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    this.y = PAGE_SIZE.height - this.margin;
+    return this;
+  }
+
+  /**
+   * Start a new page unless `height` points are left above the footer
+   */
+  ensureSpace(height) {
+    if (this.y - height < this.margin + 20) {
+      this.addPage();
+    }
+    return this;
+  }
+
+  moveDown(points = 6) {
+    this.y -= points;
+    return this;
+  }
+
+  drawText(x, y, text, { font = Font.REGULAR, size = 10, gray = 0 } = {}) {
+    this.page.push(`BT ${gray} g /${FONT_KEYS[font]} ${size} Tf 1 0 0 1 ${num(x)} ${num(y)} Tm ${pdfString(text)} Tj ET`);
+    return this;
+  }
+
+  /**
+   * Wrapped text at the cursor, moving the cursor below it
+   */
+  text(text, { font = Font.REGULAR, size = 10, gray = 0, indent = 0, width = null, lineGap = 3 } = {}) {
+    const lineHeight = size + lineGap;
+    for (const line of wrapText(text, font, size, width || this.contentWidth - indent)) {
+      this.ensureSpace(lineHeight);
+      this.y -= lineHeight;
+      this.drawText(this.margin + indent, this.y + lineGap, line, { font, size, gray });
+    }
+    return this;
+  }
+
+  /**
+   * One row of columns; `cells` are { text, width, font, size }, widths in
+   * points, and every cell wraps within its column
+   */
+  row(cells, { size = 9, lineGap = 3, gray = 0 } = {}) {
+    const wrapped = cells.map(cell => wrapText(cell.text ?? '', cell.font || Font.REGULAR, cell.size || size, cell.width - 4));
+    const lineHeight = size + lineGap;
+    const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight;
+    this.ensureSpace(height);
+    let x = this.margin;
+    cells.forEach((cell, i) => {
+      wrapped[i].forEach((line, n) => {
+        this.drawText(x, this.y - (n + 1) * lineHeight + lineGap, line, { font: cell.font || Font.REGULAR, size: cell.size || size, gray });
+      });
+      x += cell.width;
+    });
+    this.y -= height;
+    return this;
+  }
+
+  heading(text, { size = 13 } = {}) {
+    this.ensureSpace(size + 30);
+    this.moveDown(10);
+    this.text(text, { font: Font.BOLD, size });
+    this.rule();
+    return this;
+  }
+
+  /**
+   * Horizontal line across the content width at the cursor
+   */
+  rule({ width = 0.5, gray = 0.6 } = {}) {
+    this.moveDown(3);
+    this.page.push(`${gray} G ${width} w ${num(this.margin)} ${num(this.y)} m ${num(PAGE_SIZE.width - this.margin)} ${num(this.y)} l S`);
+    this.moveDown(5);
+    return this;
+  }
+
+  /**
+   * Embed a file, shown by PDF readers as an attachment
+   */
+  attach(fileName, data, { mimeType = 'application/octet-stream', description = null } = {}) {
+    this.attachments.push({ fileName, data: Buffer.from(data), mimeType, description });
+    return this;
+  }
+
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const ref = (id) => `${id} 0 R`;
+    const stream = (dict, data) => [Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`, 'latin1'), data, Buffer.from('\nendstream')];
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const fontIds = Object.entries(FONT_KEYS).map(([font, key]) =>
+      [key, add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`)]);
+    const resources = `<< /Font << ${fontIds.map(([key, id]) => `/${key} ${ref(id)}`).join(' ')} >> >>`;
+
+    const pageIds = this.pages.map((ops, i) => {
+      const footer = this.footer ? this.footer(i + 1, this.pages.length) : null;
+      const footerOps = footer
+        ? [`BT 0.4 g /F1 7 Tf 1 0 0 1 ${num(this.margin)} ${num(this.margin - 20)} Tm ${pdfString(footer)} Tj ET`]
+        : [];
+      const contentId = add(stream('', Buffer.from([...ops, ...footerOps].join('\n'), 'latin1')));
+      return add(`<< /Type /Page /Parent ${ref(pagesId)} /MediaBox [0 0 ${PAGE_SIZE.width} ${PAGE_SIZE.height}] /Resources ${resources} /Contents ${ref(contentId)} >>`);
+    });
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(ref).join(' ')}] /Count ${pageIds.length} >>`;
+
+    const fileSpecIds = this.attachments.map(({ fileName, data, mimeType, description }) => {
+      const checksum = createHash('md5').update(data).digest('hex');
+      const fileId = add(stream(
+        `/Type /EmbeddedFile /Subtype ${pdfName(mimeType)} /Params << /Size ${data.length} /ModDate ${pdfString(pdfDate(this.createdAt))} /CheckSum <${checksum}> >>`,
+        data
+      ));
+      return add(`<< /Type /Filespec /F ${pdfString(fileName)} /UF ${pdfString(fileName)} /EF << /F ${ref(fileId)} >> /AFRelationship /Data${description ? ` /Desc ${pdfString(description)}` : ''} >>`);
+    });
+    const names = fileSpecIds.length
+      ? ` /Names << /EmbeddedFiles << /Names [${this.attachments.map((a, i) => `${pdfString(a.fileName)} ${ref(fileSpecIds[i])}`).join(' ')}] >> >> /AF [${fileSpecIds.map(ref).join(' ')}]`
+      : '';
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${ref(pagesId)}${names} >>`;
+
+    const info = {
+      ...this.info,
+      Producer: 'Gold Provenance',
+      CreationDate: pdfDate(this.createdAt)
+    };
+    const infoId = add(`<< ${Object.entries(info).map(([key, value]) => `${pdfName(key)} ${pdfString(value)}`).join(' ')} >>`);
+
+    // Objects, cross-reference table and trailer, with byte offsets
+    const chunks = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = [];
+    objects.forEach((body, i) => {
+      const parts = [
+        Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+        ...(Array.isArray(body) ? body : [Buffer.from(body, 'latin1')]),
+        Buffer.from('\nendobj\n', 'latin1')
+      ];
+      offsets.push(offset);
+      parts.forEach(part => { offset += part.length; });
+      chunks.push(...parts);
+    });
+    const id = createHash('md5').update(Buffer.concat(chunks)).digest('hex');
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${ref(catalogId)} /Info ${ref(infoId)} /ID [<${id}> <${id}>] >>`,
+      'startxref',
+      String(offset),
+      '%%EOF',
+      ''
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+}
+
+export { PdfDocument };
@@ -7,6 +7,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { currentUserId } from './request-context.js';
+import { checkOperations } from './unit-of-work.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,13 +25,18 @@ class PersistentDatabase {
     this.documents = new Map();
     this.credentials = new Map();
     this.users = new Map();
+    this.anchors = new Map();
+    this.anchorOutbox = new Map();
     this.auditLog = [];
+    this.deferredSaves = null; // Collections to write when a unit of work is applied
+    this.pendingWrite = null; // Collections of a journaled unit of work not yet all written
     
     // Ensure data directory exists
     this.ensureDataDir();
     
     // Load existing data from files
     this.loadAll();
+    this.replayJournal();
   }
 
   ensureDataDir() {
@@ -68,15 +75,31 @@ class PersistentDatabase {
     return [];
   }
 
+  /**
+   * Write to a temporary file and rename it over the target, so a crash
+   * mid-write never leaves a truncated file
+   */
+  writeFileAtomic(filePath, content) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, filePath);
+  }
+
   saveCollection(collection, map) {
-    const filePath = this.getFilePath(collection);
+    if (this.deferredSaves) {
+      this.deferredSaves.add(collection);
+      return;
+    }
     const data = Object.fromEntries(map);
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    this.writeFileAtomic(this.getFilePath(collection), JSON.stringify(data, null, 2));
   }
 
   saveArray(collection, array) {
-    const filePath = this.getFilePath(collection);
-    fs.writeFileSync(filePath, JSON.stringify(array, null, 2));
+    if (this.deferredSaves) {
+      this.deferredSaves.add(collection);
+      return;
+    }
+    this.writeFileAtomic(this.getFilePath(collection), JSON.stringify(array, null, 2));
   }
 
   loadAll() {
@@ -88,6 +111,8 @@ class PersistentDatabase {
     this.documents = this.loadCollection('documents');
     this.credentials = this.loadCollection('credentials');
     this.users = this.loadCollection('users');
+    this.anchors = this.loadCollection('anchors');
+    this.anchorOutbox = this.loadCollection('anchorOutbox');
     this.auditLog = this.loadArray('auditLog');
     
     console.log(`Loaded: ${this.parties.size} parties, ${this.facilities.size} facilities, ${this.batches.size} batches, ${this.events.size} events`);
@@ -95,7 +120,7 @@ class PersistentDatabase {
 
   // ============ AUDIT LOG ============
   
-  logAction(action, entityType, entityId, data, userId = 'system') {
+  logAction(action, entityType, entityId, data, userId = currentUserId()) {
     this.auditLog.push({
       timestamp: new Date().toISOString(),
       action,
@@ -201,6 +226,13 @@ class PersistentDatabase {
     return event;
   }
 
+  updateEvent(event) {
+    this.events.set(event.eventId, event);
+    this.saveCollection('events', this.events);
+    this.logAction('UPDATE', 'Event', event.eventId, event);
+    return event;
+  }
+
   getEvent(eventId) {
     return this.events.get(eventId) || null;
   }
@@ -208,7 +240,7 @@ class PersistentDatabase {
   getEventsForBatch(batchId) {
     return Array.from(this.events.values())
       .filter(e => e.batchId === batchId)
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      .sort((a, b) => new Date(a.eventTimestamp) - new Date(b.eventTimestamp));
   }
 
   // Compatibility: in-memory DB uses `getEventsByBatch` name
@@ -229,6 +261,13 @@ class PersistentDatabase {
     return document;
   }
 
+  updateDocument(document) {
+    this.documents.set(document.documentId, document);
+    this.saveCollection('documents', this.documents);
+    this.logAction('UPDATE', 'Document', document.documentId, document);
+    return document;
+  }
+
   getDocument(documentId) {
     return this.documents.get(documentId) || null;
   }
@@ -272,13 +311,168 @@ class PersistentDatabase {
   // ============ USERS ============
   
   saveUser(user) {
-    this.users.set(user.username, user);
+    this.users.set(user.userId, user);
     this.saveCollection('users', this.users);
+    this.logAction('CREATE', 'User', user.userId, { ...user, passwordHash: '[REDACTED]' });
     return user;
   }
 
-  getUser(username) {
-    return this.users.get(username) || null;
+  getUser(userId) {
+    return this.users.get(userId) || null;
+  }
+
+  getUserByUsername(username) {
+    return Array.from(this.users.values()).find(u => u.username === username) || null;
+  }
+
+  getAllUsers() {
+    return Array.from(this.users.values());
+  }
+
+  // ============ ANCHORS ============
+
+  saveAnchor(anchor) {
+    this.anchors.set(anchor.anchorId, anchor);
+    this.saveCollection('anchors', this.anchors);
+    return anchor;
+  }
+
+  getAnchor(anchorId) {
+    return this.anchors.get(anchorId) || null;
+  }
+
+  getAnchorsByTxHash(txHash) {
+    return Array.from(this.anchors.values()).filter(a => a.txHash === txHash);
+  }
+
+  getAllAnchors() {
+    return Array.from(this.anchors.values());
+  }
+
+  // ============ ANCHOR OUTBOX ============
+
+  saveOutboxEntry(entry) {
+    this.anchorOutbox.set(entry.anchorId, entry);
+    this.saveCollection('anchorOutbox', this.anchorOutbox);
+    return entry;
+  }
+
+  getOutboxEntry(anchorId) {
+    return this.anchorOutbox.get(anchorId) || null;
+  }
+
+  getOutboxEntries(status = null) {
+    return Array.from(this.anchorOutbox.values())
+      .filter(e => !status || e.status === status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  deleteOutboxEntry(anchorId) {
+    const deleted = this.anchorOutbox.delete(anchorId);
+    this.saveCollection('anchorOutbox', this.anchorOutbox);
+    return deleted;
+  }
+
+  // ============ UNIT OF WORK ============
+
+  getJournalPath() {
+    return path.join(DATA_DIR, 'unitOfWork.journal.json');
+  }
+
+  /**
+   * Apply a unit of work as a journaled write: the operations go to the
+   * journal first, then into the collection files, and the journal is
+   * removed once every file is written
+   */
+  commitUnitOfWork(operations) {
+    checkOperations(operations);
+    // Finish an earlier unit of work whose files were not all written
+    // before its journal is overwritten
+    this.finishPendingWrite();
+
+    const journalPath = this.getJournalPath();
+    this.writeFileAtomic(journalPath, JSON.stringify({ createdAt: new Date().toISOString(), operations }));
+    let collections;
+    try {
+      collections = this.applyInMemory(operations);
+    } catch (error) {
+      // Nothing reached the collection files yet; drop the partly applied in-memory state
+      fs.unlinkSync(journalPath);
+      this.loadAll();
+      throw error;
+    }
+
+    try {
+      this.writeCollections(collections);
+    } catch (error) {
+      // Some collection files may already hold the new records, so the
+      // journal stays: retry the writes now, else replay it on the next start
+      this.pendingWrite = collections;
+      try {
+        this.finishPendingWrite();
+      } catch {
+        throw new Error(`Unit of work journaled but not fully written (${error.message}); it is replayed on the next start`);
+      }
+      return;
+    }
+    fs.unlinkSync(journalPath);
+  }
+
+  /**
+   * Write the collections of a journaled unit of work that failed part way,
+   * then remove its journal
+   */
+  finishPendingWrite() {
+    if (!this.pendingWrite) {
+      return;
+    }
+    this.writeCollections(this.pendingWrite);
+    this.pendingWrite = null;
+    fs.unlinkSync(this.getJournalPath());
+  }
+
+  /**
+   * Apply operations in memory and write each touched collection once
+   */
+  applyOperations(operations) {
+    this.writeCollections(this.applyInMemory(operations));
+  }
+
+  /**
+   * Apply operations in memory, returning the collections they touched
+   */
+  applyInMemory(operations) {
+    this.deferredSaves = new Set();
+    try {
+      operations.forEach(({ method, arg }) => this[method](arg));
+      return this.deferredSaves;
+    } finally {
+      this.deferredSaves = null;
+    }
+  }
+
+  writeCollections(collections) {
+    // The audit log goes last: a replay only repeats its entries if the crash
+    // came after every collection was written
+    [...collections].filter(c => c !== 'auditLog').forEach(collection => this.saveCollection(collection, this[collection]));
+    this.saveArray('auditLog', this.auditLog);
+  }
+
+  /**
+   * Finish a unit of work interrupted by a crash; every operation is a
+   * full-record write or a delete, so replaying one that already reached
+   * disk changes nothing
+   */
+  replayJournal() {
+    const journalPath = this.getJournalPath();
+    if (!fs.existsSync(journalPath)) {
+      return 0;
+    }
+    const { operations } = JSON.parse(fs.readFileSync(journalPath, 'utf-8'));
+    this.applyOperations(checkOperations(operations));
+    fs.unlinkSync(journalPath);
+    console.log(`Replayed an interrupted unit of work (${operations.length} operations)`);
+    return operations.length;
   }
 
   // ============ UTILITY ============
@@ -291,10 +485,12 @@ class PersistentDatabase {
     this.documents.clear();
     this.credentials.clear();
     this.users.clear();
+    this.anchors.clear();
+    this.anchorOutbox.clear();
     this.auditLog = [];
     
     // Delete all JSON files
-    const collections = ['parties', 'facilities', 'batches', 'events', 'documents', 'credentials', 'users', 'auditLog'];
+    const collections = ['parties', 'facilities', 'batches', 'events', 'documents', 'credentials', 'users', 'anchors', 'anchorOutbox', 'auditLog'];
     collections.forEach(col => {
       const filePath = this.getFilePath(col);
       if (fs.existsSync(filePath)) {
@@ -312,6 +508,8 @@ class PersistentDatabase {
       batches: this.batches.size,
       events: this.events.size,
       documents: this.documents.size,
+      anchors: this.anchors.size,
+      anchorOutbox: this.anchorOutbox.size,
       auditLogEntries: this.auditLog.length,
       dataDirectory: DATA_DIR
     };
@@ -321,3 +519,4 @@ class PersistentDatabase {
 // Export singleton instance
 const db = new PersistentDatabase();
 export default db;
+export { PersistentDatabase };
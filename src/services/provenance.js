@@ -7,8 +7,41 @@
 // Use database selector to choose implementation
 const db = (await import('./db-selector.js')).default;
 
-import { computeEventHash, computeBatchHash, hashDocument, verifyDocumentHash } from './hashing.js';
+import { randomBytes } from 'crypto';
+import {
+  computeEventHash,
+  computeBatchHash,
+  hashDocument,
+  verifyDocumentHash,
+  orderEventChain,
+  verifyEventChain,
+  HashAlgorithm,
+  DEFAULT_HASH_ALGORITHM
+} from './hashing.js';
 import anchoringService from './anchoring.js';
+import anchoringOutbox from './anchoring-outbox.js';
+import { UnitOfWork } from './unit-of-work.js';
+import { withBatchLock, withBatchLocks } from './batch-locks.js';
+import keyStore from './keys.js';
+import { hashPassword, verifyPassword } from './auth.js';
+import { buildCredential, signCredential, verifyCredentialProof, VC_CONTEXT } from './credentials.js';
+import { buildProductPassport, buildTraceabilityEvent, urn } from './untp.js';
+import { certificateSubject, certificatePayloadHash, changedSections } from './certificate.js';
+import { assertTransition, canTransition, nextStatus, getAllowedActions } from './lifecycle.js';
+import reconciliationService, { ToleranceAction } from './reconciliation.js';
+import screeningService, { ScreeningStatus } from './screening.js';
+import dueDiligenceService from './due-diligence.js';
+import {
+  WeightUnit,
+  AssayUnit,
+  requireWeightUnit,
+  requireAssayUnit,
+  assayUnit,
+  convertWeight,
+  convertAssay,
+  currentAssay,
+  normalizeBatch
+} from './units.js';
 import {
   createParty,
   createFacility,
@@ -16,10 +49,68 @@ import {
   createEvent,
   createDocument,
   createCredential,
+  createUser,
   EventType,
-  BatchStatus
+  BatchStatus,
+  ResolutionOutcome,
+  AssayType,
+  CredentialType,
+  UserRole,
+  AnchorStatus
 } from '../models/index.js';
 
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * User record without its password hash, safe to return from the API
+ */
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, _id, __v, ...rest } = user;
+  return rest;
+}
+
+/**
+ * Anchor registry record as shown in the chain of custody
+ */
+function summarizeAnchor(record) {
+  if (!record) return null;
+  return {
+    hash: record.hash,
+    txHash: record.txHash,
+    blockNumber: record.blockNumber,
+    chainId: record.chainId,
+    logIndex: record.logIndex,
+    submittedAt: record.submittedAt,
+    simulated: record.simulated,
+    merkleRootId: record.merkleRootId || null,
+    explorerUrl: record.explorerUrl
+  };
+}
+
+// Tolerance for floating point weight sums in split/merge
+const WEIGHT_EPSILON = 1e-6;
+
+function weightsMatch(a, b) {
+  return Math.abs(a - b) <= WEIGHT_EPSILON;
+}
+
+/**
+ * Weight-averaged assay of merged batches, in the first parent's assay unit
+ * `weights` are the parents' weights in one unit; returns null unless every
+ * parent has an assay in a known unit
+ */
+function weightedAssay(batches, weights) {
+  const assays = batches.map(currentAssay);
+  if (assays.some(a => !a || a.value == null || !assayUnit(a.unit))) {
+    return null;
+  }
+  const unit = assays[0].unit;
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const value = assays.reduce((sum, a, i) => sum + convertAssay(a.value, a.unit, unit) * weights[i], 0) / totalWeight;
+  return { value, unit };
+}
+
 class ProvenanceService {
   
   // ============ PARTY MANAGEMENT ============
@@ -37,6 +128,69 @@ class ProvenanceService {
     return db.getAllParties();
   }
 
+  // ============ USER MANAGEMENT ============
+
+  async registerUser({ username, password, role, partyId = null, allowedBatchIds = [] }) {
+    if (!username || !password) {
+      throw new Error('Username and password are required');
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (!Object.values(UserRole).includes(role)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+    if (await db.getUserByUsername(username)) {
+      throw new Error(`Username already taken: ${username}`);
+    }
+    if (partyId && !(await db.getParty(partyId))) {
+      throw new Error('Party not found');
+    }
+    if (role === UserRole.OPERATOR && !partyId) {
+      throw new Error('Operators must belong to a party');
+    }
+
+    const user = createUser({ username, passwordHash: hashPassword(password), role, partyId, allowedBatchIds });
+    return publicUser(await db.saveUser(user));
+  }
+
+  /**
+   * Check a username and password, returning the user or null
+   */
+  async authenticateUser(username, password) {
+    const user = await db.getUserByUsername(username);
+    if (!user || !verifyPassword(password || '', user.passwordHash)) {
+      return null;
+    }
+    return publicUser(user);
+  }
+
+  async getUser(userId) {
+    return publicUser(await db.getUser(userId));
+  }
+
+  async getAllUsers() {
+    return (await db.getAllUsers()).map(publicUser);
+  }
+
+  /**
+   * Create the first Admin when no users exist yet
+   * Uses ADMIN_USERNAME/ADMIN_PASSWORD, or prints a generated password once
+   */
+  async bootstrapAdmin() {
+    if ((await db.getAllUsers()).length > 0) {
+      return null;
+    }
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || randomBytes(12).toString('base64url');
+    const admin = await this.registerUser({ username, password, role: UserRole.ADMIN });
+    console.log(` Created admin user "${username}"`);
+    if (!process.env.ADMIN_PASSWORD) {
+      console.log(` Generated admin password: ${password}`);
+    }
+    return admin;
+  }
+
   // ============ FACILITY MANAGEMENT ============
   
   registerFacility(facilityData) {
@@ -102,9 +256,14 @@ class ProvenanceService {
    * This is the "Create/Declare" event
    */
   async createBatchAtMine(batchData, documentIds = []) {
-    // Create the batch
-    const batch = createBatch(batchData);
-    batch.documentIds = documentIds;
+    // Create the batch, with its units in canonical form
+    const hasAssay = batchData.declaredAssayValue != null;
+    const batch = createBatch({
+      ...batchData,
+      weightUnit: requireWeightUnit(batchData.weightUnit || WeightUnit.KG),
+      declaredAssayUnit: hasAssay ? requireAssayUnit(batchData.declaredAssayUnit || AssayUnit.G_PER_T) : null
+    });
+    batch.documentIds = [...documentIds];
     
     // Create the initial "Create" event
     const createEventData = {
@@ -123,28 +282,28 @@ class ProvenanceService {
     const event = createEvent(createEventData);
     
     // Compute hashes
+    event.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
     event.eventPayloadHash = computeEventHash(event);
-    const batchHash = computeBatchHash(batch);
-    
-    // Anchor to blockchain
-    const batchAnchor = await anchoringService.anchorBatch(batch.batchId, batchHash);
-    const eventAnchor = await anchoringService.anchorEvent(event.eventId, event.eventPayloadHash);
-    
-    event.onChainTxHash = eventAnchor.txHash;
+    batch.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
+    batch.batchHash = computeBatchHash(batch);
+    batch.anchorStatus = AnchorStatus.PENDING;
+    event.anchorStatus = AnchorStatus.PENDING;
     batch.eventIds.push(event.eventId);
     
-    // Save to database
-    db.saveBatch(batch);
-    db.saveEvent(event);
-    
-    // Link documents to batch
-    documentIds.forEach(docId => {
-      const doc = db.getDocument(docId);
+    // Batch, event, document links and outbox entries are saved together
+    // before anchoring, so a failed submission stays queued in the outbox
+    const unitOfWork = new UnitOfWork(db);
+    const queued = this._queueNewBatch(unitOfWork, batch, event);
+    for (const docId of documentIds) {
+      const doc = await db.getDocument(docId);
       if (doc) {
-        doc.relatedBatchId = batch.batchId;
-        doc.relatedEventId = event.eventId;
+        unitOfWork.updateDocument({ ...doc, relatedBatchId: batch.batchId, relatedEventId: event.eventId });
       }
-    });
+    }
+    await unitOfWork.commit();
+
+    // Anchor to blockchain in the background (together, so both land in the same Merkle batch)
+    const [batchAnchor, eventAnchor] = this._submitAnchors(queued);
     
     return {
       batch,
@@ -172,223 +331,916 @@ class ProvenanceService {
     return db.getAllBatches();
   }
 
+  /**
+   * Event types that may be recorded next, per the lifecycle table
+   */
+  async getAllowedActions(batchId) {
+    const batch = await db.getBatch(batchId);
+    if (!batch) {
+      return null;
+    }
+    return {
+      batchId: batch.batchId,
+      status: batch.status,
+      allowedActions: getAllowedActions(batch)
+    };
+  }
+
   // ============ EVENT RECORDING ============
   
   /**
    * Record a Ship/Transfer custody event (FR 3.1.5)
    */
   async recordShipment(batchId, shipmentData) {
-    const batch = await db.getBatch(batchId);
-    if (!batch) {
-      throw new Error(`Batch ${batchId} not found`);
-    }
+    return withBatchLock(batchId, async () => {
+      const batch = await db.getBatch(batchId);
+      if (!batch) {
+        throw new Error(`Batch ${batchId} not found`);
+      }
+      assertTransition(batch, EventType.SHIP);
+      if (!(await db.getParty(shipmentData.toPartyId))) {
+        throw new Error('Receiving party not found');
+      }
 
-    const event = createEvent({
-      eventType: EventType.SHIP,
-      batchId,
-      fromPartyId: batch.ownerPartyId,
-      toPartyId: shipmentData.toPartyId,
-      fromFacilityId: shipmentData.fromFacilityId || batch.originFacilityId,
-      toFacilityId: shipmentData.toFacilityId,
-      weight: batch.quantity.weight,
-      weightUnit: batch.quantity.unit,
-      documentIds: shipmentData.documentIds || [],
-      notes: shipmentData.notes || 'Shipment dispatched'
-    });
+      const event = createEvent({
+        eventType: EventType.SHIP,
+        batchId,
+        fromPartyId: batch.ownerPartyId,
+        toPartyId: shipmentData.toPartyId,
+        fromFacilityId: shipmentData.fromFacilityId || batch.originFacilityId,
+        toFacilityId: shipmentData.toFacilityId,
+        weight: batch.quantity.weight,
+        weightUnit: batch.quantity.unit,
+        documentIds: shipmentData.documentIds || [],
+        notes: shipmentData.notes || 'Shipment dispatched'
+      });
 
-    event.eventPayloadHash = computeEventHash(event);
-    const anchor = await anchoringService.anchorEvent(event.eventId, event.eventPayloadHash);
-    event.onChainTxHash = anchor.txHash;
+      await this._linkToChain(event);
+      event.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
+      event.eventPayloadHash = computeEventHash(event);
+      event.anchorStatus = AnchorStatus.PENDING;
 
-    // Update batch status
-    batch.status = BatchStatus.IN_TRANSIT;
-    if (!batch.eventIds) batch.eventIds = [];
-    batch.eventIds.push(event.eventId);
+      // Update batch status; the receiver may see the batch until it is received
+      batch.status = nextStatus(batch, EventType.SHIP);
+      batch.pendingReceiverPartyId = shipmentData.toPartyId;
+      if (!batch.eventIds) batch.eventIds = [];
+      batch.eventIds.push(event.eventId);
     
-    await db.updateBatch(batch);
-    await db.saveEvent(event);
+      const anchor = await this._commitEvent(batch, event);
 
-    return { event, anchor, batch };
+      return { event, anchor, batch };
+    });
   }
 
   /**
    * Record a Transfer custody event (change of ownership during transit)
    */
   async recordTransfer(batchId, transferData) {
-    const batch = await db.getBatch(batchId);
-    if (!batch) {
-      throw new Error(`Batch ${batchId} not found`);
-    }
+    return withBatchLock(batchId, async () => {
+      const batch = await db.getBatch(batchId);
+      if (!batch) {
+        throw new Error(`Batch ${batchId} not found`);
+      }
+      assertTransition(batch, EventType.TRANSFER);
+      if (!(await db.getParty(transferData.toPartyId))) {
+        throw new Error('Receiving party not found');
+      }
 
-    const event = createEvent({
-      eventType: EventType.TRANSFER,
-      batchId,
-      fromPartyId: batch.ownerPartyId,
-      toPartyId: transferData.toPartyId,
-      fromFacilityId: transferData.fromFacilityId,
-      toFacilityId: transferData.toFacilityId,
-      weight: batch.quantity.weight,
-      weightUnit: batch.quantity.unit,
-      documentIds: transferData.documentIds || [],
-      notes: transferData.notes || 'Custody transferred'
-    });
+      const event = createEvent({
+        eventType: EventType.TRANSFER,
+        batchId,
+        fromPartyId: batch.ownerPartyId,
+        toPartyId: transferData.toPartyId,
+        fromFacilityId: transferData.fromFacilityId,
+        toFacilityId: transferData.toFacilityId,
+        weight: batch.quantity.weight,
+        weightUnit: batch.quantity.unit,
+        documentIds: transferData.documentIds || [],
+        notes: transferData.notes || 'Custody transferred'
+      });
 
-    event.eventPayloadHash = computeEventHash(event);
-    const anchor = await anchoringService.anchorEvent(event.eventId, event.eventPayloadHash);
-    event.onChainTxHash = anchor.txHash;
+      await this._linkToChain(event);
+      event.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
+      event.eventPayloadHash = computeEventHash(event);
+      event.anchorStatus = AnchorStatus.PENDING;
 
-    // Update batch ownership
-    batch.ownerPartyId = transferData.toPartyId;
-    if (!batch.eventIds) batch.eventIds = [];
-    batch.eventIds.push(event.eventId);
+      // Update batch ownership; a shipment in transit is now addressed to the new owner
+      batch.ownerPartyId = transferData.toPartyId;
+      if (batch.pendingReceiverPartyId) {
+        batch.pendingReceiverPartyId = transferData.toPartyId;
+      }
+      if (!batch.eventIds) batch.eventIds = [];
+      batch.eventIds.push(event.eventId);
     
-    await db.updateBatch(batch);
-    await db.saveEvent(event);
+      const anchor = await this._commitEvent(batch, event);
 
-    return { event, anchor, batch };
+      return { event, anchor, batch };
+    });
   }
 
   /**
    * Record a Receive/Accept event (FR 3.1.5)
+   * The received weight is reconciled against the shipped weight; a receipt
+   * outside the commodity's or route's tolerance flags the batch and, if the
+   * tolerance says so, raises a dispute
    */
   async recordReceipt(batchId, receiptData) {
-    const batch = await db.getBatch(batchId);
-    if (!batch) {
-      throw new Error(`Batch ${batchId} not found`);
-    }
+    return withBatchLock(batchId, async () => {
+      const batch = await db.getBatch(batchId);
+      if (!batch) {
+        throw new Error(`Batch ${batchId} not found`);
+      }
+      assertTransition(batch, EventType.RECEIVE);
 
-    const event = createEvent({
-      eventType: EventType.RECEIVE,
-      batchId,
-      fromPartyId: batch.ownerPartyId,
-      toPartyId: receiptData.receiverPartyId,
-      fromFacilityId: null,
-      toFacilityId: receiptData.facilityId,
-      weight: receiptData.receivedWeight || batch.quantity.weight,
-      weightUnit: batch.quantity.unit,
-      documentIds: receiptData.documentIds || [],
-      notes: receiptData.notes || 'Shipment received and acknowledged'
-    });
+      const events = orderEventChain(await db.getEventsByBatch(batchId));
+      const shipment = events.filter(e => e.eventType === EventType.SHIP).pop() || null;
+      // Only the party the shipment is addressed to (or was transferred to in transit) takes custody of it
+      const handover = events.filter(e => [EventType.SHIP, EventType.TRANSFER].includes(e.eventType)).pop();
+      const addressee = batch.pendingReceiverPartyId || handover?.toPartyId || null;
+      if (!receiptData.receiverPartyId || receiptData.receiverPartyId !== addressee) {
+        throw new Error(`Batch ${batchId} was shipped to party ${addressee}, not ${receiptData.receiverPartyId}`);
+      }
+      // Weights recorded in other units are compared in the batch's unit
+      const shippedWeight = shipment?.quantity
+        ? convertWeight(shipment.quantity.weight, shipment.quantity.unit, batch.quantity.unit)
+        : batch.quantity.weight;
+      const receivedWeight = receiptData.receivedWeight != null
+        ? convertWeight(Number(receiptData.receivedWeight), receiptData.receivedWeightUnit || batch.quantity.unit, batch.quantity.unit)
+        : shippedWeight;
+      if (!(receivedWeight > 0)) {
+        throw new Error('receivedWeight must be a positive number');
+      }
 
-    event.eventPayloadHash = computeEventHash(event);
-    const anchor = await anchoringService.anchorEvent(event.eventId, event.eventPayloadHash);
-    event.onChainTxHash = anchor.txHash;
+      const event = createEvent({
+        eventType: EventType.RECEIVE,
+        batchId,
+        fromPartyId: batch.ownerPartyId,
+        toPartyId: receiptData.receiverPartyId,
+        fromFacilityId: null,
+        toFacilityId: receiptData.facilityId,
+        weight: receivedWeight,
+        weightUnit: batch.quantity.unit,
+        documentIds: receiptData.documentIds || [],
+        notes: receiptData.notes || 'Shipment received and acknowledged'
+      });
 
-    // Update batch
-    batch.status = BatchStatus.RECEIVED;
-    batch.ownerPartyId = receiptData.receiverPartyId;
-    if (!batch.eventIds) batch.eventIds = [];
-    batch.eventIds.push(event.eventId);
+      await this._linkToChain(event);
+      event.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
+      event.eventPayloadHash = computeEventHash(event);
+      event.anchorStatus = AnchorStatus.PENDING;
+
+      const tolerance = reconciliationService.weightTolerance(
+        batch.commodityType,
+        shipment?.fromFacilityId ? await db.getFacility(shipment.fromFacilityId) : null,
+        await db.getFacility(receiptData.facilityId || shipment?.toFacilityId)
+      );
+      const weightReconciliation = reconciliationService.reconcileWeight({
+        shippedWeight, receivedWeight, unit: batch.quantity.unit, tolerance
+      });
+      event.weightReconciliation = { ...weightReconciliation, shipEventId: shipment?.eventId || null };
+
+      // Update batch; the received weight is what the batch now holds
+      batch.status = nextStatus(batch, EventType.RECEIVE);
+      batch.ownerPartyId = receiptData.receiverPartyId;
+      batch.pendingReceiverPartyId = null;
+      batch.quantity = { ...batch.quantity, weight: receivedWeight };
+      if (!weightReconciliation.withinTolerance) {
+        batch.weightDiscrepancy = {
+          eventId: event.eventId,
+          shippedWeight,
+          receivedWeight,
+          unit: batch.quantity.unit,
+          delta: weightReconciliation.delta,
+          deltaPercent: weightReconciliation.deltaPercent,
+          allowedDelta: weightReconciliation.allowedDelta,
+          toleranceSource: tolerance.source,
+          detectedAt: event.eventTimestamp
+        };
+      }
+      if (!batch.eventIds) batch.eventIds = [];
+      batch.eventIds.push(event.eventId);
     
-    await db.updateBatch(batch);
-    await db.saveEvent(event);
+      const anchor = await this._commitEvent(batch, event);
 
-    return { event, anchor, batch };
+      let dispute = null;
+      if (!weightReconciliation.withinTolerance && tolerance.action === ToleranceAction.DISPUTE) {
+        const { delta, deltaPercent, allowedDelta, unit } = weightReconciliation;
+        dispute = await this.recordDispute(batchId, {
+          raisedByPartyId: receiptData.receiverPartyId,
+          reason: `Received ${receivedWeight} ${unit} against ${shippedWeight} ${unit} shipped: ` +
+            `${delta} ${unit} (${deltaPercent}%) exceeds the ${allowedDelta} ${unit} allowed by ${tolerance.source}`
+        });
+      }
+
+      return { event, anchor, batch: dispute ? dispute.batch : batch, weightReconciliation, dispute };
+    });
   }
 
   /**
    * Record an Inspect/Test event (optional)
    */
   async recordInspection(batchId, inspectionData) {
-    const batch = await db.getBatch(batchId);
-    if (!batch) {
-      throw new Error(`Batch ${batchId} not found`);
-    }
+    return withBatchLock(batchId, async () => {
+      const batch = await db.getBatch(batchId);
+      if (!batch) {
+        throw new Error(`Batch ${batchId} not found`);
+      }
+      assertTransition(batch, EventType.INSPECT_TEST);
+
+      const event = createEvent({
+        eventType: EventType.INSPECT_TEST,
+        batchId,
+        fromPartyId: inspectionData.inspectorPartyId,
+        toPartyId: null,
+        fromFacilityId: inspectionData.facilityId,
+        toFacilityId: null,
+        weight: batch.quantity.weight,
+        weightUnit: batch.quantity.unit,
+        documentIds: inspectionData.documentIds || [],
+        notes: inspectionData.notes || 'Inspection/testing completed'
+      });
+
+      await this._linkToChain(event);
+      event.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
+      event.eventPayloadHash = computeEventHash(event);
+      event.anchorStatus = AnchorStatus.PENDING;
+
+      if (!batch.eventIds) batch.eventIds = [];
+      batch.eventIds.push(event.eventId);
+      const anchor = await this._commitEvent(batch, event);
+
+      return { event, anchor, batch };
+    });
+  }
+
+  /**
+   * Record Assay Finalized event (for refinery flow)
+   * A Final or Umpire assay becomes the batch's finalAssay; the declared
+   * assay is kept and the two are reconciled against the commodity's assay
+   * tolerance, flagging the batch (or disputing it) when they disagree
+   */
+  async recordAssayFinalized(batchId, assayData) {
+    return withBatchLock(batchId, async () => {
+      const batch = await db.getBatch(batchId);
+      if (!batch) {
+        throw new Error(`Batch ${batchId} not found`);
+      }
+      assertTransition(batch, EventType.ASSAY_FINALIZED);
+
+      const assayType = assayData.assayType || AssayType.FINAL;
+      if (![AssayType.FINAL, AssayType.UMPIRE].includes(assayType)) {
+        throw new Error(`Invalid assayType: ${assayType}. Expected ${AssayType.FINAL} or ${AssayType.UMPIRE}`);
+      }
+      const assay = {
+        value: Number(assayData.assayValue),
+        unit: requireAssayUnit(assayData.assayUnit || batch.declaredAssay?.unit || AssayUnit.G_PER_T),
+        assayType
+      };
+      if (!(assay.value > 0)) {
+        throw new Error('assayValue must be a positive number');
+      }
+
+      const event = createEvent({
+        eventType: EventType.ASSAY_FINALIZED,
+        batchId,
+        fromPartyId: assayData.assayerPartyId,
+        toPartyId: null,
+        fromFacilityId: assayData.facilityId,
+        toFacilityId: null,
+        weight: batch.quantity.weight,
+        weightUnit: batch.quantity.unit,
+        documentIds: assayData.documentIds || [],
+        assay,
+        notes: assayData.notes || `${assayType} assay: ${assay.value} ${assay.unit}`
+      });
+
+      await this._linkToChain(event);
+      event.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
+      event.eventPayloadHash = computeEventHash(event);
+      event.anchorStatus = AnchorStatus.PENDING;
+
+      let tolerance = null;
+      if (batch.declaredAssay) {
+        tolerance = reconciliationService.assayTolerance(batch.commodityType);
+        event.assayReconciliation = reconciliationService.reconcileAssay({
+          declaredAssay: batch.declaredAssay, assay, tolerance
+        });
+      }
+      const outOfTolerance = event.assayReconciliation?.withinTolerance === false;
+
+      batch.finalAssay = { ...assay, eventId: event.eventId };
+      if (outOfTolerance) {
+        const { variance, variancePercent, allowedVariance } = event.assayReconciliation;
+        batch.assayDiscrepancy = {
+          eventId: event.eventId,
+          assayType,
+          declaredValue: batch.declaredAssay.value,
+          value: assay.value,
+          // Unit of the declared value, variance and allowedVariance
+          unit: batch.declaredAssay.unit,
+          variance,
+          variancePercent,
+          allowedVariance,
+          toleranceSource: tolerance.source,
+          detectedAt: event.eventTimestamp
+        };
+      }
+      if (!batch.eventIds) batch.eventIds = [];
+      batch.eventIds.push(event.eventId);
+    
+      const anchor = await this._commitEvent(batch, event);
+
+      // An assay recorded during a dispute (an umpire assay) leaves it to the resolution
+      let dispute = null;
+      if (outOfTolerance && tolerance.action === ToleranceAction.DISPUTE && canTransition(batch, EventType.DISPUTE)) {
+        const { variance, variancePercent, allowedVariance, declaredValue, declaredUnit } = event.assayReconciliation;
+        dispute = await this.recordDispute(batchId, {
+          raisedByPartyId: assayData.assayerPartyId,
+          reason: `${assayType} assay ${assay.value} ${assay.unit} against ${declaredValue} ${declaredUnit} declared: ` +
+            `${variance} ${declaredUnit} (${variancePercent}%) exceeds the ${allowedVariance} ${declaredUnit} allowed by ${tolerance.source}`
+        });
+      }
+
+      return {
+        event,
+        anchor,
+        batch: dispute ? dispute.batch : batch,
+        assayReconciliation: event.assayReconciliation,
+        dispute
+      };
+    });
+  }
+
+  /**
+   * Flag a dispute on a batch
+   */
+  async recordDispute(batchId, disputeData) {
+    return withBatchLock(batchId, async () => {
+      const batch = await db.getBatch(batchId);
+      if (!batch) {
+        throw new Error(`Batch ${batchId} not found`);
+      }
+      assertTransition(batch, EventType.DISPUTE);
+
+      const event = createEvent({
+        eventType: EventType.DISPUTE,
+        batchId,
+        fromPartyId: disputeData.raisedByPartyId,
+        toPartyId: null,
+        fromFacilityId: null,
+        toFacilityId: null,
+        documentIds: disputeData.documentIds || [],
+        notes: disputeData.reason || 'Dispute raised'
+      });
+
+      await this._linkToChain(event);
+      event.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
+      event.eventPayloadHash = computeEventHash(event);
+      event.anchorStatus = AnchorStatus.PENDING;
+
+      // Remember where the batch was so a resolution can put it back
+      batch.preDisputeStatus = batch.status;
+      batch.status = nextStatus(batch, EventType.DISPUTE);
+      if (!batch.eventIds) batch.eventIds = [];
+      batch.eventIds.push(event.eventId);
+    
+      const anchor = await this._commitEvent(batch, event);
+
+      return { event, anchor, batch };
+    });
+  }
+
+  /**
+   * Resolve an open dispute on a batch
+   * Restores the status the batch had before the dispute was raised
+   */
+  async recordResolution(batchId, resolutionData) {
+    return withBatchLock(batchId, async () => {
+      const batch = await db.getBatch(batchId);
+      if (!batch) {
+        throw new Error(`Batch ${batchId} not found`);
+      }
+      assertTransition(batch, EventType.RESOLVE);
+
+      const outcome = resolutionData.outcome;
+      if (!Object.values(ResolutionOutcome).includes(outcome)) {
+        throw new Error(`Invalid outcome: ${outcome}. Expected one of ${Object.values(ResolutionOutcome).join(', ')}`);
+      }
+
+      const events = await db.getEventsByBatch(batchId);
+      const disputes = events.filter(e => e.eventType === EventType.DISPUTE);
+      const dispute = resolutionData.disputeEventId
+        ? disputes.find(e => e.eventId === resolutionData.disputeEventId)
+        : disputes[disputes.length - 1];
+      if (!dispute) {
+        throw new Error(`Dispute event ${resolutionData.disputeEventId || ''} not found for batch ${batchId}`);
+      }
+
+      const resolution = { outcome };
+      if (outcome === ResolutionOutcome.WEIGHT_ADJUSTED) {
+        const adjustedWeight = Number(resolutionData.adjustedWeight);
+        if (!Number.isFinite(adjustedWeight) || adjustedWeight <= 0) {
+          throw new Error('adjustedWeight must be a positive number for a WeightAdjusted outcome');
+        }
+        resolution.adjustedWeight = adjustedWeight;
+      }
+      if (outcome === ResolutionOutcome.ASSAY_ADJUSTED) {
+        const adjustedAssayValue = resolutionData.adjustedAssayValue == null || resolutionData.adjustedAssayValue === ''
+          ? NaN
+          : Number(resolutionData.adjustedAssayValue);
+        if (!Number.isFinite(adjustedAssayValue) || adjustedAssayValue < 0) {
+          throw new Error('adjustedAssayValue must be a non-negative number for an AssayAdjusted outcome');
+        }
+        resolution.adjustedAssay = {
+          value: adjustedAssayValue,
+          unit: requireAssayUnit(resolutionData.adjustedAssayUnit || currentAssay(batch)?.unit || AssayUnit.G_PER_T)
+        };
+      }
+
+      const event = createEvent({
+        eventType: EventType.RESOLVE,
+        batchId,
+        fromPartyId: resolutionData.resolvedByPartyId,
+        toPartyId: null,
+        fromFacilityId: null,
+        toFacilityId: null,
+        weight: resolution.adjustedWeight || batch.quantity.weight,
+        weightUnit: batch.quantity.unit,
+        documentIds: resolutionData.documentIds || [],
+        relatedEventId: dispute.eventId,
+        resolution,
+        notes: resolutionData.notes || `Dispute resolved: ${outcome}`
+      });
+
+      await this._linkToChain(event);
+      event.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
+      event.eventPayloadHash = computeEventHash(event);
+      event.anchorStatus = AnchorStatus.PENDING;
+
+      if (resolution.adjustedWeight) {
+        batch.quantity = { ...batch.quantity, weight: resolution.adjustedWeight };
+      }
+      if (resolution.adjustedAssay) {
+        batch.finalAssay = { ...resolution.adjustedAssay, assayType: AssayType.ADJUSTED, eventId: event.eventId };
+      }
+      batch.status = nextStatus(batch, EventType.RESOLVE);
+      batch.preDisputeStatus = null;
+      // The resolution settles any weight or assay discrepancy flagged earlier
+      batch.weightDiscrepancy = null;
+      batch.assayDiscrepancy = null;
+      if (!batch.eventIds) batch.eventIds = [];
+      batch.eventIds.push(event.eventId);
+    
+      const anchor = await this._commitEvent(batch, event);
+
+      return { event, anchor, batch };
+    });
+  }
+
+  // ============ SPLIT / MERGE ============
+
+  /**
+   * Split a batch into several child lots
+   * Child weights must add up to the parent weight; the parent is consumed
+   */
+  async splitBatch(batchId, splitData) {
+    return withBatchLock(batchId, async () => {
+      const parent = await db.getBatch(batchId);
+      if (!parent) {
+        throw new Error(`Batch ${batchId} not found`);
+      }
+      assertTransition(parent, EventType.SPLIT);
+
+      const parts = splitData.children || [];
+      if (parts.length < 2) {
+        throw new Error('A split requires at least two child lots');
+      }
+      // Weights arrive as strings from forms and the CLI
+      const weights = parts.map(p => Number(p.weight));
+      if (parts.some((p, i) => !p.externalReferenceNumber || !Number.isFinite(weights[i]) || weights[i] <= 0)) {
+        throw new Error('Each child lot needs an externalReferenceNumber and a positive weight');
+      }
+      await this._assertNewReferences(parts.map(p => p.externalReferenceNumber));
+
+      const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+      if (!weightsMatch(totalWeight, parent.quantity.weight)) {
+        throw new Error(
+          `Child weights (${totalWeight} ${parent.quantity.unit}) must add up to ` +
+          `parent weight (${parent.quantity.weight} ${parent.quantity.unit})`
+        );
+      }
+
+      // Child lots and the parent's closing event are committed together
+      const unitOfWork = new UnitOfWork(db);
+      const documentIds = splitData.documentIds || [];
+      const children = parts.map((part, i) => this._createDerivedBatch(unitOfWork, {
+          externalReferenceNumber: part.externalReferenceNumber,
+          commodityType: parent.commodityType,
+          originFacilityId: parent.originFacilityId,
+          ownerPartyId: parent.ownerPartyId,
+          weight: weights[i],
+          weightUnit: parent.quantity.unit,
+          declaredAssayValue: currentAssay(parent)?.value ?? null,
+          declaredAssayUnit: currentAssay(parent)?.unit ?? null,
+          parentBatchIds: [parent.batchId],
+          notes: part.notes || null
+        }, {
+          eventType: EventType.SPLIT,
+          facilityId: splitData.facilityId || null,
+          documentIds,
+          notes: `Split from ${parent.externalReferenceNumber}`
+        }, [parent]));
+
+      const childBatchIds = children.map(c => c.batch.batchId);
+      const consumed = await this._consumeParent(unitOfWork, parent, {
+        eventType: EventType.SPLIT,
+        facilityId: splitData.facilityId || null,
+        documentIds,
+        relatedBatchIds: childBatchIds,
+        notes: splitData.notes || `Split into ${children.length} lots`
+      });
+      await unitOfWork.commit();
+
+      const childAnchors = children.map(c => this._submitAnchors(c.queued));
+      const [anchor] = this._submitAnchors(consumed.queued);
+
+      return {
+        parent,
+        event: consumed.event,
+        anchor,
+        children: children.map(({ batch, event }, i) => ({
+          batch,
+          event,
+          batchAnchor: childAnchors[i][0],
+          eventAnchor: childAnchors[i][1]
+        }))
+      };
+    });
+  }
+
+  /**
+   * Merge several batches into a single new lot
+   * The merged weight is the sum of the parents; all parents are consumed
+   */
+  async mergeBatches(mergeData) {
+    return withBatchLocks(mergeData.batchIds || [], async () => {
+      const batchIds = [...new Set(mergeData.batchIds || [])];
+      if (batchIds.length < 2) {
+        throw new Error('A merge requires at least two batches');
+      }
+      if (!mergeData.externalReferenceNumber) {
+        throw new Error('externalReferenceNumber is required for the merged lot');
+      }
+      await this._assertNewReferences([mergeData.externalReferenceNumber]);
+
+      const parents = [];
+      for (const id of batchIds) {
+        const parent = await db.getBatch(id);
+        if (!parent) {
+          throw new Error(`Batch ${id} not found`);
+        }
+        assertTransition(parent, EventType.MERGE);
+        parents.push(parent);
+      }
+
+      const [first] = parents;
+      if (parents.some(p => p.commodityType !== first.commodityType)) {
+        throw new Error('Cannot merge batches of different commodity types');
+      }
+      if (parents.some(p => p.ownerPartyId !== first.ownerPartyId)) {
+        throw new Error('All merged batches must be held by the same party');
+      }
+
+      const origins = new Set(parents.map(p => p.originFacilityId));
+      const originFacilityId = mergeData.facilityId || (origins.size === 1 ? first.originFacilityId : null);
+      if (!originFacilityId) {
+        throw new Error('facilityId is required when merging batches from different origins');
+      }
+
+      // The merged lot is weighed in the first parent's unit
+      const weights = parents.map(p => convertWeight(p.quantity.weight, p.quantity.unit, first.quantity.unit));
+      const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+      if (mergeData.weight != null && !weightsMatch(mergeData.weight, totalWeight)) {
+        throw new Error(
+          `Merged weight (${mergeData.weight} ${first.quantity.unit}) must equal ` +
+          `the sum of parent weights (${totalWeight} ${first.quantity.unit})`
+        );
+      }
+
+      // The merged lot and every parent's closing event are committed together
+      const unitOfWork = new UnitOfWork(db);
+      const documentIds = mergeData.documentIds || [];
+      const assay = weightedAssay(parents, weights);
+      const child = this._createDerivedBatch(unitOfWork, {
+        externalReferenceNumber: mergeData.externalReferenceNumber,
+        commodityType: first.commodityType,
+        originFacilityId,
+        ownerPartyId: first.ownerPartyId,
+        weight: totalWeight,
+        weightUnit: first.quantity.unit,
+        declaredAssayValue: assay?.value ?? null,
+        declaredAssayUnit: assay?.unit ?? null,
+        parentBatchIds: batchIds,
+        notes: mergeData.notes || null
+      }, {
+        eventType: EventType.MERGE,
+        facilityId: mergeData.facilityId || null,
+        documentIds,
+        notes: `Merged from ${parents.map(p => p.externalReferenceNumber).join(', ')}`
+      }, parents);
+
+      const consumed = [];
+      for (const parent of parents) {
+        consumed.push(await this._consumeParent(unitOfWork, parent, {
+          eventType: EventType.MERGE,
+          facilityId: mergeData.facilityId || null,
+          documentIds,
+          relatedBatchIds: [child.batch.batchId],
+          notes: `Merged into ${child.batch.externalReferenceNumber}`
+        }));
+      }
+      await unitOfWork.commit();
+
+      const [batchAnchor, eventAnchor] = this._submitAnchors(child.queued);
+      const parentAnchors = consumed.map(c => this._submitAnchors(c.queued));
+      const parentEvents = consumed.map(({ event, batch }, i) => ({ event, anchor: parentAnchors[i][0], batch }));
+
+      return {
+        batch: child.batch,
+        event: child.event,
+        batchAnchor,
+        eventAnchor,
+        parents: parentEvents.map(p => p.batch),
+        parentEvents
+      };
+    });
+  }
+
+  /**
+   * Create a batch derived from one or more parent lots in a unit of work
+   */
+  _createDerivedBatch(unitOfWork, batchData, eventData, parents) {
+    const batch = createBatch(batchData);
+    batch.documentIds = [...eventData.documentIds];
+    // Due diligence done on the parent material carries over to the new lot
+    batch.dueDiligence = dueDiligenceService.inherit(parents);
 
     const event = createEvent({
-      eventType: EventType.INSPECT_TEST,
-      batchId,
-      fromPartyId: inspectionData.inspectorPartyId,
-      toPartyId: null,
-      fromFacilityId: inspectionData.facilityId,
-      toFacilityId: null,
+      eventType: eventData.eventType,
+      batchId: batch.batchId,
+      fromPartyId: null,
+      toPartyId: batch.ownerPartyId,
+      fromFacilityId: null,
+      toFacilityId: eventData.facilityId,
       weight: batch.quantity.weight,
       weightUnit: batch.quantity.unit,
-      documentIds: inspectionData.documentIds || [],
-      notes: inspectionData.notes || 'Inspection/testing completed'
+      documentIds: eventData.documentIds,
+      relatedBatchIds: batch.parentBatchIds,
+      notes: eventData.notes
     });
 
+    event.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
     event.eventPayloadHash = computeEventHash(event);
-    const anchor = await anchoringService.anchorEvent(event.eventId, event.eventPayloadHash);
-    event.onChainTxHash = anchor.txHash;
-
-    if (!batch.eventIds) batch.eventIds = [];
+    batch.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
+    batch.batchHash = computeBatchHash(batch);
+    batch.anchorStatus = AnchorStatus.PENDING;
+    event.anchorStatus = AnchorStatus.PENDING;
     batch.eventIds.push(event.eventId);
-    await db.updateBatch(batch);
-    await db.saveEvent(event);
 
-    return { event, anchor, batch };
+    return { batch, event, queued: this._queueNewBatch(unitOfWork, batch, event) };
   }
 
   /**
-   * Record Assay Finalized event (for refinery flow)
+   * Reject reference numbers used twice in the request or by an existing batch
    */
-  async recordAssayFinalized(batchId, assayData) {
-    const batch = await db.getBatch(batchId);
-    if (!batch) {
-      throw new Error(`Batch ${batchId} not found`);
+  async _assertNewReferences(references) {
+    const seen = new Set();
+    for (const reference of references) {
+      if (seen.has(reference)) {
+        throw new Error(`Reference number ${reference} is used more than once`);
+      }
+      seen.add(reference);
+      if (await db.getBatchByReference(reference)) {
+        throw new Error(`A batch with reference number ${reference} already exists`);
+      }
     }
+  }
 
+  /**
+   * Record the closing Split/Merge event on a parent and mark it consumed,
+   * in a unit of work
+   */
+  async _consumeParent(unitOfWork, batch, eventData) {
     const event = createEvent({
-      eventType: EventType.ASSAY_FINALIZED,
-      batchId,
-      fromPartyId: assayData.assayerPartyId,
+      eventType: eventData.eventType,
+      batchId: batch.batchId,
+      fromPartyId: batch.ownerPartyId,
       toPartyId: null,
-      fromFacilityId: assayData.facilityId,
+      fromFacilityId: eventData.facilityId,
       toFacilityId: null,
       weight: batch.quantity.weight,
       weightUnit: batch.quantity.unit,
-      documentIds: assayData.documentIds || [],
-      notes: `Assay finalized: ${assayData.assayValue} ${assayData.assayUnit || 'g/t'}`
+      documentIds: eventData.documentIds,
+      relatedBatchIds: eventData.relatedBatchIds,
+      notes: eventData.notes
     });
 
+    await this._linkToChain(event);
+    event.hashAlgorithm = DEFAULT_HASH_ALGORITHM;
     event.eventPayloadHash = computeEventHash(event);
-    const anchor = await anchoringService.anchorEvent(event.eventId, event.eventPayloadHash);
-    event.onChainTxHash = anchor.txHash;
+    event.anchorStatus = AnchorStatus.PENDING;
 
-    // Update batch with final assay
-    batch.declaredAssay = { value: assayData.assayValue, unit: assayData.assayUnit || 'g/t' };
+    batch.status = nextStatus(batch, eventData.eventType);
+    batch.childBatchIds = [...(batch.childBatchIds || []), ...eventData.relatedBatchIds];
     if (!batch.eventIds) batch.eventIds = [];
     batch.eventIds.push(event.eventId);
-    
-    await db.updateBatch(batch);
-    await db.saveEvent(event);
 
-    return { event, anchor, batch };
+    unitOfWork.updateBatch(batch);
+    unitOfWork.saveEvent(event);
+    const queued = [{ entry: anchoringOutbox.queueEvent(unitOfWork, event), record: event }];
+
+    return { event, batch, queued };
   }
 
+  // ============ UNIT OF WORK ============
+
   /**
-   * Flag a dispute on a batch
+   * Commit a batch update, its new event and the event's outbox entry as one
+   * unit of work, then start the first anchoring attempt without waiting
+   * for it; the returned anchor is the entry's pending status
    */
-  async recordDispute(batchId, disputeData) {
+  async _commitEvent(batch, event) {
+    const unitOfWork = new UnitOfWork(db);
+    unitOfWork.updateBatch(batch);
+    unitOfWork.saveEvent(event);
+    const entry = anchoringOutbox.queueEvent(unitOfWork, event);
+    await unitOfWork.commit();
+    return anchoringOutbox.submitInBackground(entry, event);
+  }
+
+  /**
+   * Add a new batch, its first event and both outbox entries to a unit of work
+   */
+  _queueNewBatch(unitOfWork, batch, event) {
+    unitOfWork.saveBatch(batch);
+    unitOfWork.saveEvent(event);
+    return [
+      { entry: anchoringOutbox.queueBatch(unitOfWork, batch), record: batch },
+      { entry: anchoringOutbox.queueEvent(unitOfWork, event), record: event }
+    ];
+  }
+
+  /**
+   * Start the first anchoring attempts for committed outbox entries in the
+   * background (together, so they land in the same Merkle batch)
+   */
+  _submitAnchors(queued) {
+    return queued.map(({ entry, record }) => anchoringOutbox.submitInBackground(entry, record));
+  }
+
+  /**
+   * Link a new event to the end of its batch's hash chain
+   */
+  async _linkToChain(event) {
+    const chain = orderEventChain(await db.getEventsByBatch(event.batchId));
+    const last = chain[chain.length - 1];
+    event.sequenceNumber = chain.length;
+    event.previousEventHash = last ? last.eventPayloadHash : null;
+  }
+
+  /**
+   * Walk parent and child links to build the lineage of a batch
+   */
+  async getBatchGenealogy(batchId) {
     const batch = await db.getBatch(batchId);
     if (!batch) {
-      throw new Error(`Batch ${batchId} not found`);
+      return null;
     }
 
-    const event = createEvent({
-      eventType: EventType.DISPUTE,
-      batchId,
-      fromPartyId: disputeData.raisedByPartyId,
-      toPartyId: null,
-      fromFacilityId: null,
-      toFacilityId: null,
-      documentIds: disputeData.documentIds || [],
-      notes: disputeData.reason || 'Dispute raised'
+    const summarize = (b) => ({
+      batchId: b.batchId,
+      referenceNumber: b.externalReferenceNumber,
+      quantity: b.quantity,
+      status: b.status
     });
 
-    event.eventPayloadHash = computeEventHash(event);
-    const anchor = await anchoringService.anchorEvent(event.eventId, event.eventPayloadHash);
-    event.onChainTxHash = anchor.txHash;
+    // linkKey is the batch field to follow, outKey where the subtree goes.
+    // `path` holds the lots above this one on the branch, so a lot reached
+    // through two branches (split, then merged again) shows under both
+    const walk = async (ids, linkKey, outKey, path) => {
+      const nodes = [];
+      for (const id of ids || []) {
+        if (path.has(id)) continue;
+        const related = await db.getBatch(id);
+        if (!related) continue;
+        nodes.push({
+          ...summarize(related),
+          [outKey]: await walk(related[linkKey], linkKey, outKey, new Set([...path, id]))
+        });
+      }
+      return nodes;
+    };
 
-    batch.status = BatchStatus.DISPUTE;
-    if (!batch.eventIds) batch.eventIds = [];
-    batch.eventIds.push(event.eventId);
-    
-    await db.updateBatch(batch);
-    await db.saveEvent(event);
+    return {
+      ...summarize(batch),
+      parents: await walk(batch.parentBatchIds, 'parentBatchIds', 'parents', new Set([batchId])),
+      children: await walk(batch.childBatchIds, 'childBatchIds', 'children', new Set([batchId]))
+    };
+  }
 
-    return { event, anchor, batch };
+  /**
+   * Lots created at origin that a batch descends from, or the batch itself
+   * if it was not split or merged from others
+   */
+  async getRootBatches(batchId) {
+    const roots = [];
+    const seen = new Set();
+    const walk = async (b) => {
+      if (seen.has(b.batchId)) return;
+      seen.add(b.batchId);
+      const parents = [];
+      for (const parentId of b.parentBatchIds || []) {
+        const parent = await db.getBatch(parentId);
+        if (parent) parents.push(parent);
+      }
+      if (parents.length === 0) roots.push(b);
+      for (const parent of parents) await walk(parent);
+    };
+    const batch = await db.getBatch(batchId);
+    if (batch) await walk(batch);
+    return roots;
+  }
+
+  // ============ MASS BALANCE ============
+
+  /**
+   * Weight gained or lost across a batch's timeline
+   */
+  async getMassBalance(batchId) {
+    const batch = await db.getBatch(batchId);
+    if (!batch) {
+      return null;
+    }
+    const events = orderEventChain(await db.getEventsByBatch(batchId));
+    return reconciliationService.massBalance(batch, events);
+  }
+
+  /**
+   * Mass balance of every batch, with totals in kilograms
+   */
+  async getMassBalanceReport() {
+    const batches = [];
+    for (const batch of await db.getAllBatches()) {
+      batches.push(await this.getMassBalance(batch.batchId));
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      batchCount: batches.length,
+      totals: reconciliationService.massBalanceTotals(batches),
+      batches
+    };
+  }
+
+  // ============ DUE DILIGENCE ============
+
+  /**
+   * OECD five-step due-diligence record of a batch
+   */
+  async getDueDiligence(batchId) {
+    const batch = await db.getBatch(batchId);
+    if (!batch) {
+      return null;
+    }
+    return dueDiligenceService.summarize(batch);
+  }
+
+  /**
+   * Update one due-diligence step: status, responsible party, a new finding
+   * and/or more supporting documents
+   */
+  async updateDueDiligenceStep(batchId, step, change) {
+    return withBatchLock(batchId, async () => {
+      const batch = await db.getBatch(batchId);
+      if (!batch) {
+        throw new Error(`Batch ${batchId} not found`);
+      }
+      if (change.responsiblePartyId && !await db.getParty(change.responsiblePartyId)) {
+        throw new Error(`Party ${change.responsiblePartyId} not found`);
+      }
+      for (const documentId of change.documentIds || []) {
+        if (!await db.getDocument(documentId)) {
+          throw new Error(`Document ${documentId} not found`);
+        }
+      }
+
+      const screening = await screeningService.screenBatch(batchId);
+      batch.dueDiligence = dueDiligenceService.updateStep(dueDiligenceService.recordOf(batch), step, change, {
+        highRisk: screening.status === ScreeningStatus.HIGH_RISK
+      });
+      await db.updateBatch(batch);
+      return dueDiligenceService.summarize(batch);
+    });
   }
 
   // ============ VERIFICATION ============
@@ -402,14 +1254,16 @@ class ProvenanceService {
       return null;
     }
 
-    const events = await db.getEventsByBatch(batchId);
+    const events = orderEventChain(await db.getEventsByBatch(batchId));
     const documents = await db.getDocumentsByBatch(batchId);
     const credentials = await db.getCredentialsByBatch(batchId);
     const originFacility = await db.getFacility(batch.originFacilityId);
     const currentOwner = await db.getParty(batch.ownerPartyId);
+    const screening = await screeningService.screenBatch(batchId);
 
     // Build timeline with enriched data
     const timeline = await Promise.all(events.map(async (event) => {
+      const anchor = await anchoringService.getAnchorRecord({ id: `event:${event.eventId}` });
       const fromParty = event.fromPartyId ? await db.getParty(event.fromPartyId) : null;
       const toParty = event.toPartyId ? await db.getParty(event.toPartyId) : null;
       const fromFacility = event.fromFacilityId ? await db.getFacility(event.fromFacilityId) : null;
@@ -431,6 +1285,12 @@ class ProvenanceService {
           facility: toFacility ? { id: toFacility.facilityId, name: toFacility.facilityName } : null
         },
         quantity: event.quantity,
+        relatedBatchIds: event.relatedBatchIds || [],
+        relatedEventId: event.relatedEventId || null,
+        resolution: event.resolution || null,
+        assay: event.assay || null,
+        weightReconciliation: event.weightReconciliation || null,
+        assayReconciliation: event.assayReconciliation || null,
         notes: event.notes,
         documents: eventDocs.map(d => ({
           id: d.documentId,
@@ -438,12 +1298,18 @@ class ProvenanceService {
           fileName: d.fileName,
           hash: d.sha256Hash
         })),
+        sequenceNumber: event.sequenceNumber ?? null,
+        previousHash: event.previousEventHash ?? null,
+        hashAlgorithm: event.hashAlgorithm || HashAlgorithm.SHA256,
         payloadHash: event.eventPayloadHash,
+        anchorStatus: event.anchorStatus || (event.onChainTxHash ? AnchorStatus.ANCHORED : null),
         txHash: event.onChainTxHash,
         explorerUrl: event.onChainTxHash ? 
-          anchoringService.getExplorerUrl(event.onChainTxHash) : null
+          anchoringService.getExplorerUrl(event.onChainTxHash) : null,
+        anchor: summarizeAnchor(anchor)
       };
     }));
+    const batchAnchor = await anchoringService.getAnchorRecord({ id: `batch:${batch.batchId}` });
 
     return {
       batch: {
@@ -452,8 +1318,17 @@ class ProvenanceService {
         commodityType: batch.commodityType,
         quantity: batch.quantity,
         declaredAssay: batch.declaredAssay,
+        finalAssay: batch.finalAssay || null,
+        normalized: normalizeBatch(batch),
         status: batch.status,
-        createdAt: batch.creationTimestamp
+        createdAt: batch.creationTimestamp,
+        parentBatchIds: batch.parentBatchIds || [],
+        childBatchIds: batch.childBatchIds || [],
+        allowedActions: getAllowedActions(batch),
+        weightDiscrepancy: batch.weightDiscrepancy || null,
+        assayDiscrepancy: batch.assayDiscrepancy || null,
+        anchorStatus: batch.anchorStatus || (batch.onChainTxHash ? AnchorStatus.ANCHORED : null),
+        anchor: summarizeAnchor(batchAnchor)
       },
       originFacility: originFacility ? {
         id: originFacility.facilityId,
@@ -467,6 +1342,7 @@ class ProvenanceService {
         type: currentOwner.partyType
       } : null,
       timeline,
+      assayHistory: await this._assayHistory(batch, events),
       documentCount: documents.length,
       allDocuments: documents.map(d => ({
         id: d.documentId,
@@ -475,16 +1351,54 @@ class ProvenanceService {
         hash: d.sha256Hash,
         confidentiality: d.confidentialityLevel
       })),
-      credentials: credentials.map(c => ({
+      credentials: await Promise.all(credentials.map(async (c) => ({
         id: c.credentialId,
         type: c.credentialType,
-        issuer: db.getParty(c.issuerPartyId)?.legalName,
-        claims: c.claimsSummary
-      })),
-      verificationStatus: this._computeVerificationStatus(batch, events, documents)
+        issuer: (await db.getParty(c.issuerPartyId))?.legalName,
+        claims: c.claimsSummary,
+        issuedAt: c.issuedAt,
+        verification: await this._checkCredential(c.verifiableCredential, c.issuerPartyId)
+      }))),
+      screening,
+      dueDiligence: dueDiligenceService.summarize(batch),
+      verificationStatus: this._computeVerificationStatus(batch, events, documents, screening)
     };
   }
 
+  /**
+   * Every assay of a batch in chain order: the declared assay, each final and
+   * umpire result with its reconciliation, and assays agreed in resolutions
+   */
+  async _assayHistory(batch, events) {
+    const history = [];
+    if (batch.declaredAssay) {
+      history.push({
+        assayType: AssayType.DECLARED,
+        ...batch.declaredAssay,
+        eventId: events.find(e => e.eventType === EventType.CREATE)?.eventId || null,
+        timestamp: batch.creationTimestamp,
+        assayer: null,
+        reconciliation: null
+      });
+    }
+    for (const event of events) {
+      const assay = event.assay ||
+        (event.resolution?.adjustedAssay ? { ...event.resolution.adjustedAssay, assayType: AssayType.ADJUSTED } : null);
+      if (!assay) continue;
+      const assayer = event.fromPartyId ? await db.getParty(event.fromPartyId) : null;
+      history.push({
+        assayType: assay.assayType,
+        value: assay.value,
+        unit: assay.unit,
+        eventId: event.eventId,
+        timestamp: event.eventTimestamp,
+        assayer: assayer ? { id: assayer.partyId, name: assayer.legalName } : null,
+        reconciliation: event.assayReconciliation || null
+      });
+    }
+    return history;
+  }
+
   /**
    * Verify integrity of all hashes for a batch
    */
@@ -494,7 +1408,7 @@ class ProvenanceService {
       return { valid: false, error: 'Batch not found' };
     }
 
-    const events = await db.getEventsByBatch(batchId);
+    const events = orderEventChain(await db.getEventsByBatch(batchId));
     const verificationResults = {
       batchId,
       overallValid: true,
@@ -503,8 +1417,22 @@ class ProvenanceService {
       anchorVerifications: []
     };
 
-    // Verify batch hash
+    // Verify the batch anchor against the hash registered at creation
     const computedBatchHash = computeBatchHash(batch);
+    if (batch.onChainTxHash) {
+      const batchAnchorCheck = await anchoringService.verifyAnchor(batch.onChainTxHash, {
+        id: `batch:${batch.batchId}`,
+        hash: batch.batchHash
+      });
+      verificationResults.batchAnchor = {
+        txHash: batch.onChainTxHash,
+        anchoredHash: batchAnchorCheck.record?.hash ?? null,
+        verified: batchAnchorCheck.verified,
+        onChain: batchAnchorCheck.onChain || null,
+        // Owner and quantity may change after creation, so this is informational
+        matchesCurrentBatch: batch.batchHash === computedBatchHash
+      };
+    }
     
     // Verify each event
     for (const event of events) {
@@ -513,18 +1441,35 @@ class ProvenanceService {
       
       let anchorValid = null;
       if (event.onChainTxHash) {
-        const anchorCheck = await anchoringService.verifyAnchor(event.onChainTxHash);
-        anchorValid = anchorCheck.verified;
+        const anchorCheck = await anchoringService.verifyAnchor(event.onChainTxHash, {
+          id: `event:${event.eventId}`,
+          hash: computedHash
+        });
+        // Merkle-batched events must also prove inclusion under the anchored root
+        const merkleProofValid = event.merkleProof?.root
+          ? anchoringService.verifyMerkleInclusion(`event:${event.eventId}`, computedHash, event.merkleProof)
+          : null;
+        anchorValid = anchorCheck.verified && merkleProofValid !== false;
         verificationResults.anchorVerifications.push({
           eventId: event.eventId,
           txHash: event.onChainTxHash,
-          verified: anchorValid
+          verified: anchorValid,
+          registered: anchorCheck.registered,
+          blockNumber: anchorCheck.record?.blockNumber ?? null,
+          logIndex: anchorCheck.record?.logIndex ?? null,
+          // Live mode only: decoded log checks against the chain
+          onChain: anchorCheck.onChain || null,
+          merkleRoot: event.merkleProof?.root || null,
+          merkleProofValid
         });
       }
 
       verificationResults.events.push({
         eventId: event.eventId,
         eventType: event.eventType,
+        sequenceNumber: event.sequenceNumber ?? null,
+        previousEventHash: event.previousEventHash ?? null,
+        hashAlgorithm: event.hashAlgorithm || HashAlgorithm.SHA256,
         storedHash: event.eventPayloadHash,
         computedHash,
         hashMatch,
@@ -536,13 +1481,31 @@ class ProvenanceService {
       }
     }
 
+    // Verify the hash chain, then cross-check the batch's own event list
+    const chain = verifyEventChain(events);
+    if (batch.eventIds?.length) {
+      const storedIds = new Set(events.map(e => e.eventId));
+      const listedIds = new Set(batch.eventIds);
+      batch.eventIds.filter(id => !storedIds.has(id)).forEach(eventId => {
+        chain.breaks.push({ type: 'missing', eventId, message: 'Listed on the batch but not found in the event store' });
+      });
+      events.filter(e => !listedIds.has(e.eventId)).forEach(e => {
+        chain.breaks.push({ type: 'inserted', eventId: e.eventId, message: 'Stored for the batch but not listed on it' });
+      });
+      chain.valid = chain.breaks.length === 0;
+    }
+    verificationResults.chain = chain;
+    if (!chain.valid) {
+      verificationResults.overallValid = false;
+    }
+
     return verificationResults;
   }
 
   /**
    * Compute verification status for display
    */
-  _computeVerificationStatus(batch, events, documents) {
+  _computeVerificationStatus(batch, events, documents, screening = null) {
     const hasCreateEvent = events.some(e => e.eventType === EventType.CREATE);
     const hasDocuments = documents.length > 0;
     const allEventsAnchored = events.every(e => e.onChainTxHash);
@@ -550,6 +1513,33 @@ class ProvenanceService {
     if (batch.status === BatchStatus.DISPUTE) {
       return { status: 'DISPUTED', message: 'Batch has an active dispute' };
     }
+
+    if (batch.weightDiscrepancy) {
+      const { delta, unit, allowedDelta } = batch.weightDiscrepancy;
+      return {
+        status: 'FLAGGED',
+        message: `Received weight is off by ${delta} ${unit}, more than the ${allowedDelta} ${unit} allowed; raise and resolve a dispute`
+      };
+    }
+
+    if (batch.assayDiscrepancy) {
+      const { assayType, variance, unit, allowedVariance } = batch.assayDiscrepancy;
+      return {
+        status: 'FLAGGED',
+        message: `${assayType} assay differs from the declared assay by ${variance} ${unit}, more than the ${allowedVariance} ${unit} allowed; raise and resolve a dispute`
+      };
+    }
+
+    // Sourcing from a high-risk area is acceptable once due diligence on it is closed
+    const dueDiligence = dueDiligenceService.summarize(batch);
+    if (screening?.status === ScreeningStatus.HIGH_RISK && dueDiligence.status !== 'Closed') {
+      const flagged = screening.facilities.filter(f => f.status === ScreeningStatus.HIGH_RISK);
+      const places = flagged.map(f => `${f.facilityName} (${f.matches.map(m => m.name).join(', ')})`);
+      return {
+        status: 'HIGH_RISK',
+        message: `Sourced from or through a conflict-affected or high-risk area: ${places.join('; ')}; complete OECD due diligence`
+      };
+    }
     
     if (!hasCreateEvent) {
       return { status: 'INCOMPLETE', message: 'Missing creation event' };
@@ -558,7 +1548,18 @@ class ProvenanceService {
     if (!hasDocuments) {
       return { status: 'INCOMPLETE', message: 'No supporting documents attached' };
     }
+
+    if (dueDiligence.status !== 'Closed') {
+      return {
+        status: 'DUE_DILIGENCE_OPEN',
+        message: `OECD due diligence is open: ${dueDiligence.openSteps.join(', ')}`
+      };
+    }
     
+    if (events.some(e => e.anchorStatus === AnchorStatus.FAILED)) {
+      return { status: 'PARTIAL', message: 'Anchoring failed for some events; retry them from the anchoring outbox' };
+    }
+
     if (!allEventsAnchored) {
       return { status: 'PARTIAL', message: 'Some events not yet anchored on blockchain' };
     }
@@ -568,17 +1569,337 @@ class ProvenanceService {
 
   // ============ CREDENTIALS ============
   
-  issueCredential(credentialData) {
+  /**
+   * Issue a W3C Verifiable Credential signed with the issuer party's Ed25519 key
+   */
+  async issueCredential(credentialData) {
+    const { credentialType, issuerPartyId, subjectBatchId, subjectFacilityId, supportingDocumentIds = [] } = credentialData;
+    if (!Object.values(CredentialType).includes(credentialType)) {
+      throw new Error(`Invalid credential type: ${credentialType}`);
+    }
+    if (credentialType === CredentialType.PROVENANCE_CERTIFICATE) {
+      throw new Error('Provenance certificates are issued with the batch certificate, not as attestations');
+    }
+    const issuer = await db.getParty(issuerPartyId);
+    if (!issuer) {
+      throw new Error('Issuer party not found');
+    }
+    if (subjectBatchId) {
+      if (!(await db.getBatch(subjectBatchId))) {
+        throw new Error('Subject batch not found');
+      }
+    } else if (subjectFacilityId) {
+      if (!(await db.getFacility(subjectFacilityId))) {
+        throw new Error('Subject facility not found');
+      }
+    } else {
+      throw new Error('Credential needs a subject batch or facility');
+    }
+
+    const documents = await Promise.all(supportingDocumentIds.map(id => db.getDocument(id)));
+    const missing = supportingDocumentIds.filter((id, i) => !documents[i]);
+    if (missing.length > 0) {
+      throw new Error(`Supporting documents not found: ${missing.join(', ')}`);
+    }
+
     const credential = createCredential(credentialData);
+    const keyPair = keyStore.getOrCreateKeyPair(issuerPartyId);
+    credential.verifiableCredential = signCredential(
+      buildCredential(credential, { issuerDid: keyPair.did, issuerName: issuer.legalName, documents }),
+      keyPair,
+      credential.issuedAt
+    );
     return db.saveCredential(credential);
   }
 
+  getCredential(credentialId) {
+    return db.getCredential(credentialId);
+  }
+
+  getCredentialsForBatch(batchId) {
+    return db.getCredentialsByBatch(batchId);
+  }
+
+  /**
+   * Verify a stored credential's proof, issuer key, validity period and documents
+   */
+  async verifyCredential(credentialId) {
+    const credential = await db.getCredential(credentialId);
+    if (!credential) {
+      return null;
+    }
+    return {
+      credentialId,
+      ...(await this._checkCredential(credential.verifiableCredential, credential.issuerPartyId))
+    };
+  }
+
+  /**
+   * Verify a VC presented from outside, e.g. by a downstream buyer
+   * The issuer is matched to a registered party by its signing key
+   */
+  async verifyCredentialDocument(document) {
+    const issuerDid = typeof document?.issuer === 'string' ? document.issuer : document?.issuer?.id;
+    const parties = await db.getAllParties();
+    const issuer = parties.find(p => keyStore.getKeyPair(p.partyId)?.did === issuerDid);
+    return {
+      credentialId: document?.id?.replace(/^urn:uuid:/, '') || null,
+      ...(await this._checkCredential(document, issuer?.partyId || null))
+    };
+  }
+
+  /**
+   * Run every check on a VC document against the expected issuer party
+   */
+  async _checkCredential(document, issuerPartyId) {
+    if (!document) {
+      return {
+        verified: false,
+        issuerDid: null,
+        checks: { signature: false, issuerKey: false, validityPeriod: false, documents: false },
+        errors: ['Credential was issued without a signature']
+      };
+    }
+
+    const errors = [];
+    const proof = verifyCredentialProof(document);
+    if (!proof.valid) {
+      errors.push(proof.error);
+    }
+
+    const issuerKey = issuerPartyId ? keyStore.getKeyPair(issuerPartyId) : null;
+    const issuerKeyValid = !!issuerKey && issuerKey.did === proof.issuerDid;
+    if (!issuerKeyValid) {
+      errors.push(issuerPartyId
+        ? 'Signing key does not belong to the issuing party'
+        : 'Issuer key is not registered to any known party');
+    }
+
+    const now = new Date();
+    const validityPeriod = (!document.validFrom || new Date(document.validFrom) <= now) &&
+      (!document.validUntil || now <= new Date(document.validUntil));
+    if (!validityPeriod) {
+      errors.push('Credential is outside its validity period');
+    }
+
+    const documentResults = await Promise.all(
+      (document.credentialSubject?.supportingDocuments || []).map(async (ref) => {
+        const stored = await db.getDocument(ref.id.replace(/^urn:uuid:/, ''));
+        return stored && stored.sha256Hash === ref.digestSha256;
+      })
+    );
+    const documentsValid = documentResults.every(Boolean);
+    if (!documentsValid) {
+      errors.push('Supporting documents are missing or do not match their digests');
+    }
+
+    return {
+      verified: errors.length === 0,
+      issuerDid: proof.issuerDid,
+      verificationMethod: proof.verificationMethod,
+      checks: {
+        signature: proof.valid,
+        issuerKey: issuerKeyValid,
+        validityPeriod,
+        documents: documentsValid
+      },
+      errors
+    };
+  }
+
+  // ============ CERTIFICATES ============
+
+  /**
+   * Issue a certificate of provenance for a batch: its current record as a
+   * credential signed by the batch owner, stored with the batch's credentials
+   * Returns the credential and its payload hash, or null if the batch does
+   * not exist
+   */
+  async issueCertificate(batchId) {
+    const batch = await db.getBatch(batchId);
+    if (!batch) {
+      return null;
+    }
+    const owner = await db.getParty(batch.ownerPartyId);
+    if (!owner) {
+      throw new Error('Batch owner party not found');
+    }
+    const subject = await this._certificateSubject(batchId);
+    const credential = createCredential({
+      credentialType: CredentialType.PROVENANCE_CERTIFICATE,
+      issuerPartyId: owner.partyId,
+      subjectBatchId: batchId,
+      claimsSummary: `Certificate of provenance for ${batch.externalReferenceNumber}: ${subject.verification.status}`,
+      supportingDocumentIds: subject.documents.map(d => d.documentId)
+    });
+    const keyPair = keyStore.getOrCreateKeyPair(owner.partyId);
+    const unsigned = buildCredential(credential, {
+      issuerDid: keyPair.did,
+      issuerName: owner.legalName,
+      documents: subject.documents
+    });
+    unsigned.credentialSubject = { ...unsigned.credentialSubject, ...subject };
+    credential.verifiableCredential = signCredential(unsigned, keyPair, credential.issuedAt);
+    await db.saveCredential(credential);
+    return { credential, payloadHash: certificatePayloadHash(credential.verifiableCredential) };
+  }
+
+  /**
+   * Match a payload hash, e.g. from a printed certificate, to a certificate
+   * issued for the batch; a match is checked like any credential and
+   * compared with the batch's current record
+   */
+  async matchCertificate(batchId, payloadHash) {
+    const batch = await db.getBatch(batchId);
+    if (!batch) {
+      return null;
+    }
+    const hash = String(payloadHash).toLowerCase();
+    const certificate = (await db.getCredentialsByBatch(batchId)).find(c =>
+      c.credentialType === CredentialType.PROVENANCE_CERTIFICATE &&
+      c.verifiableCredential && certificatePayloadHash(c.verifiableCredential) === hash);
+    if (!certificate) {
+      return { batchId, payloadHash: hash, matched: false };
+    }
+    const changedSince = changedSections(certificate.verifiableCredential.credentialSubject, await this._certificateSubject(batchId));
+    return {
+      batchId,
+      payloadHash: hash,
+      matched: true,
+      certificateId: certificate.credentialId,
+      issuedAt: certificate.issuedAt,
+      issuerPartyId: certificate.issuerPartyId,
+      verification: await this._checkCredential(certificate.verifiableCredential, certificate.issuerPartyId),
+      upToDate: changedSince.length === 0,
+      changedSince,
+      certificate: certificate.verifiableCredential
+    };
+  }
+
+  async _certificateSubject(batchId) {
+    return certificateSubject(await this.getChainOfCustody(batchId), await this.verifyBatchIntegrity(batchId));
+  }
+
   // ============ EXPORT ============
   
   exportBatchPackage(batchId) {
     return db.exportBatchPackage(batchId);
   }
 
+  /**
+   * UNTP export of a batch: a Verifiable Presentation holding its Digital
+   * Product Passport, signed by the batch owner, and a Digital Traceability
+   * Event per event, signed by the party that recorded it
+   * Exporting never creates keys: credentials of parties without one are left
+   * unsigned and listed in `gp:unsignedCredentials`
+   */
+  async exportUntpPackage(batchId) {
+    const batch = await db.getBatch(batchId);
+    if (!batch) {
+      return null;
+    }
+    const events = orderEventChain(await db.getEventsByBatch(batchId));
+
+    const parties = {};
+    const facilities = {};
+    const partyIds = new Set([batch.ownerPartyId, ...events.flatMap(e => [e.fromPartyId, e.toPartyId])]);
+    const facilityIds = new Set([batch.originFacilityId, ...events.flatMap(e => [e.fromFacilityId, e.toFacilityId])]);
+    for (const id of [...facilityIds].filter(Boolean)) {
+      facilities[id] = await db.getFacility(id);
+      partyIds.add(facilities[id]?.ownerPartyId);
+    }
+    for (const id of [...partyIds].filter(Boolean)) {
+      parties[id] = await db.getParty(id);
+    }
+    const issuerOf = (partyId) => {
+      const keyPair = keyStore.getKeyPair(partyId);
+      return { keyPair, did: keyPair?.did || urn(partyId), name: parties[partyId]?.legalName };
+    };
+    const unsigned = [];
+    const secure = (credential, issuer) => {
+      if (issuer.keyPair) return signCredential(credential, issuer.keyPair);
+      unsigned.push(credential.id);
+      return credential;
+    };
+
+    const traceabilityEvents = [];
+    for (const event of events) {
+      const related = [];
+      for (const id of event.relatedBatchIds || []) {
+        const relatedBatch = await db.getBatch(id);
+        if (relatedBatch) related.push(relatedBatch);
+      }
+      // A lot's own split/merge event lists its parents, a consumed lot's lists its children
+      const derived = related.some(b => (batch.parentBatchIds || []).includes(b.batchId));
+      const documents = (await Promise.all(event.references.map(id => db.getDocument(id)))).filter(Boolean);
+      const issuer = issuerOf(event.fromPartyId || event.toPartyId || batch.ownerPartyId);
+      const dte = buildTraceabilityEvent({
+        event,
+        batch,
+        issuer,
+        parties,
+        facilities,
+        documents,
+        inputs: derived ? related : [batch],
+        outputs: derived ? [batch] : related,
+        anchor: event.onChainTxHash ? {
+          url: anchoringService.getExplorerUrl(event.onChainTxHash),
+          hash: event.eventPayloadHash,
+          algorithm: event.hashAlgorithm || HashAlgorithm.SHA256
+        } : null
+      });
+      traceabilityEvents.push(secure(dte, issuer));
+    }
+
+    const originFacility = facilities[batch.originFacilityId];
+    const origins = [];
+    for (const root of await this.getRootBatches(batchId)) {
+      const facility = await db.getFacility(root.originFacilityId);
+      if (facility && !origins.some(o => o.facilityId === facility.facilityId)) origins.push(facility);
+    }
+    const dueDiligence = dueDiligenceService.summarize(batch);
+    const screening = await screeningService.screenBatch(batchId);
+    const issuer = issuerOf(batch.ownerPartyId);
+    const passport = buildProductPassport({
+      batch,
+      issuer,
+      producer: parties[originFacility?.ownerPartyId] || null,
+      originFacility,
+      origins,
+      fineGold: normalizeBatch(batch).fineGold,
+      assay: currentAssay(batch),
+      eventCredentialIds: traceabilityEvents.map(dte => dte.id),
+      anchoredEventCount: events.filter(e => e.onChainTxHash).length,
+      conformityClaims: [
+        {
+          type: ['Claim'],
+          referenceStandard: {
+            type: ['Standard'],
+            name: 'OECD Due Diligence Guidance for Responsible Supply Chains of Minerals from Conflict-Affected and High-Risk Areas',
+            issuingParty: { type: ['Party'], id: 'https://www.oecd.org', name: 'OECD' }
+          },
+          conformance: dueDiligence.status === 'Closed',
+          conformityTopic: 'social.humanRights',
+          ...(dueDiligence.closedAt && { assessmentDate: dueDiligence.closedAt })
+        },
+        ...(screening.status === ScreeningStatus.NOT_CONFIGURED ? [] : [{
+          type: ['Claim'],
+          referenceStandard: { type: ['Standard'], name: 'Conflict-affected and high-risk area screening' },
+          conformance: screening.status === ScreeningStatus.CLEAR,
+          conformityTopic: 'social.humanRights',
+          assessmentDate: screening.screenedAt
+        }])
+      ]
+    });
+
+    return {
+      '@context': [VC_CONTEXT],
+      type: ['VerifiablePresentation'],
+      verifiableCredential: [secure(passport, issuer), ...traceabilityEvents],
+      ...(unsigned.length > 0 && { 'gp:unsignedCredentials': unsigned })
+    };
+  }
+
   getAuditLog(entityId = null) {
     return db.getAuditLog(entityId);
   }
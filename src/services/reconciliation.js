@@ -0,0 +1,260 @@
+/**
+ * Reconciliation
+ * Loss tolerances per commodity and route, the shipped-versus-received
+ * weight check run on every receipt, the declared-versus-final assay check
+ * run on every assay, and mass balance over a batch's timeline
+ *
+ * Tolerances come from the JSON file at TOLERANCES_FILE, falling back to
+ * DEFAULT_TOLERANCES. A tolerance allows a percentage of the reference value
+ * (shipped weight, declared assay) and/or an absolute amount in its unit;
+ * when both are set the larger allowance applies.
+ */
+
+import fs from 'fs';
+import { EventType, BatchStatus } from '../models/index.js';
+import { assayUnit, convertAssay, convertWeight, normalizeQuantity, fineGold, currentAssay, WeightUnit } from './units.js';
+
+export const ToleranceAction = {
+  FLAG: 'flag',       // Mark the batch for review
+  DISPUTE: 'dispute'  // Also raise a dispute on the batch
+};
+
+const DEFAULT_TOLERANCES = {
+  weight: {
+    default: { percent: 0.5, absolute: null },
+    // Keyed by commodity type, e.g. { "Concentrate": { "percent": 2 } }
+    commodities: {},
+    // { from, to, commodityType?, percent?, absolute?, action? }; from/to match
+    // a facility ID or a facility's country, '*' or omitted matches any
+    routes: []
+  },
+  assay: {
+    default: { percent: 1, absolute: null },
+    // Keyed by commodity type, e.g. { "Concentrate": { "percent": 5 } }
+    commodities: {}
+  }
+};
+
+// Weight and assay deltas below this are rounding noise
+const WEIGHT_EPSILON = 1e-6;
+
+function round(value, digits = 6) {
+  return Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+function sameCommodity(a, b) {
+  return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
+
+function matchesFacility(pattern, facility) {
+  if (!pattern || pattern === '*') return true;
+  if (!facility) return false;
+  return pattern === facility.facilityId ||
+    pattern.toUpperCase() === (facility.location?.country || '').toUpperCase();
+}
+
+class ReconciliationService {
+  constructor(tolerancesFile = process.env.TOLERANCES_FILE || null) {
+    this.tolerancesFile = tolerancesFile;
+    this.defaultAction = process.env.TOLERANCE_ACTION || ToleranceAction.FLAG;
+    this.tolerances = this.loadTolerances();
+  }
+
+  loadTolerances() {
+    if (!this.tolerancesFile) {
+      return DEFAULT_TOLERANCES;
+    }
+    const config = JSON.parse(fs.readFileSync(this.tolerancesFile, 'utf-8'));
+    return {
+      ...config,
+      weight: { ...DEFAULT_TOLERANCES.weight, ...config.weight },
+      assay: { ...DEFAULT_TOLERANCES.assay, ...config.assay }
+    };
+  }
+
+  /**
+   * Most specific weight tolerance for a commodity moving between two
+   * facilities: route and commodity, then route, then commodity, then default
+   */
+  weightTolerance(commodityType, fromFacility, toFacility) {
+    const { default: fallback, commodities = {}, routes = [] } = this.tolerances.weight;
+    const onRoute = routes.filter(r => matchesFacility(r.from, fromFacility) && matchesFacility(r.to, toFacility));
+    const routeName = (r) => `route:${r.from || '*'}->${r.to || '*'}`;
+
+    const routeAndCommodity = onRoute.find(r => r.commodityType && sameCommodity(r.commodityType, commodityType));
+    if (routeAndCommodity) {
+      return this.toTolerance(routeAndCommodity, `${routeName(routeAndCommodity)}:${routeAndCommodity.commodityType}`);
+    }
+    const route = onRoute.find(r => !r.commodityType);
+    if (route) {
+      return this.toTolerance(route, routeName(route));
+    }
+    const commodity = Object.keys(commodities).find(c => sameCommodity(c, commodityType));
+    if (commodity) {
+      return this.toTolerance(commodities[commodity], `commodity:${commodity}`);
+    }
+    return this.toTolerance(fallback, 'default');
+  }
+
+  /**
+   * Assay tolerance for a commodity, or the default
+   */
+  assayTolerance(commodityType) {
+    const { default: fallback, commodities = {} } = this.tolerances.assay;
+    const commodity = Object.keys(commodities).find(c => sameCommodity(c, commodityType));
+    if (commodity) {
+      return this.toTolerance(commodities[commodity], `commodity:${commodity}`);
+    }
+    return this.toTolerance(fallback, 'default');
+  }
+
+  toTolerance({ percent = null, absolute = null, action = null }, source) {
+    return { percent, absolute, action: action || this.defaultAction, source };
+  }
+
+  /**
+   * Compare a received weight with the shipped weight
+   */
+  reconcileWeight({ shippedWeight, receivedWeight, unit, tolerance }) {
+    const delta = round(receivedWeight - shippedWeight);
+    const allowed = Math.max(
+      tolerance.percent != null ? shippedWeight * tolerance.percent / 100 : 0,
+      tolerance.absolute ?? 0
+    );
+    return {
+      shippedWeight,
+      receivedWeight,
+      unit,
+      delta,
+      deltaPercent: shippedWeight ? round(delta / shippedWeight * 100, 4) : null,
+      allowedDelta: round(allowed),
+      withinTolerance: Math.abs(delta) <= allowed + WEIGHT_EPSILON,
+      tolerance
+    };
+  }
+
+  /**
+   * Compare an assay result with the declared assay, in the declared unit
+   * An assay in a unit that cannot be converted is not compared
+   * (withinTolerance is null)
+   */
+  reconcileAssay({ declaredAssay, assay, tolerance }) {
+    const comparable = declaredAssay.unit === assay.unit ||
+      (!!assayUnit(declaredAssay.unit) && !!assayUnit(assay.unit));
+    const variance = comparable
+      ? round(convertAssay(assay.value, assay.unit, declaredAssay.unit) - declaredAssay.value)
+      : null;
+    const allowed = Math.max(
+      tolerance.percent != null ? Math.abs(declaredAssay.value) * tolerance.percent / 100 : 0,
+      tolerance.absolute ?? 0
+    );
+    return {
+      declaredValue: declaredAssay.value,
+      declaredUnit: declaredAssay.unit,
+      value: assay.value,
+      unit: assay.unit,
+      // variance and allowedVariance are in the declared unit
+      variance,
+      variancePercent: comparable && declaredAssay.value ? round(variance / declaredAssay.value * 100, 4) : null,
+      allowedVariance: round(allowed),
+      withinTolerance: comparable ? Math.abs(variance) <= allowed + WEIGHT_EPSILON : null,
+      tolerance
+    };
+  }
+
+  // ============ MASS BALANCE ============
+
+  /**
+   * Weight gained or lost at each step of a batch's timeline, in the batch's
+   * weight unit
+   * `events` must be in chain order
+   */
+  massBalance(batch, events) {
+    const steps = [];
+    let previous = null;
+    for (const event of events) {
+      if (event.quantity?.weight == null) continue;
+      const weight = convertWeight(event.quantity.weight, event.quantity.unit || batch.quantity.unit, batch.quantity.unit);
+      const delta = previous == null ? 0 : round(weight - previous);
+      steps.push({
+        eventId: event.eventId,
+        eventType: event.eventType,
+        timestamp: event.eventTimestamp,
+        weight,
+        delta,
+        withinTolerance: event.weightReconciliation ? event.weightReconciliation.withinTolerance : null
+      });
+      previous = weight;
+    }
+
+    const initialWeight = steps.length > 0 ? steps[0].weight : batch.quantity.weight;
+    const currentWeight = batch.quantity.weight;
+    const netChange = round(currentWeight - initialWeight);
+    const receipts = events.filter(e => e.eventType === EventType.RECEIVE && e.weightReconciliation);
+
+    return {
+      batchId: batch.batchId,
+      referenceNumber: batch.externalReferenceNumber,
+      commodityType: batch.commodityType,
+      status: batch.status,
+      unit: batch.quantity.unit,
+      initialWeight,
+      currentWeight,
+      netChange,
+      netChangePercent: initialWeight ? round(netChange / initialWeight * 100, 4) : null,
+      totalLoss: round(steps.reduce((sum, s) => sum + Math.min(s.delta, 0), 0)),
+      totalGain: round(steps.reduce((sum, s) => sum + Math.max(s.delta, 0), 0)),
+      receiptsOutOfTolerance: receipts.filter(e => !e.weightReconciliation.withinTolerance).length,
+      fineGold: fineGold(batch.quantity, currentAssay(batch)),
+      parentBatchIds: batch.parentBatchIds || [],
+      // Consumed batches live on in their child lots
+      childBatchIds: batch.childBatchIds || [],
+      steps
+    };
+  }
+
+  /**
+   * Totals over a set of mass balances, in kilograms
+   * Inputs are batches created at origin (no parents) and outputs are
+   * batches not consumed by a split or merge, so no lot is counted twice.
+   * Batches whose weight unit cannot be converted are listed, not totalled
+   */
+  massBalanceTotals(balances) {
+    const totals = {
+      unit: WeightUnit.KG,
+      inputWeight: 0,
+      outputWeight: 0,
+      netChange: 0,
+      netChangePercent: null,
+      outputFineGold: 0,
+      receiptsOutOfTolerance: 0,
+      unconvertedBatchIds: []
+    };
+    const kg = (weight, unit) => normalizeQuantity({ weight, unit })?.weight;
+    for (const b of balances) {
+      const initial = kg(b.initialWeight, b.unit);
+      const current = kg(b.currentWeight, b.unit);
+      if (initial == null || current == null) {
+        totals.unconvertedBatchIds.push(b.batchId);
+        continue;
+      }
+      if (b.parentBatchIds.length === 0) totals.inputWeight += initial;
+      if (b.status !== BatchStatus.CONSUMED) {
+        totals.outputWeight += current;
+        totals.outputFineGold += b.fineGold?.weight ?? 0;
+      }
+      totals.receiptsOutOfTolerance += b.receiptsOutOfTolerance;
+    }
+    totals.inputWeight = round(totals.inputWeight);
+    totals.outputWeight = round(totals.outputWeight);
+    totals.outputFineGold = round(totals.outputFineGold);
+    totals.netChange = round(totals.outputWeight - totals.inputWeight);
+    totals.netChangePercent = totals.inputWeight ? round(totals.netChange / totals.inputWeight * 100, 4) : null;
+    return totals;
+  }
+}
+
+// Export singleton instance
+const reconciliationService = new ReconciliationService();
+export default reconciliationService;
+export { ReconciliationService };
@@ -0,0 +1,113 @@
+/**
+ * Startup Recovery
+ * Repairs work a crash left half-done. The stores finish their own
+ * interrupted units of work when they load; this pass repairs what spans the
+ * database and the chain (anchors registered but never written back) and
+ * records written before units of work existed. Batches listing events that
+ * do not exist are only reported: units of work never leave them behind, so
+ * the missing events point to tampering and integrity checks must still see
+ * them
+ */
+
+import anchoringOutbox from './anchoring-outbox.js';
+import { UnitOfWork } from './unit-of-work.js';
+import { AnchorStatus } from '../models/index.js';
+
+const db = (await import('./db-selector.js')).default;
+
+class RecoveryService {
+  constructor(store = db, outbox = anchoringOutbox) {
+    this.store = store;
+    this.outbox = outbox;
+  }
+
+  /**
+   * Run every repair and report what was changed and what needs review
+   */
+  async run() {
+    const report = {
+      anchorsWrittenBack: [],
+      orphanedEntriesRemoved: [],
+      requeued: [],
+      danglingEventIds: []
+    };
+    await this.settleOutbox(report);
+    await this.requeuePending(report);
+    await this.findDanglingEventIds(report);
+    return report;
+  }
+
+  /**
+   * Outbox entries whose hash reached the registry but whose record was never
+   * updated are written back instead of anchored a second time; entries
+   * whose record does not exist are dropped, so nothing gets anchored
+   * without a record
+   */
+  async settleOutbox(report) {
+    for (const entry of await this.store.getOutboxEntries()) {
+      const record = entry.kind === 'batch'
+        ? await this.store.getBatch(entry.entityId)
+        : await this.store.getEvent(entry.entityId);
+      if (!record) {
+        await this.store.deleteOutboxEntry(entry.anchorId);
+        report.orphanedEntriesRemoved.push(entry.anchorId);
+        continue;
+      }
+
+      const registered = await this.store.getAnchor(entry.anchorId);
+      // Merkle leaves need their inclusion proof, which only a fresh submission returns
+      if (!registered || registered.hash !== entry.hash || registered.merkleRootId) continue;
+      if (registered.simulated && entry.requiresLive) continue;
+
+      const unitOfWork = new UnitOfWork(this.store);
+      await this.outbox.writeBack(unitOfWork, entry, registered);
+      unitOfWork.deleteOutboxEntry(entry.anchorId);
+      await unitOfWork.commit();
+      report.anchorsWrittenBack.push({ anchorId: entry.anchorId, txHash: registered.txHash });
+    }
+  }
+
+  /**
+   * Batches and events still PENDING_ANCHOR with no outbox entry go back in
+   * the queue
+   */
+  async requeuePending(report) {
+    const unitOfWork = new UnitOfWork(this.store);
+    for (const batch of await this.store.getAllBatches()) {
+      if (batch.anchorStatus === AnchorStatus.PENDING && !await this.store.getOutboxEntry(`batch:${batch.batchId}`)) {
+        this.outbox.queueBatch(unitOfWork, batch);
+        report.requeued.push(`batch:${batch.batchId}`);
+      }
+    }
+    for (const event of await this.store.getAllEvents()) {
+      if (event.anchorStatus === AnchorStatus.PENDING && !await this.store.getOutboxEntry(`event:${event.eventId}`)) {
+        this.outbox.queueEvent(unitOfWork, event);
+        report.requeued.push(`event:${event.eventId}`);
+      }
+    }
+    await unitOfWork.commit();
+  }
+
+  /**
+   * Event ids on a batch whose event does not exist; the batch is left as
+   * it is so verification keeps failing on it
+   */
+  async findDanglingEventIds(report) {
+    for (const batch of await this.store.getAllBatches()) {
+      const dangling = [];
+      for (const eventId of batch.eventIds || []) {
+        if (!await this.store.getEvent(eventId)) {
+          dangling.push(eventId);
+        }
+      }
+      if (dangling.length > 0) {
+        report.danglingEventIds.push({ batchId: batch.batchId, status: batch.status, eventIds: dangling });
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const recoveryService = new RecoveryService();
+export default recoveryService;
+export { RecoveryService };
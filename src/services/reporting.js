@@ -0,0 +1,63 @@
+/**
+ * Reporting
+ * Report periods and CSV output shared by the compliance reports
+ */
+
+/**
+ * Start of `from` and, for a date without a time, end of day `to`
+ */
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Period between two ISO dates, either of which may be left open
+ */
+export function parsePeriod(from = null, to = null) {
+  const start = parseDate(from);
+  const end = parseDate(to, true);
+  if (start && end && start > end) {
+    throw new Error('The report period starts after it ends');
+  }
+  return { start, end };
+}
+
+/**
+ * Whether any of the timestamps falls in the period
+ */
+export function inPeriod(timestamps, { start, end }) {
+  return timestamps.some(ts => {
+    const t = new Date(ts);
+    return (!start || t >= start) && (!end || t <= end);
+  });
+}
+
+/**
+ * The period as shown in a report
+ */
+export function describePeriod({ start, end }) {
+  return { from: start?.toISOString() || null, to: end?.toISOString() || null };
+}
+
+// ============ CSV ============
+
+export function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV with a header row; `rows` are objects keyed by column
+ */
+export function toCsv(columns, rows) {
+  return [
+    columns.map(csvField).join(','),
+    ...rows.map(row => columns.map(column => csvField(row[column])).join(','))
+  ].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,27 @@
+/**
+ * Request Context
+ * Carries the authenticated user through async calls so the database
+ * layers can attribute audit log entries without threading it by hand
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `user` as the acting user for everything it awaits
+ */
+export function runAsUser(user, fn) {
+  return storage.run({ user }, fn);
+}
+
+export function currentUser() {
+  return storage.getStore()?.user || null;
+}
+
+/**
+ * User ID for audit log entries, 'system' outside a request
+ */
+export function currentUserId() {
+  return currentUser()?.userId || 'system';
+}
@@ -0,0 +1,245 @@
+/**
+ * CAHRA Screening
+ * Screens facilities against conflict-affected and high-risk areas, and
+ * batches against every facility they originated from or passed through
+ *
+ * Risk areas come from operator-maintained local files, never the network:
+ * CAHRA_ZONES_FILE, a GeoJSON FeatureCollection of Polygon/MultiPolygon
+ * zones matched against facility GPS coordinates, and CAHRA_COUNTRIES_FILE,
+ * a country risk list matched against facility country and region.
+ * Results are computed on demand, so edits to the files apply on reload
+ */
+
+import fs from 'fs';
+
+const db = (await import('./db-selector.js')).default;
+
+export const ScreeningStatus = {
+  HIGH_RISK: 'HIGH_RISK',           // At least one facility is in a risk area
+  CLEAR: 'CLEAR',                   // Screened, no match
+  NOT_CONFIGURED: 'NOT_CONFIGURED'  // No risk area files loaded
+};
+
+const DEFAULT_RISK_LEVEL = 'high';
+
+function sameName(a, b) {
+  return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+}
+
+/**
+ * Ray casting over one linear ring of [lng, lat] positions
+ */
+function inRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Inside the outer ring and outside every hole
+ */
+function inPolygon(lng, lat, [outer, ...holes]) {
+  return inRing(lng, lat, outer) && !holes.some(hole => inRing(lng, lat, hole));
+}
+
+function inGeometry(lng, lat, geometry) {
+  if (geometry?.type === 'Polygon') {
+    return inPolygon(lng, lat, geometry.coordinates);
+  }
+  if (geometry?.type === 'MultiPolygon') {
+    return geometry.coordinates.some(polygon => inPolygon(lng, lat, polygon));
+  }
+  return false;
+}
+
+function gpsOf(facility) {
+  const { gps, gpsLat, gpsLng } = facility.location || {};
+  const lat = gps?.lat ?? gps?.latitude ?? gpsLat;
+  const lng = gps?.lng ?? gps?.lon ?? gps?.longitude ?? gpsLng;
+  return lat != null && lng != null ? { lat: Number(lat), lng: Number(lng) } : null;
+}
+
+class CahraScreeningService {
+  constructor({
+    zonesFile = process.env.CAHRA_ZONES_FILE || null,
+    countriesFile = process.env.CAHRA_COUNTRIES_FILE || null,
+    store = db
+  } = {}) {
+    this.zonesFile = zonesFile;
+    this.countriesFile = countriesFile;
+    this.store = store;
+    this.reload();
+  }
+
+  /**
+   * Read the risk area files again
+   */
+  reload() {
+    this.zones = this.zonesFile ? this.loadZones(this.zonesFile) : [];
+    this.countries = this.countriesFile ? this.loadCountries(this.countriesFile) : [];
+    this.loadedAt = new Date().toISOString();
+    return { zones: this.zones.length, countries: this.countries.length, loadedAt: this.loadedAt };
+  }
+
+  loadZones(file) {
+    const collection = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (collection.type !== 'FeatureCollection') {
+      throw new Error(`${file} must be a GeoJSON FeatureCollection`);
+    }
+    return collection.features
+      .filter(f => ['Polygon', 'MultiPolygon'].includes(f.geometry?.type))
+      .map((f, i) => ({
+        name: f.properties?.name || `Zone ${i + 1}`,
+        riskLevel: f.properties?.riskLevel || DEFAULT_RISK_LEVEL,
+        source: f.properties?.source || null,
+        geometry: f.geometry
+      }));
+  }
+
+  /**
+   * { "countries": [{ "country", "aliases"?, "regions"?, "riskLevel"?, "source"? }] }
+   * An entry without regions covers the whole country
+   */
+  loadCountries(file) {
+    const { countries = [] } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return countries.map(c => ({
+      country: c.country,
+      aliases: c.aliases || [],
+      regions: c.regions || [],
+      riskLevel: c.riskLevel || DEFAULT_RISK_LEVEL,
+      source: c.source || null
+    }));
+  }
+
+  isConfigured() {
+    return this.zones.length > 0 || this.countries.length > 0;
+  }
+
+  // ============ FACILITIES ============
+
+  /**
+   * Risk areas a facility lies in: zones containing its GPS position and
+   * country list entries for its country or region
+   */
+  screenFacility(facility) {
+    const matches = [];
+    const gps = gpsOf(facility);
+    if (gps) {
+      for (const zone of this.zones) {
+        if (inGeometry(gps.lng, gps.lat, zone.geometry)) {
+          matches.push({ type: 'zone', name: zone.name, riskLevel: zone.riskLevel, source: zone.source });
+        }
+      }
+    }
+
+    const { country, region } = facility.location || {};
+    for (const entry of this.countries) {
+      if (![entry.country, ...entry.aliases].some(name => sameName(name, country))) continue;
+      if (entry.regions.length === 0) {
+        matches.push({ type: 'country', name: entry.country, riskLevel: entry.riskLevel, source: entry.source });
+      } else if (entry.regions.some(r => sameName(r, region))) {
+        matches.push({ type: 'region', name: `${region}, ${entry.country}`, riskLevel: entry.riskLevel, source: entry.source });
+      }
+    }
+
+    return {
+      facilityId: facility.facilityId,
+      facilityName: facility.facilityName,
+      country: country || null,
+      region: region || null,
+      // Without GPS only the country list applies
+      gpsMissing: !gps,
+      status: !this.isConfigured()
+        ? ScreeningStatus.NOT_CONFIGURED
+        : (matches.length > 0 ? ScreeningStatus.HIGH_RISK : ScreeningStatus.CLEAR),
+      matches
+    };
+  }
+
+  /**
+   * Screening of every registered facility
+   */
+  async screenFacilities() {
+    const facilities = (await this.store.getAllFacilities()).map(f => this.screenFacility(f));
+    return {
+      status: this.summaryStatus(facilities),
+      screenedAt: new Date().toISOString(),
+      flagged: facilities.filter(f => f.status === ScreeningStatus.HIGH_RISK).length,
+      facilities
+    };
+  }
+
+  // ============ BATCHES ============
+
+  /**
+   * Screen the facilities a batch originated from or passed through,
+   * including those of the lots it was split or merged from
+   */
+  async screenBatch(batchId) {
+    const batch = await this.store.getBatch(batchId);
+    if (!batch) {
+      return null;
+    }
+
+    const visits = new Map(); // facilityId -> { role, batchIds }
+    const visit = (facilityId, role, fromBatchId) => {
+      if (!facilityId) return;
+      const seen = visits.get(facilityId) || { role, batchIds: new Set() };
+      if (role === 'origin') seen.role = 'origin';
+      seen.batchIds.add(fromBatchId);
+      visits.set(facilityId, seen);
+    };
+
+    const walked = new Set();
+    const walk = async (b) => {
+      if (walked.has(b.batchId)) return;
+      walked.add(b.batchId);
+      visit(b.originFacilityId, 'origin', b.batchId);
+      for (const event of await this.store.getEventsByBatch(b.batchId)) {
+        visit(event.fromFacilityId, 'transit', b.batchId);
+        visit(event.toFacilityId, 'transit', b.batchId);
+      }
+      for (const parentId of b.parentBatchIds || []) {
+        const parent = await this.store.getBatch(parentId);
+        if (parent) await walk(parent);
+      }
+    };
+    await walk(batch);
+
+    const facilities = [];
+    for (const [facilityId, { role, batchIds }] of visits) {
+      const facility = await this.store.getFacility(facilityId);
+      if (!facility) continue;
+      facilities.push({
+        ...this.screenFacility(facility),
+        role,
+        viaBatchIds: [...batchIds].filter(id => id !== batch.batchId)
+      });
+    }
+
+    return {
+      batchId: batch.batchId,
+      status: this.summaryStatus(facilities),
+      screenedAt: new Date().toISOString(),
+      facilities
+    };
+  }
+
+  summaryStatus(facilities) {
+    if (!this.isConfigured()) return ScreeningStatus.NOT_CONFIGURED;
+    return facilities.some(f => f.status === ScreeningStatus.HIGH_RISK)
+      ? ScreeningStatus.HIGH_RISK
+      : ScreeningStatus.CLEAR;
+  }
+}
+
+// Export singleton instance
+const screeningService = new CahraScreeningService();
+export default screeningService;
+export { CahraScreeningService };
@@ -0,0 +1,490 @@
+/**
+ * SQLite Database Store
+ * Single-file storage via better-sqlite3, same interface as PersistentDatabase
+ * Each table keeps the queried fields as indexed columns and the full
+ * record as JSON, so hashed records round-trip unchanged
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { currentUserId } from './request-context.js';
+import { checkOperations } from './unit-of-work.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'provenance.sqlite');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS parties (
+    party_id TEXT PRIMARY KEY,
+    party_type TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS facilities (
+    facility_id TEXT PRIMARY KEY,
+    owner_party_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_facilities_owner ON facilities (owner_party_id);
+
+  CREATE TABLE IF NOT EXISTS batches (
+    batch_id TEXT PRIMARY KEY,
+    external_reference_number TEXT,
+    status TEXT,
+    owner_party_id TEXT,
+    origin_facility_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_batches_reference ON batches (external_reference_number);
+  CREATE INDEX IF NOT EXISTS idx_batches_owner ON batches (owner_party_id);
+  CREATE INDEX IF NOT EXISTS idx_batches_status ON batches (status);
+
+  CREATE TABLE IF NOT EXISTS events (
+    event_id TEXT PRIMARY KEY,
+    batch_id TEXT NOT NULL REFERENCES batches (batch_id),
+    event_type TEXT,
+    event_timestamp TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_events_batch ON events (batch_id, event_timestamp);
+
+  CREATE TABLE IF NOT EXISTS documents (
+    document_id TEXT PRIMARY KEY,
+    related_batch_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_documents_batch ON documents (related_batch_id);
+
+  CREATE TABLE IF NOT EXISTS credentials (
+    credential_id TEXT PRIMARY KEY,
+    subject_batch_id TEXT,
+    holder_party_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_credentials_batch ON credentials (subject_batch_id);
+
+  CREATE TABLE IF NOT EXISTS users (
+    user_id TEXT PRIMARY KEY,
+    username TEXT UNIQUE,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS anchors (
+    anchor_id TEXT PRIMARY KEY,
+    tx_hash TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_anchors_tx ON anchors (tx_hash);
+
+  CREATE TABLE IF NOT EXISTS anchor_outbox (
+    anchor_id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_anchor_outbox_status ON anchor_outbox (status);
+
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp TEXT NOT NULL,
+    action TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    data_summary TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log (entity_id);
+`;
+
+// Column values per table, taken from the record being saved
+// The first column is the primary key
+const TABLES = {
+  parties: r => ({ party_id: r.partyId, party_type: r.partyType }),
+  facilities: r => ({ facility_id: r.facilityId, owner_party_id: r.ownerPartyId }),
+  batches: r => ({
+    batch_id: r.batchId,
+    external_reference_number: r.externalReferenceNumber,
+    status: r.status,
+    owner_party_id: r.ownerPartyId,
+    origin_facility_id: r.originFacilityId
+  }),
+  events: r => ({ event_id: r.eventId, batch_id: r.batchId, event_type: r.eventType, event_timestamp: r.eventTimestamp }),
+  documents: r => ({ document_id: r.documentId, related_batch_id: r.relatedBatchId }),
+  credentials: r => ({ credential_id: r.credentialId, subject_batch_id: r.subjectBatchId, holder_party_id: r.holderPartyId }),
+  users: r => ({ user_id: r.userId, username: r.username }),
+  anchors: r => ({ anchor_id: r.anchorId, tx_hash: r.txHash }),
+  anchor_outbox: r => ({ anchor_id: r.anchorId, status: r.status, created_at: r.createdAt })
+};
+
+function parseRow(row) {
+  return row ? JSON.parse(row.data) : null;
+}
+
+class SqliteDatabase {
+  constructor(filePath = SQLITE_PATH) {
+    this.filePath = filePath;
+    if (filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.upserts = {};
+    console.log(`SQLite database: ${filePath}`);
+  }
+
+  /**
+   * Run `fn` in a transaction; nested calls join the outer transaction
+   */
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  upsert(table, record) {
+    const columns = { ...TABLES[table](record), data: JSON.stringify(record) };
+    if (!this.upserts[table]) {
+      const [key, ...rest] = Object.keys(columns);
+      this.upserts[table] = this.db.prepare(`
+        INSERT INTO ${table} (${[key, ...rest].join(', ')})
+        VALUES (${[key, ...rest].map(n => '@' + n).join(', ')})
+        ON CONFLICT (${key}) DO UPDATE SET ${rest.map(n => `${n} = excluded.${n}`).join(', ')}
+      `);
+    }
+    for (const key of Object.keys(columns)) {
+      if (columns[key] === undefined) columns[key] = null;
+    }
+    this.upserts[table].run(columns);
+  }
+
+  /**
+   * Save a record and its audit entry atomically
+   */
+  write(table, record, action, entityType, entityId, auditData = record) {
+    this.transaction(() => {
+      this.upsert(table, record);
+      this.logAction(action, entityType, entityId, auditData);
+    });
+    return record;
+  }
+
+  one(sql, ...params) {
+    return parseRow(this.db.prepare(sql).get(...params));
+  }
+
+  many(sql, ...params) {
+    return this.db.prepare(sql).all(...params).map(parseRow);
+  }
+
+  // ============ AUDIT LOG ============
+
+  logAction(action, entityType, entityId, data, userId = currentUserId()) {
+    this.db.prepare(`
+      INSERT INTO audit_log (timestamp, action, entity_type, entity_id, user_id, data_summary)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(new Date().toISOString(), action, entityType, entityId, userId, JSON.stringify(data).substring(0, 500));
+  }
+
+  getAuditLog(entityId = null) {
+    const rows = entityId
+      ? this.db.prepare('SELECT * FROM audit_log WHERE entity_id = ? ORDER BY id').all(entityId)
+      : this.db.prepare('SELECT * FROM audit_log ORDER BY id').all();
+    return rows.map(row => ({
+      timestamp: row.timestamp,
+      action: row.action,
+      entityType: row.entity_type,
+      entityId: row.entity_id,
+      userId: row.user_id,
+      dataSummary: row.data_summary
+    }));
+  }
+
+  // ============ PARTIES ============
+
+  saveParty(party) {
+    return this.write('parties', party, 'CREATE', 'Party', party.partyId);
+  }
+
+  getParty(partyId) {
+    return this.one('SELECT data FROM parties WHERE party_id = ?', partyId);
+  }
+
+  getAllParties() {
+    return this.many('SELECT data FROM parties ORDER BY rowid');
+  }
+
+  getPartiesByType(partyType) {
+    return this.many('SELECT data FROM parties WHERE party_type = ? ORDER BY rowid', partyType);
+  }
+
+  // ============ FACILITIES ============
+
+  saveFacility(facility) {
+    return this.write('facilities', facility, 'CREATE', 'Facility', facility.facilityId);
+  }
+
+  getFacility(facilityId) {
+    return this.one('SELECT data FROM facilities WHERE facility_id = ?', facilityId);
+  }
+
+  getAllFacilities() {
+    return this.many('SELECT data FROM facilities ORDER BY rowid');
+  }
+
+  getFacilitiesByOwner(ownerPartyId) {
+    return this.many('SELECT data FROM facilities WHERE owner_party_id = ? ORDER BY rowid', ownerPartyId);
+  }
+
+  // ============ BATCHES ============
+
+  saveBatch(batch) {
+    return this.write('batches', batch, 'CREATE', 'Batch', batch.batchId);
+  }
+
+  updateBatch(batch) {
+    return this.write('batches', batch, 'UPDATE', 'Batch', batch.batchId);
+  }
+
+  getBatch(batchId) {
+    return this.one('SELECT data FROM batches WHERE batch_id = ?', batchId);
+  }
+
+  getBatchByReference(externalReferenceNumber) {
+    return this.one('SELECT data FROM batches WHERE external_reference_number = ? ORDER BY rowid LIMIT 1', externalReferenceNumber);
+  }
+
+  getAllBatches() {
+    return this.many('SELECT data FROM batches ORDER BY rowid');
+  }
+
+  getBatchesByStatus(status) {
+    return this.many('SELECT data FROM batches WHERE status = ? ORDER BY rowid', status);
+  }
+
+  getBatchesByOwner(ownerPartyId) {
+    return this.many('SELECT data FROM batches WHERE owner_party_id = ? ORDER BY rowid', ownerPartyId);
+  }
+
+  getBatchesByFacility(facilityId) {
+    return this.many('SELECT data FROM batches WHERE origin_facility_id = ? ORDER BY rowid', facilityId);
+  }
+
+  // ============ EVENTS ============
+
+  saveEvent(event) {
+    return this.write('events', event, 'CREATE', 'Event', event.eventId);
+  }
+
+  updateEvent(event) {
+    return this.write('events', event, 'UPDATE', 'Event', event.eventId);
+  }
+
+  getEvent(eventId) {
+    return this.one('SELECT data FROM events WHERE event_id = ?', eventId);
+  }
+
+  getEventsForBatch(batchId) {
+    return this.many('SELECT data FROM events WHERE batch_id = ? ORDER BY event_timestamp, rowid', batchId);
+  }
+
+  // Compatibility: in-memory DB uses `getEventsByBatch` name
+  getEventsByBatch(batchId) {
+    return this.getEventsForBatch(batchId);
+  }
+
+  getAllEvents() {
+    return this.many('SELECT data FROM events ORDER BY rowid');
+  }
+
+  // ============ DOCUMENTS ============
+
+  saveDocument(document) {
+    return this.write('documents', document, 'CREATE', 'Document', document.documentId);
+  }
+
+  updateDocument(document) {
+    return this.write('documents', document, 'UPDATE', 'Document', document.documentId);
+  }
+
+  getDocument(documentId) {
+    return this.one('SELECT data FROM documents WHERE document_id = ?', documentId);
+  }
+
+  getDocumentsByBatch(batchId) {
+    return this.many('SELECT data FROM documents WHERE related_batch_id = ? ORDER BY rowid', batchId);
+  }
+
+  getAllDocuments() {
+    return this.many('SELECT data FROM documents ORDER BY rowid');
+  }
+
+  // ============ CREDENTIALS ============
+
+  saveCredential(credential) {
+    return this.write('credentials', credential, 'CREATE', 'Credential', credential.credentialId);
+  }
+
+  getCredential(credentialId) {
+    return this.one('SELECT data FROM credentials WHERE credential_id = ?', credentialId);
+  }
+
+  getCredentialsByBatch(batchId) {
+    return this.many('SELECT data FROM credentials WHERE subject_batch_id = ? ORDER BY rowid', batchId);
+  }
+
+  getCredentialsForParty(holderPartyId) {
+    return this.many('SELECT data FROM credentials WHERE holder_party_id = ? ORDER BY rowid', holderPartyId);
+  }
+
+  getAllCredentials() {
+    return this.many('SELECT data FROM credentials ORDER BY rowid');
+  }
+
+  // ============ USERS ============
+
+  saveUser(user) {
+    return this.write('users', user, 'CREATE', 'User', user.userId, { ...user, passwordHash: '[REDACTED]' });
+  }
+
+  getUser(userId) {
+    return this.one('SELECT data FROM users WHERE user_id = ?', userId);
+  }
+
+  getUserByUsername(username) {
+    return this.one('SELECT data FROM users WHERE username = ?', username);
+  }
+
+  getAllUsers() {
+    return this.many('SELECT data FROM users ORDER BY rowid');
+  }
+
+  // ============ ANCHORS ============
+
+  saveAnchor(anchor) {
+    this.upsert('anchors', anchor);
+    return anchor;
+  }
+
+  getAnchor(anchorId) {
+    return this.one('SELECT data FROM anchors WHERE anchor_id = ?', anchorId);
+  }
+
+  getAnchorsByTxHash(txHash) {
+    return this.many('SELECT data FROM anchors WHERE tx_hash = ? ORDER BY rowid', txHash);
+  }
+
+  getAllAnchors() {
+    return this.many('SELECT data FROM anchors ORDER BY rowid');
+  }
+
+  // ============ ANCHOR OUTBOX ============
+
+  saveOutboxEntry(entry) {
+    this.upsert('anchor_outbox', entry);
+    return entry;
+  }
+
+  getOutboxEntry(anchorId) {
+    return this.one('SELECT data FROM anchor_outbox WHERE anchor_id = ?', anchorId);
+  }
+
+  getOutboxEntries(status = null) {
+    return status
+      ? this.many('SELECT data FROM anchor_outbox WHERE status = ? ORDER BY created_at', status)
+      : this.many('SELECT data FROM anchor_outbox ORDER BY created_at');
+  }
+
+  deleteOutboxEntry(anchorId) {
+    return this.db.prepare('DELETE FROM anchor_outbox WHERE anchor_id = ?').run(anchorId).changes > 0;
+  }
+
+  // ============ UNIT OF WORK ============
+
+  /**
+   * Apply a unit of work in one transaction
+   */
+  commitUnitOfWork(operations) {
+    checkOperations(operations);
+    this.transaction(() => {
+      operations.forEach(({ method, arg }) => this[method](arg));
+    });
+  }
+
+  // ============ EXPORT ============
+
+  exportBatchPackage(batchId) {
+    const batch = this.getBatch(batchId);
+    if (!batch) return null;
+
+    return {
+      exportedAt: new Date().toISOString(),
+      batch,
+      events: this.getEventsByBatch(batchId),
+      documents: this.getDocumentsByBatch(batchId),
+      credentials: this.getCredentialsByBatch(batchId),
+      originFacility: this.getFacility(batch.originFacilityId),
+      currentOwner: this.getParty(batch.ownerPartyId)
+    };
+  }
+
+  // ============ IMPORT (Simulation) ============
+
+  importFromJSON(jsonData) {
+    const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+    const results = { parties: 0, facilities: 0, batches: 0, events: 0, documents: 0 };
+
+    // All or nothing: a bad record rolls back the whole import
+    this.transaction(() => {
+      (data.parties || []).forEach(p => { this.saveParty(p); results.parties++; });
+      (data.facilities || []).forEach(f => { this.saveFacility(f); results.facilities++; });
+      (data.batches || []).forEach(b => { this.saveBatch(b); results.batches++; });
+      (data.events || []).forEach(e => { this.saveEvent(e); results.events++; });
+      (data.documents || []).forEach(d => { this.saveDocument(d); results.documents++; });
+    });
+
+    return results;
+  }
+
+  // ============ UTILITY ============
+
+  clearAll() {
+    this.transaction(() => {
+      // Tables referencing others come later in TABLES, so delete in reverse
+      for (const table of ['audit_log', ...Object.keys(TABLES).reverse()]) {
+        this.db.prepare(`DELETE FROM ${table}`).run();
+      }
+    });
+    console.log('Database cleared');
+  }
+
+  getStats() {
+    const count = table => this.db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+    return {
+      parties: count('parties'),
+      facilities: count('facilities'),
+      batches: count('batches'),
+      events: count('events'),
+      documents: count('documents'),
+      credentials: count('credentials'),
+      users: count('users'),
+      anchors: count('anchors'),
+      anchorOutbox: count('anchor_outbox'),
+      auditLogEntries: count('audit_log'),
+      databaseFile: this.filePath
+    };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// Export singleton instance
+const db = new SqliteDatabase();
+export default db;
+export { SqliteDatabase };
@@ -0,0 +1,90 @@
+/**
+ * Unit of Work
+ * Collects the writes that make up one change (a batch update, its new
+ * event and their outbox entries) and commits them all or none through the
+ * store's commitUnitOfWork: a transaction in SQLite and MongoDB, a journaled
+ * write in the file store
+ */
+
+// Store methods a unit of work may call; each takes a single argument so
+// operations can be journaled as JSON and replayed after a crash
+export const UNIT_OF_WORK_METHODS = [
+  'saveBatch',
+  'updateBatch',
+  'saveEvent',
+  'updateEvent',
+  'updateDocument',
+  'saveOutboxEntry',
+  'deleteOutboxEntry'
+];
+
+export class UnitOfWork {
+  constructor(store) {
+    this.store = store;
+    this.operations = [];
+    this.committed = false;
+  }
+
+  add(method, arg) {
+    if (this.committed) {
+      throw new Error('Unit of work already committed');
+    }
+    this.operations.push({ method, arg });
+    return arg;
+  }
+
+  saveBatch(batch) {
+    return this.add('saveBatch', batch);
+  }
+
+  updateBatch(batch) {
+    return this.add('updateBatch', batch);
+  }
+
+  saveEvent(event) {
+    return this.add('saveEvent', event);
+  }
+
+  updateEvent(event) {
+    return this.add('updateEvent', event);
+  }
+
+  updateDocument(document) {
+    return this.add('updateDocument', document);
+  }
+
+  saveOutboxEntry(entry) {
+    return this.add('saveOutboxEntry', entry);
+  }
+
+  deleteOutboxEntry(anchorId) {
+    return this.add('deleteOutboxEntry', anchorId);
+  }
+
+  /**
+   * Write every collected operation, or none of them
+   */
+  async commit() {
+    if (this.committed) {
+      throw new Error('Unit of work already committed');
+    }
+    this.committed = true;
+    if (this.operations.length > 0) {
+      await this.store.commitUnitOfWork(this.operations);
+    }
+    return this.operations.length;
+  }
+}
+
+/**
+ * Reject operations a unit of work could not have produced, e.g. in a
+ * journal that was edited by hand
+ */
+export function checkOperations(operations) {
+  for (const { method } of operations) {
+    if (!UNIT_OF_WORK_METHODS.includes(method)) {
+      throw new Error(`Unsupported unit of work operation: ${method}`);
+    }
+  }
+  return operations;
+}
@@ -0,0 +1,181 @@
+/**
+ * Units
+ * Weight and assay units, conversion between them and fine gold content
+ *
+ * Batches keep the weight and assay in the units they were recorded in;
+ * normalized values are kilograms and fineness per mille (parts of gold per
+ * thousand by mass), the units fine gold is reported in
+ */
+
+export const WeightUnit = {
+  KG: 'kg',
+  G: 'g',
+  TROY_OZ: 'ozt'
+};
+
+export const AssayUnit = {
+  PPM: 'ppm',
+  G_PER_T: 'g/t',
+  PER_MILLE: 'permille', // Fineness, e.g. 999.9
+  PERCENT: '%'
+};
+
+// Grams per unit
+const GRAMS = {
+  [WeightUnit.KG]: 1000,
+  [WeightUnit.G]: 1,
+  [WeightUnit.TROY_OZ]: 31.1034768
+};
+
+// Mass fraction of gold per unit
+const FRACTION = {
+  [AssayUnit.PPM]: 1e-6,
+  [AssayUnit.G_PER_T]: 1e-6,
+  [AssayUnit.PER_MILLE]: 1e-3,
+  [AssayUnit.PERCENT]: 1e-2
+};
+
+const WEIGHT_ALIASES = {
+  kg: WeightUnit.KG,
+  kgs: WeightUnit.KG,
+  kilogram: WeightUnit.KG,
+  kilograms: WeightUnit.KG,
+  g: WeightUnit.G,
+  gram: WeightUnit.G,
+  grams: WeightUnit.G,
+  ozt: WeightUnit.TROY_OZ,
+  toz: WeightUnit.TROY_OZ,
+  'oz t': WeightUnit.TROY_OZ,
+  'troy oz': WeightUnit.TROY_OZ,
+  'troy ounce': WeightUnit.TROY_OZ,
+  'troy ounces': WeightUnit.TROY_OZ
+};
+
+const ASSAY_ALIASES = {
+  ppm: AssayUnit.PPM,
+  'g/t': AssayUnit.G_PER_T,
+  gpt: AssayUnit.G_PER_T,
+  permille: AssayUnit.PER_MILLE,
+  'per mille': AssayUnit.PER_MILLE,
+  '‰': AssayUnit.PER_MILLE,
+  fineness: AssayUnit.PER_MILLE,
+  '%': AssayUnit.PERCENT,
+  percent: AssayUnit.PERCENT
+};
+
+// Normalized values keep more precision than any recorded figure
+function round(value, digits = 9) {
+  return Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+// ============ UNITS ============
+
+/**
+ * Canonical weight unit for a unit or alias, or null if unknown
+ */
+export function weightUnit(unit) {
+  return WEIGHT_ALIASES[String(unit ?? '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Canonical assay unit for a unit or alias, or null if unknown
+ */
+export function assayUnit(unit) {
+  return ASSAY_ALIASES[String(unit ?? '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Canonical weight unit, throwing on units that cannot be converted
+ */
+export function requireWeightUnit(unit) {
+  const canonical = weightUnit(unit);
+  if (!canonical) {
+    throw new Error(`Unknown weight unit: ${unit}. Expected one of ${Object.values(WeightUnit).join(', ')}`);
+  }
+  return canonical;
+}
+
+/**
+ * Canonical assay unit, throwing on units that cannot be converted
+ */
+export function requireAssayUnit(unit) {
+  const canonical = assayUnit(unit);
+  if (!canonical) {
+    throw new Error(`Unknown assay unit: ${unit}. Expected one of ${Object.values(AssayUnit).join(', ')}`);
+  }
+  return canonical;
+}
+
+// ============ CONVERSION ============
+
+/**
+ * Convert between units; a value already in the target unit is returned
+ * as is, whatever the unit
+ */
+export function convertWeight(weight, from, to) {
+  if (from === to) return weight;
+  return round(weight * GRAMS[requireWeightUnit(from)] / GRAMS[requireWeightUnit(to)]);
+}
+
+export function convertAssay(value, from, to) {
+  if (from === to) return value;
+  return round(value * FRACTION[requireAssayUnit(from)] / FRACTION[requireAssayUnit(to)]);
+}
+
+// ============ NORMALIZATION ============
+
+/**
+ * { weight, unit } in kilograms, or null if the unit is unknown
+ */
+export function normalizeQuantity(quantity) {
+  if (quantity?.weight == null || !weightUnit(quantity.unit)) return null;
+  return { weight: convertWeight(quantity.weight, quantity.unit, WeightUnit.KG), unit: WeightUnit.KG };
+}
+
+/**
+ * { value, unit } as fineness per mille, or null if the unit is unknown
+ */
+export function normalizeAssay(assay) {
+  if (assay?.value == null || !assayUnit(assay.unit)) return null;
+  return { value: convertAssay(assay.value, assay.unit, AssayUnit.PER_MILLE), unit: AssayUnit.PER_MILLE };
+}
+
+/**
+ * Best known assay of a batch: its latest assay result, else the declared one
+ */
+export function currentAssay(batch) {
+  if (batch.finalAssay) {
+    return { value: batch.finalAssay.value, unit: batch.finalAssay.unit };
+  }
+  return batch.declaredAssay || null;
+}
+
+/**
+ * Gold contained in a quantity at an assay, in kilograms, grams and troy
+ * ounces; null if either is missing or in an unknown unit
+ */
+export function fineGold(quantity, assay) {
+  const weight = normalizeQuantity(quantity);
+  const fineness = normalizeAssay(assay);
+  if (!weight || !fineness) return null;
+  const kg = weight.weight * fineness.value / 1000;
+  return {
+    weight: round(kg),
+    unit: WeightUnit.KG,
+    grams: round(kg * GRAMS[WeightUnit.KG]),
+    troyOunces: round(kg * GRAMS[WeightUnit.KG] / GRAMS[WeightUnit.TROY_OZ], 6)
+  };
+}
+
+/**
+ * Normalized quantity and assays of a batch and its fine gold content at its
+ * current assay, returned by the API next to the recorded values
+ */
+export function normalizeBatch(batch) {
+  return {
+    quantity: normalizeQuantity(batch.quantity),
+    declaredAssay: normalizeAssay(batch.declaredAssay),
+    finalAssay: normalizeAssay(batch.finalAssay),
+    fineGold: fineGold(batch.quantity, currentAssay(batch))
+  };
+}
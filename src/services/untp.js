@@ -0,0 +1,316 @@
+/**
+ * UN Transparency Protocol
+ * Maps batches, parties, facilities and events to UNTP Digital Product
+ * Passport (DPP) and Digital Traceability Event (DTE) credentials in JSON-LD
+ *
+ * Traceability events follow the EPCIS event model UNTP builds on, with GS1
+ * Core Business Vocabulary (CBV) business steps and dispositions. Units are
+ * UN/CEFACT Recommendation 20 codes
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { VC_CONTEXT } from './credentials.js';
+import { EventType, ResolutionOutcome } from '../models/index.js';
+import { WeightUnit, AssayUnit, weightUnit, assayUnit, normalizeAssay } from './units.js';
+
+export const UNTP_VERSION = '0.5.0';
+export const DPP_CONTEXT = `https://test.uncefact.org/vocabulary/untp/dpp/${UNTP_VERSION}/`;
+export const DTE_CONTEXT = `https://test.uncefact.org/vocabulary/untp/dte/${UNTP_VERSION}/`;
+
+const CBV = 'https://ref.gs1.org/cbv';
+
+// HS 7108: gold, unwrought or in semi-manufactured forms, or in powder form
+const GOLD_CLASSIFICATION = {
+  type: ['Classification'],
+  code: '7108',
+  name: 'Gold (including gold plated with platinum), unwrought or in semi-manufactured forms, or in powder form',
+  schemeID: 'https://www.wcoomd.org/en/topics/nomenclature/instrument-and-tools/hs-nomenclature-2022-edition.aspx',
+  schemeName: 'Harmonized System'
+};
+
+// UN/CEFACT Recommendation 20 unit codes
+export const UNIT_CODES = {
+  [WeightUnit.KG]: 'KGM',
+  [WeightUnit.G]: 'GRM',
+  [WeightUnit.TROY_OZ]: 'APZ',
+  [AssayUnit.PPM]: '59',
+  [AssayUnit.G_PER_T]: '59', // Grams per tonne is parts per million by mass
+  [AssayUnit.PER_MILLE]: 'NX',
+  [AssayUnit.PERCENT]: 'P1'
+};
+
+/**
+ * EPCIS event type, action, CBV business step and disposition per event type
+ * ASSAY_FINALIZED and RESOLVE take their disposition from the event itself
+ */
+export const EVENT_MAPPING = {
+  [EventType.CREATE]: { eventType: 'ObjectEvent', action: 'add', bizStep: 'commissioning', disposition: 'active' },
+  [EventType.SHIP]: { eventType: 'ObjectEvent', action: 'observe', bizStep: 'shipping', disposition: 'in_transit' },
+  [EventType.TRANSFER]: { eventType: 'TransactionEvent', action: 'add', bizStep: 'accepting', disposition: 'active' },
+  [EventType.RECEIVE]: { eventType: 'ObjectEvent', action: 'observe', bizStep: 'receiving', disposition: 'in_progress' },
+  [EventType.INSPECT_TEST]: { eventType: 'ObjectEvent', action: 'observe', bizStep: 'inspecting', disposition: 'in_progress' },
+  [EventType.ASSAY_FINALIZED]: { eventType: 'ObjectEvent', action: 'observe', bizStep: 'inspecting', disposition: 'conformant' },
+  [EventType.DISPUTE]: { eventType: 'ObjectEvent', action: 'observe', bizStep: 'holding', disposition: 'non_conformant' },
+  [EventType.RESOLVE]: { eventType: 'ObjectEvent', action: 'observe', bizStep: 'inspecting', disposition: 'active' },
+  [EventType.SPLIT]: { eventType: 'TransformationEvent', action: null, bizStep: 'repackaging', disposition: 'active' },
+  [EventType.MERGE]: { eventType: 'TransformationEvent', action: null, bizStep: 'repackaging', disposition: 'active' }
+};
+
+export function cbvBizStep(bizStep) {
+  return `${CBV}/BizStep-${bizStep}`;
+}
+
+export function cbvDisposition(disposition) {
+  return `${CBV}/Disp-${disposition}`;
+}
+
+/**
+ * Disposition after an event, taking assay and resolution outcomes into account
+ */
+export function eventDisposition(event) {
+  if (event.eventType === EventType.ASSAY_FINALIZED && event.assayReconciliation?.withinTolerance === false) {
+    return 'non_conformant';
+  }
+  if (event.eventType === EventType.RESOLVE && event.resolution?.outcome === ResolutionOutcome.UPHELD) {
+    return 'non_conformant';
+  }
+  return EVENT_MAPPING[event.eventType]?.disposition || 'active';
+}
+
+export function urn(id) {
+  return `urn:uuid:${id}`;
+}
+
+// ============ VOCABULARY ============
+
+/**
+ * Country by name; two-letter values are taken as ISO 3166 codes
+ */
+export function untpCountry(country) {
+  if (!country) return null;
+  return /^[A-Z]{2}$/.test(country)
+    ? { type: ['Country'], countryCode: country }
+    : { type: ['Country'], countryName: country };
+}
+
+/**
+ * Measure with its UN/CEFACT unit code, or the unit as recorded if unknown
+ */
+export function untpMeasure(value, unit) {
+  if (value == null) return null;
+  const canonical = weightUnit(unit) || assayUnit(unit);
+  return { type: ['Measure'], value, unit: UNIT_CODES[canonical] || unit };
+}
+
+/**
+ * Party, identified by its signing DID when it has one
+ */
+export function untpParty(party, did = null) {
+  if (!party) return null;
+  return {
+    type: ['Party'],
+    id: did || urn(party.partyId),
+    name: party.legalName,
+    ...(party.registrationId && { registeredId: party.registrationId }),
+    registrationCountry: untpCountry(party.country)
+  };
+}
+
+export function untpFacility(facility, operator = null) {
+  if (!facility) return null;
+  const gps = facility.location?.gps;
+  const permitId = facility.identifiers?.permitIds?.[0];
+  return {
+    type: ['Facility'],
+    id: urn(facility.facilityId),
+    name: facility.facilityName,
+    ...(permitId && { registeredId: permitId }),
+    countryOfOperation: untpCountry(facility.location?.country),
+    ...(gps && {
+      locationInformation: {
+        type: ['Location'],
+        geoLocation: { type: ['Coordinate'], latitude: gps.lat, longitude: gps.lng }
+      }
+    }),
+    ...(facility.location?.region && {
+      address: { type: ['Address'], addressRegion: facility.location.region, addressCountry: untpCountry(facility.location.country) }
+    }),
+    ...(operator && { operatedByParty: untpParty(operator) })
+  };
+}
+
+/**
+ * Batch as a UNTP Product, identified by its batch number
+ */
+export function untpProduct(batch, { producer = null, facility = null } = {}) {
+  return {
+    type: ['Product'],
+    id: urn(batch.batchId),
+    name: `${batch.commodityType} ${batch.externalReferenceNumber}`,
+    registeredId: batch.externalReferenceNumber,
+    batchNumber: batch.externalReferenceNumber,
+    productCategory: [GOLD_CLASSIFICATION],
+    ...(producer && { producedByParty: untpParty(producer) }),
+    ...(facility && { producedAtFacility: untpFacility(facility) }),
+    productionDate: batch.creationTimestamp,
+    ...(facility && { countryOfProduction: untpCountry(facility.location?.country) }),
+    dimensions: { type: ['Dimension'], weight: untpMeasure(batch.quantity.weight, batch.quantity.unit) }
+  };
+}
+
+// ============ CREDENTIALS ============
+
+/**
+ * Unsigned Digital Product Passport for a batch
+ * `origins` are the origin mines of the lots the batch descends from,
+ * `eventCredentialIds` link the batch's traceability event credentials
+ */
+export function buildProductPassport({
+  batch,
+  issuer,
+  producer,
+  originFacility,
+  origins = [],
+  fineGold = null,
+  assay = null,
+  eventCredentialIds = [],
+  anchoredEventCount = 0,
+  conformityClaims = []
+}) {
+  const fineness = normalizeAssay(assay);
+  return {
+    '@context': [VC_CONTEXT, DPP_CONTEXT],
+    type: ['DigitalProductPassport', 'VerifiableCredential'],
+    id: urn(uuidv4()),
+    issuer: { type: ['CredentialIssuer'], id: issuer.did, name: issuer.name },
+    validFrom: new Date().toISOString(),
+    credentialSubject: {
+      type: ['ProductPassport'],
+      id: urn(batch.batchId),
+      product: untpProduct(batch, { producer, facility: originFacility }),
+      granularityLevel: 'batch',
+      materialsProvenance: origins.map(facility => ({
+        type: ['Material'],
+        name: 'Gold',
+        originCountry: untpCountry(facility.location?.country),
+        materialType: { type: ['Classification'], code: 'Au', name: 'Gold', schemeName: 'Chemical element' },
+        // Shares of a merged lot per origin are not recorded
+        ...(origins.length === 1 && fineness && { massFraction: fineness.value / 1000 }),
+        ...(origins.length === 1 && fineGold && { mass: untpMeasure(fineGold.weight, fineGold.unit) }),
+        recycledMassFraction: 0,
+        hazardous: false
+      })),
+      traceabilityInformation: [{
+        type: ['TraceabilityPerformance'],
+        valueChainProcess: 'Gold mining, transport and refining',
+        // Share of events anchored on chain
+        verifiedRatio: eventCredentialIds.length ? Math.round(anchoredEventCount / eventCredentialIds.length * 1000) / 1000 : 0,
+        traceabilityEvent: eventCredentialIds.map(id => ({
+          type: ['Link'],
+          linkURL: id,
+          linkType: 'https://test.uncefact.org/vocabulary/linkTypes/dte'
+        }))
+      }],
+      conformityClaim: conformityClaims
+    }
+  };
+}
+
+/**
+ * Unsigned Digital Traceability Event for one event of a batch
+ * `inputs` and `outputs` are the lots consumed and produced by a split or
+ * merge; `parties` and `facilities` resolve the event's IDs; `anchor`
+ * ({ url, hash, algorithm }) links the transaction the event hash is anchored in
+ */
+export function buildTraceabilityEvent({
+  event,
+  batch,
+  issuer,
+  parties = {},
+  facilities = {},
+  documents = [],
+  inputs = [],
+  outputs = [],
+  anchor = null
+}) {
+  const mapping = EVENT_MAPPING[event.eventType] || { eventType: 'ObjectEvent', action: 'observe', bizStep: 'other' };
+  const item = (b) => ({ type: ['Item'], id: urn(b.batchId), name: b.externalReferenceNumber });
+  const quantity = (b, q = b.quantity) => ({
+    type: ['QuantityElement'],
+    productId: urn(b.batchId),
+    productName: b.externalReferenceNumber,
+    quantity: q.weight,
+    uom: UNIT_CODES[weightUnit(q.unit)] || q.unit
+  });
+  const location = facilities[event.toFacilityId] || facilities[event.fromFacilityId];
+  const fromParty = parties[event.fromPartyId];
+  const toParty = parties[event.toPartyId];
+
+  const subject = {
+    type: [mapping.eventType, 'Event'],
+    id: urn(event.eventId),
+    processType: event.eventType,
+    eventTime: event.eventTimestamp,
+    ...(mapping.action && { action: mapping.action }),
+    bizStep: cbvBizStep(mapping.bizStep),
+    disposition: cbvDisposition(eventDisposition(event)),
+    ...(location && { bizLocation: urn(location.facilityId) }),
+    relatedParty: [fromParty, toParty].filter(Boolean).map(p => untpParty(p)),
+    relatedDocument: [
+      ...documents.map(d => ({
+        type: ['Link'],
+        linkURL: urn(d.documentId),
+        linkName: d.fileName,
+        linkType: d.documentType,
+        hashDigest: d.sha256Hash,
+        hashMethod: 'SHA-256'
+      })),
+      ...(anchor ? [{
+        type: ['Link'],
+        linkURL: anchor.url,
+        linkName: 'Anchor transaction',
+        linkType: 'anchor',
+        hashDigest: anchor.hash,
+        hashMethod: anchor.algorithm
+      }] : [])
+    ],
+    ...(event.notes && { description: event.notes })
+  };
+
+  if (mapping.eventType === 'TransformationEvent') {
+    subject.inputEPCList = inputs.map(item);
+    subject.outputEPCList = outputs.map(item);
+    subject.inputQuantityList = inputs.map(b => quantity(b));
+    subject.outputQuantityList = outputs.map(b => quantity(b));
+  } else {
+    subject.epcList = [item(batch)];
+    if (event.quantity?.weight != null) {
+      subject.quantityList = [quantity(batch, event.quantity)];
+    }
+  }
+  if (mapping.eventType === 'TransactionEvent') {
+    subject.sourceParty = untpParty(fromParty);
+    subject.destinationParty = untpParty(toParty);
+  }
+  if (event.assay) {
+    subject.sensorElementList = [{
+      type: ['SensorElement'],
+      sensorReport: [{
+        type: ['SensorData'],
+        time: event.eventTimestamp,
+        sensorType: `${event.assay.assayType} assay`,
+        value: event.assay.value,
+        uom: UNIT_CODES[assayUnit(event.assay.unit)] || event.assay.unit
+      }]
+    }];
+  }
+
+  return {
+    '@context': [VC_CONTEXT, DTE_CONTEXT],
+    type: ['DigitalTraceabilityEvent', 'VerifiableCredential'],
+    id: urn(uuidv4()),
+    issuer: { type: ['CredentialIssuer'], id: issuer.did, name: issuer.name },
+    validFrom: event.eventTimestamp,
+    credentialSubject: [subject]
+  };
+}
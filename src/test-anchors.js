@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Anchor Registry Test
+ * Records a shipped batch in one process and verifies it in another, on the
+ * file and SQLite stores, so anchor records have to come from the database
+ * rather than memory. Also checks that a registry record with another hash
+ * or transaction fails verification.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { check, finish, useTempDataDir } from './test-helpers.js';
+
+const BACKENDS = ['file', 'sqlite'];
+
+// ============ ONE PROCESS ============
+
+async function record() {
+  const provenanceService = (await import('./services/provenance.js')).default;
+  const anchoringOutbox = (await import('./services/anchoring-outbox.js')).default;
+  const miner = await provenanceService.registerParty({ legalName: 'Anchor Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const buyer = await provenanceService.registerParty({ legalName: 'Anchor Buyer', partyType: 'Buyer', country: 'Ghana' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Anchor Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'ANC-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10
+  });
+  const { event } = await provenanceService.recordShipment(batch.batchId, { toPartyId: buyer.partyId });
+  await anchoringOutbox.settle();
+  return { batchId: batch.batchId, shipEventId: event.eventId };
+}
+
+async function verify({ batchId, shipEventId }) {
+  const provenanceService = (await import('./services/provenance.js')).default;
+  const anchoringService = (await import('./services/anchoring.js')).default;
+  const db = (await import('./services/db-selector.js')).default;
+
+  const result = await provenanceService.verifyBatchIntegrity(batchId);
+  const event = await db.getEvent(shipEventId);
+  const record = await anchoringService.getAnchorRecord({ id: `event:${shipEventId}` });
+  const byTx = await anchoringService.getAnchorRecord({ txHash: event.onChainTxHash });
+  return {
+    overallValid: result.overallValid,
+    anchorsVerified: result.anchorVerifications.map(a => a.verified && a.registered),
+    batchAnchorVerified: result.batchAnchor?.verified ?? null,
+    recordMatches: record?.hash === event.eventPayloadHash && record.txHash === event.onChainTxHash,
+    foundByTxHash: byTx?.anchorId === `event:${shipEventId}`,
+    otherHash: (await anchoringService.verifyAnchor(event.onChainTxHash, { id: `event:${shipEventId}`, hash: 'f'.repeat(64) })).verified,
+    otherTx: (await anchoringService.verifyAnchor(`0x${'0'.repeat(64)}`, { id: `event:${shipEventId}`, hash: event.eventPayloadHash })).verified
+  };
+}
+
+if (process.env.TEST_ANCHORS_STEP) {
+  const input = process.env.TEST_ANCHORS_INPUT ? JSON.parse(process.env.TEST_ANCHORS_INPUT) : null;
+  const output = process.env.TEST_ANCHORS_STEP === 'record' ? await record() : await verify(input);
+  console.log(`SUMMARY ${JSON.stringify(output)}`);
+  process.exit(0);
+}
+
+// ============ RESTARTS ============
+
+function runStep(backend, dataDir, step, input = null) {
+  const result = spawnSync(process.execPath, [fileURLToPath(import.meta.url)], {
+    env: {
+      ...process.env,
+      DB_TYPE: backend,
+      DATA_DIR: dataDir,
+      TEST_ANCHORS_STEP: step,
+      TEST_ANCHORS_INPUT: input ? JSON.stringify(input) : ''
+    },
+    encoding: 'utf-8',
+    timeout: 120000
+  });
+  const line = (result.stdout || '').split('\n').find(l => l.startsWith('SUMMARY '));
+  if (!line) {
+    console.log(result.stdout, result.stderr);
+    return null;
+  }
+  return JSON.parse(line.slice('SUMMARY '.length));
+}
+
+const dir = useTempDataDir('anchors');
+console.log('1. Verification after a restart...');
+for (const backend of BACKENDS) {
+  const dataDir = path.join(dir, backend);
+  fs.mkdirSync(dataDir);
+  const recorded = runStep(backend, dataDir, 'record');
+  const summary = recorded && runStep(backend, dataDir, 'verify', recorded);
+  check(`${backend}: both processes complete`, !!summary);
+  if (!summary) continue;
+  check(`${backend}: the batch verifies in a new process`, summary.overallValid, summary);
+  check(`${backend}: every anchor is found in the registry`,
+    summary.anchorsVerified.length === 2 && summary.anchorsVerified.every(Boolean) && summary.batchAnchorVerified, summary);
+  check(`${backend}: anchor records are found by id and by transaction`, summary.recordMatches && summary.foundByTxHash, summary);
+  check(`${backend}: another hash or transaction does not verify`, !summary.otherHash && !summary.otherTx, summary);
+}
+
+finish('anchor registry');
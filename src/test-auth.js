@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Authentication and Access Control Test
+ * Checks token signing and expiry, the production JWT_SECRET requirement,
+ * the role permission table and batch
+ * scoping, then walks a shipment over the REST API: the receiving party's
+ * operator sees and receives the incoming batch but cannot ship it, only
+ * the addressee receives it, nobody records events on behalf of another
+ * party, allow-listed operators cannot split, merge or update batches they
+ * do not own, and a failing batch lookup is answered instead of leaving the
+ * request open
+ */
+
+import { check, rejects, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('auth');
+process.env.DB_TYPE = 'memory';
+process.env.JWT_SECRET = 'test-secret-for-auth-checks';
+const { TokenService, Permission, hasPermission, canAccessBatch, canActForParty } = await import('./services/auth.js');
+const provenanceService = (await import('./services/provenance.js')).default;
+const { UserRole, BatchStatus } = await import('./models/index.js');
+
+function testTokens() {
+  console.log('1. Tokens...');
+  const tokens = new TokenService();
+  const user = { userId: 'u1', username: 'alice', role: UserRole.OPERATOR, partyId: 'p1' };
+  const { token } = tokens.issueToken(user);
+  check('issued token verifies', tokens.verifyToken(token).sub === 'u1');
+
+  const [header, payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), role: UserRole.ADMIN })).toString('base64url');
+  check('changed claims are rejected', throws(() => tokens.verifyToken(`${header}.${forged}.${signature}`)));
+  check('malformed token is rejected', throws(() => tokens.verifyToken('abc')));
+
+  const expired = new TokenService();
+  expired.ttlSeconds = -1;
+  check('expired token is rejected', throws(() => tokens.verifyToken(expired.issueToken(user).token)));
+
+  const unset = new TokenService();
+  unset.secret = null;
+  check('production refuses to run without a secret', throws(() => unset.requireSecret('production')));
+  unset.secret = 'change-me';
+  check('production refuses the example secret', throws(() => unset.requireSecret('production')));
+  unset.secret = null;
+  check('development runs without a secret', !throws(() => unset.requireSecret('development')));
+  check('production runs with a secret', !throws(() => tokens.requireSecret('production')));
+}
+
+function testPermissions() {
+  console.log('\n2. Roles and scoping...');
+  check('viewer cannot record events', !hasPermission({ role: UserRole.VIEWER }, Permission.BATCH_EVENT));
+  check('operator cannot manage users', !hasPermission({ role: UserRole.OPERATOR }, Permission.USER_MANAGE));
+  check('auditor reads the audit log', hasPermission({ role: UserRole.AUDITOR }, Permission.AUDIT_READ));
+
+  const batch = { batchId: 'b1', ownerPartyId: 'owner', pendingReceiverPartyId: 'receiver' };
+  check('owner party sees its batch', canAccessBatch({ role: UserRole.OPERATOR, partyId: 'owner' }, batch));
+  check('receiver of the shipment sees the batch', canAccessBatch({ role: UserRole.OPERATOR, partyId: 'receiver' }, batch));
+  check('other parties do not', !canAccessBatch({ role: UserRole.VIEWER, partyId: 'other' }, batch));
+  check('allow list grants access', canAccessBatch({ role: UserRole.VIEWER, partyId: 'other', allowedBatchIds: ['b1'] }, batch));
+  check('users without a party see nothing unscoped',
+    !canAccessBatch({ role: UserRole.VIEWER, partyId: null }, { batchId: 'b2', ownerPartyId: 'owner', pendingReceiverPartyId: null }));
+  check('auditor sees every batch', canAccessBatch({ role: UserRole.AUDITOR }, batch));
+  check('operators act only for their party',
+    canActForParty({ role: UserRole.OPERATOR, partyId: 'owner' }, 'owner') &&
+    !canActForParty({ role: UserRole.OPERATOR, partyId: 'owner' }, 'receiver'));
+}
+
+async function testShipmentOverApi() {
+  console.log('\n3. Shipment over the API...');
+  const miner = await provenanceService.registerParty({ legalName: 'Auth Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const refiner = await provenanceService.registerParty({ legalName: 'Auth Refinery', partyType: 'Refinery', country: 'Switzerland' });
+  const outsider = await provenanceService.registerParty({ legalName: 'Auth Outsider', partyType: 'Buyer', country: 'UAE' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Auth Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const refinery = await provenanceService.registerFacility({ facilityName: 'Auth Plant', facilityType: 'Refinery', ownerPartyId: refiner.partyId, country: 'Switzerland' });
+  await provenanceService.registerUser({ username: 'miner-op', password: 'miner-pass-1', role: UserRole.OPERATOR, partyId: miner.partyId });
+  await provenanceService.registerUser({ username: 'refiner-op', password: 'refiner-pass-1', role: UserRole.OPERATOR, partyId: refiner.partyId });
+  await provenanceService.registerUser({ username: 'outsider-op', password: 'outsider-pass-1', role: UserRole.OPERATOR, partyId: outsider.partyId });
+  await provenanceService.registerUser({ username: 'viewer', password: 'viewer-pass-1', role: UserRole.VIEWER, partyId: miner.partyId });
+
+  const api = await startApi();
+  const minerToken = await api.login('miner-op', 'miner-pass-1');
+  const refinerToken = await api.login('refiner-op', 'refiner-pass-1');
+  const outsiderToken = await api.login('outsider-op', 'outsider-pass-1');
+  const viewerToken = await api.login('viewer', 'viewer-pass-1');
+
+  let response = await api.request('GET', '/batches');
+  check('requests without a token get 401', response.status === 401);
+  response = await api.request('POST', '/auth/login', { body: { username: 'miner-op', password: 'wrong-password' } });
+  check('wrong password gets 401', response.status === 401);
+
+  response = await api.request('POST', '/batches', {
+    token: minerToken,
+    body: { externalReferenceNumber: 'AUTH-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId, ownerPartyId: refiner.partyId, weight: 8 }
+  });
+  check('operators cannot create batches for another party', response.status === 403, response.body);
+
+  response = await api.request('POST', '/batches', {
+    token: minerToken,
+    body: { externalReferenceNumber: 'AUTH-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId, ownerPartyId: miner.partyId, weight: 8 }
+  });
+  const batchId = response.body?.batch?.batchId;
+  check('operator creates a batch for their party', response.status === 201 && !!batchId, response.body);
+
+  response = await api.request('GET', `/batches/${batchId}`, { token: refinerToken });
+  check('receiver cannot see the batch before it is shipped', response.status === 403, response.body);
+
+  response = await api.request('POST', `/batches/${batchId}/ship`, { token: viewerToken, body: { toPartyId: refiner.partyId } });
+  check('viewer cannot ship', response.status === 403, response.body);
+
+  response = await api.request('POST', `/batches/${batchId}/ship`, { token: minerToken, body: { toPartyId: 'no-such-party' } });
+  check('shipping to an unknown party is rejected', response.status === 400, response.body);
+
+  response = await api.request('POST', `/batches/${batchId}/ship`, {
+    token: minerToken, body: { toPartyId: refiner.partyId, toFacilityId: refinery.facilityId }
+  });
+  check('owner ships to the refinery', response.status === 201 && response.body?.batch?.status === BatchStatus.IN_TRANSIT, response.body);
+
+  response = await api.request('GET', `/batches/${batchId}`, { token: refinerToken });
+  check('receiver sees the incoming batch', response.status === 200, response.body);
+  response = await api.request('GET', '/batches', { token: refinerToken });
+  check('incoming batch is in the receiver\'s list', response.body?.some(b => b.batchId === batchId), response.body);
+  response = await api.request('GET', `/batches/${batchId}`, { token: outsiderToken });
+  check('other parties still cannot see it', response.status === 403, response.body);
+
+  response = await api.request('POST', `/batches/${batchId}/transfer`, { token: refinerToken, body: { toPartyId: refiner.partyId } });
+  check('receiver cannot transfer the batch to itself', response.status === 403, response.body);
+
+  response = await api.request('POST', `/batches/${batchId}/receive`, {
+    token: minerToken, body: { receiverPartyId: refiner.partyId, facilityId: refinery.facilityId }
+  });
+  check('shipper cannot receive on behalf of the receiver', response.status === 403, response.body);
+
+  await provenanceService.registerUser({
+    username: 'outsider-ally', password: 'outsider-pass-1', role: UserRole.OPERATOR, partyId: outsider.partyId, allowedBatchIds: [batchId]
+  });
+  const allyToken = await api.login('outsider-ally', 'outsider-pass-1');
+  response = await api.request('POST', `/batches/${batchId}/receive`, { token: allyToken, body: { receiverPartyId: outsider.partyId } });
+  check('a party the shipment is not addressed to cannot receive it', response.status === 400 && /was shipped to/.test(response.body?.error), response.body);
+  response = await api.request('POST', `/batches/${batchId}/dispute`, {
+    token: refinerToken, body: { raisedByPartyId: miner.partyId, reason: 'Posing as the mine' }
+  });
+  check('receiver cannot raise a dispute as the shipper', response.status === 403, response.body);
+
+  response = await api.request('POST', `/batches/${batchId}/receive`, {
+    token: refinerToken, body: { receiverPartyId: refiner.partyId, facilityId: refinery.facilityId, receivedWeight: 8 }
+  });
+  check('receiver\'s operator receives the batch',
+    response.status === 201 && response.body?.batch?.status === BatchStatus.RECEIVED &&
+    response.body.batch.ownerPartyId === refiner.partyId && response.body.batch.pendingReceiverPartyId === null, response.body);
+
+  response = await api.request('POST', `/batches/${batchId}/ship`, { token: minerToken, body: { toPartyId: outsider.partyId } });
+  check('former owner can no longer act on the batch', response.status === 403, response.body);
+
+  await testActingParty(api, { batchId, miner, refiner, outsider, refinerToken, allyToken });
+
+  const getBatch = provenanceService.getBatch;
+  provenanceService.getBatch = async () => { throw new Error('database unavailable'); };
+  response = await api.request('GET', `/batches/${batchId}/chain-of-custody`, { token: refinerToken }).catch(error => ({ error }));
+  provenanceService.getBatch = getBatch;
+  check('a failing batch lookup answers 500 instead of hanging',
+    response.status === 500 && response.body?.error === 'Internal server error', response.error?.message ?? response.body);
+
+  await api.close();
+}
+
+async function testActingParty(api, { batchId, miner, refiner, outsider, refinerToken, allyToken }) {
+  console.log('\n4. Acting parties...');
+  let response = await api.request('POST', `/batches/${batchId}/inspect`, { token: allyToken, body: { inspectorPartyId: refiner.partyId } });
+  check('an allow-listed operator cannot inspect as the owner', response.status === 403, response.body);
+  response = await api.request('POST', `/batches/${batchId}/assay`, { token: allyToken, body: { assayerPartyId: refiner.partyId, assayValue: 900 } });
+  check('nor record an assay as the owner', response.status === 403, response.body);
+  response = await api.request('POST', `/batches/${batchId}/inspect`, { token: allyToken, body: { inspectorPartyId: outsider.partyId } });
+  check('but inspects as its own party', response.status === 201 && response.body?.event?.fromPartyId === outsider.partyId, response.body);
+
+  response = await api.request('POST', `/batches/${batchId}/split`, {
+    token: allyToken, body: { children: [{ externalReferenceNumber: 'AUTH-1A', weight: 4 }, { externalReferenceNumber: 'AUTH-1B', weight: 4 }] }
+  });
+  check('an allow-listed operator cannot split the owner\'s batch', response.status === 403 && /split by their owner/.test(response.body?.error), response.body);
+  response = await api.request('POST', `/batches/${batchId}/due-diligence/managementSystems`, {
+    token: allyToken, body: { status: 'InProgress', responsiblePartyId: outsider.partyId }
+  });
+  check('nor update its due diligence', response.status === 403, response.body);
+
+  const { batch: other } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'AUTH-2', commodityType: 'Gold Doré', originFacilityId: (await provenanceService.getBatch(batchId)).originFacilityId,
+    ownerPartyId: refiner.partyId, weight: 2
+  });
+  response = await api.request('POST', '/batches/merge', {
+    token: allyToken, body: { batchIds: [batchId, other.batchId], externalReferenceNumber: 'AUTH-M' }
+  });
+  check('nor merge batches it does not own', response.status === 403 && /merged by their owner/.test(response.body?.error), response.body);
+
+  response = await api.request('POST', `/batches/${batchId}/dispute`, {
+    token: refinerToken, body: { raisedByPartyId: refiner.partyId, reason: 'Weight check' }
+  });
+  check('the owner raises a dispute as its own party', response.status === 201, response.body);
+  response = await api.request('POST', `/batches/${batchId}/resolve`, {
+    token: refinerToken, body: { outcome: 'WeightAdjusted', adjustedWeight: 1, resolvedByPartyId: miner.partyId }
+  });
+  check('and cannot resolve it as another party', response.status === 403, response.body);
+  check('which leaves the weight unchanged', (await provenanceService.getBatch(batchId)).quantity.weight === 8);
+
+  const { batch: resold } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'AUTH-3', commodityType: 'Gold Doré', originFacilityId: other.originFacilityId,
+    ownerPartyId: miner.partyId, weight: 3
+  });
+  await provenanceService.recordShipment(resold.batchId, { toPartyId: refiner.partyId });
+  await provenanceService.recordTransfer(resold.batchId, { toPartyId: outsider.partyId });
+  check('a shipment transferred in transit is no longer received by the first addressee',
+    await rejects(() => provenanceService.recordReceipt(resold.batchId, { receiverPartyId: refiner.partyId }), /was shipped to/));
+  const { batch: received } = await provenanceService.recordReceipt(resold.batchId, { receiverPartyId: outsider.partyId });
+  check('but by the party it was transferred to', received.ownerPartyId === outsider.partyId && received.pendingReceiverPartyId === null, received);
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+testTokens();
+testPermissions();
+await testShipmentOverApi();
+finish('auth');
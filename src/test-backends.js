@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Backend Parity Test
+ * Runs the same custody flow (create with a document, ship, receive, split,
+ * verify) on the in-memory, file and SQLite stores, each in its own process,
+ * and checks that they report the same result, then clears a populated
+ * SQLite store with foreign keys enforced. MongoDB is covered by
+ * `npm run test:mongodb`, which needs a running server.
+ */
+
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { check, finish, useTempDataDir } from './test-helpers.js';
+
+const BACKENDS = ['memory', 'file', 'sqlite'];
+
+// ============ ONE BACKEND ============
+
+async function runFlow() {
+  useTempDataDir(`backends-${process.env.DB_TYPE}`);
+  const provenanceService = (await import('./services/provenance.js')).default;
+
+  const miner = await provenanceService.registerParty({ legalName: 'Parity Mining', partyType: 'MineOperator', country: 'Peru' });
+  const refiner = await provenanceService.registerParty({ legalName: 'Parity Refinery', partyType: 'Refinery', country: 'Switzerland' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Parity Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Peru' });
+  const refinery = await provenanceService.registerFacility({ facilityName: 'Parity Refinery', facilityType: 'Refinery', ownerPartyId: refiner.partyId, country: 'Switzerland' });
+  const document = await provenanceService.registerDocument({
+    documentType: 'ExportPermit', fileName: 'permit.pdf', content: 'permit', issuerPartyId: miner.partyId
+  });
+
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'PAR-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 12, declaredAssayValue: 900, declaredAssayUnit: 'permille'
+  }, [document.documentId]);
+  const linked = await provenanceService.getDocument(document.documentId);
+  const created = await provenanceService.getChainOfCustody(batch.batchId);
+
+  await provenanceService.recordShipment(batch.batchId, { toPartyId: refiner.partyId, toFacilityId: refinery.facilityId });
+  await provenanceService.recordReceipt(batch.batchId, { receiverPartyId: refiner.partyId, facilityId: refinery.facilityId, receivedWeight: 12 });
+  const statusAfterReceipt = (await provenanceService.getBatch(batch.batchId)).status;
+
+  const { children } = await provenanceService.splitBatch(batch.batchId, {
+    facilityId: refinery.facilityId,
+    children: [{ externalReferenceNumber: 'PAR-1A', weight: 5 }, { externalReferenceNumber: 'PAR-1B', weight: 7 }]
+  });
+  const genealogy = await provenanceService.getBatchGenealogy(children[0].batch.batchId);
+
+  return {
+    documentLinked: linked?.relatedBatchId === batch.batchId,
+    documentsForBatch: (await provenanceService.getDocumentsForBatch(batch.batchId)).length,
+    custodyDocuments: created.allDocuments.length,
+    verificationStatus: created.verificationStatus.status,
+    statusAfterReceipt,
+    parentStatus: (await provenanceService.getBatch(batch.batchId)).status,
+    childWeights: children.map(c => c.batch.quantity.weight),
+    childParents: children.map(c => c.batch.parentBatchIds.length === 1 && c.batch.parentBatchIds[0] === batch.batchId),
+    genealogyParents: genealogy?.parents?.length ?? null,
+    parentEvents: (await provenanceService.getChainOfCustody(batch.batchId)).timeline.map(e => e.eventType),
+    parentIntegrity: (await provenanceService.verifyBatchIntegrity(batch.batchId)).overallValid,
+    childIntegrity: (await provenanceService.verifyBatchIntegrity(children[0].batch.batchId)).overallValid
+  };
+}
+
+// ============ ALL BACKENDS ============
+
+function runBackend(backend) {
+  const result = spawnSync(process.execPath, [fileURLToPath(import.meta.url)], {
+    env: { ...process.env, DB_TYPE: backend, TEST_BACKEND_CHILD: '1' },
+    encoding: 'utf-8',
+    timeout: 120000
+  });
+  const line = (result.stdout || '').split('\n').find(l => l.startsWith('SUMMARY '));
+  if (!line) {
+    console.log(result.stdout, result.stderr);
+    return null;
+  }
+  return JSON.parse(line.slice('SUMMARY '.length));
+}
+
+if (process.env.TEST_BACKEND_CHILD) {
+  console.log(`SUMMARY ${JSON.stringify(await runFlow())}`);
+  process.exit(0);
+}
+
+console.log('1. Custody flow per backend...');
+const summaries = {};
+for (const backend of BACKENDS) {
+  summaries[backend] = runBackend(backend);
+  const summary = summaries[backend];
+  check(`${backend}: flow completes`, !!summary);
+  if (!summary) continue;
+  check(`${backend}: document linked to the batch`,
+    summary.documentLinked && summary.documentsForBatch === 1 && summary.custodyDocuments === 1, summary);
+  check(`${backend}: split lots point at their parent`,
+    summary.childParents.every(Boolean) && summary.genealogyParents === 1, summary);
+  check(`${backend}: hash chains verify`, summary.parentIntegrity && summary.childIntegrity, summary);
+}
+
+console.log('\n2. Parity...');
+for (const backend of BACKENDS.slice(1)) {
+  check(`${backend} matches memory`, JSON.stringify(summaries[backend]) === JSON.stringify(summaries.memory),
+    { memory: summaries.memory, [backend]: summaries[backend] });
+}
+
+console.log('\n3. Clearing a populated SQLite store...');
+useTempDataDir('backends');
+const { SqliteDatabase } = await import('./services/sqlite-database.js');
+const store = new SqliteDatabase(':memory:');
+store.saveParty({ partyId: 'p1', partyType: 'MineOperator' });
+store.saveFacility({ facilityId: 'f1', ownerPartyId: 'p1' });
+store.saveBatch({ batchId: 'b1', externalReferenceNumber: 'CLR-1', ownerPartyId: 'p1', originFacilityId: 'f1', eventIds: ['e1'] });
+store.saveEvent({ eventId: 'e1', batchId: 'b1', eventType: 'Create', eventTimestamp: new Date().toISOString() });
+store.saveDocument({ documentId: 'd1', relatedBatchId: 'b1' });
+let cleared = true;
+try {
+  store.clearAll();
+} catch (error) {
+  cleared = error.message;
+}
+const stats = store.getStats();
+check('clearAll deletes events before the batches they reference', cleared === true, cleared);
+check('and leaves every table empty', Object.values(stats).every(n => typeof n !== 'number' || n === 0), stats);
+store.close();
+
+finish('backend parity');
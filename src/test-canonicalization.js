@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * RFC 8785 Canonicalization Test
+ * Checks canonicalizeJSON against the test vectors published with RFC 8785
+ * (sections 3.2.2 and 3.2.3, Appendix B) and the reference implementation's
+ * input/output samples
+ */
+
+import { canonicalizeJSON } from './services/hashing.js';
+
+// JSON text in, canonical JSON out
+const STRUCTURE_VECTORS = [
+  {
+    name: 'values (RFC 8785 §3.2.2)',
+    input: '{"numbers": [333333333.33333329, 1E30, 4.50, 2e-3, 0.000000000000000000000000001], ' +
+      '"string": "\\u20ac$\\u000F\\u000aA\'\\u0042\\u0022\\u005c\\\\\\"\\/", ' +
+      '"literals": [null, true, false]}',
+    expected: '{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],' +
+      '"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}'
+  },
+  {
+    name: 'property sorting (RFC 8785 §3.2.3)',
+    input: '{"\\u20ac": "Euro Sign", "\\r": "Carriage Return", "\\ufb33": "Hebrew Letter Dalet With Dagesh", ' +
+      '"1": "One", "\\ud83d\\ude00": "Emoji: Grinning Face", "\\u0080": "Control", ' +
+      '"\\u00f6": "Latin Small Letter O With Diaeresis"}',
+    expected: '{"\\r":"Carriage Return","1":"One","\u0080":"Control","\u00f6":"Latin Small Letter O With Diaeresis",' +
+      '"\u20ac":"Euro Sign","\ud83d\ude00":"Emoji: Grinning Face","\ufb33":"Hebrew Letter Dalet With Dagesh"}'
+  },
+  {
+    name: 'arrays',
+    input: '[56, {"d": true, "10": null, "1": [ ]}]',
+    expected: '[56,{"1":[],"10":null,"d":true}]'
+  },
+  {
+    name: 'structures',
+    input: '{"1": {"f": {"f": "hi","F": 5} ,"\\n": 56.0}, "10": { }, "": "empty", "a": { }, ' +
+      '"111": [ {"e": "yes","E": "no" } ], "A": { }}',
+    expected: '{"":"empty","1":{"\\n":56,"f":{"F":5,"f":"hi"}},"10":{},"111":[{"E":"no","e":"yes"}],"A":{},"a":{}}'
+  }
+];
+
+// IEEE 754 bit patterns and their canonical form (RFC 8785 Appendix B)
+// A null expectation means the value must be rejected
+const NUMBER_VECTORS = [
+  ['0000000000000000', '0'],
+  ['8000000000000000', '0'],
+  ['0000000000000001', '5e-324'],
+  ['8000000000000001', '-5e-324'],
+  ['7fefffffffffffff', '1.7976931348623157e+308'],
+  ['ffefffffffffffff', '-1.7976931348623157e+308'],
+  ['4340000000000000', '9007199254740992'],
+  ['c340000000000000', '-9007199254740992'],
+  ['4430000000000000', '295147905179352830000'],
+  ['7fffffffffffffff', null],
+  ['7ff0000000000000', null],
+  ['44b52d02c7e14af5', '9.999999999999997e+22'],
+  ['44b52d02c7e14af6', '1e+23'],
+  ['44b52d02c7e14af7', '1.0000000000000001e+23'],
+  ['444b1ae4d6e2ef4e', '999999999999999700000'],
+  ['444b1ae4d6e2ef4f', '999999999999999900000'],
+  ['444b1ae4d6e2ef50', '1e+21'],
+  ['3eb0c6f7a0b5ed8c', '9.999999999999997e-7'],
+  ['3eb0c6f7a0b5ed8d', '0.000001'],
+  ['41b3de4355555553', '333333333.3333332'],
+  ['41b3de4355555554', '333333333.33333325'],
+  ['41b3de4355555555', '333333333.3333333'],
+  ['41b3de4355555556', '333333333.3333334'],
+  ['41b3de4355555557', '333333333.33333343'],
+  ['becbf647612f3696', '-0.0000033333333333333333'],
+  ['43143ff3c1cb0959', '1424953923781206.2']
+];
+
+function doubleFromHex(hex) {
+  const view = new DataView(new ArrayBuffer(8));
+  view.setBigUint64(0, BigInt('0x' + hex));
+  return view.getFloat64(0);
+}
+
+function testCanonicalization() {
+  let failures = 0;
+
+  console.log('1. Structure and string vectors...');
+  for (const vector of STRUCTURE_VECTORS) {
+    const actual = canonicalizeJSON(JSON.parse(vector.input));
+    if (actual === vector.expected) {
+      console.log(`   OK   ${vector.name}`);
+    } else {
+      failures++;
+      console.log(`   FAIL ${vector.name}`);
+      console.log(`        expected: ${vector.expected}`);
+      console.log(`        actual:   ${actual}`);
+    }
+  }
+
+  console.log('\n2. Number vectors...');
+  for (const [hex, expected] of NUMBER_VECTORS) {
+    let actual;
+    try {
+      actual = canonicalizeJSON(doubleFromHex(hex));
+    } catch (error) {
+      actual = null;
+    }
+    if (actual === expected) {
+      console.log(`   OK   ${hex} -> ${expected ?? 'rejected'}`);
+    } else {
+      failures++;
+      console.log(`   FAIL ${hex}: expected ${expected ?? 'rejection'}, got ${actual ?? 'rejection'}`);
+    }
+  }
+
+  console.log('\n3. Edge cases...');
+  const edgeCases = [
+    ['Date serializes as ISO string', () => canonicalizeJSON({ d: new Date(0) }) === '{"d":"1970-01-01T00:00:00.000Z"}'],
+    ['undefined array entries become null', () => canonicalizeJSON([1, undefined]) === '[1,null]'],
+    ['undefined properties are omitted', () => canonicalizeJSON({ a: undefined, b: 1 }) === '{"b":1}'],
+    ['unpaired surrogates are rejected', () => throws(() => canonicalizeJSON('\ud800'))],
+    ['Infinity nested in objects is rejected', () => throws(() => canonicalizeJSON({ a: [Infinity] }))]
+  ];
+  for (const [name, check] of edgeCases) {
+    if (check()) {
+      console.log(`   OK   ${name}`);
+    } else {
+      failures++;
+      console.log(`   FAIL ${name}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`\n${failures} canonicalization test(s) failed`);
+    process.exit(1);
+  }
+  console.log('\nAll canonicalization tests passed!');
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+testCanonicalization();
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Certificate Test
+ * Issues a certificate of provenance for a batch with a long timeline:
+ * the signed credential and its payload hash, the PDF it renders to (its
+ * cross-reference table, a footer with the hash on every page and the
+ * embedded credential), matching a hash back to the batch before and after
+ * the batch changes, and the certificate routes
+ */
+
+import { check, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('certificate');
+process.env.DB_TYPE = 'memory';
+const provenanceService = (await import('./services/provenance.js')).default;
+const keyStore = (await import('./services/keys.js')).default;
+const { CERTIFICATE_SECTIONS, certificatePayloadHash, renderCertificatePdf } = await import('./services/certificate.js');
+const { Font, textWidth, wrapText } = await import('./services/pdf.js');
+const { CredentialType, UserRole } = await import('./models/index.js');
+
+const INSPECTIONS = 30;
+
+async function createFixtures() {
+  const miner = await provenanceService.registerParty({ legalName: 'Cert Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const refiner = await provenanceService.registerParty({ legalName: 'Cert Refinery', partyType: 'Refinery', country: 'Switzerland' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Cert Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const refinery = await provenanceService.registerFacility({ facilityName: 'Cert Plant', facilityType: 'Refinery', ownerPartyId: refiner.partyId, country: 'Switzerland' });
+  const license = await provenanceService.registerDocument({
+    documentType: 'MiningLicense', fileName: 'license.pdf', content: 'license', issuerPartyId: miner.partyId
+  });
+
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'CERT-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10, declaredAssayValue: 950, declaredAssayUnit: 'permille'
+  }, [license.documentId]);
+  // Enough events for the timeline to run over several pages
+  for (let i = 0; i < INSPECTIONS; i++) {
+    await provenanceService.recordInspection(batch.batchId, { inspectorPartyId: miner.partyId, facilityId: mine.facilityId, notes: `Check ${i + 1}` });
+  }
+  return { miner, refiner, mine, refinery, license, batchId: batch.batchId };
+}
+
+function testWrapping() {
+  console.log('1. Text wrapping...');
+  const hash = 'ab'.repeat(32);
+  const lines = wrapText(`Payload hash ${hash} of the certificate`, Font.REGULAR, 10, 120);
+  check('lines fit the width', lines.every(l => textWidth(l, Font.REGULAR, 10) <= 120), lines);
+  check('words longer than a line are broken', lines.length > 2 && lines.join('').replace(/ /g, '') === `Payloadhash${hash}ofthecertificate`, lines);
+  check('line breaks are kept', wrapText('one\ntwo', Font.REGULAR, 10, 500).join('|') === 'one|two');
+}
+
+async function testIssue({ miner, license, batchId }) {
+  console.log('\n2. Issuing...');
+  const { credential, payloadHash } = await provenanceService.issueCertificate(batchId);
+  const vc = credential.verifiableCredential;
+  check('the certificate is a provenance credential signed by the batch owner',
+    credential.credentialType === CredentialType.PROVENANCE_CERTIFICATE && credential.issuerPartyId === miner.partyId &&
+    vc.issuer.id === keyStore.getKeyPair(miner.partyId).did && (await provenanceService.verifyCredentialDocument(vc)).verified, credential);
+  check('the payload hash is the SHA-256 of the signed credential',
+    /^[0-9a-f]{64}$/.test(payloadHash) && payloadHash === certificatePayloadHash(vc), payloadHash);
+
+  const subject = vc.credentialSubject;
+  check('the subject has every section', CERTIFICATE_SECTIONS.every(s => s in subject), Object.keys(subject));
+  check('with the batch, its origin, custodian and timeline',
+    subject.batch.referenceNumber === 'CERT-1' && subject.originFacility.name === 'Cert Mine' &&
+    subject.custodian.partyId === miner.partyId && subject.timeline.length === INSPECTIONS + 1, subject.batch);
+  check('and the batch documents by hash',
+    subject.documents.some(d => d.documentId === license.documentId && d.sha256Hash === license.sha256Hash), subject.documents);
+  check('an unknown batch has no certificate', await provenanceService.issueCertificate('missing') === null);
+  return { credential, payloadHash };
+}
+
+function testPdf({ credential, payloadHash }) {
+  console.log('\n3. PDF...');
+  const pdf = renderCertificatePdf(credential.verifiableCredential, payloadHash);
+  const text = pdf.toString('latin1');
+  check('the file is a PDF', text.startsWith('%PDF-') && text.trimEnd().endsWith('%%EOF'), text.slice(0, 8));
+
+  const startXref = Number(/startxref\s+(\d+)\s+%%EOF\s*$/.exec(text)?.[1]);
+  check('startxref points at the cross-reference table', text.startsWith('xref', startXref), startXref);
+  const offsets = [...text.slice(startXref).matchAll(/^(\d{10}) 00000 n\s*$/gm)].map(m => Number(m[1]));
+  check('every object is where the table says',
+    offsets.length > 0 && offsets.every((offset, i) => text.startsWith(`${i + 1} 0 obj`, offset)), offsets.slice(0, 5));
+
+  const pages = Number(/\/Type \/Pages .*\/Count (\d+)/.exec(text)?.[1]);
+  const footers = text.match(/\(Certificate CERT-1 - payload SHA-256 [0-9a-f]{64} - page \d+ of \d+\)/g) || [];
+  check('a long timeline runs over several pages', pages > 1, pages);
+  check('every page has a footer with the payload hash',
+    footers.length === pages && footers.every((f, i) => f.includes(payloadHash) && f.includes(`page ${i + 1} of ${pages}`)), footers);
+  check('the document information carries the hash and certificate',
+    text.includes(`/PayloadHash (${payloadHash})`) && text.includes(`/CertificateId (${credential.verifiableCredential.id})`));
+
+  const embedded = /\/Type \/EmbeddedFile[^]*?stream\r?\n([^]*?)\r?\nendstream/.exec(text)?.[1];
+  let attached = null;
+  try {
+    attached = JSON.parse(Buffer.from(embedded ?? '', 'latin1').toString('utf8'));
+  } catch {
+    // Reported by the check below
+  }
+  check('the signed credential is embedded as certificate.json',
+    text.includes('(certificate.json)') && attached && certificatePayloadHash(attached) === payloadHash, embedded?.slice(0, 80));
+}
+
+async function testMatch({ refiner, mine, refinery, batchId }, { credential, payloadHash }) {
+  console.log('\n4. Matching...');
+  let match = await provenanceService.matchCertificate(batchId, payloadHash.toUpperCase());
+  check('a printed hash matches the certificate in any case',
+    match.matched && match.certificateId === credential.credentialId && match.verification.verified, match);
+  check('which is up to date while the batch is unchanged', match.upToDate && match.changedSince.length === 0, match.changedSince);
+
+  await provenanceService.recordShipment(batchId, { toPartyId: refiner.partyId, fromFacilityId: mine.facilityId, toFacilityId: refinery.facilityId });
+  match = await provenanceService.matchCertificate(batchId, payloadHash);
+  check('after a shipment the certificate still matches but is out of date',
+    match.matched && !match.upToDate && match.changedSince.includes('timeline') && match.changedSince.includes('batch'), match.changedSince);
+
+  match = await provenanceService.matchCertificate(batchId, '0'.repeat(64));
+  check('an unknown hash does not match', match.matched === false && !match.certificate, match);
+  check('an unknown batch has nothing to match', await provenanceService.matchCertificate('missing', payloadHash) === null);
+}
+
+async function testRoutes({ miner, refiner, batchId }) {
+  console.log('\n5. Certificates over the API...');
+  await provenanceService.registerUser({ username: 'cert-miner', password: 'cert-pass-1', role: UserRole.OPERATOR, partyId: miner.partyId });
+  await provenanceService.registerUser({ username: 'cert-refiner', password: 'cert-pass-1', role: UserRole.OPERATOR, partyId: refiner.partyId });
+  await provenanceService.registerUser({ username: 'cert-viewer', password: 'cert-pass-1', role: UserRole.VIEWER, partyId: miner.partyId });
+  const api = await startApi();
+  const minerToken = await api.login('cert-miner', 'cert-pass-1');
+  const refinerToken = await api.login('cert-refiner', 'cert-pass-1');
+  const viewerToken = await api.login('cert-viewer', 'cert-pass-1');
+  const url = `/batches/${batchId}/certificate`;
+
+  let response = await api.request('POST', url, { token: minerToken });
+  const payloadHash = response.headers.get('x-payload-hash');
+  check('POST /batches/:id/certificate returns the PDF',
+    response.status === 201 && response.headers.get('content-type').startsWith('application/pdf') &&
+    /certificate-CERT-1\.pdf/.test(response.headers.get('content-disposition')) &&
+    response.buffer.subarray(0, 5).toString() === '%PDF-', response.headers.get('content-type'));
+  check('with the printed payload hash in X-Payload-Hash',
+    /^[0-9a-f]{64}$/.test(payloadHash) && response.buffer.toString('latin1').includes(`payload SHA-256 ${payloadHash}`), payloadHash);
+
+  response = await api.request('POST', url, { token: refinerToken });
+  check('only the batch owner issues certificates',
+    response.status === 403 && /batch owner/.test(response.body?.error), response.body);
+  response = await api.request('POST', url, { token: viewerToken });
+  check('viewers cannot issue certificates', response.status === 403, response.body);
+
+  response = await api.request('GET', `/batches/${batchId}/certificates/${payloadHash}`, { token: viewerToken });
+  check('GET /batches/:id/certificates/:hash returns the match',
+    response.status === 200 && response.body?.matched && response.body.upToDate, response.body);
+  response = await api.request('GET', `/batches/${batchId}/certificates/${'0'.repeat(64)}`, { token: viewerToken });
+  check('an unknown hash is a 404', response.status === 404 && response.body?.matched === false, response.body);
+
+  await api.close();
+}
+
+const fixtures = await createFixtures();
+testWrapping();
+const issued = await testIssue(fixtures);
+testPdf(issued);
+await testMatch(fixtures, issued);
+await testRoutes(fixtures);
+finish('certificate');
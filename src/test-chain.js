@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Event Hash Chain Test
+ * Checks that each event links to its predecessor, that removed, inserted,
+ * reordered and relinked events break the chain, that events recorded
+ * before chaining still verify, and that tampering in the store fails the
+ * verify route
+ */
+
+import { check, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('chain');
+process.env.DB_TYPE = 'memory';
+const provenanceService = (await import('./services/provenance.js')).default;
+const db = (await import('./services/db-selector.js')).default;
+const { verifyEventChain, orderEventChain, computeEventHash } = await import('./services/hashing.js');
+
+const miner = await provenanceService.registerParty({ legalName: 'Chain Mining', partyType: 'MineOperator', country: 'Ghana' });
+const refiner = await provenanceService.registerParty({ legalName: 'Chain Refinery', partyType: 'Refinery', country: 'Switzerland' });
+const mine = await provenanceService.registerFacility({ facilityName: 'Chain Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+
+async function recordedBatch(reference) {
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: reference, commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10
+  });
+  await provenanceService.recordShipment(batch.batchId, { toPartyId: refiner.partyId });
+  await provenanceService.recordReceipt(batch.batchId, { receiverPartyId: refiner.partyId, receivedWeight: 10 });
+  await provenanceService.recordInspection(batch.batchId, { inspectorPartyId: refiner.partyId });
+  return batch.batchId;
+}
+
+// Copies of a batch's events, so the store is left alone
+const eventCopies = (batchId) => orderEventChain(db.getEventsByBatch(batchId)).map(e => ({ ...e }));
+const breakTypes = (events) => verifyEventChain(events).breaks.map(b => b.type);
+
+async function testLinking() {
+  console.log('1. Linking...');
+  const events = eventCopies(await recordedBatch('CHN-1'));
+  check('events are numbered from 0', events.map(e => e.sequenceNumber).join() === '0,1,2,3', events.map(e => e.sequenceNumber));
+  check('each event carries its predecessor\'s hash',
+    events[0].previousEventHash === null &&
+    events.slice(1).every((e, i) => e.previousEventHash === events[i].eventPayloadHash));
+  check('the previous hash is part of the event hash',
+    computeEventHash({ ...events[1], previousEventHash: 'f'.repeat(64) }) !== events[1].eventPayloadHash);
+  check('the chain verifies', verifyEventChain(events).valid);
+  return events;
+}
+
+function testBreaks(events) {
+  console.log('\n2. Broken chains...');
+  check('a removed event is reported as missing',
+    breakTypes([events[0], events[2], events[3]]).includes('missing'), breakTypes([events[0], events[2], events[3]]));
+
+  const inserted = { ...events[1], eventId: 'extra', sequenceNumber: 1 };
+  check('an extra event at a used position is reported as inserted',
+    breakTypes([...events, inserted]).includes('inserted'), breakTypes([...events, inserted]));
+
+  const swapped = [events[0], { ...events[2], sequenceNumber: 1 }, { ...events[1], sequenceNumber: 2 }, events[3]];
+  check('swapped events are reported as reordered', breakTypes(swapped).includes('reordered'), breakTypes(swapped));
+
+  const relinked = [events[0], events[1], { ...events[2], previousEventHash: 'a'.repeat(64) }, events[3]];
+  check('an unknown previous hash is a link mismatch', breakTypes(relinked).includes('linkMismatch'), breakTypes(relinked));
+
+  // Events recorded before chaining have neither field
+  const legacy = events.slice(0, 2).map(({ sequenceNumber, previousEventHash, ...rest }) => rest);
+  check('unlinked events from before chaining still verify', verifyEventChain(legacy).valid && !verifyEventChain(legacy).linked);
+}
+
+async function testRoute() {
+  console.log('\n3. Tampering in the store...');
+  await provenanceService.registerUser({ username: 'chain-admin', password: 'chain-pass-1', role: 'Admin' });
+  const api = await startApi();
+  const token = await api.login('chain-admin', 'chain-pass-1');
+
+  const edited = await recordedBatch('CHN-2');
+  let response = await api.request('GET', `/batches/${edited}/verify`, { token });
+  check('GET /batches/:id/verify passes an untouched batch', response.status === 200 && response.body?.overallValid, response.body);
+
+  const [, ship] = orderEventChain(db.getEventsByBatch(edited));
+  ship.toPartyId = miner.partyId;
+  response = await api.request('GET', `/batches/${edited}/verify`, { token });
+  check('an edited event fails its hash',
+    response.body?.overallValid === false && response.body.events.find(e => e.eventId === ship.eventId)?.hashMatch === false, response.body);
+
+  const deleted = await recordedBatch('CHN-3');
+  const [, , receipt] = orderEventChain(db.getEventsByBatch(deleted));
+  db.events.delete(receipt.eventId);
+  response = await api.request('GET', `/batches/${deleted}/verify`, { token });
+  check('a deleted event breaks the chain',
+    response.body?.overallValid === false && response.body.chain.breaks.some(b => b.type === 'missing' && b.eventId === receipt.eventId), response.body?.chain);
+
+  await api.close();
+}
+
+testBreaks(await testLinking());
+await testRoute();
+finish('hash chain');
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * CMRT Export Test
+ * Builds the template for a period with a batch from a covered country, a
+ * batch split at the refinery and one that never reached a refinery:
+ * the smelter and mine lists, country-of-origin declarations and the
+ * declaration answers, then the JSON and CSV routes
+ */
+
+import { check, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('cmrt');
+process.env.DB_TYPE = 'memory';
+const db = (await import('./services/db-selector.js')).default;
+const provenanceService = (await import('./services/provenance.js')).default;
+const cmrtExportService = (await import('./services/cmrt-export.js')).default;
+const { CmrtTab } = await import('./services/cmrt-export.js');
+const { UserRole } = await import('./models/index.js');
+
+const PERIOD = { from: '2026-01-01', to: '2026-12-31' };
+
+// Move a batch and its events to a day
+function backdate(batchId, day) {
+  db.getBatch(batchId).creationTimestamp = `${day}T09:00:00.000Z`;
+  let minute = 0;
+  for (const event of db.getEventsByBatch(batchId)) {
+    event.eventTimestamp = `${day}T10:${String(minute++).padStart(2, '0')}:00.000Z`;
+  }
+}
+
+async function createFixtures() {
+  const congoMiner = await provenanceService.registerParty({ legalName: 'Kivu Mining', partyType: 'MineOperator', country: 'DRC' });
+  const ghanaMiner = await provenanceService.registerParty({ legalName: 'Ashanti Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const refiner = await provenanceService.registerParty({
+    legalName: 'Alpine Refinery', partyType: 'Refinery', country: 'Switzerland', registrationId: 'cid002852',
+    contactName: 'R. Keller', contactEmail: 'compliance@alpine.example'
+  });
+  const company = await provenanceService.registerParty({
+    legalName: 'Circuit Devices', partyType: 'Buyer', country: 'Germany', contactName: 'A. Weber', contactEmail: 'cmrt@circuit.example'
+  });
+  const congoMine = await provenanceService.registerFacility({ facilityName: 'Kivu Mine', facilityType: 'Mine', ownerPartyId: congoMiner.partyId, country: 'DRC' });
+  const ghanaMine = await provenanceService.registerFacility({
+    facilityName: 'Ashanti Mine', facilityType: 'Mine', ownerPartyId: ghanaMiner.partyId, country: 'Ghana',
+    region: 'Ashanti', gpsLat: 6.2, gpsLng: -1.6, permitIds: ['GH-ML-7']
+  });
+  const refinery = await provenanceService.registerFacility({
+    facilityName: 'Alpine Plant', facilityType: 'Refinery', ownerPartyId: refiner.partyId, country: 'Switzerland', region: 'Ticino'
+  });
+
+  const create = async (reference, mine, owner) => (await provenanceService.createBatchAtMine({
+    externalReferenceNumber: reference, commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: owner.partyId, weight: 10
+  })).batch.batchId;
+  const deliver = async (batchId, mine) => {
+    await provenanceService.recordShipment(batchId, { toPartyId: refiner.partyId, fromFacilityId: mine.facilityId, toFacilityId: refinery.facilityId });
+    await provenanceService.recordReceipt(batchId, { receiverPartyId: refiner.partyId, facilityId: refinery.facilityId });
+  };
+
+  const congo = await create('CM-1', congoMine, congoMiner);
+  await deliver(congo, congoMine);
+  const ghana = await create('CM-2', ghanaMine, ghanaMiner);
+  await deliver(ghana, ghanaMine);
+  const { children } = await provenanceService.splitBatch(ghana, {
+    facilityId: refinery.facilityId,
+    children: [{ externalReferenceNumber: 'CM-2A', weight: 4 }, { externalReferenceNumber: 'CM-2B', weight: 6 }]
+  });
+  const unsmelted = await create('CM-3', ghanaMine, ghanaMiner);
+  // Last year's lot from another mine falls outside the period
+  const oldMiner = await provenanceService.registerParty({ legalName: 'Andes Mining', partyType: 'MineOperator', country: 'Peru' });
+  const oldMine = await provenanceService.registerFacility({ facilityName: 'Andes Mine', facilityType: 'Mine', ownerPartyId: oldMiner.partyId, country: 'Peru' });
+  const old = await create('CM-OLD', oldMine, oldMiner);
+  await deliver(old, oldMine);
+
+  for (const batchId of [congo, ghana, ...children.map(c => c.batch.batchId), unsmelted]) {
+    backdate(batchId, '2026-06-15');
+  }
+  backdate(old, '2025-03-01');
+  return { company, unsmelted };
+}
+
+async function testExport({ company, unsmelted }) {
+  console.log('1. Template...');
+  const exported = await cmrtExportService.generate({ ...PERIOD, company: company.partyId });
+  check('the summary counts smelters, mines and countries in the period',
+    exported.summary.smelters === 1 && exported.summary.mines === 2 && exported.summary.countries === 2 &&
+    exported.summary.coveredCountries === 1, exported.summary);
+  check('only the lot that never reached a refinery lacks a smelter',
+    exported.summary.batchesWithoutSmelter.join() === unsmelted, exported.summary.batchesWithoutSmelter);
+
+  const [smelter] = exported.tabs[CmrtTab.SMELTERS];
+  check('a smelter with a CID registration shows its RMI identification',
+    smelter['Smelter Identification'] === 'CID002852' && smelter['Source of Smelter Identification Number'] === 'RMI' &&
+    smelter['Smelter Look-up'] === 'Alpine Refinery' && smelter['Smelter Contact Email'] === 'compliance@alpine.example', smelter);
+  check('and lists the mines feeding it',
+    smelter['Name of Mine(s)'].split('; ').sort().join() === 'Ashanti Mine,Kivu Mine' &&
+    smelter["Does 100% of the smelter's feedstock originate from recycled or scrap sources?"] === 'No', smelter);
+
+  const ghanaRow = exported.tabs[CmrtTab.MINES].find(r => r['Mine Name'] === 'Ashanti Mine');
+  check('mines carry their permit, region and GPS',
+    ghanaRow?.['Mine Identification'] === 'GH-ML-7' && ghanaRow['Source of Mine Identification'] === 'Mining permit' &&
+    ghanaRow['Mine State / Province'] === 'Ashanti' && ghanaRow['Mine GPS'] === '6.2, -1.6', ghanaRow);
+
+  const countries = exported.tabs[CmrtTab.COUNTRIES];
+  check('countries of origin flag covered countries by alias',
+    countries.map(r => `${r.Country}:${r['Covered Country']}:${r.Batches}`).join() === 'DRC:Yes:1,Ghana:No:4', countries);
+
+  const declaration = exported.tabs[CmrtTab.DECLARATION];
+  const answer = (number) => declaration.find(r => r.Question.startsWith(`${number})`));
+  check('the declaration names the company and period',
+    declaration[0].Answer === 'Circuit Devices' && declaration[3].Answer === 'cmrt@circuit.example' &&
+    declaration[4].Answer === '2026-01-01 to 2026-12-31', declaration.slice(0, 5));
+  check('covered countries are declared', answer(3).Answer === 'Yes' && answer(3).Comments === 'Democratic Republic of the Congo', answer(3));
+  check('mined gold is not recycled', answer(4).Answer === 'No', answer(4));
+  check('not every smelter is identified while a lot has not reached one',
+    answer(6).Answer === 'No' && /1 batch/.test(answer(6).Comments), answer(6));
+
+  const later = await cmrtExportService.generate({ from: '2027-01-01' });
+  check('an empty period has no smelters', later.summary.smelters === 0 && later.tabs[CmrtTab.SMELTERS].length === 0, later.summary);
+}
+
+async function testRoutes() {
+  console.log('\n2. CMRT over the API...');
+  await provenanceService.registerUser({ username: 'cmrt-auditor', password: 'cmrt-pass-1', role: UserRole.AUDITOR });
+  await provenanceService.registerUser({ username: 'cmrt-viewer', password: 'cmrt-pass-1', role: UserRole.VIEWER });
+  const api = await startApi();
+  const auditor = await api.login('cmrt-auditor', 'cmrt-pass-1');
+  const viewer = await api.login('cmrt-viewer', 'cmrt-pass-1');
+  const query = `from=${PERIOD.from}&to=${PERIOD.to}&company=Circuit%20Devices`;
+
+  let response = await api.request('GET', `/reports/cmrt?${query}`, { token: auditor });
+  check('GET /reports/cmrt returns the template', response.status === 200 && response.body?.template === 'CMRT' &&
+    response.body.company.name === 'Circuit Devices', response.body?.company);
+
+  response = await api.request('GET', `/reports/cmrt?${query}&tab=${CmrtTab.SMELTERS}`, { token: auditor });
+  const [header, row] = response.text.split(/\r?\n/);
+  check('one tab comes as CSV with the template headings',
+    response.status === 200 && header?.startsWith('Metal,Smelter Look-up,Smelter Name') && row?.includes('CID002852') &&
+    /CMRT - Smelter List\.csv/.test(response.headers.get('content-disposition')), { header, row });
+
+  response = await api.request('GET', `/reports/cmrt?${query}&tab=minerals`, { token: auditor });
+  check('an unknown tab is a 400', response.status === 400 && /Unknown CMRT tab/.test(response.body?.error), response.body);
+  response = await api.request('GET', '/reports/cmrt?from=2026-12-31&to=2026-01-01', { token: auditor });
+  check('a reversed period is a 400', response.status === 400, response.body);
+  response = await api.request('GET', `/reports/cmrt?${query}`, { token: viewer });
+  check('viewers cannot export', response.status === 403, response.body);
+
+  await api.close();
+}
+
+await testExport(await createFixtures());
+await testRoutes();
+finish('CMRT');
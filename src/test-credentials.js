@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Verifiable Credentials Test
+ * Issues origin and assay attestations signed with the issuer's Ed25519
+ * key, then checks that changed claims, another party's key, an expired
+ * credential and a changed supporting document each fail their check, and
+ * issues and verifies credentials over HTTP
+ */
+
+import { check, rejects, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('credentials');
+process.env.DB_TYPE = 'memory';
+const provenanceService = (await import('./services/provenance.js')).default;
+const keyStore = (await import('./services/keys.js')).default;
+const db = (await import('./services/db-selector.js')).default;
+const { signCredential, CRYPTOSUITE } = await import('./services/credentials.js');
+const { CredentialType, UserRole } = await import('./models/index.js');
+
+const miner = await provenanceService.registerParty({ legalName: 'Credential Mining', partyType: 'MineOperator', country: 'Ghana' });
+const assayer = await provenanceService.registerParty({ legalName: 'Credential Assayers', partyType: 'Assayer', country: 'Switzerland' });
+const mine = await provenanceService.registerFacility({ facilityName: 'Credential Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+const { batch } = await provenanceService.createBatchAtMine({
+  externalReferenceNumber: 'VC-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+  ownerPartyId: miner.partyId, weight: 10
+});
+const permit = await provenanceService.registerDocument({
+  documentType: 'MiningLicense', fileName: 'license.pdf', content: 'license', issuerPartyId: miner.partyId
+});
+
+const originProof = (extra = {}) => provenanceService.issueCredential({
+  credentialType: CredentialType.ORIGIN_PROOF, issuerPartyId: miner.partyId, subjectBatchId: batch.batchId,
+  claimsSummary: 'Mined at Credential Mine', supportingDocumentIds: [permit.documentId], ...extra
+});
+
+async function testIssue() {
+  console.log('1. Issuing...');
+  const credential = await originProof();
+  const vc = credential.verifiableCredential;
+  check('the credential is a signed W3C VC',
+    vc['@context'][0] === 'https://www.w3.org/ns/credentials/v2' && vc.type.includes('VerifiableCredential') &&
+    vc.proof?.cryptosuite === CRYPTOSUITE && vc.issuer.id === keyStore.getKeyPair(miner.partyId).did, vc);
+  check('supporting documents are listed with their digest',
+    vc.credentialSubject.supportingDocuments[0]?.digestSha256 === permit.sha256Hash, vc.credentialSubject);
+  check('a fresh credential verifies', (await provenanceService.verifyCredential(credential.credentialId)).verified);
+
+  const facilityCredential = await provenanceService.issueCredential({
+    credentialType: CredentialType.COMPLIANCE_ATTESTATION, issuerPartyId: miner.partyId,
+    subjectFacilityId: mine.facilityId, claimsSummary: 'Licensed operation'
+  });
+  check('a facility can be the subject', facilityCredential.verifiableCredential.credentialSubject.type === 'Facility');
+
+  check('an unknown type is rejected', await rejects(() => originProof({ credentialType: 'Rumour' }), /Invalid credential type/));
+  check('certificates are not issued as attestations',
+    await rejects(() => originProof({ credentialType: CredentialType.PROVENANCE_CERTIFICATE }), /batch certificate/));
+  check('an unknown issuer is rejected', await rejects(() => originProof({ issuerPartyId: 'nobody' }), /Issuer party not found/));
+  check('a subject is required', await rejects(() => originProof({ subjectBatchId: null }), /subject batch or facility/));
+  check('missing documents are rejected', await rejects(() => originProof({ supportingDocumentIds: ['missing'] }), /not found: missing/));
+  return credential;
+}
+
+async function testTampering(credential) {
+  console.log('\n2. Tampering...');
+  const vc = credential.verifiableCredential;
+
+  let result = await provenanceService.verifyCredentialDocument({
+    ...vc, credentialSubject: { ...vc.credentialSubject, claims: 'Mined somewhere else' }
+  });
+  check('changed claims fail the signature', !result.verified && !result.checks.signature && result.checks.issuerKey, result);
+
+  const { proof, ...unsecured } = vc;
+  const assayerKey = keyStore.getOrCreateKeyPair(assayer.partyId);
+  result = await provenanceService.verifyCredentialDocument(signCredential(unsecured, assayerKey));
+  check('a credential re-signed by another party fails', !result.verified, result);
+
+  const expired = await originProof({ validUntil: '2020-01-01T00:00:00Z' });
+  result = await provenanceService.verifyCredential(expired.credentialId);
+  check('an expired credential fails its validity period',
+    !result.verified && !result.checks.validityPeriod && result.checks.signature, result);
+
+  const stored = await db.getDocument(permit.documentId);
+  const hash = stored.sha256Hash;
+  stored.sha256Hash = 'f'.repeat(64);
+  result = await provenanceService.verifyCredential(credential.credentialId);
+  stored.sha256Hash = hash;
+  check('a changed supporting document fails', !result.verified && !result.checks.documents && result.checks.signature, result);
+}
+
+async function testRoutes(credential) {
+  console.log('\n3. Credentials over the API...');
+  await provenanceService.registerUser({ username: 'vc-assayer', password: 'vc-pass-1', role: UserRole.OPERATOR, partyId: assayer.partyId });
+  const api = await startApi();
+  const token = await api.login('vc-assayer', 'vc-pass-1');
+
+  let response = await api.request('POST', '/credentials', {
+    token, body: { credentialType: CredentialType.COMPLIANCE_ATTESTATION, issuerPartyId: miner.partyId, subjectFacilityId: mine.facilityId }
+  });
+  check('operators cannot issue for another party', response.status === 403, response.body);
+
+  response = await api.request('POST', '/credentials', {
+    token, body: { credentialType: CredentialType.ASSAY_ATTESTATION, issuerPartyId: assayer.partyId, subjectFacilityId: mine.facilityId, claimsSummary: 'Lab accredited' }
+  });
+  check('POST /credentials issues for the user\'s party', response.status === 201 && !!response.body?.verifiableCredential?.proof, response.body);
+  const issued = response.body;
+
+  response = await api.request('GET', `/credentials/${issued?.credentialId}/verify`, { token });
+  check('GET /credentials/:id/verify', response.status === 200 && response.body?.verified === true, response.body);
+
+  response = await api.request('POST', '/credentials/verify', { token, body: credential.verifiableCredential });
+  check('POST /credentials/verify accepts a presented VC', response.status === 200 && response.body?.verified === true, response.body);
+
+  response = await api.request('POST', '/credentials/verify', {
+    token, body: { ...credential.verifiableCredential, validFrom: '2000-01-01T00:00:00Z' }
+  });
+  check('and rejects a changed one', response.status === 200 && response.body?.verified === false, response.body);
+
+  response = await api.request('GET', `/credentials/${credential.credentialId}`, { token });
+  check('credentials about another party\'s batch are hidden', response.status === 403, response.body);
+
+  await api.close();
+}
+
+const credential = await testIssue();
+await testTampering(credential);
+await testRoutes(credential);
+finish('credential');
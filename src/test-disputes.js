@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Dispute Resolution Test
+ * Checks each resolution outcome, that a resolution closes the dispute it
+ * names and settles flagged discrepancies, and raises and resolves disputes
+ * over HTTP, including adjustments posted as strings
+ */
+
+import { check, rejects, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('disputes');
+process.env.DB_TYPE = 'memory';
+const provenanceService = (await import('./services/provenance.js')).default;
+const { BatchStatus, EventType, AssayType } = await import('./models/index.js');
+
+const miner = await provenanceService.registerParty({ legalName: 'Dispute Mining', partyType: 'MineOperator', country: 'Ghana' });
+const refiner = await provenanceService.registerParty({ legalName: 'Dispute Refinery', partyType: 'Refinery', country: 'Switzerland' });
+const mine = await provenanceService.registerFacility({ facilityName: 'Dispute Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+
+async function disputedLot(reference) {
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: reference, commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10, declaredAssayValue: 900, declaredAssayUnit: 'permille'
+  });
+  const { event } = await provenanceService.recordDispute(batch.batchId, { raisedByPartyId: refiner.partyId, reason: 'Weight queried' });
+  return { batchId: batch.batchId, dispute: event };
+}
+
+async function testOutcomes() {
+  console.log('1. Outcomes...');
+  let { batchId, dispute } = await disputedLot('DSP-1');
+  check('an unknown outcome is rejected',
+    await rejects(() => provenanceService.recordResolution(batchId, { outcome: 'Settled' }), /Invalid outcome/));
+  check('a weight adjustment needs a weight',
+    await rejects(() => provenanceService.recordResolution(batchId, { outcome: 'WeightAdjusted' }), /adjustedWeight/));
+  check('and a finite one',
+    await rejects(() => provenanceService.recordResolution(batchId, { outcome: 'WeightAdjusted', adjustedWeight: 'Infinity' }), /adjustedWeight/));
+  check('an assay adjustment needs a number',
+    await rejects(() => provenanceService.recordResolution(batchId, { outcome: 'AssayAdjusted', adjustedAssayValue: 'high' }), /adjustedAssayValue/));
+  check('an unknown dispute is rejected',
+    await rejects(() => provenanceService.recordResolution(batchId, { outcome: 'Upheld', disputeEventId: 'missing' }), /not found/));
+
+  let result = await provenanceService.recordResolution(batchId, { outcome: 'WeightAdjusted', adjustedWeight: 9.5 });
+  check('a weight adjustment changes the batch weight', result.batch.quantity.weight === 9.5, result.batch.quantity);
+  check('the resolution points at the dispute', result.event.relatedEventId === dispute.eventId, result.event);
+  check('the batch returns to its status before the dispute', result.batch.status === BatchStatus.CREATED);
+
+  ({ batchId } = await disputedLot('DSP-2'));
+  result = await provenanceService.recordResolution(batchId, { outcome: 'AssayAdjusted', adjustedAssayValue: 880 });
+  check('an assay adjustment sets the final assay in the declared unit',
+    result.batch.finalAssay?.value === 880 && result.batch.finalAssay.unit === 'permille' &&
+    result.batch.finalAssay.assayType === AssayType.ADJUSTED, result.batch.finalAssay);
+
+  ({ batchId } = await disputedLot('DSP-3'));
+  result = await provenanceService.recordResolution(batchId, { outcome: 'Rejected' });
+  check('a rejected dispute leaves weight and assay alone',
+    result.batch.quantity.weight === 10 && !result.batch.finalAssay, result.batch);
+  check('a resolved batch verifies', (await provenanceService.verifyBatchIntegrity(batchId)).overallValid);
+}
+
+async function testDiscrepancy() {
+  console.log('\n2. Discrepancies...');
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'DSP-4', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10
+  });
+  await provenanceService.recordShipment(batch.batchId, { toPartyId: refiner.partyId });
+  const receipt = await provenanceService.recordReceipt(batch.batchId, { receiverPartyId: refiner.partyId, receivedWeight: 8 });
+  check('a short receipt flags the batch', !!receipt.batch.weightDiscrepancy, receipt.weightReconciliation);
+
+  const { event: dispute } = await provenanceService.recordDispute(batch.batchId, { raisedByPartyId: refiner.partyId, reason: 'Short' });
+  const result = await provenanceService.recordResolution(batch.batchId, {
+    outcome: 'WeightAdjusted', adjustedWeight: 8, disputeEventId: dispute.eventId
+  });
+  check('resolving settles the weight discrepancy',
+    result.batch.weightDiscrepancy === null && result.batch.status === BatchStatus.RECEIVED, result.batch);
+}
+
+async function testRoutes() {
+  console.log('\n3. Disputes over the API...');
+  await provenanceService.registerUser({ username: 'dispute-admin', password: 'dispute-pass-1', role: 'Admin' });
+  const api = await startApi();
+  const token = await api.login('dispute-admin', 'dispute-pass-1');
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'DSP-5', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10
+  });
+
+  let response = await api.request('POST', `/batches/${batch.batchId}/resolve`, { token, body: { outcome: 'Upheld' } });
+  check('resolving without a dispute is a 409', response.status === 409, response.body);
+
+  response = await api.request('POST', `/batches/${batch.batchId}/dispute`, {
+    token, body: { raisedByPartyId: refiner.partyId, reason: 'Paperwork missing' }
+  });
+  check('POST /batches/:id/dispute', response.status === 201 && response.body?.batch?.status === BatchStatus.DISPUTE, response.body);
+
+  response = await api.request('POST', `/batches/${batch.batchId}/resolve`, { token, body: { outcome: 'Bogus' } });
+  check('an unknown outcome is a 400', response.status === 400, response.body);
+
+  response = await api.request('POST', `/batches/${batch.batchId}/resolve`, { token, body: { outcome: 'Upheld', notes: 'Papers found' } });
+  check('POST /batches/:id/resolve',
+    response.status === 201 && response.body?.event?.eventType === EventType.RESOLVE &&
+    response.body.batch.status === BatchStatus.CREATED, response.body);
+
+  const dispute = () => api.request('POST', `/batches/${batch.batchId}/dispute`, {
+    token, body: { raisedByPartyId: refiner.partyId, reason: 'Weight queried' }
+  });
+  await dispute();
+  response = await api.request('POST', `/batches/${batch.batchId}/resolve`, { token, body: { outcome: 'WeightAdjusted', adjustedWeight: 'heavy' } });
+  check('a weight that is not a number is a 400', response.status === 400 && /adjustedWeight/.test(response.body?.error), response.body);
+  response = await api.request('POST', `/batches/${batch.batchId}/resolve`, { token, body: { outcome: 'WeightAdjusted', adjustedWeight: '9.5' } });
+  check('a weight posted as a string is stored as a number',
+    response.status === 201 && response.body?.batch?.quantity?.weight === 9.5 &&
+    response.body.event.resolution.adjustedWeight === 9.5, response.body);
+
+  await dispute();
+  response = await api.request('POST', `/batches/${batch.batchId}/resolve`, { token, body: { outcome: 'AssayAdjusted', adjustedAssayValue: '880' } });
+  check('and so is an assay',
+    response.status === 201 && response.body?.batch?.finalAssay?.value === 880 &&
+    response.body.event.resolution.adjustedAssay.value === 880, response.body);
+
+  await api.close();
+}
+
+await testOutcomes();
+await testDiscrepancy();
+await testRoutes();
+finish('dispute');
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * OECD Due Diligence Test
+ * Checks step ordering, what a step needs to be completed or marked not
+ * applicable, that a high-risk batch cannot skip risk mitigation and
+ * verifies as HIGH_RISK until due diligence is closed, what split and
+ * merged lots inherit, and the due-diligence routes over HTTP
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { check, rejects, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+const dataDir = useTempDataDir('due-diligence');
+const countriesFile = path.join(dataDir, 'countries.json');
+fs.writeFileSync(countriesFile, JSON.stringify({ countries: [{ country: 'Sudan', riskLevel: 'severe' }] }));
+
+process.env.DB_TYPE = 'memory';
+process.env.CAHRA_COUNTRIES_FILE = countriesFile;
+const provenanceService = (await import('./services/provenance.js')).default;
+const { DueDiligenceStep, DueDiligenceStatus, UserRole } = await import('./models/index.js');
+
+const { COMPLETED, NOT_APPLICABLE, IN_PROGRESS, NOT_STARTED } = DueDiligenceStatus;
+const miner = await provenanceService.registerParty({ legalName: 'DD Mining', partyType: 'MineOperator', country: 'Ghana' });
+const auditor = await provenanceService.registerParty({ legalName: 'DD Audit', partyType: 'Auditor', country: 'Switzerland' });
+const mine = await provenanceService.registerFacility({ facilityName: 'DD Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+const riskyMine = await provenanceService.registerFacility({ facilityName: 'DD Mine SD', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Sudan' });
+const license = await provenanceService.registerDocument({
+  documentType: 'MiningLicense', fileName: 'license.pdf', content: 'license', issuerPartyId: miner.partyId
+});
+
+async function createLot(reference, facility = mine, weight = 10) {
+  return (await provenanceService.createBatchAtMine({
+    externalReferenceNumber: reference, commodityType: 'Gold Doré', originFacilityId: facility.facilityId,
+    ownerPartyId: miner.partyId, weight
+  }, [license.documentId])).batch;
+}
+
+const update = (batchId, step, change) => provenanceService.updateDueDiligenceStep(batchId, step, change);
+const complete = (batchId, step, description = 'Reviewed') => update(batchId, step, {
+  status: COMPLETED, responsiblePartyId: auditor.partyId, finding: { description }
+});
+const verificationStatus = async (batchId) => (await provenanceService.getChainOfCustody(batchId)).verificationStatus.status;
+
+async function testSteps() {
+  console.log('1. Steps...');
+  const { batchId } = await createLot('DD-1');
+  let summary = await provenanceService.getDueDiligence(batchId);
+  check('a new batch has five open steps', summary.status === 'Open' && summary.steps.length === 5 &&
+    summary.steps.every(s => s.status === NOT_STARTED && s.title), summary);
+  check('and verifies as DUE_DILIGENCE_OPEN', await verificationStatus(batchId) === 'DUE_DILIGENCE_OPEN');
+
+  check('unknown steps are rejected', await rejects(() => update(batchId, 'paperwork', { status: COMPLETED }), /Unknown due diligence step/));
+  check('unknown statuses are rejected', await rejects(() => update(batchId, DueDiligenceStep.MANAGEMENT_SYSTEMS, { status: 'Done' }), /Invalid status/));
+  check('steps are done in order',
+    await rejects(() => complete(batchId, DueDiligenceStep.RISK_IDENTIFICATION), /Complete step 1 \(managementSystems\) first/));
+  check('a step needs a responsible party',
+    await rejects(() => update(batchId, DueDiligenceStep.MANAGEMENT_SYSTEMS, { status: COMPLETED, finding: { description: 'Policy' } }), /needs a responsible party/));
+  check('and evidence',
+    await rejects(() => update(batchId, DueDiligenceStep.MANAGEMENT_SYSTEMS, { status: COMPLETED, responsiblePartyId: auditor.partyId }), /needs a finding or a document/));
+  check('findings need a known severity',
+    await rejects(() => update(batchId, DueDiligenceStep.MANAGEMENT_SYSTEMS, { finding: { description: 'x', severity: 'urgent' } }), /Invalid finding severity/));
+  check('unknown parties and documents are rejected',
+    await rejects(() => update(batchId, DueDiligenceStep.MANAGEMENT_SYSTEMS, { responsiblePartyId: 'nobody' }), /Party nobody not found/) &&
+    await rejects(() => update(batchId, DueDiligenceStep.MANAGEMENT_SYSTEMS, { documentIds: ['missing'] }), /Document missing not found/));
+
+  summary = await update(batchId, DueDiligenceStep.MANAGEMENT_SYSTEMS, {
+    status: COMPLETED, responsiblePartyId: auditor.partyId, documentIds: [license.documentId]
+  });
+  const first = summary.steps[0];
+  check('a document is enough evidence', first.status === COMPLETED && !!first.completedAt && first.documentIds[0] === license.documentId, first);
+
+  check('only optional steps may be not applicable',
+    await rejects(() => update(batchId, DueDiligenceStep.RISK_IDENTIFICATION, { status: NOT_APPLICABLE, finding: { description: 'n/a' } }), /cannot be marked not applicable/));
+  await complete(batchId, DueDiligenceStep.RISK_IDENTIFICATION, 'No red flags');
+  check('not applicable needs a finding saying why',
+    await rejects(() => update(batchId, DueDiligenceStep.RISK_MITIGATION, { status: NOT_APPLICABLE }), /Record a finding/));
+  await update(batchId, DueDiligenceStep.RISK_MITIGATION, { status: NOT_APPLICABLE, finding: { description: 'No risks identified' } });
+  await update(batchId, DueDiligenceStep.THIRD_PARTY_AUDIT, { status: NOT_APPLICABLE, finding: { description: 'Audited last year' } });
+  summary = await complete(batchId, DueDiligenceStep.REPORTING, 'Annual report published');
+  check('due diligence closes when every step is done', summary.status === 'Closed' && !!summary.closedAt, summary);
+  check('and the batch verifies', await verificationStatus(batchId) === 'VERIFIED', await verificationStatus(batchId));
+
+  summary = await update(batchId, DueDiligenceStep.REPORTING, { status: IN_PROGRESS, finding: { description: 'Report withdrawn', severity: 'high' } });
+  check('reopening a step reopens due diligence',
+    summary.status === 'Open' && !summary.closedAt && summary.openSteps.join() === DueDiligenceStep.REPORTING &&
+    summary.openHighSeverityFindings === 1, summary);
+}
+
+async function testHighRisk() {
+  console.log('\n2. High-risk batches...');
+  const { batchId } = await createLot('DD-2', riskyMine);
+  check('a high-risk batch verifies as HIGH_RISK', await verificationStatus(batchId) === 'HIGH_RISK');
+
+  await complete(batchId, DueDiligenceStep.MANAGEMENT_SYSTEMS);
+  await complete(batchId, DueDiligenceStep.RISK_IDENTIFICATION, 'Sourced from Sudan');
+  check('risk mitigation cannot be skipped',
+    await rejects(() => update(batchId, DueDiligenceStep.RISK_MITIGATION, { status: NOT_APPLICABLE, finding: { description: 'n/a' } }), /Risk mitigation is required/));
+  await complete(batchId, DueDiligenceStep.RISK_MITIGATION, 'Supplier engagement plan');
+  await update(batchId, DueDiligenceStep.THIRD_PARTY_AUDIT, { status: NOT_APPLICABLE, finding: { description: 'Audit scheduled next cycle' } });
+  check('it stays HIGH_RISK while due diligence is open', await verificationStatus(batchId) === 'HIGH_RISK');
+  await complete(batchId, DueDiligenceStep.REPORTING);
+  check('and verifies once it is closed', await verificationStatus(batchId) === 'VERIFIED', await verificationStatus(batchId));
+}
+
+async function testInheritance() {
+  console.log('\n3. Split and merged lots...');
+  const parent = await createLot('DD-3');
+  await complete(parent.batchId, DueDiligenceStep.MANAGEMENT_SYSTEMS, 'Parent policy');
+  const { children } = await provenanceService.splitBatch(parent.batchId, {
+    facilityId: mine.facilityId,
+    children: [{ externalReferenceNumber: 'DD-3A', weight: 4 }, { externalReferenceNumber: 'DD-3B', weight: 6 }]
+  });
+  let summary = await provenanceService.getDueDiligence(children[0].batch.batchId);
+  check('split lots keep the parent\'s progress',
+    summary.steps[0].status === COMPLETED && summary.steps[0].responsiblePartyId === auditor.partyId &&
+    summary.steps[0].findings[0]?.description === 'Parent policy', summary.steps[0]);
+
+  const other = await createLot('DD-4', mine, 5);
+  await update(other.batchId, DueDiligenceStep.MANAGEMENT_SYSTEMS, { status: IN_PROGRESS, responsiblePartyId: miner.partyId, finding: { description: 'Other policy' } });
+  const { batch: merged } = await provenanceService.mergeBatches({
+    batchIds: [children[0].batch.batchId, other.batchId], externalReferenceNumber: 'DD-M'
+  });
+  summary = await provenanceService.getDueDiligence(merged.batchId);
+  const step = summary.steps[0];
+  check('merged lots take the least advanced status, with every finding',
+    step.status === IN_PROGRESS && !step.completedAt && step.findings.map(f => f.description).sort().join() === 'Other policy,Parent policy', step);
+  check('and no responsible party when the parents disagree', step.responsiblePartyId === null, step);
+  return merged;
+}
+
+async function testRoutes(merged) {
+  console.log('\n4. Due diligence over the API...');
+  await provenanceService.registerUser({ username: 'dd-operator', password: 'dd-pass-1', role: UserRole.OPERATOR, partyId: miner.partyId });
+  await provenanceService.registerUser({ username: 'dd-auditor', password: 'dd-pass-1', role: UserRole.AUDITOR });
+  const api = await startApi();
+  const operatorToken = await api.login('dd-operator', 'dd-pass-1');
+  const auditorToken = await api.login('dd-auditor', 'dd-pass-1');
+  const url = `/batches/${merged.batchId}/due-diligence`;
+
+  let response = await api.request('GET', url, { token: auditorToken });
+  check('GET /batches/:id/due-diligence', response.status === 200 && response.body?.steps?.length === 5, response.body);
+  response = await api.request('GET', '/batches/missing/due-diligence', { token: auditorToken });
+  check('an unknown batch is a 404', response.status === 404, response.body);
+
+  response = await api.request('POST', `${url}/${DueDiligenceStep.MANAGEMENT_SYSTEMS}`, { token: auditorToken, body: { status: COMPLETED } });
+  check('auditors cannot update steps', response.status === 403, response.body);
+  response = await api.request('POST', `${url}/${DueDiligenceStep.RISK_IDENTIFICATION}`, {
+    token: operatorToken, body: { status: COMPLETED, responsiblePartyId: auditor.partyId, finding: { description: 'x' } }
+  });
+  check('a rule violation is a 400', response.status === 400 && /Complete step 1/.test(response.body?.error), response.body);
+  response = await api.request('POST', `${url}/${DueDiligenceStep.MANAGEMENT_SYSTEMS}`, {
+    token: operatorToken, body: { status: COMPLETED, responsiblePartyId: auditor.partyId }
+  });
+  check('POST /batches/:id/due-diligence/:step', response.status === 200 && response.body?.steps?.[0]?.status === COMPLETED, response.body);
+
+  await api.close();
+}
+
+await testSteps();
+await testHighRisk();
+await testRoutes(await testInheritance());
+finish('due diligence');
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * EPCIS Test
+ * Captures a partner document that commissions, ships, receives and splits
+ * a lot named by GS1 Digital Links, rejects documents with an unknown lot,
+ * stops at a lifecycle failure, skips events captured before, exports and
+ * queries events, and checks over HTTP that a receiver cannot record events
+ * for the owner
+ */
+
+import { check, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('epcis');
+process.env.DB_TYPE = 'memory';
+const db = (await import('./services/db-selector.js')).default;
+const provenanceService = (await import('./services/provenance.js')).default;
+const epcisService = (await import('./services/epcis.js')).default;
+const { EpcisCaptureError, EPCIS_CONTEXT, cbvTerm, lotNumberOf } = await import('./services/epcis.js');
+const { urn } = await import('./services/untp.js');
+const { BatchStatus, EventType, UserRole } = await import('./models/index.js');
+
+const miner = await provenanceService.registerParty({ legalName: 'Epcis Mining', partyType: 'MineOperator', country: 'Ghana' });
+const refiner = await provenanceService.registerParty({ legalName: 'Epcis Refinery', partyType: 'Refinery', country: 'Switzerland' });
+const mine = await provenanceService.registerFacility({ facilityName: 'Epcis Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+const refinery = await provenanceService.registerFacility({ facilityName: 'Epcis Plant', facilityType: 'Refinery', ownerPartyId: refiner.partyId, country: 'Switzerland' });
+
+const lot = (number) => `https://id.gs1.org/01/09506000134352/10/${number}`;
+const document = (eventList) => ({ '@context': [EPCIS_CONTEXT], type: 'EPCISDocument', schemaVersion: '2.0', epcisBody: { eventList } });
+const commissioning = (id, number) => ({
+  type: 'ObjectEvent', eventID: `ni:///partner/${id}`, eventTime: '2026-06-01T08:00:00+02:00', action: 'ADD',
+  bizStep: 'commissioning', bizLocation: { id: urn(mine.facilityId) },
+  quantityList: [{ epcClass: lot(number), quantity: 10, uom: 'KGM' }],
+  destinationList: [{ type: 'owning_party', destination: urn(miner.partyId) }],
+  ilmd: { 'gp:commodityType': 'Gold Doré' }
+});
+const shipping = (id, number) => ({
+  type: 'ObjectEvent', eventID: `ni:///partner/${id}`, eventTime: '2026-06-02T08:00:00Z', action: 'OBSERVE',
+  bizStep: 'urn:epcglobal:cbv:bizstep:shipping', readPoint: { id: urn(mine.facilityId) },
+  quantityList: [{ epcClass: lot(number), quantity: 10, uom: 'KGM' }],
+  destinationList: [{ type: 'owning_party', destination: urn(refiner.partyId) }, { type: 'location', destination: urn(refinery.facilityId) }]
+});
+const receiving = (id, number, grams = 9990) => ({
+  type: 'ObjectEvent', eventID: `ni:///partner/${id}`, eventTime: '2026-06-03T08:00:00Z', action: 'OBSERVE',
+  bizStep: 'https://ref.gs1.org/cbv/BizStep-receiving', bizLocation: { id: urn(refinery.facilityId) },
+  quantityList: [{ epcClass: lot(number), quantity: grams, uom: 'GRM' }]
+});
+
+function testVocabulary() {
+  console.log('1. Vocabulary...');
+  check('CBV terms from bare, URN and Web URI values',
+    ['shipping', 'urn:epcglobal:cbv:bizstep:shipping', 'https://ref.gs1.org/cbv/BizStep-shipping'].every(v => cbvTerm(v) === 'shipping'));
+  check('lot numbers from Digital Links and LGTINs',
+    lotNumberOf(lot('AB%2F1')) === 'AB/1' && lotNumberOf('urn:epc:class:lgtin:0950600.013435.L-7') === 'L-7' && lotNumberOf(urn('x')) === null);
+}
+
+async function testCapture() {
+  console.log('\n2. Capture...');
+  const result = await epcisService.capture(document([
+    commissioning('c1', 'EP-1'),
+    shipping('s1', 'EP-1'),
+    receiving('r1', 'EP-1'),
+    {
+      type: 'TransformationEvent', eventID: 'ni:///partner/t1', eventTime: '2026-06-04T08:00:00Z',
+      bizStep: 'repackaging', bizLocation: { id: urn(refinery.facilityId) },
+      inputQuantityList: [{ epcClass: lot('EP-1'), quantity: 9.99, uom: 'KGM' }],
+      outputQuantityList: [
+        { epcClass: 'urn:epc:class:lgtin:0950600.013435.EP-1A', quantity: 4, uom: 'KGM' },
+        { epcClass: 'urn:epc:class:lgtin:0950600.013435.EP-1B', quantity: 5990, uom: 'GRM' }
+      ]
+    }
+  ]));
+  check('a whole lifecycle is captured in order',
+    result.failed === null && result.captured.map(c => c.eventType).join() === [EventType.CREATE, EventType.SHIP, EventType.RECEIVE, EventType.SPLIT].join(), result);
+
+  const batch = db.getBatchByReference('EP-1');
+  check('the lot takes its number from the Digital Link',
+    batch?.commodityType === 'Gold Doré' && batch.ownerPartyId === refiner.partyId && batch.status === BatchStatus.CONSUMED, batch);
+  check('the received weight is converted from grams', db.getEventsByBatch(batch.batchId).find(e => e.eventType === EventType.RECEIVE)?.quantity.weight === 9.99);
+  check('split outputs are named by LGTIN and converted to the parent\'s unit',
+    db.getBatchByReference('EP-1A')?.quantity.weight === 4 && db.getBatchByReference('EP-1B')?.quantity.weight === 5.99);
+  const create = db.getEventsByBatch(batch.batchId).find(e => e.eventType === EventType.CREATE);
+  check('events keep the partner\'s eventID and eventTime',
+    create.epcis?.eventID === 'ni:///partner/c1' && create.epcis.eventTime === '2026-06-01T08:00:00+02:00', create.epcis);
+
+  const again = await epcisService.capture(document([commissioning('c1', 'EP-1'), shipping('s1', 'EP-1')]));
+  check('events captured before are skipped', again.captured.length === 0 && again.skipped.length === 2, again);
+
+  let error = null;
+  try {
+    await epcisService.capture(document([commissioning('c2', 'EP-2'), shipping('s2', 'EP-UNKNOWN')]));
+  } catch (e) {
+    error = e;
+  }
+  check('a document with an unknown lot is rejected',
+    error instanceof EpcisCaptureError && error.errors.length === 1 && error.errors[0].index === 1 && /Unknown lot/.test(error.errors[0].error), error?.message);
+  check('and nothing in it is recorded', !db.getBatchByReference('EP-2'));
+
+  const partial = await epcisService.capture(document([commissioning('c3', 'EP-3'), receiving('r3', 'EP-3')]));
+  check('a lifecycle failure keeps the events before it',
+    partial.captured.length === 1 && partial.failed?.index === 1 && partial.failed.code === 'INVALID_TRANSITION' &&
+    !!db.getBatchByReference('EP-3'), partial);
+  return batch;
+}
+
+async function testExport(batch) {
+  console.log('\n3. Export and query...');
+  const exported = await epcisService.exportBatch(batch.batchId);
+  const [create, ship, receive, split] = exported.epcisBody.eventList;
+  check('a batch exports as an EPCISDocument', exported.type === 'EPCISDocument' && exported.epcisBody.eventList.length === 4, exported.epcisBody.eventList.length);
+  check('commissioning carries the lot number',
+    create.bizStep === 'commissioning' && create.action === 'ADD' && create.ilmd['cbvmda:lotNumber'] === 'EP-1', create);
+  check('a shipment is read where it leaves, with no bizLocation',
+    ship.readPoint.id === urn(mine.facilityId) && !ship.bizLocation && ship.disposition === 'in_transit', ship);
+  check('weights use UN/CEFACT codes', receive.quantityList[0].uom === 'KGM' && receive.quantityList[0].quantity === 9.99, receive.quantityList);
+  check('a split lists its outputs with their lot numbers',
+    split.type === 'TransformationEvent' && split.outputQuantityList.map(q => split['gp:lots'][q.epcClass]).join() === 'EP-1A,EP-1B', split);
+  const child = await epcisService.exportBatch(db.getBatchByReference('EP-1A').batchId);
+  check('the split is exported once, from the consumed lot', child.epcisBody.eventList.length === 0, child.epcisBody.eventList);
+
+  const roundTrip = await epcisService.capture(exported);
+  check('capturing an export again skips every event', roundTrip.captured.length === 0 && roundTrip.skipped.length === 4, roundTrip);
+
+  let result = await epcisService.query({ EQ_bizStep: 'shipping', MATCH_epcClass: urn(batch.batchId) });
+  check('SimpleEventQuery filters events',
+    result.total === 1 && result.document.type === 'EPCISQueryDocument' &&
+    result.document.epcisBody.queryResults.resultsBody.eventList[0].eventID === 'ni:///partner/s1', result.total);
+  result = await epcisService.query({ MATCH_anyEPCClass: urn(batch.batchId), perPage: '3' });
+  const next = await epcisService.query({ MATCH_anyEPCClass: urn(batch.batchId), perPage: '3', nextPageToken: result.nextPageToken });
+  check('and pages them', result.total === 4 && !!result.nextPageToken &&
+    next.document.epcisBody.queryResults.resultsBody.eventList.length === 1 && next.nextPageToken === null);
+  let threw = false;
+  try {
+    await epcisService.query({ EQ_colour: 'gold' });
+  } catch (e) {
+    threw = /Unknown query parameter/.test(e.message);
+  }
+  check('unknown query parameters are rejected', threw);
+}
+
+async function testRoutes() {
+  console.log('\n4. EPCIS over the API...');
+  await provenanceService.registerUser({ username: 'epcis-miner', password: 'epcis-pass-1', role: UserRole.OPERATOR, partyId: miner.partyId });
+  await provenanceService.registerUser({ username: 'epcis-refiner', password: 'epcis-pass-1', role: UserRole.OPERATOR, partyId: refiner.partyId });
+  const api = await startApi();
+  const minerToken = await api.login('epcis-miner', 'epcis-pass-1');
+  const refinerToken = await api.login('epcis-refiner', 'epcis-pass-1');
+
+  let response = await api.request('POST', '/epcis/capture', { token: minerToken, body: document([commissioning('c4', 'EP-4'), shipping('s4', 'EP-4')]) });
+  check('POST /epcis/capture records the owner\'s events', response.status === 201 && response.body?.captured?.length === 2, response.body);
+
+  response = await api.request('POST', '/epcis/capture', {
+    token: refinerToken,
+    body: document([{
+      type: 'TransactionEvent', eventID: 'ni:///partner/a4', eventTime: '2026-06-03T07:00:00Z', action: 'ADD',
+      bizStep: 'accepting', quantityList: [{ epcClass: lot('EP-4') }],
+      destinationList: [{ type: 'owning_party', destination: urn(refiner.partyId) }]
+    }])
+  });
+  check('the receiver cannot hand the lot over on the owner\'s behalf',
+    response.status === 403 && /record events for party/.test(response.body?.error), response.body);
+
+  response = await api.request('POST', '/epcis/capture', { token: refinerToken, body: document([commissioning('c5', 'EP-5')]) });
+  check('nor commission lots for another party', response.status === 403, response.body);
+
+  response = await api.request('POST', '/epcis/capture', {
+    token: refinerToken,
+    body: document([{
+      type: 'ObjectEvent', eventID: 'ni:///partner/i4', eventTime: '2026-06-03T07:00:00Z', action: 'OBSERVE',
+      bizStep: 'inspecting', quantityList: [{ epcClass: lot('EP-4') }],
+      sourceList: [{ type: 'owning_party', source: urn(miner.partyId) }]
+    }])
+  });
+  check('nor inspect it as the owner',
+    response.status === 403 && /record events for party/.test(response.body?.error), response.body);
+
+  response = await api.request('POST', '/epcis/capture', { token: refinerToken, body: document([receiving('r4', 'EP-4')]) });
+  check('but can receive it', response.status === 201, response.body);
+  response = await api.request('POST', '/epcis/capture', { token: refinerToken, body: document([receiving('r4', 'EP-4')]) });
+  check('sending it again is a 200 with the event skipped', response.status === 200 && response.body?.skipped?.length === 1, response.body);
+  response = await api.request('POST', '/epcis/capture', { token: refinerToken, body: document([receiving('r4-again', 'EP-4')]) });
+  check('a lifecycle failure is a 409', response.status === 409, response.body);
+  response = await api.request('POST', '/epcis/capture', { token: refinerToken, body: { type: 'Something' } });
+  check('a body that is not an EPCISDocument is a 400', response.status === 400, response.body);
+
+  response = await api.request('GET', '/epcis/events?perPage=1', { token: refinerToken });
+  check('GET /epcis/events pages with a Link header',
+    response.status === 200 && response.body?.epcisBody?.queryResults?.resultsBody?.eventList?.length === 1 &&
+    /rel="next"/.test(response.headers.get('link') || ''), response.headers.get('link'));
+  response = await api.request('GET', '/epcis/events?EQ_bizStep=commissioning', { token: minerToken });
+  const lots = response.body?.epcisBody?.queryResults?.resultsBody?.eventList?.map(e => e.ilmd['cbvmda:lotNumber']);
+  check('and only shows the user\'s lots', lots?.join() === 'EP-3', lots);
+
+  const ep4 = db.getBatchByReference('EP-4');
+  response = await api.request('GET', `/batches/${ep4.batchId}/export?format=epcis`, { token: refinerToken });
+  check('GET /batches/:id/export?format=epcis', response.status === 200 && response.body?.epcisBody?.eventList?.length === 3, response.body);
+
+  await api.close();
+}
+
+testVocabulary();
+await testExport(await testCapture());
+await testRoutes();
+finish('EPCIS');
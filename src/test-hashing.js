@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Hash Algorithm Test
+ * Checks SHA-256, Keccak-256 and SHA3-256 against known digests, that
+ * records store the algorithm they were hashed with (here Keccak-256 via
+ * HASH_ALGORITHM) and verify with it, and that records without a stored
+ * algorithm verify as SHA-256
+ */
+
+import { check, finish, useTempDataDir } from './test-helpers.js';
+
+useTempDataDir('hashing');
+process.env.DB_TYPE = 'memory';
+process.env.HASH_ALGORITHM = 'keccak256';
+const { HashAlgorithm, DEFAULT_HASH_ALGORITHM, hashWith, computeEventHash, computeBatchHash } = await import('./services/hashing.js');
+const provenanceService = (await import('./services/provenance.js')).default;
+const anchoringOutbox = (await import('./services/anchoring-outbox.js')).default;
+const db = (await import('./services/db-selector.js')).default;
+
+// Digests of "" and "abc"
+const VECTORS = {
+  [HashAlgorithm.SHA256]: [
+    'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  ],
+  [HashAlgorithm.KECCAK256]: [
+    'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470',
+    '4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45'
+  ],
+  [HashAlgorithm.SHA3_256]: [
+    'a7ffc6f8bf1ed76651c14756a061d662f580ff4de43b49fa82d80a4b80f8434a',
+    '3a985da74fe225b2045c172d6bd390bd855f086e3e9d525b46bfe24511431532'
+  ]
+};
+
+function testDigests() {
+  console.log('1. Digests...');
+  for (const [algorithm, [empty, abc]] of Object.entries(VECTORS)) {
+    check(`${algorithm} of "" and "abc"`, hashWith(algorithm, '') === empty && hashWith(algorithm, 'abc') === abc,
+      [hashWith(algorithm, ''), hashWith(algorithm, 'abc')]);
+  }
+  check('objects are hashed as canonical JSON',
+    hashWith(HashAlgorithm.KECCAK256, { b: 1, a: 2 }) === hashWith(HashAlgorithm.KECCAK256, '{"a":2,"b":1}'));
+
+  let threw = false;
+  try {
+    hashWith('md5', 'abc');
+  } catch {
+    threw = true;
+  }
+  check('unknown algorithms are rejected', threw);
+}
+
+async function testRecords() {
+  console.log('\n2. Records...');
+  check('HASH_ALGORITHM sets the default', DEFAULT_HASH_ALGORITHM === HashAlgorithm.KECCAK256);
+
+  const miner = await provenanceService.registerParty({ legalName: 'Hash Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Hash Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const { batch, event } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'HSH-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10
+  });
+  await anchoringOutbox.settle();
+  check('new records store the algorithm',
+    batch.hashAlgorithm === HashAlgorithm.KECCAK256 && event.hashAlgorithm === HashAlgorithm.KECCAK256);
+  check('and are hashed with it',
+    event.eventPayloadHash === computeEventHash(event) &&
+    event.eventPayloadHash !== computeEventHash({ ...event, hashAlgorithm: HashAlgorithm.SHA256 }) &&
+    batch.batchHash === computeBatchHash(batch));
+
+  let result = await provenanceService.verifyBatchIntegrity(batch.batchId);
+  check('Keccak-256 records verify',
+    result.overallValid && result.events[0].hashAlgorithm === HashAlgorithm.KECCAK256, result.events);
+
+  // A record from before the algorithm was stored
+  const stored = await db.getEvent(event.eventId);
+  const { hashAlgorithm, ...legacy } = stored;
+  legacy.eventPayloadHash = computeEventHash(legacy);
+  check('records without an algorithm are SHA-256', legacy.eventPayloadHash === computeEventHash({ ...legacy, hashAlgorithm: HashAlgorithm.SHA256 }));
+  db.events.set(event.eventId, legacy);
+  result = await provenanceService.verifyBatchIntegrity(batch.batchId);
+  check('and their hash still matches', result.events[0].hashMatch && result.events[0].hashAlgorithm === HashAlgorithm.SHA256, result.events);
+}
+
+testDigests();
+await testRecords();
+finish('hash algorithm');
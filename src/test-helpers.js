@@ -0,0 +1,99 @@
+/**
+ * Shared helpers for the test scripts
+ * Result reporting, a throwaway data directory and an API server on a free
+ * port. Import this before the services so the environment is set first.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+let failures = 0;
+
+export function check(name, condition, detail) {
+  if (condition) {
+    console.log(`   OK   ${name}`);
+  } else {
+    failures++;
+    console.log(`   FAIL ${name}`);
+    if (detail !== undefined) console.log(`        ${JSON.stringify(detail)}`);
+  }
+}
+
+/**
+ * Whether an async call rejects, optionally with a message matching a pattern
+ */
+export async function rejects(fn, pattern) {
+  try {
+    await fn();
+    return false;
+  } catch (error) {
+    return !pattern || pattern.test(error.message);
+  }
+}
+
+/**
+ * Print the summary and exit, non-zero when a check failed
+ */
+export function finish(suite) {
+  if (failures > 0) {
+    console.error(`\n${failures} ${suite} test(s) failed`);
+    process.exit(1);
+  }
+  console.log(`\nAll ${suite} tests passed!`);
+  process.exit(0);
+}
+
+/**
+ * Point DATA_DIR (and with it the key store and file databases) at a
+ * temporary directory removed on exit
+ */
+export function useTempDataDir(suite) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `gold-provenance-${suite}-`));
+  process.env.DATA_DIR = dir;
+  delete process.env.KEYS_DIR;
+  delete process.env.SQLITE_PATH;
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Start the REST API on a free port
+ * Returns request(method, url, { token, body, contentType }) resolving to
+ * { status, headers, body (parsed JSON or null), text, buffer }, login()
+ * and close()
+ */
+export async function startApi() {
+  const app = (await import('./api.js')).default;
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  const request = async (method, url, { token, body, contentType = 'application/json' } = {}) => {
+    const response = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': contentType } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      // A route that never answers fails the test instead of hanging it
+      signal: AbortSignal.timeout(10000)
+    });
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const text = buffer.toString('utf-8');
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // Not JSON
+    }
+    return { status: response.status, headers: response.headers, body: json, text, buffer };
+  };
+
+  const login = async (username, password) =>
+    (await request('POST', '/auth/login', { body: { username, password } })).body?.token;
+
+  return { request, login, close: () => new Promise(resolve => server.close(resolve)) };
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * LBMA Report Test
+ * Builds the report for a supplier with several batches whose timestamps
+ * are Dates, as MongoDB returns them: batches are ordered by first
+ * activity, the period and supplier filters apply, the chain of custody is
+ * only built for batches in the period, and the route answers CSV
+ */
+
+import { check, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('lbma');
+process.env.DB_TYPE = 'memory';
+const db = (await import('./services/db-selector.js')).default;
+const provenanceService = (await import('./services/provenance.js')).default;
+const { LbmaReportService, ReportFormat } = await import('./services/lbma-report.js');
+
+// Move a batch's events and audit entries to a day, stored as Dates
+function backdate(batchId, day) {
+  let minute = 0;
+  for (const event of db.getEventsByBatch(batchId)) {
+    event.eventTimestamp = new Date(`${day}T10:${String(minute++).padStart(2, '0')}:00Z`);
+  }
+  const ids = new Set([batchId, ...db.getEventsByBatch(batchId).map(e => e.eventId)]);
+  for (const entry of db.auditLog.filter(e => ids.has(e.entityId))) {
+    entry.timestamp = new Date(`${day}T10:${String(minute++).padStart(2, '0')}:00Z`);
+  }
+}
+
+async function createFixtures() {
+  const miner = await provenanceService.registerParty({ legalName: 'Lbma Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const other = await provenanceService.registerParty({ legalName: 'Other Mining', partyType: 'MineOperator', country: 'Peru' });
+  const refiner = await provenanceService.registerParty({ legalName: 'Lbma Refinery', partyType: 'Refinery', country: 'Switzerland' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Lbma Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const otherMine = await provenanceService.registerFacility({ facilityName: 'Other Mine', facilityType: 'Mine', ownerPartyId: other.partyId, country: 'Peru' });
+
+  const create = async (reference, facility, owner) => (await provenanceService.createBatchAtMine({
+    externalReferenceNumber: reference, commodityType: 'Gold Doré', originFacilityId: facility.facilityId,
+    ownerPartyId: owner.partyId, weight: 10
+  })).batch;
+  // Created newest first, so the report has to reorder them
+  const late = await create('LBMA-LATE', mine, miner);
+  const early = await create('LBMA-EARLY', mine, miner);
+  const outside = await create('LBMA-OUTSIDE', mine, miner);
+  const foreign = await create('LBMA-OTHER', otherMine, other);
+  await provenanceService.recordShipment(late.batchId, { toPartyId: refiner.partyId });
+
+  backdate(late.batchId, '2026-08-20');
+  backdate(early.batchId, '2026-07-05');
+  backdate(outside.batchId, '2026-05-01');
+  backdate(foreign.batchId, '2026-08-01');
+  return { miner, late, early, outside, foreign };
+}
+
+async function testReport({ miner, late, early, outside, foreign }) {
+  console.log('1. Report...');
+  let custodyCalls = 0;
+  const counting = Object.create(provenanceService);
+  counting.getChainOfCustody = (batchId) => {
+    custodyCalls++;
+    return provenanceService.getChainOfCustody(batchId);
+  };
+  const service = new LbmaReportService(db, counting);
+
+  let report;
+  try {
+    report = await service.generate({ from: '2026-07-01', to: '2026-09-30', supplier: miner.partyId });
+  } catch (error) {
+    check('report builds with Date timestamps', false, error.message);
+    return;
+  }
+  const ids = report.batches.map(b => b.batchId);
+  check('report builds with Date timestamps', true);
+  check('batches are ordered by first activity', ids.join() === [early.batchId, late.batchId].join(), ids);
+  check('batches outside the period are left out', !ids.includes(outside.batchId), ids);
+  check('batches of other suppliers are left out', !ids.includes(foreign.batchId), ids);
+  check('chain of custody is built only for batches in the period', custodyCalls === 3, custodyCalls);
+
+  const entry = report.batches.find(b => b.batchId === late.batchId);
+  check('first and last activity span the batch\'s events',
+    new Date(entry.firstActivity) < new Date(entry.lastActivity), [entry.firstActivity, entry.lastActivity]);
+  check('audit trail is oldest first',
+    entry.auditTrail.every((a, i, all) => i === 0 || new Date(all[i - 1].timestamp) <= new Date(a.timestamp)), entry.auditTrail);
+
+  const csv = service.render(report, ReportFormat.CSV).trim().split('\n');
+  check('CSV has a header and one row per batch', csv.length === 3 && csv[1].includes('LBMA-EARLY'), csv);
+}
+
+async function testRoute() {
+  console.log('\n2. Report route...');
+  await provenanceService.registerUser({ username: 'lbma-auditor', password: 'lbma-pass-1', role: 'Auditor' });
+  await provenanceService.registerUser({ username: 'lbma-viewer', password: 'lbma-pass-1', role: 'Viewer' });
+  const api = await startApi();
+  const auditor = await api.login('lbma-auditor', 'lbma-pass-1');
+  const viewer = await api.login('lbma-viewer', 'lbma-pass-1');
+
+  let response = await api.request('GET', '/reports/lbma?from=2026-07-01&to=2026-09-30&format=csv', { token: auditor });
+  check('GET /reports/lbma answers CSV',
+    response.status === 200 && response.text.split('\n')[0].startsWith('batchId'), response.text);
+
+  response = await api.request('GET', '/reports/lbma?from=2026-09-30&to=2026-07-01', { token: auditor });
+  check('a period that ends before it starts is a 400', response.status === 400, response.body);
+
+  response = await api.request('GET', '/reports/lbma', { token: viewer });
+  check('viewers cannot read the report', response.status === 403, response.body);
+
+  await api.close();
+}
+
+await testReport(await createFixtures());
+await testRoute();
+finish('LBMA report');
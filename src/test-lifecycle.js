@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Batch Lifecycle Test
+ * Checks the transition table status by status, drives a batch through
+ * shipment, receipt, a dispute and a split, checking that rejected events
+ * record nothing, and calls the actions route and a rejected event over HTTP
+ */
+
+import { check, rejects, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('lifecycle');
+process.env.DB_TYPE = 'memory';
+const { TRANSITIONS, InvalidTransitionError, getAllowedActions, nextStatus } = await import('./services/lifecycle.js');
+const provenanceService = (await import('./services/provenance.js')).default;
+const db = (await import('./services/db-selector.js')).default;
+const { BatchStatus, EventType } = await import('./models/index.js');
+
+// Expected next status per status and event; 'keep' leaves the status as it is
+const EXPECTED = {
+  [BatchStatus.CREATED]: {
+    Ship: BatchStatus.IN_TRANSIT, Transfer: 'keep', InspectTest: 'keep', AssayFinalized: 'keep',
+    Dispute: BatchStatus.DISPUTE, Split: BatchStatus.CONSUMED, Merge: BatchStatus.CONSUMED
+  },
+  [BatchStatus.IN_TRANSIT]: {
+    Transfer: 'keep', Receive: BatchStatus.RECEIVED, InspectTest: 'keep', Dispute: BatchStatus.DISPUTE
+  },
+  [BatchStatus.RECEIVED]: {
+    Ship: BatchStatus.IN_TRANSIT, Transfer: 'keep', InspectTest: 'keep', AssayFinalized: 'keep',
+    Dispute: BatchStatus.DISPUTE, Split: BatchStatus.CONSUMED, Merge: BatchStatus.CONSUMED
+  },
+  [BatchStatus.DISPUTE]: { InspectTest: 'keep', AssayFinalized: 'keep', Resolve: BatchStatus.RECEIVED },
+  [BatchStatus.CLOSED]: {},
+  [BatchStatus.CONSUMED]: {}
+};
+
+function testTable() {
+  console.log('1. Transition table...');
+  check('every status has an entry', Object.values(BatchStatus).every(s => TRANSITIONS[s]), Object.keys(TRANSITIONS));
+  for (const [status, expected] of Object.entries(EXPECTED)) {
+    const batch = { batchId: 'b', status, preDisputeStatus: BatchStatus.RECEIVED };
+    const allowed = getAllowedActions(batch);
+    check(`${status}: allowed events`, allowed.sort().join() === Object.keys(expected).sort().join(), allowed);
+    const wrong = Object.entries(expected)
+      .filter(([eventType, target]) => nextStatus(batch, eventType) !== (target === 'keep' ? status : target));
+    check(`${status}: next statuses`, wrong.length === 0, wrong);
+  }
+  check('a resolution without a saved status returns to Created',
+    nextStatus({ status: BatchStatus.DISPUTE }, EventType.RESOLVE) === BatchStatus.CREATED);
+
+  let error = null;
+  try {
+    nextStatus({ batchId: 'b', status: BatchStatus.IN_TRANSIT }, EventType.SHIP);
+  } catch (e) {
+    error = e;
+  }
+  check('a rejected event raises InvalidTransitionError with the allowed actions',
+    error instanceof InvalidTransitionError && error.code === 'INVALID_TRANSITION' &&
+    error.currentStatus === BatchStatus.IN_TRANSIT && error.allowedActions.includes(EventType.RECEIVE), error);
+}
+
+async function testBatch() {
+  console.log('\n2. Batch through its lifecycle...');
+  const miner = await provenanceService.registerParty({ legalName: 'Cycle Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const refiner = await provenanceService.registerParty({ legalName: 'Cycle Refinery', partyType: 'Refinery', country: 'Switzerland' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Cycle Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'CYC-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10
+  });
+  const id = batch.batchId;
+  const eventCount = () => db.getEventsByBatch(id).length;
+  const status = async () => (await provenanceService.getBatch(id)).status;
+
+  const before = eventCount();
+  check('a new batch cannot be received',
+    await rejects(() => provenanceService.recordReceipt(id, { receiverPartyId: refiner.partyId }), /Cannot record Receive/));
+  check('a rejected event records nothing', eventCount() === before && await status() === BatchStatus.CREATED);
+
+  await provenanceService.recordShipment(id, { toPartyId: refiner.partyId });
+  check('shipping moves the batch in transit', await status() === BatchStatus.IN_TRANSIT);
+  check('a batch in transit cannot be shipped again',
+    await rejects(() => provenanceService.recordShipment(id, { toPartyId: refiner.partyId }), /Cannot record Ship/));
+
+  await provenanceService.recordReceipt(id, { receiverPartyId: refiner.partyId, receivedWeight: 10 });
+  check('receiving moves the batch to received', await status() === BatchStatus.RECEIVED);
+
+  await provenanceService.recordDispute(id, { raisedByPartyId: refiner.partyId, reason: 'Seal broken' });
+  check('a dispute holds the batch', await status() === BatchStatus.DISPUTE);
+  check('a disputed batch cannot be shipped',
+    await rejects(() => provenanceService.recordShipment(id, { toPartyId: miner.partyId }), /Cannot record Ship/));
+  check('a disputed batch cannot be split',
+    await rejects(() => provenanceService.splitBatch(id, {
+      children: [{ externalReferenceNumber: 'CYC-1A', weight: 5 }, { externalReferenceNumber: 'CYC-1B', weight: 5 }]
+    }), /Cannot record Split/));
+
+  await provenanceService.recordResolution(id, { outcome: 'Upheld', resolvedByPartyId: refiner.partyId });
+  check('resolving returns the batch to its status before the dispute', await status() === BatchStatus.RECEIVED);
+
+  await provenanceService.splitBatch(id, {
+    children: [{ externalReferenceNumber: 'CYC-1A', weight: 5 }, { externalReferenceNumber: 'CYC-1B', weight: 5 }]
+  });
+  check('a split consumes the batch', await status() === BatchStatus.CONSUMED);
+  const consumed = eventCount();
+  check('a consumed batch accepts nothing',
+    await rejects(() => provenanceService.recordInspection(id, { inspectorPartyId: refiner.partyId }), /Cannot record InspectTest/) &&
+    eventCount() === consumed);
+  return { batchId: id, miner, refiner };
+}
+
+async function testRoutes({ batchId, refiner }) {
+  console.log('\n3. Lifecycle over the API...');
+  await provenanceService.registerUser({ username: 'cycle-admin', password: 'cycle-pass-1', role: 'Admin' });
+  const api = await startApi();
+  const token = await api.login('cycle-admin', 'cycle-pass-1');
+
+  let response = await api.request('GET', `/batches/${batchId}/actions`, { token });
+  check('GET /batches/:id/actions lists nothing for a consumed batch',
+    response.status === 200 && response.body?.status === BatchStatus.CONSUMED && response.body.allowedActions.length === 0, response.body);
+
+  response = await api.request('POST', `/batches/${batchId}/inspect`, { token, body: { inspectorPartyId: refiner.partyId } });
+  check('a rejected event is a 409 with the current status',
+    response.status === 409 && response.body?.code === 'INVALID_TRANSITION' &&
+    response.body.currentStatus === BatchStatus.CONSUMED && response.body.attemptedAction === EventType.INSPECT_TEST, response.body);
+
+  await api.close();
+}
+
+testTable();
+await testRoutes(await testBatch());
+finish('lifecycle');
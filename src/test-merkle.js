@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Merkle Anchoring Test
+ * Checks tree building and proofs (sorted pairs, odd layers), chunking of a
+ * flush into several roots in one transaction, and that records anchored in
+ * merkle mode carry a proof that verification checks
+ */
+
+import { ethers } from 'ethers';
+import { check, finish, useTempDataDir } from './test-helpers.js';
+
+useTempDataDir('merkle');
+process.env.DB_TYPE = 'memory';
+process.env.ANCHOR_MODE = 'merkle';
+process.env.ANCHOR_WINDOW_MS = '50';
+const { buildMerkleTree, getMerkleProof, verifyMerkleProof } = await import('./services/merkle.js');
+const { BlockchainAnchoringService, AnchorMode } = await import('./services/anchoring.js');
+const provenanceService = (await import('./services/provenance.js')).default;
+const anchoringOutbox = (await import('./services/anchoring-outbox.js')).default;
+const db = (await import('./services/db-selector.js')).default;
+
+const leaf = (i) => ethers.keccak256(ethers.toUtf8Bytes(`leaf-${i}`));
+
+function testTree() {
+  console.log('1. Trees and proofs...');
+  const [a, b] = [leaf(1), leaf(2)];
+  const sorted = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  check('pairs are hashed in sorted order',
+    buildMerkleTree([a, b]).root === ethers.keccak256(ethers.concat(sorted)) &&
+    buildMerkleTree([b, a]).root === buildMerkleTree([a, b]).root);
+  check('a single leaf is its own root', buildMerkleTree([a]).root === a);
+
+  let threw = false;
+  try {
+    buildMerkleTree([]);
+  } catch {
+    threw = true;
+  }
+  check('a tree needs leaves', threw);
+
+  for (const size of [2, 3, 5, 8]) {
+    const leaves = Array.from({ length: size }, (_, i) => leaf(i));
+    const tree = buildMerkleTree(leaves);
+    check(`every leaf of ${size} proves inclusion`,
+      leaves.every((l, i) => verifyMerkleProof(l, getMerkleProof(tree, i), tree.root)));
+  }
+
+  const tree = buildMerkleTree([leaf(0), leaf(1), leaf(2), leaf(3), leaf(4)]);
+  const proof = getMerkleProof(tree, 2);
+  check('a proof does not prove another leaf', !verifyMerkleProof(leaf(9), proof, tree.root));
+  check('a changed sibling fails', !verifyMerkleProof(leaf(2), [leaf(9), ...proof.slice(1)], tree.root));
+  check('an odd last leaf is promoted and still proves', verifyMerkleProof(leaf(4), getMerkleProof(tree, 4), tree.root));
+}
+
+async function testFlush() {
+  console.log('\n2. Flushing...');
+  const anchoring = new BlockchainAnchoringService({ anchorMode: AnchorMode.MERKLE, merkleWindowMs: 60000, merkleMaxLeaves: 2 });
+  const hashes = ['a', 'b', 'c'].map(s => ethers.sha256(ethers.toUtf8Bytes(s)).slice(2));
+  const pending = hashes.map((hash, i) => anchoring.anchorHash(`event:${i}`, hash));
+  const roots = await anchoring.flushPendingAnchors();
+  const anchors = await Promise.all(pending);
+
+  check('leaves are chunked into trees of merkleMaxLeaves', roots.map(r => r.leafCount).join() === '2,1', roots);
+  check('all roots go out in one transaction', new Set(roots.map(r => r.txHash)).size === 1);
+  check('each anchor carries a proof under its root',
+    anchors.every((a, i) => a.success && anchoring.verifyMerkleInclusion(`event:${i}`, hashes[i], a.merkle)), anchors);
+  check('a proof does not hold for another hash', !anchoring.verifyMerkleInclusion('event:0', hashes[1], anchors[0].merkle));
+  check('roots and leaves are registered',
+    !!(await db.getAnchor(roots[0].rootId)) && (await db.getAnchor('event:0'))?.merkleRootId === roots[0].rootId);
+}
+
+async function testRecords() {
+  console.log('\n3. Records anchored in merkle mode...');
+  const miner = await provenanceService.registerParty({ legalName: 'Merkle Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Merkle Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const { batch, event, ...queued } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'MRK-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10
+  });
+  const [batchAnchor, eventAnchor] = await Promise.all([
+    anchoringOutbox.settle(queued.batchAnchor.anchorId), anchoringOutbox.settle(queued.eventAnchor.anchorId)
+  ]);
+  check('the batch and its first event share a root',
+    batchAnchor?.merkle?.root && batchAnchor.merkle.root === eventAnchor?.merkle?.root, { batchAnchor, eventAnchor });
+
+  const stored = await db.getEvent(event.eventId);
+  check('the event stores its proof', stored.merkleProof?.root === eventAnchor.merkle.root, stored.merkleProof);
+
+  let result = await provenanceService.verifyBatchIntegrity(batch.batchId);
+  check('verification checks the proof',
+    result.overallValid && result.anchorVerifications[0]?.merkleProofValid === true, result.anchorVerifications);
+
+  stored.merkleProof = { ...stored.merkleProof, proof: [ethers.ZeroHash] };
+  result = await provenanceService.verifyBatchIntegrity(batch.batchId);
+  check('a broken proof fails verification',
+    result.anchorVerifications[0]?.merkleProofValid === false && result.anchorVerifications[0].verified === false, result.anchorVerifications);
+}
+
+testTree();
+await testFlush();
+await testRecords();
+finish('Merkle');
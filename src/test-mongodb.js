@@ -7,6 +7,7 @@
 
 import 'dotenv/config';
 import mongoDb from './services/mongodb-database.js';
+import { UnitOfWork } from './services/unit-of-work.js';
 
 async function testMongoDB() {
   console.log('Testing MongoDB connection...\n');
@@ -77,8 +78,32 @@ async function testMongoDB() {
   const batch = await mongoDb.saveBatch(testBatch);
   console.log('   Created batch:', batch.externalReferenceNumber);
   
+  // Test unit of work
+  console.log('6. Testing unit of work...');
+  console.log(`   Mode: ${mongoDb.supportsTransactions ? 'transaction' : 'undo journal (standalone server)'}`);
+  const shipped = new UnitOfWork(mongoDb);
+  shipped.updateBatch({ ...batch, status: 'InTransit' });
+  shipped.saveEvent({ eventId: 'test-event-' + Date.now(), eventType: 'Ship', batchId: batch.batchId });
+  await shipped.commit();
+  console.log('   Committed batch update and event:', (await mongoDb.getBatch(batch.batchId)).status);
+
+  const broken = new UnitOfWork(mongoDb);
+  broken.updateBatch({ ...batch, status: 'Received' });
+  broken.saveEvent({ eventId: 'test-event-invalid-' + Date.now(), eventType: 'NotAnEventType', batchId: batch.batchId });
+  try {
+    await broken.commit();
+    throw new Error('Invalid unit of work was committed');
+  } catch (error) {
+    if (error.message === 'Invalid unit of work was committed') throw error;
+  }
+  const afterRollback = await mongoDb.getBatch(batch.batchId);
+  if (afterRollback.status !== 'InTransit') {
+    throw new Error(`Failed unit of work left batch status ${afterRollback.status}`);
+  }
+  console.log('   Failed unit of work rolled back');
+  
   // Get stats
-  console.log('\n6. Database statistics:');
+  console.log('\n7. Database statistics:');
   const stats = await mongoDb.getStats();
   console.log('   Parties:', stats.parties);
   console.log('   Facilities:', stats.facilities);
@@ -87,7 +112,7 @@ async function testMongoDB() {
   console.log('   Documents:', stats.documents);
   
   // Test audit log
-  console.log('\n7. Testing Audit Log...');
+  console.log('\n8. Testing Audit Log...');
   const auditLogs = await mongoDb.getAuditLog();
   console.log(`   Found ${auditLogs.length} audit entries`);
   
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * On-Chain Anchor Verification Test
+ * Checks that verifyAnchor decodes HashAnchored logs and reports a wrong
+ * hash, wrong contract, wrong sender, missing log and shallow confirmations
+ * separately, and that the chain indexer's diff finds events anchored but
+ * missing from the database and events never anchored.
+ *
+ * Part 1 runs offline against synthetic receipts. Part 2 deploys
+ * contracts/EventLogger.sol to a local dev chain (anvil or `npx hardhat node`)
+ * at LOCAL_RPC_URL and is skipped when none is reachable.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import solc from 'solc';
+
+// Anchors are registered in memory; set before the services load
+process.env.DB_TYPE = process.env.DB_TYPE || 'memory';
+const { BlockchainAnchoringService, NETWORKS } = await import('./services/anchoring.js');
+const { ChainIndexer } = await import('./services/chain-indexer.js');
+const db = (await import('./services/db-selector.js')).default;
+const { createBatch, createEvent } = await import('./models/index.js');
+const { computeEventHash, computeBatchHash } = await import('./services/hashing.js');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Well-known funded accounts of anvil and hardhat node
+const DEV_KEYS = [
+  process.env.LOCAL_PRIVATE_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+  process.env.LOCAL_PRIVATE_KEY_2 || '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d'
+];
+
+const HASH = 'a'.repeat(64);
+const OTHER_HASH = 'b'.repeat(64);
+
+let failures = 0;
+
+function check(name, condition, detail) {
+  if (condition) {
+    console.log(`   OK   ${name}`);
+  } else {
+    failures++;
+    console.log(`   FAIL ${name}`);
+    if (detail) console.log(`        ${JSON.stringify(detail)}`);
+  }
+}
+
+// ============ OFFLINE ============
+
+function testSyntheticReceipts() {
+  console.log('1. Synthetic receipts...');
+  const contractAddress = ethers.Wallet.createRandom().address;
+  const sender = ethers.Wallet.createRandom().address;
+  const service = new BlockchainAnchoringService({ contractAddress, expectedSender: sender, minConfirmations: 3 });
+  const iface = new ethers.Interface([
+    'event HashAnchored(bytes32 indexed id, bytes32 hash, uint256 timestamp, address indexed sender)'
+  ]);
+
+  const receipt = ({ address = contractAddress, hash = HASH, from = sender, id = 'event:1', status = 1 } = {}) => {
+    const { topics, data } = iface.encodeEventLog('HashAnchored', [
+      service.stringToBytes32(id), service.hashToBytes32(hash), 1700000000, from
+    ]);
+    return { status, blockNumber: 100, logs: [{ address, topics, data, index: 2 }] };
+  };
+  const expected = { id: 'event:1', hash: HASH };
+
+  let result = service.checkAnchorReceipt(receipt(), expected, 102);
+  check('matching log verifies', result.verified && result.logIndex === 2, result);
+
+  result = service.checkAnchorReceipt(receipt({ hash: OTHER_HASH }), expected, 102);
+  check('wrong hash reported', !result.verified && !result.checks.hashMatch && result.checks.contractMatch, result.checks);
+
+  result = service.checkAnchorReceipt(receipt({ address: ethers.Wallet.createRandom().address }), expected, 102);
+  check('wrong contract reported', !result.verified && !result.checks.contractMatch && result.checks.hashMatch, result.checks);
+
+  result = service.checkAnchorReceipt(receipt({ from: ethers.Wallet.createRandom().address }), expected, 102);
+  check('wrong sender reported', !result.verified && result.checks.senderMatch === false, result.checks);
+
+  result = service.checkAnchorReceipt(receipt({ id: 'event:2' }), expected, 102);
+  check('missing log reported', !result.verified && !result.checks.logFound, result.checks);
+
+  result = service.checkAnchorReceipt(receipt(), expected, 101);
+  check('shallow confirmations reported',
+    !result.verified && result.checks.confirmations === 2 && !result.checks.sufficientConfirmations, result.checks);
+
+  result = service.checkAnchorReceipt(receipt({ status: 0 }), expected, 102);
+  check('reverted transaction reported', !result.verified && !result.checks.succeeded, result.checks);
+
+  result = service.checkAnchorReceipt(null, expected, 102);
+  check('missing receipt reported', !result.verified && !result.checks.receiptFound, result.checks);
+}
+
+// ============ LOCAL DEV CHAIN ============
+
+function compileEventLogger() {
+  const source = fs.readFileSync(path.join(__dirname, '../contracts/EventLogger.sol'), 'utf-8');
+  const input = {
+    language: 'Solidity',
+    sources: { 'EventLogger.sol': { content: source } },
+    settings: { outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter(e => e.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(e => e.formattedMessage).join('\n'));
+  }
+  const contract = output.contracts['EventLogger.sol'].EventLogger;
+  return { abi: contract.abi, bytecode: '0x' + contract.evm.bytecode.object };
+}
+
+async function connectedService(contractAddress, privateKey, config = {}) {
+  const service = new BlockchainAnchoringService({
+    ...NETWORKS.local,
+    contractAddress,
+    anchorMode: 'direct',
+    ...config
+  });
+  await service.connect(privateKey);
+  return service;
+}
+
+async function testLocalChain() {
+  console.log('\n2. Local dev chain...');
+  const provider = new ethers.JsonRpcProvider(NETWORKS.local.rpcUrl, NETWORKS.local.chainId, { staticNetwork: true });
+  try {
+    await provider.getBlockNumber();
+  } catch (error) {
+    console.log(`   SKIP no dev chain at ${NETWORKS.local.rpcUrl} (start anvil or \`npx hardhat node\`)`);
+    provider.destroy();
+    return;
+  }
+
+  const { abi, bytecode } = compileEventLogger();
+  const [deployer, stranger] = DEV_KEYS.map(key => new ethers.Wallet(key, provider));
+  const deploy = async () => {
+    const contract = await new ethers.ContractFactory(abi, bytecode, deployer).deploy();
+    await contract.waitForDeployment();
+    return contract.getAddress();
+  };
+  const loggerAddress = await deploy();
+  const otherLoggerAddress = await deploy();
+
+  const service = await connectedService(loggerAddress, DEV_KEYS[0]);
+  const anchor = await service.anchorHash('event:local-1', HASH);
+  check('anchor submitted', anchor.success, anchor);
+
+  let result = await service.verifyAnchor(anchor.txHash, { id: 'event:local-1', hash: HASH });
+  check('anchor verifies on chain', result.verified && result.onChain?.verified, result.onChain);
+
+  result = await service.verifyAnchor(anchor.txHash, { id: 'event:local-1', hash: OTHER_HASH });
+  check('wrong hash reported', !result.verified && result.onChain?.checks.hashMatch === false, result.onChain?.checks);
+
+  const otherContract = await connectedService(otherLoggerAddress, DEV_KEYS[0]);
+  const otherAnchor = await otherContract.anchorHash('event:local-2', HASH);
+  result = await service.verifyAnchor(otherAnchor.txHash, { id: 'event:local-2', hash: HASH });
+  check('wrong contract reported',
+    !result.verified && result.onChain?.checks.contractMatch === false, result.onChain?.checks);
+
+  const strangerLogger = new ethers.Contract(loggerAddress, abi, stranger);
+  const strangerTx = await strangerLogger.logHash(service.stringToBytes32('event:local-3'), service.hashToBytes32(HASH));
+  await strangerTx.wait();
+  result = await service.verifyAnchor(strangerTx.hash, { id: 'event:local-3', hash: HASH });
+  check('wrong sender reported',
+    !result.verified && result.onChain?.checks.senderMatch === false, result.onChain?.checks);
+
+  const transfer = await deployer.sendTransaction({ to: stranger.address, value: 1n });
+  await transfer.wait();
+  result = await service.verifyAnchor(transfer.hash, { id: 'event:local-1', hash: HASH });
+  check('unrelated transaction reported', !result.verified && result.onChain?.checks.logFound === false, result.onChain?.checks);
+
+  const strict = await connectedService(loggerAddress, DEV_KEYS[0], { minConfirmations: 3 });
+  const fresh = await strict.anchorHash('event:local-4', HASH);
+  result = await strict.verifyAnchor(fresh.txHash, { id: 'event:local-4', hash: HASH });
+  check('shallow confirmations reported',
+    !result.verified && result.onChain?.checks.sufficientConfirmations === false, result.onChain?.checks);
+  await provider.send('evm_mine', []);
+  await provider.send('evm_mine', []);
+  result = await strict.verifyAnchor(fresh.txHash, { id: 'event:local-4', hash: HASH });
+  check('verifies once deep enough', result.verified, result.onChain?.checks);
+
+  await testChainIndexer(service);
+
+  for (const s of [service, otherContract, strict]) s.provider?.destroy();
+  provider.destroy();
+}
+
+async function testChainIndexer(service) {
+  console.log('\n3. Chain indexer...');
+  const batch = createBatch({
+    externalReferenceNumber: `IDX-${Date.now()}`, commodityType: 'Dore', originFacilityId: 'f', ownerPartyId: 'p', weight: 1
+  });
+  batch.hashAlgorithm = 'sha256';
+  batch.batchHash = computeBatchHash(batch);
+  batch.onChainTxHash = (await service.anchorBatch(batch.batchId, batch.batchHash)).txHash;
+  await db.saveBatch(batch);
+
+  const recordEvent = async (eventType, { anchor = true, save = true } = {}) => {
+    const event = createEvent({ eventType, batchId: batch.batchId });
+    event.hashAlgorithm = 'sha256';
+    event.eventPayloadHash = computeEventHash(event);
+    if (anchor) {
+      event.onChainTxHash = (await service.anchorEvent(event.eventId, event.eventPayloadHash, event)).txHash;
+    }
+    if (save) await db.saveEvent(event);
+    return event;
+  };
+  await recordEvent('Create');
+  const deleted = await recordEvent('Ship', { save: false });
+  const unanchored = await recordEvent('Receive', { anchor: false });
+  const tampered = await recordEvent('Transfer');
+  tampered.toPartyId = 'someone-else';
+  await db.saveEvent(tampered);
+
+  const diff = await new ChainIndexer(service, db).diffBatch(batch.batchId);
+  check('batch anchor found', diff.batchAnchor?.hashMatch, diff.batchAnchor);
+  check('on-chain timeline rebuilt', diff.onChainTimeline.length === 3, diff.onChainTimeline);
+  check('anchored event matched', diff.matched.length === 1 && diff.matched[0].eventType === 'Create', diff.matched);
+  check('deleted event reported',
+    diff.anchoredNotInDatabase.length === 1 && diff.anchoredNotInDatabase[0].registryId === `event:${deleted.eventId}`,
+    diff.anchoredNotInDatabase);
+  check('unanchored event reported',
+    diff.notAnchored.length === 1 && diff.notAnchored[0].eventId === unanchored.eventId, diff.notAnchored);
+  check('tampered event reported',
+    diff.mismatched.length === 1 && diff.mismatched[0].eventId === tampered.eventId, diff.mismatched);
+  check('diff is inconsistent', !diff.consistent);
+}
+
+testSyntheticReceipts();
+await testLocalChain();
+
+if (failures > 0) {
+  console.error(`\n${failures} on-chain verification test(s) failed`);
+  process.exit(1);
+}
+console.log('\nAll on-chain verification tests passed!');
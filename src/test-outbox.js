@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Anchoring Outbox Test
+ * With the anchoring service failing, checks that records are saved as
+ * PENDING_ANCHOR with their outbox entries, that retries back off and stop
+ * at ANCHOR_FAILED after the maximum attempts, and that once anchoring works
+ * again a retry over HTTP anchors them and empties the outbox. Also checks
+ * that recording does not wait for the chain and that the worker does not
+ * pick up an entry whose outcome is still being committed
+ */
+
+import { check, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('outbox');
+process.env.DB_TYPE = 'memory';
+process.env.ANCHOR_MAX_ATTEMPTS = '3';
+process.env.ANCHOR_RETRY_BASE_MS = '60000';
+const provenanceService = (await import('./services/provenance.js')).default;
+const anchoringService = (await import('./services/anchoring.js')).default;
+const anchoringOutbox = (await import('./services/anchoring-outbox.js')).default;
+const { AnchoringOutbox } = await import('./services/anchoring-outbox.js');
+const db = (await import('./services/db-selector.js')).default;
+const { AnchorStatus } = await import('./models/index.js');
+
+// Make every submission fail until restored
+const { anchorBatch, anchorEvent } = anchoringService;
+function failAnchoring() {
+  anchoringService.anchorBatch = async () => ({ success: false, error: 'RPC unreachable' });
+  anchoringService.anchorEvent = async () => ({ success: false, error: 'RPC unreachable' });
+}
+function restoreAnchoring() {
+  anchoringService.anchorBatch = anchorBatch;
+  anchoringService.anchorEvent = anchorEvent;
+}
+
+function testBackoff() {
+  console.log('1. Backoff...');
+  const outbox = new AnchoringOutbox({ baseDelayMs: 100, maxDelayMs: 300 });
+  check('the delay doubles per attempt up to the maximum',
+    [1, 2, 3, 4].map(n => outbox.backoffDelay(n)).join() === '100,200,300,300', [1, 2, 3, 4].map(n => outbox.backoffDelay(n)));
+}
+
+async function testFailures() {
+  console.log('\n2. Failing anchors...');
+  const miner = await provenanceService.registerParty({ legalName: 'Outbox Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Outbox Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+
+  failAnchoring();
+  const { batch, event, eventAnchor } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'OBX-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10
+  });
+  check('recording returns before the first attempt',
+    eventAnchor.anchorId === `event:${event.eventId}` && eventAnchor.anchorStatus === AnchorStatus.PENDING, eventAnchor);
+  const firstAttempt = await anchoringOutbox.settle(eventAnchor.anchorId);
+  const entries = await anchoringOutbox.getEntries();
+  check('the batch and event are saved pending',
+    (await db.getBatch(batch.batchId))?.anchorStatus === AnchorStatus.PENDING &&
+    (await db.getEvent(event.eventId))?.anchorStatus === AnchorStatus.PENDING);
+  check('both wait in the outbox after one attempt',
+    entries.length === 2 && entries.every(e => e.attempts === 1 && e.lastError === 'RPC unreachable'), entries);
+  check('the first attempt reports the next one', firstAttempt?.success === false && !!firstAttempt.nextAttemptAt, firstAttempt);
+  check('the next attempt is backed off', entries.every(e => new Date(e.nextAttemptAt) > new Date()), entries.map(e => e.nextAttemptAt));
+  check('the worker skips entries that are not due', (await anchoringOutbox.processDue()).length === 0);
+
+  await anchoringOutbox.retry();
+  const results = await anchoringOutbox.retry();
+  check('entries fail after the maximum attempts',
+    results.length === 2 && results.every(r => r.anchorStatus === AnchorStatus.FAILED && r.attempts === 3), results);
+  check('failed records are marked on the batch and event',
+    (await db.getBatch(batch.batchId)).anchorStatus === AnchorStatus.FAILED &&
+    (await db.getEvent(event.eventId)).anchorStatus === AnchorStatus.FAILED);
+  check('failed entries are no longer retried by the worker', (await anchoringOutbox.processDue()).length === 0);
+
+  const custody = await provenanceService.getChainOfCustody(batch.batchId);
+  check('the chain of custody says anchoring failed',
+    custody.timeline[0].anchorStatus === AnchorStatus.FAILED, custody.timeline[0]);
+  return { batch, event };
+}
+
+async function testRetry({ batch, event }) {
+  console.log('\n3. Retry over the API...');
+  restoreAnchoring();
+  await provenanceService.registerUser({ username: 'outbox-admin', password: 'outbox-pass-1', role: 'Admin' });
+  const api = await startApi();
+  const token = await api.login('outbox-admin', 'outbox-pass-1');
+
+  let response = await api.request('GET', `/anchoring/outbox?status=${AnchorStatus.FAILED}`, { token });
+  check('GET /anchoring/outbox lists failed entries', response.status === 200 && response.body?.length === 2, response.body);
+
+  response = await api.request('POST', '/anchoring/outbox/retry', { token, body: { anchorId: 'event:missing' } });
+  check('retrying an unknown entry is a 400', response.status === 400, response.body);
+
+  response = await api.request('POST', '/anchoring/outbox/retry', { token, body: {} });
+  check('POST /anchoring/outbox/retry anchors everything',
+    response.status === 200 && response.body?.results?.every(r => r.anchorStatus === AnchorStatus.ANCHORED) &&
+    response.body.remaining.length === 0, response.body);
+
+  const stored = await db.getEvent(event.eventId);
+  check('the anchor is written back', stored.anchorStatus === AnchorStatus.ANCHORED && !!stored.onChainTxHash, stored);
+  check('the batch verifies', (await provenanceService.verifyBatchIntegrity(batch.batchId)).overallValid);
+
+  await api.close();
+}
+
+async function testInFlight() {
+  console.log('\n4. Submissions in flight...');
+  const miner = await provenanceService.registerParty({ legalName: 'Flight Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Flight Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'OBX-2', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10
+  });
+  await anchoringOutbox.settle();
+
+  // Hold the chain, then the commit of the outcome, until released
+  let releaseChain, releaseCommit;
+  const chain = new Promise(resolve => { releaseChain = resolve; });
+  const commitGate = new Promise(resolve => { releaseCommit = resolve; });
+  let submissions = 0;
+  anchoringService.anchorEvent = async (...args) => {
+    submissions++;
+    await chain;
+    return anchorEvent.apply(anchoringService, args);
+  };
+  const { event, anchor } = await provenanceService.recordInspection(batch.batchId, { inspectorPartyId: miner.partyId });
+  check('recording an event does not wait for the chain',
+    anchor.anchorStatus === AnchorStatus.PENDING && (await db.getEvent(event.eventId)).anchorStatus === AnchorStatus.PENDING, anchor);
+
+  const commitUnitOfWork = db.commitUnitOfWork;
+  db.commitUnitOfWork = async (operations) => {
+    await commitGate;
+    return commitUnitOfWork.call(db, operations);
+  };
+  releaseChain();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  // A worker pass that resubmits would wait on the held commit
+  const picked = await Promise.race([anchoringOutbox.processDue(), new Promise(resolve => setTimeout(() => resolve(null), 200))]);
+  check('an anchored entry stays in flight until its outcome is committed',
+    picked?.length === 0 && submissions === 1, { picked, submissions });
+
+  releaseCommit();
+  await anchoringOutbox.settle();
+  db.commitUnitOfWork = commitUnitOfWork;
+  restoreAnchoring();
+  check('and is then written back once',
+    (await db.getEvent(event.eventId)).anchorStatus === AnchorStatus.ANCHORED && !(await db.getOutboxEntry(anchor.anchorId)), anchor);
+}
+
+testBackoff();
+await testRetry(await testFailures());
+await testInFlight();
+finish('anchoring outbox');
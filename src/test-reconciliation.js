@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * Reconciliation Test
+ * Picks weight tolerances by route and commodity from a tolerances file,
+ * checks percentage and absolute allowances, flags or disputes receipts
+ * outside tolerance, and reads mass balance over HTTP. Also checks final
+ * and umpire assays against the declared assay
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { check, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+const dataDir = useTempDataDir('reconciliation');
+const tolerancesFile = path.join(dataDir, 'tolerances.json');
+fs.writeFileSync(tolerancesFile, JSON.stringify({
+  weight: {
+    default: { percent: 0.5 },
+    commodities: { Concentrate: { percent: 2 } },
+    routes: [
+      { from: 'peru', to: 'Switzerland', commodityType: 'Gold Doré', absolute: 0.2, action: 'dispute' },
+      { from: '*', to: 'Switzerland', percent: 1 },
+      { from: 'f-Mali', to: '*', percent: 3 }
+    ]
+  },
+  assay: {
+    commodities: { Concentrate: { percent: 5, action: 'dispute' } }
+  }
+}));
+
+process.env.DB_TYPE = 'memory';
+process.env.TOLERANCES_FILE = tolerancesFile;
+const { ReconciliationService, ToleranceAction } = await import('./services/reconciliation.js');
+const provenanceService = (await import('./services/provenance.js')).default;
+const { BatchStatus, AssayType, ResolutionOutcome } = await import('./models/index.js');
+
+const facility = (country) => ({ facilityId: `f-${country}`, location: { country } });
+
+function testWeightTolerances() {
+  console.log('1. Weight tolerances...');
+  const service = new ReconciliationService(tolerancesFile);
+  const pick = (commodity, from, to) => service.weightTolerance(commodity, facility(from), facility(to));
+
+  let tolerance = pick('gold doré', 'Peru', 'Switzerland');
+  check('a route with the commodity comes first, matching country and commodity without case',
+    tolerance.source === 'route:peru->Switzerland:Gold Doré' && tolerance.absolute === 0.2 && tolerance.action === ToleranceAction.DISPUTE, tolerance);
+  tolerance = pick('Concentrate', 'Ghana', 'Switzerland');
+  check('then a route for any commodity', tolerance.source === 'route:*->Switzerland' && tolerance.percent === 1, tolerance);
+  tolerance = pick('Concentrate', 'Ghana', 'UAE');
+  check('then the commodity', tolerance.source === 'commodity:Concentrate' && tolerance.percent === 2, tolerance);
+  tolerance = pick('Gold Doré', 'Ghana', 'UAE');
+  check('then the default', tolerance.source === 'default' && tolerance.action === ToleranceAction.FLAG, tolerance);
+  tolerance = pick('Gold Doré', 'Mali', 'UAE');
+  check('a route can name a facility ID', tolerance.source === 'route:f-Mali->*' && tolerance.percent === 3, tolerance);
+
+  const reconcile = (received, tolerance) => service.reconcileWeight({ shippedWeight: 100, receivedWeight: received, unit: 'kg', tolerance });
+  let result = reconcile(99.5, { percent: 0.5, absolute: null });
+  check('a loss equal to the allowance is within tolerance', result.withinTolerance && result.delta === -0.5 && result.deltaPercent === -0.5, result);
+  result = reconcile(99.4, { percent: 0.5, absolute: null });
+  check('a larger loss is not', !result.withinTolerance && result.allowedDelta === 0.5, result);
+  result = reconcile(99.2, { percent: 0.5, absolute: 1 });
+  check('the larger of percent and absolute applies', result.withinTolerance && result.allowedDelta === 1, result);
+  result = reconcile(100.8, { percent: 0.5, absolute: null });
+  check('gains are checked like losses', !result.withinTolerance && result.delta === 0.8, result);
+}
+
+async function createShipment(reference, fromFacility, toFacility, owner, receiver) {
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: reference, commodityType: 'Gold Doré', originFacilityId: fromFacility.facilityId,
+    ownerPartyId: owner.partyId, weight: 10
+  });
+  await provenanceService.recordShipment(batch.batchId, {
+    toPartyId: receiver.partyId, fromFacilityId: fromFacility.facilityId, toFacilityId: toFacility.facilityId
+  });
+  return batch.batchId;
+}
+
+async function testReceipts() {
+  console.log('\n2. Receipts...');
+  const miner = await provenanceService.registerParty({ legalName: 'Recon Mining', partyType: 'MineOperator', country: 'Peru' });
+  const refiner = await provenanceService.registerParty({ legalName: 'Recon Refinery', partyType: 'Refinery', country: 'Switzerland' });
+  const peru = await provenanceService.registerFacility({ facilityName: 'Recon Mine PE', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Peru' });
+  const ghana = await provenanceService.registerFacility({ facilityName: 'Recon Mine GH', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const refinery = await provenanceService.registerFacility({ facilityName: 'Recon Plant', facilityType: 'Refinery', ownerPartyId: refiner.partyId, country: 'Switzerland' });
+  const receive = (batchId, receivedWeight, receivedWeightUnit) => provenanceService.recordReceipt(batchId, {
+    receiverPartyId: refiner.partyId, facilityId: refinery.facilityId, receivedWeight, receivedWeightUnit
+  });
+
+  let batchId = await createShipment('REC-W1', ghana, refinery, miner, refiner);
+  let result = await receive(batchId, 9950, 'g');
+  check('a receipt in grams is compared in the batch unit',
+    result.weightReconciliation.withinTolerance && result.weightReconciliation.receivedWeight === 9.95 &&
+    result.weightReconciliation.tolerance.source === 'route:*->Switzerland', result.weightReconciliation);
+  check('the batch takes the received weight', result.batch.quantity.weight === 9.95 && !result.batch.weightDiscrepancy, result.batch);
+
+  batchId = await createShipment('REC-W2', ghana, refinery, miner, refiner);
+  result = await receive(batchId, 9.8);
+  check('a receipt outside tolerance flags the batch',
+    result.batch.weightDiscrepancy?.delta === -0.2 && result.batch.status === BatchStatus.RECEIVED && !result.dispute, result.batch);
+  const custody = await provenanceService.getChainOfCustody(batchId);
+  check('a flagged batch verifies as FLAGGED', custody.verificationStatus.status === 'FLAGGED', custody.verificationStatus);
+
+  batchId = await createShipment('REC-W3', peru, refinery, miner, refiner);
+  result = await receive(batchId, 9.7);
+  check('a route with action dispute raises a dispute',
+    !!result.dispute && result.batch.status === BatchStatus.DISPUTE && /0.2 kg allowed by route:peru/.test(result.dispute.event.notes), result.dispute?.event);
+  return { disputed: batchId };
+}
+
+async function testMassBalance({ disputed }) {
+  console.log('\n3. Mass balance...');
+  await provenanceService.registerUser({ username: 'recon-admin', password: 'recon-pass-1', role: 'Admin' });
+  const api = await startApi();
+  const token = await api.login('recon-admin', 'recon-pass-1');
+
+  let response = await api.request('GET', `/batches/${disputed}/mass-balance`, { token });
+  const balance = response.body;
+  check('GET /batches/:id/mass-balance lists each step',
+    response.status === 200 && balance.initialWeight === 10 && balance.currentWeight === 9.7 &&
+    balance.totalLoss === -0.3 && balance.receiptsOutOfTolerance === 1, balance);
+
+  response = await api.request('GET', '/reports/mass-balance', { token });
+  const totals = response.body?.totals;
+  check('GET /reports/mass-balance totals input and output in kg',
+    response.status === 200 && totals.inputWeight === 30 && totals.outputWeight === 29.45 &&
+    totals.netChange === -0.55 && totals.receiptsOutOfTolerance === 2, totals);
+
+  await api.close();
+}
+
+async function testAssays() {
+  console.log('\n4. Assays...');
+  const service = new ReconciliationService(tolerancesFile);
+  let tolerance = service.assayTolerance('concentrate');
+  check('assay tolerances are picked by commodity', tolerance.source === 'commodity:Concentrate' && tolerance.percent === 5, tolerance);
+  tolerance = service.assayTolerance('Gold Doré');
+  check('with a 1% default', tolerance.source === 'default' && tolerance.percent === 1, tolerance);
+
+  let result = service.reconcileAssay({
+    declaredAssay: { value: 999, unit: 'permille' }, assay: { value: 99.95, unit: '%' }, tolerance
+  });
+  check('assays in another unit are compared in the declared unit',
+    result.withinTolerance && result.variance === 0.5 && result.allowedVariance === 9.99, result);
+  result = service.reconcileAssay({
+    declaredAssay: { value: 999, unit: 'permille' }, assay: { value: 24, unit: 'karat' }, tolerance
+  });
+  check('assays that cannot be converted are not compared', result.withinTolerance === null && result.variance === null, result);
+
+  const miner = await provenanceService.registerParty({ legalName: 'Assay Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const assayer = await provenanceService.registerParty({ legalName: 'Assay Lab', partyType: 'Assayer', country: 'Switzerland' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Assay Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const create = async (reference, commodityType, declaredAssayValue) => (await provenanceService.createBatchAtMine({
+    externalReferenceNumber: reference, commodityType, originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10, declaredAssayValue, declaredAssayUnit: 'g/t'
+  })).batch.batchId;
+  const assay = (batchId, assayValue, assayUnit, assayType) => provenanceService.recordAssayFinalized(batchId, {
+    assayerPartyId: assayer.partyId, assayValue, assayUnit, assayType
+  });
+
+  let batchId = await create('REC-A1', 'Gold Doré', 900);
+  let recorded = await assay(batchId, 905);
+  check('a final assay within tolerance becomes the final assay',
+    recorded.assayReconciliation.withinTolerance && recorded.batch.finalAssay.value === 905 && !recorded.batch.assayDiscrepancy, recorded.batch);
+
+  batchId = await create('REC-A2', 'Gold Doré', 900);
+  recorded = await assay(batchId, 950);
+  check('a final assay outside tolerance flags the batch',
+    recorded.batch.assayDiscrepancy?.variance === 50 && recorded.batch.assayDiscrepancy.allowedVariance === 9 && !recorded.dispute, recorded.batch);
+  const custody = await provenanceService.getChainOfCustody(batchId);
+  check('and it verifies as FLAGGED', custody.verificationStatus.status === 'FLAGGED', custody.verificationStatus);
+
+  batchId = await create('REC-A3', 'Concentrate', 50);
+  recorded = await assay(batchId, 0.006, '%');
+  check('a commodity with action dispute raises a dispute, comparing in the declared unit',
+    !!recorded.dispute && recorded.batch.status === BatchStatus.DISPUTE && recorded.assayReconciliation.variance === 10, recorded.assayReconciliation);
+
+  recorded = await assay(batchId, 51, 'g/t', AssayType.UMPIRE);
+  check('an umpire assay is recorded during the dispute',
+    recorded.assayReconciliation.withinTolerance && !recorded.dispute && recorded.batch.status === BatchStatus.DISPUTE &&
+    recorded.batch.finalAssay.assayType === AssayType.UMPIRE, recorded.batch);
+
+  const { batch } = await provenanceService.recordResolution(batchId, {
+    outcome: ResolutionOutcome.ASSAY_ADJUSTED, adjustedAssayValue: 51, resolvedByPartyId: assayer.partyId
+  });
+  check('an AssayAdjusted resolution settles the discrepancy',
+    batch.status === BatchStatus.CREATED && batch.finalAssay.assayType === AssayType.ADJUSTED && !batch.assayDiscrepancy, batch);
+}
+
+testWeightTolerances();
+await testMassBalance(await testReceipts());
+await testAssays();
+finish('reconciliation');
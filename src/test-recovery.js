@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Startup Recovery Test
+ * Checks that recovery re-queues records missing from the anchoring outbox,
+ * drops outbox entries without a record, and only reports a batch whose
+ * events were deleted, so its integrity check keeps failing. Also checks
+ * that the file store keeps its journal when a collection write fails part
+ * way, and finishes the write then or on the next start
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { check, rejects, finish, useTempDataDir } from './test-helpers.js';
+
+const dataDir = useTempDataDir('recovery');
+process.env.DB_TYPE = 'memory';
+const db = (await import('./services/db-selector.js')).default;
+const provenanceService = (await import('./services/provenance.js')).default;
+const recoveryService = (await import('./services/recovery.js')).default;
+const anchoringOutbox = (await import('./services/anchoring-outbox.js')).default;
+const { AnchorStatus, BatchStatus } = await import('./models/index.js');
+const { PersistentDatabase } = await import('./services/persistent-database.js');
+const { UnitOfWork } = await import('./services/unit-of-work.js');
+
+async function createShippedBatch(reference) {
+  const miner = await provenanceService.registerParty({ legalName: 'Recovery Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const buyer = await provenanceService.registerParty({ legalName: 'Recovery Buyer', partyType: 'Buyer', country: 'Ghana' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Recovery Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: reference, commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 5
+  });
+  const { event } = await provenanceService.recordShipment(batch.batchId, { toPartyId: buyer.partyId });
+  await anchoringOutbox.settle();
+  return { batch, ship: event };
+}
+
+async function testOutbox() {
+  console.log('1. Outbox repair...');
+  const { batch } = await createShippedBatch('REC-1');
+  const stored = await db.getBatch(batch.batchId);
+  stored.anchorStatus = AnchorStatus.PENDING;
+  await db.updateBatch(stored);
+  await db.deleteOutboxEntry(`batch:${batch.batchId}`);
+  await db.saveOutboxEntry({ anchorId: 'event:missing', kind: 'event', entityId: 'missing', hash: 'a'.repeat(64) });
+
+  const report = await recoveryService.run();
+  check('pending batch without an outbox entry is re-queued',
+    report.requeued.includes(`batch:${batch.batchId}`) && !!(await db.getOutboxEntry(`batch:${batch.batchId}`)), report);
+  check('outbox entry without a record is removed',
+    report.orphanedEntriesRemoved.includes('event:missing') && !(await db.getOutboxEntry('event:missing')), report);
+}
+
+async function testDanglingEventIds() {
+  console.log('\n2. Deleted events...');
+  const { batch, ship } = await createShippedBatch('REC-2');
+  check('batch verifies before tampering', (await provenanceService.verifyBatchIntegrity(batch.batchId)).overallValid);
+
+  db.events.delete(ship.eventId);
+  check('deleting the Ship event breaks verification',
+    !(await provenanceService.verifyBatchIntegrity(batch.batchId)).overallValid);
+
+  const before = JSON.stringify(await db.getBatch(batch.batchId));
+  const report = await recoveryService.run();
+  const finding = report.danglingEventIds.find(d => d.batchId === batch.batchId);
+  check('missing event is reported', finding?.eventIds.length === 1 && finding.eventIds[0] === ship.eventId &&
+    finding.status === BatchStatus.IN_TRANSIT, report.danglingEventIds);
+  check('batch is left unchanged', JSON.stringify(await db.getBatch(batch.batchId)) === before);
+  check('verification still fails after recovery',
+    !(await provenanceService.verifyBatchIntegrity(batch.batchId)).overallValid);
+  check('running recovery again reports it again',
+    (await recoveryService.run()).danglingEventIds.some(d => d.batchId === batch.batchId));
+}
+
+async function testFileJournal() {
+  console.log('\n3. File store journal...');
+  const journalPath = path.join(dataDir, 'unitOfWork.journal.json');
+  const readCollection = (name) => JSON.parse(fs.readFileSync(path.join(dataDir, `${name}.json`), 'utf-8'));
+  const store = new PersistentDatabase();
+  const writeFileAtomic = store.writeFileAtomic;
+  // Fail the next writes of one collection file
+  const failWrites = (file, times) => {
+    let remaining = times;
+    store.writeFileAtomic = function (filePath, content) {
+      if (remaining > 0 && path.basename(filePath) === file) {
+        remaining--;
+        throw new Error('disk full');
+      }
+      return writeFileAtomic.call(this, filePath, content);
+    };
+  };
+  const commitBatchAndEvent = (id) => {
+    const unitOfWork = new UnitOfWork(store);
+    unitOfWork.saveBatch({ batchId: `batch-${id}`, eventIds: [`event-${id}`] });
+    unitOfWork.saveEvent({ eventId: `event-${id}`, batchId: `batch-${id}` });
+    return unitOfWork.commit();
+  };
+
+  failWrites('events.json', 1);
+  await commitBatchAndEvent('a');
+  check('a failed collection write is retried at once',
+    !fs.existsSync(journalPath) && !!readCollection('events')['event-a'] && !!readCollection('batches')['batch-a']);
+
+  failWrites('events.json', Infinity);
+  check('a write that keeps failing is reported',
+    await rejects(() => commitBatchAndEvent('b'), /replayed on the next start/));
+  check('the journal is kept for the half-written unit of work',
+    fs.existsSync(journalPath) && !!readCollection('batches')['batch-b'] && !readCollection('events')['event-b']);
+  check('the next unit of work is refused while the write still fails',
+    await rejects(() => commitBatchAndEvent('c')) && !readCollection('batches')['batch-c']);
+
+  const restarted = new PersistentDatabase();
+  check('the journal is replayed on the next start',
+    !fs.existsSync(journalPath) && !!restarted.getEvent('event-b') && !!readCollection('events')['event-b']);
+  check('the refused unit of work left nothing behind', !restarted.getBatch('batch-c'));
+}
+
+await testOutbox();
+await testDanglingEventIds();
+await testFileJournal();
+finish('recovery');
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * CAHRA Screening Test
+ * Screens facilities against a GeoJSON zone with a hole and a country list
+ * with aliases and regions, screens a split lot through its parent's path,
+ * and calls the facility and batch screening routes over HTTP
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { check, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+const dataDir = useTempDataDir('screening');
+const zonesFile = path.join(dataDir, 'zones.json');
+const countriesFile = path.join(dataDir, 'countries.json');
+fs.writeFileSync(zonesFile, JSON.stringify({
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    properties: { name: 'Bajo Cauca', source: 'operator list' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [
+        [[-76, 7], [-74, 7], [-74, 8.5], [-76, 8.5], [-76, 7]],
+        [[-75.2, 7.5], [-75, 7.5], [-75, 7.7], [-75.2, 7.7], [-75.2, 7.5]]
+      ]
+    }
+  }]
+}));
+fs.writeFileSync(countriesFile, JSON.stringify({
+  countries: [
+    { country: 'Peru', aliases: ['PE'], regions: ['Madre de Dios'], source: 'EU indicative list' },
+    { country: 'Sudan', riskLevel: 'severe' }
+  ]
+}));
+
+process.env.DB_TYPE = 'memory';
+process.env.CAHRA_ZONES_FILE = zonesFile;
+process.env.CAHRA_COUNTRIES_FILE = countriesFile;
+const { CahraScreeningService, ScreeningStatus } = await import('./services/screening.js');
+const provenanceService = (await import('./services/provenance.js')).default;
+
+const facility = (location) => ({ facilityId: 'f', facilityName: 'F', location });
+
+function testFacilities() {
+  console.log('1. Facility screening...');
+  const screening = new CahraScreeningService({ zonesFile, countriesFile });
+
+  let result = screening.screenFacility(facility({ country: 'Colombia', gps: { lat: 8, lng: -75.5 } }));
+  check('GPS inside a zone is high risk', result.status === ScreeningStatus.HIGH_RISK &&
+    result.matches[0].type === 'zone' && result.matches[0].name === 'Bajo Cauca', result);
+
+  result = screening.screenFacility(facility({ country: 'Colombia', gps: { lat: 7.6, lng: -75.1 } }));
+  check('GPS inside a hole is clear', result.status === ScreeningStatus.CLEAR, result);
+
+  result = screening.screenFacility(facility({ country: 'PE', region: 'madre de dios' }));
+  check('country alias and region match, ignoring case',
+    result.matches.length === 1 && result.matches[0].type === 'region' && result.gpsMissing, result);
+
+  result = screening.screenFacility(facility({ country: 'Peru', region: 'Lima' }));
+  check('other regions of a listed country are clear', result.status === ScreeningStatus.CLEAR, result);
+
+  result = screening.screenFacility(facility({ country: 'Sudan' }));
+  check('an entry without regions covers the whole country',
+    result.matches[0]?.type === 'country' && result.matches[0].riskLevel === 'severe', result);
+
+  result = new CahraScreeningService({ zonesFile: null, countriesFile: null })
+    .screenFacility(facility({ country: 'Sudan' }));
+  check('no risk files means not configured', result.status === ScreeningStatus.NOT_CONFIGURED, result);
+}
+
+async function createPath() {
+  const miner = await provenanceService.registerParty({ legalName: 'Cauca Mining', partyType: 'MineOperator', country: 'Colombia' });
+  const mine = await provenanceService.registerFacility({
+    facilityName: 'Cauca Mine', facilityType: 'Mine', ownerPartyId: miner.partyId,
+    country: 'Colombia', gpsLat: 8, gpsLng: -75.5
+  });
+  const port = await provenanceService.registerFacility({
+    facilityName: 'Cartagena Port', facilityType: 'Port', ownerPartyId: miner.partyId, country: 'Colombia'
+  });
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'SCR-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10
+  });
+  const { children } = await provenanceService.splitBatch(batch.batchId, {
+    facilityId: port.facilityId,
+    children: [{ externalReferenceNumber: 'SCR-1A', weight: 4 }, { externalReferenceNumber: 'SCR-1B', weight: 6 }]
+  });
+  return { mine, port, parent: batch, child: children[0].batch };
+}
+
+async function testBatchPath({ mine, port, parent, child }) {
+  console.log('\n2. Batch path screening...');
+  const screening = new CahraScreeningService({ zonesFile, countriesFile });
+  const result = await screening.screenBatch(child.batchId);
+  const origin = result.facilities.find(f => f.facilityId === mine.facilityId);
+  check('a split lot is flagged through its parent\'s origin mine',
+    result.status === ScreeningStatus.HIGH_RISK && origin?.role === 'origin' &&
+    origin.viaBatchIds.includes(parent.batchId), result);
+  check('the split facility is screened as transit',
+    result.facilities.find(f => f.facilityId === port.facilityId)?.status === ScreeningStatus.CLEAR, result);
+  check('unknown batch returns null', (await screening.screenBatch('missing')) === null);
+}
+
+async function testRoutes({ mine, port, child }) {
+  console.log('\n3. Screening routes...');
+  await provenanceService.registerUser({ username: 'screen-admin', password: 'screen-pass-1', role: 'Admin' });
+  const api = await startApi();
+  const token = await api.login('screen-admin', 'screen-pass-1');
+
+  let response = await api.request('GET', `/facilities/${mine.facilityId}/screening`, { token });
+  check('GET /facilities/:id/screening flags the mine',
+    response.status === 200 && response.body?.status === ScreeningStatus.HIGH_RISK, response.body ?? response.text);
+
+  response = await api.request('GET', `/facilities/${port.facilityId}/screening`, { token });
+  check('GET /facilities/:id/screening clears the port',
+    response.status === 200 && response.body?.status === ScreeningStatus.CLEAR, response.body ?? response.text);
+
+  response = await api.request('GET', '/facilities/missing/screening', { token });
+  check('unknown facility is a JSON 404', response.status === 404 && response.body?.error === 'Facility not found', response.text);
+
+  response = await api.request('GET', `/facilities/${mine.facilityId}`, { token });
+  check('GET /facilities/:id still returns the facility',
+    response.status === 200 && response.body?.facilityId === mine.facilityId, response.body);
+
+  response = await api.request('GET', `/batches/${child.batchId}/screening`, { token });
+  check('GET /batches/:id/screening', response.status === 200 && response.body?.status === ScreeningStatus.HIGH_RISK, response.body);
+
+  response = await api.request('GET', '/screening/facilities', { token });
+  check('GET /screening/facilities counts flagged facilities',
+    response.status === 200 && response.body?.flagged >= 1, response.body);
+
+  await api.close();
+}
+
+testFacilities();
+const fixtures = await createPath();
+await testBatchPath(fixtures);
+await testRoutes(fixtures);
+finish('screening');
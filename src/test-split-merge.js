@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Split and Merge Test
+ * Checks the weight and reference number rules of a split, that child lots
+ * get their own document lists, the weighted assay and ownership rules of a
+ * merge, the genealogy across a split and a merge, and the split, merge and
+ * genealogy routes over HTTP
+ */
+
+import { check, rejects, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('split-merge');
+process.env.DB_TYPE = 'memory';
+const provenanceService = (await import('./services/provenance.js')).default;
+const { BatchStatus } = await import('./models/index.js');
+
+const miner = await provenanceService.registerParty({ legalName: 'Split Mining', partyType: 'MineOperator', country: 'Ghana' });
+const trader = await provenanceService.registerParty({ legalName: 'Split Trading', partyType: 'Trader', country: 'Ghana' });
+const mine = await provenanceService.registerFacility({ facilityName: 'Split Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+
+async function createLot(reference, weight, assay = 900, owner = miner) {
+  return (await provenanceService.createBatchAtMine({
+    externalReferenceNumber: reference, commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: owner.partyId, weight, declaredAssayValue: assay, declaredAssayUnit: 'permille'
+  })).batch;
+}
+
+async function testSplit() {
+  console.log('1. Split...');
+  const parent = await createLot('SPL-1', 23);
+  const split = (children) => provenanceService.splitBatch(parent.batchId, { facilityId: mine.facilityId, children });
+
+  check('string weights are added as numbers',
+    await rejects(() => split([{ externalReferenceNumber: 'SPL-1A', weight: '2' }, { externalReferenceNumber: 'SPL-1B', weight: '3' }]), /must add up/));
+  check('non-numeric weights are rejected',
+    await rejects(() => split([{ externalReferenceNumber: 'SPL-1A', weight: 'abc' }, { externalReferenceNumber: 'SPL-1B', weight: 23 }]), /positive weight/));
+  check('infinite weights are rejected',
+    await rejects(() => split([{ externalReferenceNumber: 'SPL-1A', weight: 'Infinity' }, { externalReferenceNumber: 'SPL-1B', weight: 1 }]), /positive weight/));
+  check('a reference used twice in the split is rejected',
+    await rejects(() => split([{ externalReferenceNumber: 'SPL-1A', weight: 10 }, { externalReferenceNumber: 'SPL-1A', weight: 13 }]), /more than once/));
+  check('a reference of an existing batch is rejected',
+    await rejects(() => split([{ externalReferenceNumber: 'SPL-1', weight: 10 }, { externalReferenceNumber: 'SPL-1B', weight: 13 }]), /already exists/));
+  check('rejected splits leave the parent as it was',
+    (await provenanceService.getBatch(parent.batchId)).status === BatchStatus.CREATED &&
+    !(await provenanceService.getBatchByReference('SPL-1A')));
+
+  const document = await provenanceService.registerDocument({
+    documentType: 'AssayCertificate', fileName: 'assay.pdf', content: 'assay', issuerPartyId: miner.partyId
+  });
+  const { children, event } = await provenanceService.splitBatch(parent.batchId, {
+    facilityId: mine.facilityId,
+    documentIds: [document.documentId],
+    children: [{ externalReferenceNumber: 'SPL-1A', weight: '10' }, { externalReferenceNumber: 'SPL-1B', weight: '13' }]
+  });
+  const [a, b] = children.map(c => c.batch);
+  check('child weights are stored as numbers', a.quantity.weight === 10 && b.quantity.weight === 13, [a.quantity, b.quantity]);
+  check('parent is consumed and lists its children',
+    (await provenanceService.getBatch(parent.batchId)).status === BatchStatus.CONSUMED &&
+    event.relatedBatchIds.join() === [a.batchId, b.batchId].join());
+  check('child lots have their own document lists',
+    a.documentIds !== b.documentIds && a.documentIds !== children[0].event.references &&
+    a.documentIds.join() === document.documentId);
+  a.documentIds.push('later');
+  check('adding a document to one child leaves the other alone', b.documentIds.length === 1 && event.references.length === 1);
+  a.documentIds.pop();
+  check('child lots inherit the parent\'s assay', a.declaredAssay?.value === 900, a.declaredAssay);
+  check('hash chains verify',
+    (await provenanceService.verifyBatchIntegrity(parent.batchId)).overallValid &&
+    (await provenanceService.verifyBatchIntegrity(a.batchId)).overallValid);
+  return { parent, children: [a, b] };
+}
+
+async function testMerge({ parent, children }) {
+  console.log('\n2. Merge...');
+  const x = await createLot('MRG-X', 10, 900);
+  const y = await createLot('MRG-Y', 30, 800);
+  const foreign = await createLot('MRG-F', 5, 900, trader);
+
+  check('batches of different parties are not merged',
+    await rejects(() => provenanceService.mergeBatches({ batchIds: [x.batchId, foreign.batchId], externalReferenceNumber: 'MRG-1' }), /same party/));
+  check('a reference of an existing batch is rejected',
+    await rejects(() => provenanceService.mergeBatches({ batchIds: [x.batchId, y.batchId], externalReferenceNumber: 'MRG-X' }), /already exists/));
+  check('a merged weight that differs from the parents is rejected',
+    await rejects(() => provenanceService.mergeBatches({ batchIds: [x.batchId, y.batchId], externalReferenceNumber: 'MRG-1', weight: 41 }), /must equal/));
+
+  const merged = await provenanceService.mergeBatches({ batchIds: [x.batchId, y.batchId], externalReferenceNumber: 'MRG-1' });
+  check('merged weight is the sum of the parents', merged.batch.quantity.weight === 40, merged.batch.quantity);
+  check('merged assay is weighted by parent weight', merged.batch.declaredAssay?.value === 825, merged.batch.declaredAssay);
+  check('merged parents are consumed', merged.parents.every(p => p.status === BatchStatus.CONSUMED));
+
+  console.log('\n3. Genealogy...');
+  const rejoined = await provenanceService.mergeBatches({
+    batchIds: children.map(c => c.batchId), externalReferenceNumber: 'SPL-1R'
+  });
+  const genealogy = await provenanceService.getBatchGenealogy(rejoined.batch.batchId);
+  check('merged lot lists both split lots as parents',
+    genealogy.parents.map(p => p.batchId).sort().join() === children.map(c => c.batchId).sort().join(), genealogy);
+  check('each split lot leads back to the original lot',
+    genealogy.parents.every(p => p.parents.length === 1 && p.parents[0].batchId === parent.batchId), genealogy);
+  const original = await provenanceService.getBatchGenealogy(parent.batchId);
+  check('the original lot leads down to the merged lot',
+    original.children.length === 2 && original.children.every(c => c.children[0]?.batchId === rejoined.batch.batchId), original);
+  const roots = await provenanceService.getRootBatches(rejoined.batch.batchId);
+  check('the merged lot has a single root', roots.length === 1 && roots[0].batchId === parent.batchId, roots.map(r => r.batchId));
+}
+
+async function testRoutes() {
+  console.log('\n4. Split and merge routes...');
+  await provenanceService.registerUser({ username: 'split-admin', password: 'split-pass-1', role: 'Admin' });
+  const api = await startApi();
+  const token = await api.login('split-admin', 'split-pass-1');
+  const lot = await createLot('API-1', 6);
+
+  let response = await api.request('POST', `/batches/${lot.batchId}/split`, {
+    token, body: { children: [{ externalReferenceNumber: 'API-1A', weight: '2' }, { externalReferenceNumber: 'API-1A', weight: '4' }] }
+  });
+  check('duplicate child references are a 400', response.status === 400 && /more than once/.test(response.body?.error), response.body);
+
+  response = await api.request('POST', `/batches/${lot.batchId}/split`, {
+    token, body: { children: [{ externalReferenceNumber: 'API-1A', weight: '2' }, { externalReferenceNumber: 'API-1B', weight: '4' }] }
+  });
+  check('POST /batches/:id/split creates the child lots',
+    response.status === 201 && response.body?.children?.map(c => c.batch.quantity.weight).join() === '2,4', response.body);
+  const childIds = response.body?.children?.map(c => c.batch.batchId) || [];
+
+  response = await api.request('POST', `/batches/${lot.batchId}/split`, {
+    token, body: { children: [{ externalReferenceNumber: 'API-1C', weight: 3 }, { externalReferenceNumber: 'API-1D', weight: 3 }] }
+  });
+  check('splitting a consumed lot is a 409', response.status === 409 && response.body?.currentStatus === BatchStatus.CONSUMED, response.body);
+
+  response = await api.request('POST', '/batches/merge', { token, body: { batchIds: childIds, externalReferenceNumber: 'API-1M' } });
+  check('POST /batches/merge creates the merged lot', response.status === 201 && response.body?.batch?.quantity?.weight === 6, response.body);
+
+  response = await api.request('GET', `/batches/${response.body?.batch?.batchId}/genealogy`, { token });
+  check('GET /batches/:id/genealogy', response.status === 200 && response.body?.parents?.length === 2, response.body);
+
+  await api.close();
+}
+
+await testMerge(await testSplit());
+await testRoutes();
+finish('split and merge');
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Units Test
+ * Checks unit aliases, weight and assay conversion and fine gold content,
+ * that batches keep the units they were recorded in, that a merge of lots
+ * in different units keeps their fine gold, and the normalized block on
+ * batch responses
+ */
+
+import { check, rejects, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('units');
+process.env.DB_TYPE = 'memory';
+const {
+  WeightUnit, AssayUnit, weightUnit, assayUnit, requireWeightUnit, convertWeight, convertAssay, fineGold, normalizeBatch
+} = await import('./services/units.js');
+const provenanceService = (await import('./services/provenance.js')).default;
+
+function testUnits() {
+  console.log('1. Units...');
+  check('weight aliases', weightUnit(' Troy Ounces ') === WeightUnit.TROY_OZ && weightUnit('KGS') === WeightUnit.KG && weightUnit('lb') === null);
+  check('assay aliases', assayUnit('‰') === AssayUnit.PER_MILLE && assayUnit('fineness') === AssayUnit.PER_MILLE &&
+    assayUnit('gpt') === AssayUnit.G_PER_T && assayUnit('karat') === null);
+
+  let threw = false;
+  try {
+    requireWeightUnit('lb');
+  } catch (error) {
+    threw = /Unknown weight unit: lb/.test(error.message);
+  }
+  check('unknown units are rejected where one is required', threw);
+}
+
+function testConversion() {
+  console.log('\n2. Conversion...');
+  check('kilograms to troy ounces', convertWeight(10, 'kg', 'ozt') === 321.507465686, convertWeight(10, 'kg', 'ozt'));
+  check('troy ounces to grams', convertWeight(100, 'troy oz', 'g') === 3110.34768, convertWeight(100, 'troy oz', 'g'));
+  check('fineness to percent', convertAssay(999.9, 'permille', '%') === 99.99, convertAssay(999.9, 'permille', '%'));
+  check('grams per tonne to fineness', convertAssay(20, 'g/t', 'permille') === 0.02, convertAssay(20, 'g/t', 'permille'));
+  check('a value already in the target unit is returned as is', convertWeight(7, 'lb', 'lb') === 7);
+
+  let gold = fineGold({ weight: 10, unit: 'kg' }, { value: 999.9, unit: 'permille' });
+  check('fine gold in kilograms, grams and troy ounces',
+    gold.weight === 9.999 && gold.grams === 9999 && gold.troyOunces === 321.475315, gold);
+  gold = fineGold({ weight: 500, unit: 'g' }, { value: 20, unit: 'g/t' });
+  check('fine gold of ore-grade material', gold.weight === 0.00001 && gold.grams === 0.01, gold);
+  check('no fine gold without an assay or a known unit',
+    fineGold({ weight: 10, unit: 'kg' }, null) === null && fineGold({ weight: 10, unit: 'lb' }, { value: 1, unit: '%' }) === null);
+
+  const normalized = normalizeBatch({
+    quantity: { weight: 1000, unit: 'g' },
+    declaredAssay: { value: 90, unit: '%' },
+    finalAssay: { value: 950, unit: 'permille', assayType: 'Final' }
+  });
+  check('a batch normalizes to kilograms and fineness at its current assay',
+    normalized.quantity.weight === 1 && normalized.declaredAssay.value === 900 && normalized.fineGold.weight === 0.95, normalized);
+}
+
+async function testRecords() {
+  console.log('\n3. Records...');
+  const miner = await provenanceService.registerParty({ legalName: 'Units Mining', partyType: 'MineOperator', country: 'Ghana' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Units Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'Ghana' });
+  const create = async (reference, weight, weightUnit, declaredAssayValue, declaredAssayUnit) => (await provenanceService.createBatchAtMine({
+    externalReferenceNumber: reference, commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight, weightUnit, declaredAssayValue, declaredAssayUnit
+  })).batch;
+
+  const ounces = await create('UNT-1', 100, 'troy oz', 999.9, 'fineness');
+  check('batches keep their units, in canonical form',
+    ounces.quantity.weight === 100 && ounces.quantity.unit === WeightUnit.TROY_OZ && ounces.declaredAssay.unit === AssayUnit.PER_MILLE, ounces);
+  check('unknown units are rejected', await rejects(() => create('UNT-X', 1, 'lb'), /Unknown weight unit/));
+  check('unknown assay units are rejected', await rejects(() => create('UNT-Y', 1, 'kg', 22, 'karat'), /Unknown assay unit/));
+
+  const kilograms = await create('UNT-2', 10, 'kg', 900, 'g/t');
+  const grams = await create('UNT-3', 5000, 'g', 90, '%');
+  const { batch: merged } = await provenanceService.mergeBatches({
+    batchIds: [kilograms.batchId, grams.batchId], externalReferenceNumber: 'UNT-M'
+  });
+  check('a merge is weighed in the first lot\'s unit', merged.quantity.weight === 15 && merged.quantity.unit === WeightUnit.KG, merged.quantity);
+  const parentsFineGold = normalizeBatch(kilograms).fineGold.weight + normalizeBatch(grams).fineGold.weight;
+  check('and keeps the parents\' fine gold',
+    merged.declaredAssay.unit === AssayUnit.G_PER_T && Math.abs(normalizeBatch(merged).fineGold.weight - parentsFineGold) < 1e-9,
+    { declaredAssay: merged.declaredAssay, parentsFineGold });
+  return ounces;
+}
+
+async function testRoutes(ounces) {
+  console.log('\n4. Normalized values over the API...');
+  await provenanceService.registerUser({ username: 'units-admin', password: 'units-pass-1', role: 'Admin' });
+  const api = await startApi();
+  const token = await api.login('units-admin', 'units-pass-1');
+
+  const response = await api.request('GET', `/batches/${ounces.batchId}`, { token });
+  const { quantity, normalized } = response.body || {};
+  check('GET /batches/:id keeps the recorded values and adds normalized ones',
+    response.status === 200 && quantity.unit === WeightUnit.TROY_OZ &&
+    normalized.quantity.weight === 3.11034768 && normalized.fineGold.troyOunces === 99.99, response.body);
+
+  await api.close();
+}
+
+testUnits();
+testConversion();
+await testRoutes(await testRecords());
+finish('units');
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * UNTP Export Test
+ * Exports a batch that was transferred, shipped, received, assayed and
+ * split as a UNTP presentation: the Digital Product Passport, one
+ * Digital Traceability Event per event with its EPCIS mapping, the
+ * signatures of the owner and of each recording party, an export for a
+ * party without a signing key, and the export route
+ */
+
+import { check, finish, useTempDataDir, startApi } from './test-helpers.js';
+
+useTempDataDir('untp');
+process.env.DB_TYPE = 'memory';
+const provenanceService = (await import('./services/provenance.js')).default;
+const keyStore = (await import('./services/keys.js')).default;
+const { DPP_CONTEXT, DTE_CONTEXT, cbvBizStep, cbvDisposition, urn } = await import('./services/untp.js');
+const { UserRole } = await import('./models/index.js');
+
+async function createFixtures() {
+  const miner = await provenanceService.registerParty({ legalName: 'Untp Mining', partyType: 'MineOperator', country: 'GH', registrationId: 'GH-CO-1' });
+  const trader = await provenanceService.registerParty({ legalName: 'Untp Trading', partyType: 'Trader', country: 'Ghana' });
+  const refiner = await provenanceService.registerParty({ legalName: 'Untp Refinery', partyType: 'Refinery', country: 'Switzerland' });
+  const mine = await provenanceService.registerFacility({
+    facilityName: 'Untp Mine', facilityType: 'Mine', ownerPartyId: miner.partyId, country: 'GH',
+    region: 'Ashanti', gpsLat: 6.2, gpsLng: -1.6, permitIds: ['GH-ML-9']
+  });
+  const refinery = await provenanceService.registerFacility({ facilityName: 'Untp Plant', facilityType: 'Refinery', ownerPartyId: refiner.partyId, country: 'Switzerland' });
+  const license = await provenanceService.registerDocument({
+    documentType: 'MiningLicense', fileName: 'license.pdf', content: 'license', issuerPartyId: miner.partyId
+  });
+
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'UNTP-1', commodityType: 'Gold Doré', originFacilityId: mine.facilityId,
+    ownerPartyId: miner.partyId, weight: 10, declaredAssayValue: 999, declaredAssayUnit: 'permille'
+  }, [license.documentId]);
+  const { batchId } = batch;
+  await provenanceService.recordTransfer(batchId, { toPartyId: trader.partyId });
+  await provenanceService.recordShipment(batchId, { toPartyId: refiner.partyId, toFacilityId: refinery.facilityId });
+  await provenanceService.recordReceipt(batchId, { receiverPartyId: refiner.partyId, facilityId: refinery.facilityId });
+  // Far below the declared fineness, so the assay is non-conformant
+  await provenanceService.recordAssayFinalized(batchId, { assayerPartyId: refiner.partyId, facilityId: refinery.facilityId, assayValue: 900, assayUnit: 'permille' });
+  const { children } = await provenanceService.splitBatch(batchId, {
+    facilityId: refinery.facilityId,
+    children: [{ externalReferenceNumber: 'UNTP-1A', weight: 4 }, { externalReferenceNumber: 'UNTP-1B', weight: 6 }]
+  });
+  // The recording parties hold signing keys, as they would after issuing an attestation
+  for (const party of [miner, trader, refiner]) keyStore.getOrCreateKeyPair(party.partyId);
+  return { miner, trader, refiner, mine, license, batchId, children: children.map(c => c.batch) };
+}
+
+async function testPassport({ miner, refiner, batchId, children }) {
+  console.log('1. Product passport...');
+  const exported = await provenanceService.exportUntpPackage(batchId);
+  const { type, verifiableCredential: [passport, ...events] } = exported;
+  check('the export is a presentation of a passport and one event per event',
+    type.includes('VerifiablePresentation') && passport.type.includes('DigitalProductPassport') &&
+    passport['@context'].includes(DPP_CONTEXT) && events.length === 6, { type, events: events.length });
+  check('the passport is signed by the batch owner',
+    passport.issuer.id === keyStore.getKeyPair(refiner.partyId).did && (await provenanceService.verifyCredentialDocument(passport)).verified);
+  check('and nothing is flagged unsigned', !('gp:unsignedCredentials' in exported));
+
+  const subject = passport.credentialSubject;
+  const { product } = subject;
+  check('the product is HS 7108 gold from its producer and mine',
+    product.id === urn(batchId) && product.batchNumber === 'UNTP-1' && product.productCategory[0].code === '7108' &&
+    product.producedByParty.registeredId === 'GH-CO-1' && product.producedAtFacility.registeredId === 'GH-ML-9' &&
+    product.countryOfProduction.countryCode === 'GH', product);
+  check('the mine carries its coordinates', product.producedAtFacility.locationInformation?.geoLocation?.latitude === 6.2, product.producedAtFacility);
+  check('weights use UN/CEFACT codes', product.dimensions.weight.unit === 'KGM' && product.dimensions.weight.value === 10, product.dimensions);
+
+  const [material] = subject.materialsProvenance;
+  check('materials provenance gives the fine gold at the current assay',
+    subject.materialsProvenance.length === 1 && material.originCountry.countryCode === 'GH' &&
+    material.massFraction === 0.9 && material.mass.value === 9, material);
+  check('the passport links every traceability event',
+    subject.traceabilityInformation[0].traceabilityEvent.map(l => l.linkURL).join() === events.map(e => e.id).join(), subject.traceabilityInformation);
+  check('open due diligence is not conformant', subject.conformityClaim[0].conformance === false, subject.conformityClaim);
+
+  const childExport = await provenanceService.exportUntpPackage(children[0].batchId);
+  const [, childEvent] = childExport.verifiableCredential;
+  check('a split lot keeps the origin of its parent',
+    childExport.verifiableCredential[0].credentialSubject.materialsProvenance[0]?.originCountry.countryCode === 'GH', childExport.verifiableCredential[0].credentialSubject);
+  check('and its split event takes the parent in',
+    childEvent.credentialSubject[0].inputEPCList.map(i => i.id).join() === urn(batchId) &&
+    childEvent.credentialSubject[0].outputEPCList.map(i => i.id).join() === urn(children[0].batchId), childEvent.credentialSubject[0]);
+  check('an unknown batch has no export', await provenanceService.exportUntpPackage('missing') === null);
+  return events;
+}
+
+async function testEvents(events, { miner, trader, license, children }) {
+  console.log('\n2. Traceability events...');
+  const [create, transfer, ship, receive, assay, split] = events.map(e => e.credentialSubject[0]);
+  check('events are DTE credentials', events.every(e => e.type.includes('DigitalTraceabilityEvent') && e['@context'].includes(DTE_CONTEXT)));
+  check('creation is commissioning',
+    create.type[0] === 'ObjectEvent' && create.action === 'add' && create.bizStep === cbvBizStep('commissioning'), create);
+  check('documents are hashed links',
+    create.relatedDocument.some(d => d.linkURL === urn(license.documentId) && d.hashDigest === license.sha256Hash && d.hashMethod === 'SHA-256'), create.relatedDocument);
+  check('anchor transactions are hashed links', create.relatedDocument.some(d => d.linkType === 'anchor' && d.hashDigest), create.relatedDocument);
+  check('a transfer is a TransactionEvent between the parties',
+    transfer.type[0] === 'TransactionEvent' && transfer.sourceParty.name === miner.legalName && transfer.destinationParty.name === trader.legalName, transfer);
+  check('shipping and receiving',
+    ship.bizStep === cbvBizStep('shipping') && ship.disposition === cbvDisposition('in_transit') && receive.bizStep === cbvBizStep('receiving'),
+    [ship.bizStep, receive.bizStep]);
+  check('an assay outside tolerance is non-conformant with its reading',
+    assay.disposition === cbvDisposition('non_conformant') && assay.sensorElementList[0].sensorReport[0].value === 900 &&
+    assay.sensorElementList[0].sensorReport[0].uom === 'NX', assay);
+  check('a split is a TransformationEvent from the lot to its children',
+    split.type[0] === 'TransformationEvent' && split.inputEPCList.length === 1 &&
+    split.outputEPCList.map(i => i.name).join() === children.map(c => c.externalReferenceNumber).join() &&
+    split.outputQuantityList.every(q => q.uom === 'KGM'), split);
+
+  check('each event is signed by the party that recorded it',
+    events[1].issuer.id === keyStore.getKeyPair(miner.partyId).did &&
+    (await Promise.all(events.map(e => provenanceService.verifyCredentialDocument(e)))).every(r => r.verified));
+  const changed = { ...events[1], credentialSubject: [{ ...transfer, destinationParty: { ...transfer.destinationParty, name: 'Someone else' } }] };
+  check('a changed event fails verification', !(await provenanceService.verifyCredentialDocument(changed)).verified);
+}
+
+async function testUnsigned() {
+  console.log('\n3. Parties without keys...');
+  const owner = await provenanceService.registerParty({ legalName: 'Untp Keyless', partyType: 'MineOperator', country: 'GH' });
+  const mine = await provenanceService.registerFacility({ facilityName: 'Untp Keyless Mine', facilityType: 'Mine', ownerPartyId: owner.partyId, country: 'GH' });
+  const { batch } = await provenanceService.createBatchAtMine({
+    externalReferenceNumber: 'UNTP-2', commodityType: 'Gold Doré', originFacilityId: mine.facilityId, ownerPartyId: owner.partyId, weight: 5
+  });
+
+  const exported = await provenanceService.exportUntpPackage(batch.batchId);
+  const [passport, event] = exported.verifiableCredential;
+  check('exporting creates no key for the owner', keyStore.getKeyPair(owner.partyId) === null);
+  check('its credentials are left unsigned under the party URN',
+    !passport.proof && !event.proof && passport.issuer.id === urn(owner.partyId) && event.issuer.id === urn(owner.partyId), passport.issuer);
+  check('and are flagged as unsigned',
+    [passport.id, event.id].every(id => exported['gp:unsignedCredentials']?.includes(id)), exported['gp:unsignedCredentials']);
+}
+
+async function testRoute({ batchId }) {
+  console.log('\n4. Export over the API...');
+  await provenanceService.registerUser({ username: 'untp-admin', password: 'untp-pass-1', role: UserRole.ADMIN });
+  const api = await startApi();
+  const token = await api.login('untp-admin', 'untp-pass-1');
+
+  let response = await api.request('GET', `/batches/${batchId}/export?format=untp`, { token });
+  check('GET /batches/:id/export?format=untp answers JSON-LD',
+    response.status === 200 && response.headers.get('content-type').startsWith('application/ld+json') &&
+    response.body?.verifiableCredential?.length === 7, response.headers.get('content-type'));
+  response = await api.request('GET', `/batches/${batchId}/export?format=xml`, { token });
+  check('an unknown format is a 400', response.status === 400 && /Unknown export format/.test(response.body?.error), response.body);
+  response = await api.request('GET', '/batches/missing/export?format=untp', { token });
+  check('an unknown batch is a 404', response.status === 404, response.body);
+
+  await api.close();
+}
+
+const fixtures = await createFixtures();
+await testEvents(await testPassport(fixtures), fixtures);
+await testUnsigned();
+await testRoute(fixtures);
+finish('UNTP');
@@ -1,6 +1,8 @@
+import { useEffect, useState } from 'react';
 import { HashRouter, Routes, Route } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import Layout from './components/Layout';
+import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Parties from './pages/Parties';
 import Facilities from './pages/Facilities';
@@ -10,6 +12,8 @@ import Documents from './pages/Documents';
 import Verify from './pages/Verify';
 import Audit from './pages/Audit';
 import Network from './pages/Network';
+import * as api from './services/api';
+import type { User } from './types';
 import './App.css';
 
 const queryClient = new QueryClient({
@@ -22,10 +26,38 @@ const queryClient = new QueryClient({
 });
 
 function App() {
+  const [user, setUser] = useState<User | null>(null);
+  const [checkingSession, setCheckingSession] = useState(() => !!api.getToken());
+
+  useEffect(() => {
+    if (api.getToken()) {
+      api.getCurrentUser()
+        .then(setUser)
+        .catch(() => setUser(null))
+        .finally(() => setCheckingSession(false));
+    }
+    const onExpired = () => {
+      setUser(null);
+      queryClient.clear();
+    };
+    window.addEventListener(api.AUTH_EXPIRED_EVENT, onExpired);
+    return () => window.removeEventListener(api.AUTH_EXPIRED_EVENT, onExpired);
+  }, []);
+
+  if (checkingSession) return <div className="loading">Loading...</div>;
+
+  if (!user) {
+    return (
+      <QueryClientProvider client={queryClient}>
+        <Login onLogin={setUser} />
+      </QueryClientProvider>
+    );
+  }
+
   return (
     <QueryClientProvider client={queryClient}>
       <HashRouter>
-        <Layout>
+        <Layout user={user} onLogout={api.clearToken}>
           <Routes>
             <Route path="/" element={<Dashboard />} />
             <Route path="/parties" element={<Parties />} />
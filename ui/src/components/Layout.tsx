@@ -8,7 +8,9 @@ import {
   Shield,
   ClipboardList,
   Network,
+  LogOut,
 } from 'lucide-react';
+import type { User } from '../types';
 
 const navItems = [
   { path: '/', label: 'Dashboard', icon: LayoutDashboard },
@@ -21,7 +23,13 @@ const navItems = [
   { path: '/network', label: 'Network', icon: Network },
 ];
 
-export default function Layout({ children }: { children: React.ReactNode }) {
+interface LayoutProps {
+  children: React.ReactNode;
+  user: User;
+  onLogout: () => void;
+}
+
+export default function Layout({ children, user, onLogout }: LayoutProps) {
   const location = useLocation();
 
   return (
@@ -51,6 +59,12 @@ export default function Layout({ children }: { children: React.ReactNode }) {
           })}
         </nav>
         <div className="sidebar-footer">
+          <div className="user-badge">
+            <span>{user.username} ({user.role})</span>
+            <button className="btn btn-secondary btn-sm" onClick={onLogout} title="Sign out">
+              <LogOut size={14} />
+            </button>
+          </div>
           <div className="blockchain-badge">
             <Network size={16} />
             <span>Polygon Amoy</span>
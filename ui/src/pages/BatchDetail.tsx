@@ -98,17 +98,33 @@ export default function BatchDetail() {
     },
   });
 
-  const handleExport = async () => {
-    const data = await api.exportBatch(batchId!);
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const handleExport = async (format: 'json' | 'untp' | 'epcis' = 'json') => {
+    const data = await api.exportBatch(batchId!, format);
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: format === 'json' ? 'application/json' : 'application/ld+json',
+    });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `batch-${chainOfCustody?.batch.batchId || batchId}.json`;
+    a.download = `batch-${chainOfCustody?.batch.batchId || batchId}${format === 'json' ? '.json' : `.${format}.jsonld`}`;
     a.click();
     URL.revokeObjectURL(url);
   };
 
+  const handleCertificate = async () => {
+    try {
+      const { pdf } = await api.issueCertificate(batchId!);
+      const url = URL.createObjectURL(pdf);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `certificate-${chainOfCustody?.batch.batchId || batchId}.pdf`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(`Error issuing certificate: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  };
+
   const getEventIcon = (eventType: string) => {
     switch (eventType) {
       case 'Create': return <Package size={20} />;
@@ -125,6 +141,7 @@ export default function BatchDetail() {
   if (!chainOfCustody) return <div className="error">Batch not found</div>;
 
   const { batch, originFacility, timeline, verificationStatus } = chainOfCustody;
+  const allowedActions = batch.allowedActions ?? [];
 
   return (
     <div className="page">
@@ -143,10 +160,22 @@ export default function BatchDetail() {
             <Shield size={20} />
             Verify
           </Link>
-          <button className="btn btn-secondary" onClick={handleExport}>
+          <button className="btn btn-secondary" onClick={() => handleExport()}>
             <Download size={20} />
             Export
           </button>
+          <button className="btn btn-secondary" onClick={() => handleExport('untp')}>
+            <Download size={20} />
+            UNTP
+          </button>
+          <button className="btn btn-secondary" onClick={() => handleExport('epcis')}>
+            <Download size={20} />
+            EPCIS
+          </button>
+          <button className="btn btn-secondary" onClick={handleCertificate}>
+            <FileText size={20} />
+            Certificate
+          </button>
         </div>
       </div>
 
@@ -201,32 +230,34 @@ export default function BatchDetail() {
       </div>
 
       {/* Actions */}
-      {batch.status !== 'Closed' && batch.status !== 'Dispute' && (
+      {allowedActions.some((a) => ['Ship', 'Transfer', 'Receive', 'Dispute'].includes(a)) && (
         <div className="card actions-card">
           <h3>Actions</h3>
           <div className="action-buttons">
-            {batch.status === 'Created' && (
+            {allowedActions.includes('Ship') && (
               <button className="btn btn-primary" onClick={() => setActiveAction('ship')}>
                 <Truck size={20} />
                 Ship Batch
               </button>
             )}
-            {batch.status === 'InTransit' && (
-              <>
-                <button className="btn btn-primary" onClick={() => setActiveAction('transfer')}>
-                  <ArrowRightLeft size={20} />
-                  Transfer Custody
-                </button>
-                <button className="btn btn-success" onClick={() => setActiveAction('receive')}>
-                  <CheckCircle size={20} />
-                  Receive Batch
-                </button>
-              </>
+            {allowedActions.includes('Transfer') && (
+              <button className="btn btn-primary" onClick={() => setActiveAction('transfer')}>
+                <ArrowRightLeft size={20} />
+                Transfer Custody
+              </button>
+            )}
+            {allowedActions.includes('Receive') && (
+              <button className="btn btn-success" onClick={() => setActiveAction('receive')}>
+                <CheckCircle size={20} />
+                Receive Batch
+              </button>
+            )}
+            {allowedActions.includes('Dispute') && (
+              <button className="btn btn-danger" onClick={() => setActiveAction('dispute')}>
+                <AlertTriangle size={20} />
+                Raise Dispute
+              </button>
             )}
-            <button className="btn btn-danger" onClick={() => setActiveAction('dispute')}>
-              <AlertTriangle size={20} />
-              Raise Dispute
-            </button>
           </div>
 
           {/* Action Forms */}
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { LogIn } from 'lucide-react';
+import * as api from '../services/api';
+import type { User } from '../types';
+
+export default function Login({ onLogin }: { onLogin: (user: User) => void }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+
+  const loginMutation = useMutation({
+    mutationFn: () => api.login(username, password),
+    onSuccess: (result) => {
+      api.setToken(result.token);
+      onLogin(result.user);
+    },
+  });
+
+  const handleSubmit = (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    loginMutation.mutate();
+  };
+
+  return (
+    <div className="login-page">
+      <div className="card form-card login-card">
+        <div className="logo">
+          <span className="logo-icon">⛏️</span>
+          <span className="logo-text">Gold Provenance</span>
+        </div>
+        <h3>Sign in</h3>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="username">Username</label>
+            <input
+              type="text"
+              id="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="password">Password</label>
+            <input
+              type="password"
+              id="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary" disabled={loginMutation.isPending}>
+              <LogIn size={18} />
+              {loginMutation.isPending ? 'Signing in...' : 'Sign in'}
+            </button>
+          </div>
+          {loginMutation.error && (
+            <div className="error-message">{(loginMutation.error as Error).message}</div>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+}
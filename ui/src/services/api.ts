@@ -8,19 +8,44 @@ import type {
   ChainOfCustody,
   VerificationResult,
   AuditLogEntry,
+  ResolutionOutcome,
+  BatchStatus,
+  EventType,
+  CredentialType,
+  CredentialVerification,
+  User,
 } from '../types';
 
 // API URL: use environment variable or default to localhost for development
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
+const TOKEN_KEY = 'goldProvenanceToken';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+export const setToken = (token: string) => localStorage.setItem(TOKEN_KEY, token);
+
+// Listeners are told when the session ends so the app can show the login form
+export const AUTH_EXPIRED_EVENT = 'auth-expired';
+
+export function clearToken() {
+  localStorage.removeItem(TOKEN_KEY);
+  window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+}
+
 async function fetchAPI<T>(endpoint: string, options?: RequestInit): Promise<T> {
+  const token = getToken();
   const response = await fetch(`${API_BASE}${endpoint}`, {
     headers: {
       'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
     },
     ...options,
   });
   
+  if (response.status === 401 && token) {
+    clearToken();
+  }
+
   if (!response.ok) {
     const error = await response.json().catch(() => ({ error: 'Unknown error' }));
     throw new Error(error.error || `HTTP ${response.status}`);
@@ -29,6 +54,17 @@ async function fetchAPI<T>(endpoint: string, options?: RequestInit): Promise<T>
   return response.json();
 }
 
+// Auth
+export const login = (username: string, password: string) => fetchAPI<{
+  token: string;
+  expiresAt: string;
+  user: User;
+}>('/auth/login', {
+  method: 'POST',
+  body: JSON.stringify({ username, password }),
+});
+export const getCurrentUser = () => fetchAPI<User>('/auth/me');
+
 // Health
 export const getHealth = () => fetchAPI<{ status: string; timestamp: string; simulationMode: boolean }>('/health');
 
@@ -87,6 +123,8 @@ export const createDocument = (data: {
 // Batches
 export const getBatches = () => fetchAPI<Batch[]>('/batches');
 export const getBatch = (id: string) => fetchAPI<Batch>(`/batches/${id}`);
+export const getAllowedActions = (id: string) =>
+  fetchAPI<{ batchId: string; status: BatchStatus; allowedActions: EventType[] }>(`/batches/${id}/actions`);
 export const createBatch = (data: {
   referenceNumber: string;
   commodity: string;
@@ -105,6 +143,7 @@ export const createBatch = (data: {
     weight: data.weightKg,
     weightUnit: 'kg',
     declaredAssayValue: data.purityPercent || null,
+    declaredAssayUnit: data.purityPercent ? '%' : null,
     documentIds: data.documentIds || [],
   }),
 });
@@ -150,6 +189,43 @@ export const disputeBatch = (batchId: string, data: {
   body: JSON.stringify(data),
 });
 
+export const resolveBatch = (batchId: string, data: {
+  resolvedByPartyId: string;
+  outcome: ResolutionOutcome;
+  disputeEventId?: string;
+  adjustedWeight?: number;
+  adjustedAssayValue?: number;
+  adjustedAssayUnit?: string;
+  documentIds?: string[];
+  notes?: string;
+}) => fetchAPI<{ batch: Batch; event: unknown }>(`/batches/${batchId}/resolve`, {
+  method: 'POST',
+  body: JSON.stringify(data),
+});
+
+// Split / Merge
+export const splitBatch = (batchId: string, data: {
+  children: { externalReferenceNumber: string; weight: number; notes?: string }[];
+  facilityId?: string;
+  documentIds?: string[];
+  notes?: string;
+}) => fetchAPI<{ parent: Batch; event: unknown; children: { batch: Batch; event: unknown }[] }>(`/batches/${batchId}/split`, {
+  method: 'POST',
+  body: JSON.stringify(data),
+});
+
+export const mergeBatches = (data: {
+  batchIds: string[];
+  externalReferenceNumber: string;
+  facilityId?: string;
+  weight?: number;
+  documentIds?: string[];
+  notes?: string;
+}) => fetchAPI<{ batch: Batch; event: unknown; parents: Batch[] }>('/batches/merge', {
+  method: 'POST',
+  body: JSON.stringify(data),
+});
+
 // Verification
 export const getChainOfCustody = (batchId: string) => 
   fetchAPI<ChainOfCustody>(`/batches/${batchId}/chain-of-custody`);
@@ -157,8 +233,31 @@ export const getChainOfCustody = (batchId: string) =>
 export const verifyBatch = (batchId: string) => 
   fetchAPI<VerificationResult>(`/batches/${batchId}/verify`);
 
-export const exportBatch = (batchId: string) => 
-  fetchAPI<unknown>(`/batches/${batchId}/export`);
+// 'untp' returns UNTP Product Passport and Traceability Event credentials and
+// 'epcis' an EPCIS 2.0 document, both as JSON-LD
+export const exportBatch = (batchId: string, format: 'json' | 'untp' | 'epcis' = 'json') =>
+  fetchAPI<unknown>(`/batches/${batchId}/export?format=${format}`);
+
+// Issues a signed certificate of provenance and returns the PDF with the
+// payload hash printed on its pages
+export async function issueCertificate(batchId: string): Promise<{ pdf: Blob; payloadHash: string }> {
+  const token = getToken();
+  const response = await fetch(`${API_BASE}/batches/${batchId}/certificate`, {
+    method: 'POST',
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+
+  if (response.status === 401 && token) {
+    clearToken();
+  }
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+    throw new Error(error.error || `HTTP ${response.status}`);
+  }
+
+  return { pdf: await response.blob(), payloadHash: response.headers.get('X-Payload-Hash') ?? '' };
+}
 
 // Audit
 export const getAuditLog = (entityId?: string) => 
@@ -169,4 +268,10 @@ export const getEnums = () => fetchAPI<{
   partyTypes: string[];
   facilityTypes: string[];
   documentTypes: string[];
+  resolutionOutcomes: ResolutionOutcome[];
+  credentialTypes: CredentialType[];
 }>('/enums');
+
+// Credentials
+export const verifyCredential = (credentialId: string) =>
+  fetchAPI<CredentialVerification & { credentialId: string }>(`/credentials/${credentialId}/verify`);
@@ -65,10 +65,18 @@ export interface Batch {
   weightKg?: number;
   purityPercent?: number;
   declaredAssay?: { value: number; unit: string } | null;
+  finalAssay?: FinalAssay | null;
+  normalized?: NormalizedValues;
   documentIds: string[];
   eventIds?: string[];
   parentBatchIds?: string[];
+  childBatchIds?: string[];
+  pendingReceiverPartyId?: string | null;
+  weightDiscrepancy?: WeightDiscrepancy | null;
+  assayDiscrepancy?: AssayDiscrepancy | null;
   notes?: string | null;
+  anchorStatus?: AnchorStatus | null;
+  blockNumber?: number | null;
   createdAt?: string;
   creationTimestamp?: string;
   updatedAt?: string;
@@ -106,11 +114,211 @@ export interface TimelineEvent {
     facility: { id: string; name: string } | null;
   };
   quantity?: number | null;
+  relatedBatchIds?: string[];
+  relatedEventId?: string | null;
+  resolution?: {
+    outcome: ResolutionOutcome;
+    adjustedWeight?: number;
+    adjustedAssay?: { value: number; unit: string };
+  } | null;
+  assay?: { value: number; unit: string; assayType: AssayType } | null;
+  weightReconciliation?: WeightReconciliation | null;
+  assayReconciliation?: AssayReconciliation | null;
   notes?: string;
   documents: string[];
+  hashAlgorithm?: HashAlgorithm;
   payloadHash: string;
   txHash?: string;
   explorerUrl?: string;
+  anchorStatus?: AnchorStatus | null;
+  anchor?: AnchorRecord | null;
+}
+
+export interface WeightReconciliation {
+  shippedWeight: number;
+  receivedWeight: number;
+  unit: string;
+  delta: number;
+  deltaPercent: number | null;
+  allowedDelta: number;
+  withinTolerance: boolean;
+  tolerance: ToleranceRule;
+  shipEventId: string | null;
+}
+
+export interface WeightDiscrepancy {
+  eventId: string;
+  shippedWeight: number;
+  receivedWeight: number;
+  unit: string;
+  delta: number;
+  deltaPercent: number | null;
+  allowedDelta: number;
+  toleranceSource: string;
+  detectedAt: string;
+}
+
+export interface FineGold {
+  weight: number;
+  unit: 'kg';
+  grams: number;
+  troyOunces: number;
+}
+
+// Quantity in kg and assays as fineness per mille; null where the recorded unit is unknown
+export interface NormalizedValues {
+  quantity: { weight: number; unit: 'kg' } | null;
+  declaredAssay: { value: number; unit: 'permille' } | null;
+  finalAssay: { value: number; unit: 'permille' } | null;
+  fineGold: FineGold | null;
+}
+
+export interface ToleranceRule {
+  percent: number | null;
+  absolute: number | null;
+  action: 'flag' | 'dispute';
+  source: string;
+}
+
+export interface FinalAssay {
+  value: number;
+  unit: string;
+  assayType: AssayType;
+  eventId: string;
+}
+
+export interface AssayReconciliation {
+  declaredValue: number;
+  declaredUnit: string;
+  value: number;
+  unit: string;
+  variance: number | null;
+  variancePercent: number | null;
+  allowedVariance: number;
+  withinTolerance: boolean | null;
+  tolerance: ToleranceRule;
+}
+
+export interface AssayDiscrepancy {
+  eventId: string;
+  assayType: AssayType;
+  declaredValue: number;
+  value: number;
+  unit: string;
+  variance: number;
+  variancePercent: number | null;
+  allowedVariance: number;
+  toleranceSource: string;
+  detectedAt: string;
+}
+
+export interface AssayHistoryEntry {
+  assayType: AssayType;
+  value: number;
+  unit: string;
+  eventId: string | null;
+  timestamp: string;
+  assayer: { id: string; name: string } | null;
+  reconciliation: AssayReconciliation | null;
+}
+
+export type ScreeningStatus = 'HIGH_RISK' | 'CLEAR' | 'NOT_CONFIGURED';
+
+export interface FacilityScreening {
+  facilityId: string;
+  facilityName: string;
+  country: string | null;
+  region: string | null;
+  gpsMissing: boolean;
+  status: ScreeningStatus;
+  matches: {
+    type: 'zone' | 'country' | 'region';
+    name: string;
+    riskLevel: string;
+    source: string | null;
+  }[];
+}
+
+export interface BatchScreening {
+  batchId: string;
+  status: ScreeningStatus;
+  screenedAt: string;
+  facilities: (FacilityScreening & { role: 'origin' | 'transit'; viaBatchIds: string[] })[];
+}
+
+export type DueDiligenceStepName =
+  | 'managementSystems'
+  | 'riskIdentification'
+  | 'riskMitigation'
+  | 'thirdPartyAudit'
+  | 'reporting';
+
+export type DueDiligenceStatus = 'NotStarted' | 'InProgress' | 'Completed' | 'NotApplicable';
+
+export interface DueDiligenceFinding {
+  findingId: string;
+  description: string;
+  severity: 'info' | 'low' | 'medium' | 'high';
+  recordedAt: string;
+  recordedBy: string | null;
+}
+
+export interface DueDiligenceStep {
+  step: DueDiligenceStepName;
+  number: number;
+  title: string;
+  status: DueDiligenceStatus;
+  responsiblePartyId: string | null;
+  findings: DueDiligenceFinding[];
+  documentIds: string[];
+  updatedAt: string | null;
+  completedAt: string | null;
+}
+
+export interface DueDiligence {
+  batchId: string;
+  status: 'Open' | 'Closed';
+  openSteps: DueDiligenceStepName[];
+  openHighSeverityFindings: number;
+  openedAt: string;
+  closedAt: string | null;
+  steps: DueDiligenceStep[];
+}
+
+export interface AnchorRecord {
+  hash: string;
+  txHash: string;
+  blockNumber: number | null;
+  chainId: number;
+  logIndex: number | null;
+  submittedAt: string;
+  simulated: boolean;
+  merkleRootId: string | null;
+  explorerUrl: string;
+}
+
+export type CredentialType = 'OriginProof' | 'ComplianceAttestation' | 'AssayAttestation' | 'ProvenanceCertificate';
+
+export interface CredentialVerification {
+  verified: boolean;
+  issuerDid: string | null;
+  verificationMethod?: string | null;
+  checks: {
+    signature: boolean;
+    issuerKey: boolean;
+    validityPeriod: boolean;
+    documents: boolean;
+  };
+  errors: string[];
+}
+
+export interface CredentialSummary {
+  id: string;
+  type: CredentialType;
+  issuer?: string;
+  claims: string;
+  issuedAt: string;
+  verification: CredentialVerification;
 }
 
 export interface ChainOfCustody {
@@ -118,8 +326,16 @@ export interface ChainOfCustody {
     batchId: string;
     quantity?: { weight?: number; unit: string };
     declaredAssay?: { value: number; unit: string } | null;
+    finalAssay?: FinalAssay | null;
+    normalized?: NormalizedValues;
     status: BatchStatus;
     createdAt: string;
+    parentBatchIds?: string[];
+    childBatchIds?: string[];
+    allowedActions?: EventType[];
+    weightDiscrepancy?: WeightDiscrepancy | null;
+    assayDiscrepancy?: AssayDiscrepancy | null;
+    anchor?: AnchorRecord | null;
   };
   originFacility: {
     id: string;
@@ -129,15 +345,35 @@ export interface ChainOfCustody {
   };
   currentCustodian: { id: string; name: string } | null;
   timeline: TimelineEvent[];
+  assayHistory?: AssayHistoryEntry[];
+  screening?: BatchScreening | null;
+  dueDiligence?: DueDiligence;
   documentCount: number;
   allDocuments: Document[];
-  credentials: unknown[];
+  credentials: CredentialSummary[];
   verificationStatus: {
     status: string;
     message: string;
   };
 }
 
+export interface OnChainAnchorCheck {
+  verified: boolean;
+  checks: {
+    receiptFound: boolean;
+    succeeded: boolean;
+    logFound: boolean;
+    contractMatch: boolean;
+    hashMatch: boolean;
+    senderMatch: boolean | null;
+    confirmations: number;
+    sufficientConfirmations: boolean;
+  };
+  anchoredHash: string | null;
+  logIndex: number | null;
+  errors: string[];
+}
+
 export interface VerificationResult {
   batchId: string;
   overallValid: boolean;
@@ -145,6 +381,7 @@ export interface VerificationResult {
   events: {
     eventId: string;
     eventType: string;
+    hashAlgorithm?: HashAlgorithm;
     storedHash: string;
     computedHash: string;
     hashMatch: boolean;
@@ -154,7 +391,32 @@ export interface VerificationResult {
     eventId: string;
     txHash: string;
     verified: boolean;
+    registered?: boolean;
+    blockNumber?: number | null;
+    logIndex?: number | null;
+    onChain?: OnChainAnchorCheck | null;
   }[];
+  batchAnchor?: {
+    txHash: string;
+    anchoredHash: string | null;
+    verified: boolean;
+    onChain?: OnChainAnchorCheck | null;
+    matchesCurrentBatch: boolean;
+  };
+  chain?: {
+    valid: boolean;
+    length: number;
+    linked: boolean;
+    breaks: {
+      type: 'missing' | 'inserted' | 'reordered' | 'linkMismatch';
+      eventId: string;
+      index?: number;
+      sequenceNumber?: number;
+      expectedPreviousHash?: string | null;
+      actualPreviousHash?: string | null;
+      message: string;
+    }[];
+  };
 }
 
 export interface AuditLogEntry {
@@ -168,11 +430,25 @@ export interface AuditLogEntry {
 // Enums
 export type PartyType = 'MineOperator' | 'Transporter' | 'Buyer' | 'Refinery' | 'Auditor' | 'Other';
 export type FacilityType = 'Mine' | 'Warehouse' | 'Refinery' | 'Port' | 'Other';
-export type BatchStatus = 'Created' | 'InTransit' | 'Received' | 'Closed' | 'Dispute';
-export type EventType = 'Create' | 'Transfer' | 'Ship' | 'Receive' | 'InspectTest' | 'AssayFinalized' | 'Dispute' | 'Resolve';
+export type BatchStatus = 'Created' | 'InTransit' | 'Received' | 'Closed' | 'Dispute' | 'Consumed';
+export type EventType = 'Create' | 'Transfer' | 'Ship' | 'Receive' | 'InspectTest' | 'AssayFinalized' | 'Dispute' | 'Resolve' | 'Split' | 'Merge';
+export type HashAlgorithm = 'sha256' | 'keccak256' | 'sha3-256';
+export type AssayType = 'Declared' | 'Final' | 'Umpire' | 'Adjusted';
+export type ResolutionOutcome = 'Upheld' | 'Rejected' | 'WeightAdjusted' | 'AssayAdjusted';
 export type DocumentType = 'Permit' | 'CertificateOfOrigin' | 'PackingList' | 'WaybillAirwayBill' | 'ProFormaInvoice' | 'AssayReport' | 'Other';
 export type ConfidentialityLevel = 'Public' | 'Restricted' | 'Confidential';
+export type AnchorStatus = 'PENDING_ANCHOR' | 'ANCHORED' | 'ANCHOR_FAILED';
+export type UserRole = 'Admin' | 'Operator' | 'Viewer' | 'Auditor';
 
 export const PARTY_TYPES: PartyType[] = ['MineOperator', 'Transporter', 'Buyer', 'Refinery', 'Auditor', 'Other'];
 export const FACILITY_TYPES: FacilityType[] = ['Mine', 'Warehouse', 'Refinery', 'Port', 'Other'];
 export const DOCUMENT_TYPES: DocumentType[] = ['Permit', 'CertificateOfOrigin', 'PackingList', 'WaybillAirwayBill', 'ProFormaInvoice', 'AssayReport', 'Other'];
+
+export interface User {
+  userId: string;
+  username: string;
+  role: UserRole;
+  partyId: string | null;
+  allowedBatchIds: string[];
+  createdAt: string;
+}